@@ -0,0 +1,112 @@
+import { AIError } from './errors';
+import { ProposedFileChange, parseFileChanges, parseJsonReply } from './change-set';
+import { CodeExcerpt, formatExcerpts } from './excerpts';
+
+// An agent works in turns: each reply of the model is one JSON object naming a tool, and
+// the tool's result is sent back as the next user message.
+
+export type AgentToolName = 'list_files' | 'read_file' | 'search' | 'edit' | 'run_tests' | 'finish';
+
+export type AgentAction =
+    { tool: 'list_files'; pattern?: string } |
+    { tool: 'read_file'; path: string } |
+    { tool: 'search'; query: string; isRegex: boolean } |
+    { tool: 'edit'; files: ProposedFileChange[] } |
+    { tool: 'run_tests' } |
+    { tool: 'finish'; summary: string };
+
+export interface AgentTurn {
+    thought: string;
+    plan?: string[]; // the remaining steps, when the model gives or revises them
+    action: AgentAction;
+}
+
+export interface AgentTaskContext {
+    testCommand?: string; // run by run_tests; the task cannot be checked by tests without one
+    files: string[]; // project paths, possibly only some of them
+    totalFiles: number;
+    excerpts?: CodeExcerpt[]; // code that may be relevant to the task
+}
+
+export const AGENT_INSTRUCTIONS = [
+    'You are an autonomous coding agent working on a task in a project. You work in turns. Each reply is a single JSON object and nothing else, in this shape:',
+    '{"thought": "<what you learned and what you do next, briefly>", "plan": ["<remaining step>", ...], "action": {"tool": "<tool>", ...}}',
+    'Give "plan" in your first reply and whenever it changes; omit it otherwise. The result of the action is the next message.',
+    'Tools:',
+    '- {"tool": "list_files", "pattern": "<optional glob, e.g. src/**/*.ts>"}: paths of project files.',
+    '- {"tool": "read_file", "path": "<path>"}: the content of a file.',
+    '- {"tool": "search", "query": "<text>", "isRegex": false}: matching lines in all project files.',
+    '- {"tool": "edit", "files": [{"path": "<path>", "action": "modify" | "create" | "delete", "content": "<whole new content>", "edits": [{"search": "<exact existing text>", "replace": "<new text>"}]}]}: changes files.',
+    '- {"tool": "run_tests"}: runs the project\'s tests and returns the exit code and output.',
+    '- {"tool": "finish", "summary": "<what you changed and why>"}: ends the task. If you changed files, the tests run first and the task only ends when they pass.',
+    'Rules:',
+    '- Paths are relative to the project root. Read a file before changing it.',
+    '- For "modify", prefer "edits". Each "search" must match the current content exactly, including whitespace, and occur only once. For "create", give "content". For "delete", give neither.',
+    '- Change only what the task needs, and keep the existing code style.',
+    '- After changing files, run the tests and fix what fails before finishing.'
+].join('\n');
+
+const TOOLS: readonly AgentToolName[] = ['list_files', 'read_file', 'search', 'edit', 'run_tests', 'finish'];
+
+export function buildAgentTask(task: string, context: AgentTaskContext): string {
+    const parts = [`Task: ${task}`, ''];
+    parts.push(context.testCommand
+        ? `run_tests runs: ${context.testCommand}`
+        : 'The project has no test command, so run_tests cannot check the changes.');
+    parts.push('', context.files.length < context.totalFiles
+        ? `Project files (${context.files.length} of ${context.totalFiles}; use list_files for the rest):`
+        : 'Project files:');
+    parts.push(...context.files);
+    if (context.excerpts && context.excerpts.length > 0) {
+        parts.push('', formatExcerpts('Code that may be relevant (excerpts; read a file before changing it):', context.excerpts));
+    }
+    return parts.join('\n');
+}
+
+export function parseAgentTurn(text: string): AgentTurn {
+    const value = parseJsonReply(text, 'agent turn');
+    const action = value?.action;
+    if (!action || !TOOLS.includes(action.tool)) {
+        throw invalid(`Unknown tool "${action?.tool}"; use one of ${TOOLS.join(', ')}`);
+    }
+    if (value.plan !== undefined && (!Array.isArray(value.plan) || !value.plan.every((step: unknown) => typeof step === 'string'))) {
+        throw invalid('"plan" must be an array of strings');
+    }
+
+    return {
+        thought: typeof value.thought === 'string' ? value.thought : '',
+        plan: value.plan,
+        action: parseAction(action)
+    };
+}
+
+function parseAction(action: any): AgentAction {
+    switch (action.tool as AgentToolName) {
+        case 'list_files':
+            if (action.pattern !== undefined && typeof action.pattern !== 'string') {
+                throw invalid('list_files: "pattern" must be a string');
+            }
+            return { tool: 'list_files', pattern: action.pattern || undefined };
+        case 'read_file':
+            return { tool: 'read_file', path: requireString(action, 'path') };
+        case 'search':
+            return { tool: 'search', query: requireString(action, 'query'), isRegex: action.isRegex === true };
+        case 'edit':
+            return { tool: 'edit', files: parseFileChanges(action.files) };
+        case 'run_tests':
+            return { tool: 'run_tests' };
+        case 'finish':
+            return { tool: 'finish', summary: typeof action.summary === 'string' ? action.summary : '' };
+    }
+}
+
+function requireString(action: any, field: string): string {
+    if (typeof action[field] !== 'string' || action[field].length === 0) {
+        throw invalid(`${action.tool}: "${field}" must be a non-empty string`);
+    }
+    return action[field];
+}
+
+function invalid(message: string): AIError {
+    return new AIError('INVALID_RESPONSE', message);
+}
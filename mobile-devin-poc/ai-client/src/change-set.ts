@@ -0,0 +1,137 @@
+import { AIError } from './errors';
+import { CodeExcerpt, fenced, formatExcerpts } from './excerpts';
+
+// Structured multi-file edits: the model is asked for JSON in this shape instead of prose,
+// so the changes can be reviewed per file and applied together.
+
+export type ChangeAction = 'modify' | 'create' | 'delete';
+
+// Replaces the only occurrence of search; small edits to large files stay small
+export interface SearchReplaceEdit {
+    search: string;
+    replace: string;
+}
+
+export interface ProposedFileChange {
+    path: string;
+    action: ChangeAction;
+    content?: string; // the whole new content, for create and optionally for modify
+    edits?: SearchReplaceEdit[]; // for modify, when content is omitted
+}
+
+export interface ChangeSetProposal {
+    summary: string;
+    files: ProposedFileChange[];
+}
+
+// A file shown to the model, by the path it should answer with
+export interface ChangeSetFile {
+    path: string;
+    content: string;
+}
+
+export const CHANGE_SET_INSTRUCTIONS = [
+    'You are a coding agent that changes files in a project. Reply with a change set: a single JSON object and nothing else, in this shape:',
+    '{"summary": "<one or two sentences>", "files": [{"path": "<path>", "action": "modify" | "create" | "delete", "content": "<whole new content>", "edits": [{"search": "<exact existing text>", "replace": "<new text>"}]}]}',
+    'Rules:',
+    '- Use the paths exactly as given. New files are created relative to the same root.',
+    '- For "modify", prefer "edits". Each "search" must match the current content exactly, including whitespace, and occur only once; include enough surrounding lines to make it unique. Use "content" instead when most of the file changes.',
+    '- For "create", give "content". For "delete", give neither.',
+    '- Only change what the task needs, and keep the existing code style.',
+    '- If no change is needed, reply with an empty "files" array and explain why in "summary".'
+].join('\n');
+
+const ACTIONS: readonly ChangeAction[] = ['modify', 'create', 'delete'];
+
+export function buildChangeSetPrompt(instruction: string, files: ChangeSetFile[], excerpts: CodeExcerpt[] = []): string {
+    const parts = [`Task: ${instruction}`];
+    for (const file of files) {
+        parts.push('', `File: ${file.path}`, fenced(file.content));
+    }
+    if (excerpts.length > 0) {
+        parts.push('', formatExcerpts(
+            'Related code from other parts of the project. These are excerpts, not whole files: to change one of them, use "edits" whose "search" text is inside the excerpt, never "content".',
+            excerpts
+        ));
+    }
+    return parts.join('\n');
+}
+
+export function parseChangeSet(text: string): ChangeSetProposal {
+    const value = parseJsonReply(text, 'change set');
+    return { summary: typeof value.summary === 'string' ? value.summary : '', files: parseFileChanges(value.files) };
+}
+
+// Models often wrap the JSON in a code fence or add a sentence around it
+export function parseJsonReply(text: string, what: string): any {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start < 0 || end < start) {
+        throw invalid(`The reply contains no ${what}`);
+    }
+
+    try {
+        return JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+        throw invalid(`The ${what} is not valid JSON: ${(error as Error).message}`);
+    }
+}
+
+// The "files" of a change set
+export function parseFileChanges(files: unknown): ProposedFileChange[] {
+    if (!Array.isArray(files)) {
+        throw invalid('The change set has no "files" array');
+    }
+    return files.map((file: any, index: number): ProposedFileChange => {
+        if (!file || typeof file.path !== 'string' || file.path.length === 0) {
+            throw invalid(`File ${index + 1} of the change set has no path`);
+        }
+        if (!ACTIONS.includes(file.action)) {
+            throw invalid(`${file.path}: unknown action "${file.action}"`);
+        }
+        if (file.content !== undefined && typeof file.content !== 'string') {
+            throw invalid(`${file.path}: content must be a string`);
+        }
+        const edits = file.edits === undefined ? undefined : parseEdits(file.path, file.edits);
+        if (file.action === 'create' && file.content === undefined) {
+            throw invalid(`${file.path}: a new file needs content`);
+        }
+        if (file.action === 'modify' && file.content === undefined && !edits?.length) {
+            throw invalid(`${file.path}: a modified file needs content or edits`);
+        }
+        return { path: file.path, action: file.action, content: file.content, edits };
+    });
+}
+
+// Edits apply in order, each to the result of the ones before
+export function applySearchReplace(content: string, edits: SearchReplaceEdit[], path: string): string {
+    let result = content;
+    for (const edit of edits) {
+        const index = result.indexOf(edit.search);
+        if (index < 0) {
+            throw invalid(`${path}: the text to replace was not found: ${preview(edit.search)}`);
+        }
+        if (result.indexOf(edit.search, index + 1) >= 0) {
+            throw invalid(`${path}: the text to replace occurs more than once: ${preview(edit.search)}`);
+        }
+        result = result.slice(0, index) + edit.replace + result.slice(index + edit.search.length);
+    }
+    return result;
+}
+
+function parseEdits(path: string, edits: any): SearchReplaceEdit[] {
+    if (!Array.isArray(edits) ||
+        !edits.every(edit => typeof edit?.search === 'string' && edit.search.length > 0 && typeof edit.replace === 'string')) {
+        throw invalid(`${path}: edits must have non-empty "search" and a "replace" string`);
+    }
+    return edits.map(edit => ({ search: edit.search, replace: edit.replace }));
+}
+
+function invalid(message: string): AIError {
+    return new AIError('INVALID_RESPONSE', message);
+}
+
+function preview(text: string): string {
+    const line = text.trim().split('\n')[0];
+    return JSON.stringify(line.length > 60 ? `${line.slice(0, 60)}…` : line);
+}
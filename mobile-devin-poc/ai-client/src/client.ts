@@ -0,0 +1,168 @@
+import { AIError, toAIError } from './errors';
+import { DEFAULT_RETRY_OPTIONS, RetryListener, RetryOptions, withRetry } from './retry';
+import {
+    ChatMessage,
+    GenerateRequest,
+    GenerateResult,
+    GenerationConfig,
+    ProviderAdapter,
+    ProviderName,
+    ResolvedRequest,
+    TokenCount
+} from './types';
+
+export interface AIClientOptions {
+    model: string;
+    generation?: GenerationConfig; // defaults for every request, overridden per request
+    timeoutMs?: number; // whole request for generate/countTokens, time between chunks for stream; 0 disables
+    retry?: Partial<RetryOptions>;
+    onRetry?: RetryListener;
+}
+
+export const DEFAULT_TIMEOUT_MS = 60000;
+
+const GENERATION_KEYS: (keyof GenerationConfig)[] = ['maxOutputTokens', 'temperature', 'topP', 'stopSequences'];
+
+export class AIClient {
+    private readonly generation: GenerationConfig;
+    private readonly timeoutMs: number;
+    private readonly retry: RetryOptions;
+
+    constructor(private readonly adapter: ProviderAdapter, private readonly options: AIClientOptions) {
+        this.generation = options.generation ?? {};
+        this.timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+        this.retry = { ...DEFAULT_RETRY_OPTIONS, ...options.retry };
+    }
+
+    get provider(): ProviderName {
+        return this.adapter.name;
+    }
+
+    get model(): string {
+        return this.options.model;
+    }
+
+    generate(request: GenerateRequest | string): Promise<GenerateResult> {
+        const input = typeof request === 'string' ? { prompt: request } : request;
+        return withRetry(
+            () => this.runAttempt(input, resolved => this.adapter.generate(resolved)),
+            this.retry,
+            input.signal,
+            this.options.onRetry
+        );
+    }
+
+    // Text is delivered through onText as it arrives. A failed attempt is only retried
+    // while nothing has been delivered, so callers never see text twice.
+    stream(request: GenerateRequest | string, onText: (text: string) => void): Promise<GenerateResult> {
+        const input = typeof request === 'string' ? { prompt: request } : request;
+        let delivered = false;
+        return withRetry(
+            () => this.runAttempt(input, (resolved, touch) =>
+                this.adapter.stream(resolved, text => {
+                    if (resolved.signal.aborted || !text) {
+                        return;
+                    }
+                    delivered = true;
+                    touch();
+                    onText(text);
+                })
+            ),
+            this.retry,
+            input.signal,
+            this.options.onRetry,
+            () => !delivered
+        );
+    }
+
+    countTokens(request: GenerateRequest | string): Promise<TokenCount> {
+        const input = typeof request === 'string' ? { prompt: request } : request;
+        return withRetry(
+            () => this.runAttempt(input, resolved => this.adapter.countTokens(resolved)),
+            this.retry,
+            input.signal,
+            this.options.onRetry
+        );
+    }
+
+    // Runs one attempt under its own AbortController, linked to the caller's signal and the timeout.
+    // The race means an SDK that ignores the signal cannot keep the caller waiting.
+    private async runAttempt<T>(
+        request: GenerateRequest,
+        run: (resolved: ResolvedRequest, touch: () => void) => Promise<T>
+    ): Promise<T> {
+        const provider = this.adapter.name;
+        if (request.signal?.aborted) {
+            throw new AIError('CANCELLED', 'Request cancelled', { provider });
+        }
+
+        const controller = new AbortController();
+        let timedOut = false;
+        let timer: NodeJS.Timeout | undefined;
+        const touch = () => {
+            if (this.timeoutMs > 0) {
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    timedOut = true;
+                    controller.abort();
+                }, this.timeoutMs);
+            }
+        };
+        const abortError = () => timedOut ?
+            new AIError('TIMEOUT', `No response from ${provider} within ${this.timeoutMs} ms`, { provider }) :
+            new AIError('CANCELLED', 'Request cancelled', { provider });
+
+        const onCallerAbort = () => controller.abort();
+        request.signal?.addEventListener('abort', onCallerAbort, { once: true });
+        const aborted = new Promise<never>((_, reject) => {
+            controller.signal.addEventListener('abort', () => reject(abortError()), { once: true });
+        });
+        aborted.catch(() => undefined);
+
+        try {
+            const resolved = this.resolve(request, controller.signal);
+            touch();
+            return await Promise.race([run(resolved, touch), aborted]);
+        } catch (error) {
+            throw controller.signal.aborted ? abortError() : toAIError(error, provider);
+        } finally {
+            clearTimeout(timer);
+            request.signal?.removeEventListener('abort', onCallerAbort);
+        }
+    }
+
+    private resolve(request: GenerateRequest, signal: AbortSignal): ResolvedRequest {
+        const systemParts = request.system ? [request.system] : [];
+        const messages: ChatMessage[] = [];
+        for (const message of request.messages ?? []) {
+            if (message.role === 'system') {
+                systemParts.push(message.content);
+            } else {
+                messages.push(message);
+            }
+        }
+        if (request.prompt !== undefined) {
+            messages.push({ role: 'user', content: request.prompt });
+        }
+        if (messages.length === 0) {
+            throw new AIError('INVALID_REQUEST', 'A prompt or at least one user message is required', {
+                provider: this.adapter.name
+            });
+        }
+
+        const config: GenerationConfig = { ...this.generation };
+        for (const key of GENERATION_KEYS) {
+            if (request[key] !== undefined) {
+                (config as Record<string, unknown>)[key] = request[key];
+            }
+        }
+
+        return {
+            model: request.model ?? this.options.model,
+            system: systemParts.length > 0 ? systemParts.join('\n\n') : undefined,
+            messages,
+            config,
+            signal
+        };
+    }
+}
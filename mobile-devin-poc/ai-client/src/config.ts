@@ -0,0 +1,92 @@
+import { AIClient, AIClientOptions, DEFAULT_TIMEOUT_MS } from './client';
+import { AIError } from './errors';
+import { HttpAdapter, HttpOptions } from './providers/http';
+import { MockAdapter, MockOptions } from './providers/mock';
+import { OpenAIAdapter, OpenAIOptions } from './providers/openai';
+import { VertexAdapter, VertexOptions } from './providers/vertex';
+import { DEFAULT_RETRY_OPTIONS } from './retry';
+import { ProviderAdapter, ProviderName } from './types';
+
+export interface AIConfig extends AIClientOptions {
+    provider: ProviderName;
+    vertex?: VertexOptions;
+    openai?: OpenAIOptions;
+    http?: HttpOptions;
+    mock?: MockOptions;
+}
+
+export const PROVIDERS: readonly ProviderName[] = ['vertex', 'openai', 'http', 'mock'];
+
+export const DEFAULT_HTTP_URL = 'http://127.0.0.1:8787/generate';
+
+type Env = Record<string, string | undefined>;
+
+function defaultModel(provider: ProviderName, env: Env): string {
+    switch (provider) {
+        case 'vertex':
+            return env.GEMINI_MODEL || 'gemini-1.5-pro';
+        case 'openai':
+            return env.OPENAI_MODEL || 'gpt-4o-mini';
+        case 'http':
+            return 'local';
+        case 'mock':
+            return 'mock';
+    }
+}
+
+function numberFromEnv(value: string | undefined, fallback: number): number {
+    const parsed = value === undefined || value === '' ? NaN : Number(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// Reads the provider and its settings from environment variables:
+//   AI_PROVIDER        vertex (default) | openai | http | mock
+//   AI_MODEL           model for the selected provider; otherwise GEMINI_MODEL / OPENAI_MODEL
+//   AI_TIMEOUT_MS      per-request timeout, AI_MAX_RETRIES retries for transient failures
+//   GOOGLE_CLOUD_PROJECT, GOOGLE_CLOUD_LOCATION        for vertex
+//   OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_ORG_ID     for openai
+//   AI_HTTP_URL                                        for http
+// `overrides` win over the environment; a different provider gets that provider's default model.
+export function loadAIConfig(overrides: Partial<AIConfig> = {}, env: Env = process.env): AIConfig {
+    const provider = overrides.provider ?? ((env.AI_PROVIDER || 'vertex').toLowerCase() as ProviderName);
+    if (!PROVIDERS.includes(provider)) {
+        throw new AIError('NOT_CONFIGURED', `Unknown AI provider "${provider}", expected one of ${PROVIDERS.join(', ')}`);
+    }
+    const envProvider = overrides.provider === undefined || overrides.provider === env.AI_PROVIDER;
+
+    return {
+        timeoutMs: numberFromEnv(env.AI_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+        retry: { maxRetries: numberFromEnv(env.AI_MAX_RETRIES, DEFAULT_RETRY_OPTIONS.maxRetries) },
+        vertex: {
+            project: env.GOOGLE_CLOUD_PROJECT || '',
+            location: env.GOOGLE_CLOUD_LOCATION || 'us-central1'
+        },
+        openai: {
+            apiKey: env.OPENAI_API_KEY,
+            baseURL: env.OPENAI_BASE_URL || undefined,
+            organization: env.OPENAI_ORG_ID || undefined
+        },
+        http: { url: env.AI_HTTP_URL || DEFAULT_HTTP_URL },
+        ...overrides,
+        provider,
+        model: overrides.model || (envProvider && env.AI_MODEL) || defaultModel(provider, env)
+    };
+}
+
+export function createAdapter(config: AIConfig): ProviderAdapter {
+    switch (config.provider) {
+        case 'vertex':
+            return new VertexAdapter(config.vertex ?? { project: '', location: 'us-central1' });
+        case 'openai':
+            return new OpenAIAdapter(config.openai ?? {});
+        case 'http':
+            return new HttpAdapter(config.http ?? { url: DEFAULT_HTTP_URL });
+        case 'mock':
+            return new MockAdapter(config.mock);
+    }
+}
+
+export function createAIClient(overrides: Partial<AIConfig> = {}, env: Env = process.env): AIClient {
+    const config = loadAIConfig(overrides, env);
+    return new AIClient(createAdapter(config), config);
+}
@@ -0,0 +1,115 @@
+import { ProviderName } from './types';
+
+export type AIErrorCode =
+    'NOT_CONFIGURED' |
+    'AUTH_FAILED' |
+    'RATE_LIMITED' |
+    'TIMEOUT' |
+    'CANCELLED' |
+    'INVALID_REQUEST' |
+    'CONTENT_BLOCKED' |
+    'INVALID_RESPONSE' |
+    'UNAVAILABLE' |
+    'UNKNOWN';
+
+export const AI_ERROR_CODES: readonly AIErrorCode[] = [
+    'NOT_CONFIGURED',
+    'AUTH_FAILED',
+    'RATE_LIMITED',
+    'TIMEOUT',
+    'CANCELLED',
+    'INVALID_REQUEST',
+    'CONTENT_BLOCKED',
+    'INVALID_RESPONSE',
+    'UNAVAILABLE',
+    'UNKNOWN'
+];
+
+const RETRYABLE_CODES: ReadonlySet<AIErrorCode> = new Set<AIErrorCode>(['RATE_LIMITED', 'TIMEOUT', 'UNAVAILABLE']);
+
+export interface AIErrorDetails {
+    provider?: ProviderName;
+    status?: number; // HTTP status from the provider, when there was one
+    retryAfterMs?: number;
+}
+
+export class AIError extends Error {
+    constructor(
+        public readonly code: AIErrorCode,
+        message: string,
+        public readonly details: AIErrorDetails = {}
+    ) {
+        super(message);
+        this.name = 'AIError';
+    }
+
+    get retryable(): boolean {
+        return RETRYABLE_CODES.has(this.code);
+    }
+
+    toJSON(): { code: AIErrorCode; message: string; retryable: boolean } & AIErrorDetails {
+        return { code: this.code, message: this.message, retryable: this.retryable, ...this.details };
+    }
+}
+
+export function isAIErrorCode(value: unknown): value is AIErrorCode {
+    return typeof value === 'string' && (AI_ERROR_CODES as readonly string[]).includes(value);
+}
+
+export function codeForStatus(status: number): AIErrorCode {
+    if (status === 401 || status === 403) {
+        return 'AUTH_FAILED';
+    }
+    if (status === 408) {
+        return 'TIMEOUT';
+    }
+    if (status === 429) {
+        return 'RATE_LIMITED';
+    }
+    if (status >= 400 && status < 500) {
+        return 'INVALID_REQUEST';
+    }
+    if (status >= 500) {
+        return 'UNAVAILABLE';
+    }
+    return 'UNKNOWN';
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+export function parseRetryAfter(value: string | null | undefined): number | undefined {
+    if (!value) {
+        return undefined;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+// Fallback mapping for errors an adapter did not recognise: aborts and Node.js network errors
+export function toAIError(error: unknown, provider?: ProviderName): AIError {
+    if (error instanceof AIError) {
+        return error;
+    }
+
+    const message = error instanceof Error ? error.message : String(error);
+    if ((error as Error)?.name === 'AbortError') {
+        return new AIError('CANCELLED', message, { provider });
+    }
+
+    switch ((error as NodeJS.ErrnoException)?.code) {
+        case 'ETIMEDOUT':
+        case 'ESOCKETTIMEDOUT':
+            return new AIError('TIMEOUT', message, { provider });
+        case 'ECONNREFUSED':
+        case 'ECONNRESET':
+        case 'ENOTFOUND':
+        case 'EAI_AGAIN':
+        case 'EPIPE':
+            return new AIError('UNAVAILABLE', message, { provider });
+        default:
+            return new AIError('UNKNOWN', message, { provider });
+    }
+}
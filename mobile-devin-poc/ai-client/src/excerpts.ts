@@ -0,0 +1,25 @@
+// Parts of project files found for a request and shown to the model as background, so
+// answers can refer to code the user did not send.
+
+export interface CodeExcerpt {
+    path: string;
+    startLine: number; // 1-based
+    endLine: number; // inclusive
+    content: string;
+    language?: string; // fence tag
+}
+
+export function formatExcerpts(heading: string, excerpts: CodeExcerpt[]): string {
+    const parts = [heading];
+    for (const excerpt of excerpts) {
+        parts.push('', `${excerpt.path} (lines ${excerpt.startLine}-${excerpt.endLine}):`, fenced(excerpt.content, excerpt.language));
+    }
+    return parts.join('\n');
+}
+
+// A fence longer than any backtick run in the content cannot be closed early
+export function fenced(content: string, language = ''): string {
+    const longestRun = Math.max(2, ...(content.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    return `${fence}${language}\n${content}\n${fence}`;
+}
@@ -0,0 +1,13 @@
+export * from './types';
+export * from './errors';
+export * from './retry';
+export * from './tokens';
+export * from './client';
+export * from './config';
+export * from './excerpts';
+export * from './change-set';
+export * from './agent';
+export * from './providers/vertex';
+export * from './providers/openai';
+export * from './providers/http';
+export * from './providers/mock';
@@ -0,0 +1,170 @@
+import * as http from 'http';
+import * as https from 'https';
+import { AIError, codeForStatus, isAIErrorCode, parseRetryAfter, toAIError } from '../errors';
+import { estimateRequestTokens } from '../tokens';
+import { GenerateResult, ProviderAdapter, ResolvedRequest, TokenCount, TokenUsage } from '../types';
+
+export interface HttpOptions {
+    url: string;
+    headers?: Record<string, string>;
+}
+
+// Wire format of the local stand-in. Every call is a POST of
+//   { operation: 'generate' | 'stream' | 'countTokens', model, system?, messages, config }
+// answered with { text, usage?, finishReason? } or { totalTokens }. A stream answers with
+// newline-delimited JSON: { text } lines, then { done: true, usage?, finishReason? }.
+// Failures are { error: { code?, message } }, with an HTTP error status or as a stream line.
+interface ResponseBody {
+    text?: string;
+    usage?: TokenUsage;
+    finishReason?: string;
+    totalTokens?: number;
+    done?: boolean;
+    error?: { code?: string; message?: string };
+}
+
+export class HttpAdapter implements ProviderAdapter {
+    readonly name = 'http' as const;
+    private readonly url: URL;
+
+    constructor(private readonly options: HttpOptions) {
+        try {
+            this.url = new URL(options.url);
+        } catch {
+            throw new AIError('NOT_CONFIGURED', `Invalid AI_HTTP_URL: ${options.url}`, { provider: this.name });
+        }
+    }
+
+    async generate(request: ResolvedRequest): Promise<GenerateResult> {
+        const body = this.parse(await this.post('generate', request));
+        return this.toResult(request, body.text ?? '', body);
+    }
+
+    async stream(request: ResolvedRequest, onText: (text: string) => void): Promise<GenerateResult> {
+        let text = '';
+        let last: ResponseBody = {};
+        await this.post('stream', request, line => {
+            const body = this.parse(line);
+            if (body.error) {
+                throw this.toError(body.error);
+            }
+            if (body.text) {
+                text += body.text;
+                onText(body.text);
+            }
+            last = body;
+        });
+        if (!last.done) {
+            throw new AIError('UNAVAILABLE', 'Stream ended before it was done', { provider: this.name });
+        }
+        return this.toResult(request, text, last);
+    }
+
+    async countTokens(request: ResolvedRequest): Promise<TokenCount> {
+        const body = this.parse(await this.post('countTokens', request));
+        return typeof body.totalTokens === 'number' ?
+            { totalTokens: body.totalTokens, estimated: false } :
+            { totalTokens: estimateRequestTokens(request), estimated: true };
+    }
+
+    // Resolves with the response body; with onLine, each complete line is handed over as it arrives
+    private post(operation: string, request: ResolvedRequest, onLine?: (line: string) => void): Promise<string> {
+        const payload = JSON.stringify({
+            operation,
+            model: request.model,
+            system: request.system,
+            messages: request.messages,
+            config: request.config
+        });
+        const transport = this.url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(this.url, {
+                method: 'POST',
+                headers: {
+                    ...this.options.headers,
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(payload)
+                },
+                signal: request.signal
+            }, res => {
+                res.setEncoding('utf8');
+                const status = res.statusCode ?? 0;
+                const streaming = onLine !== undefined && status >= 200 && status < 300;
+                let body = '';
+
+                res.on('data', (chunk: string) => {
+                    body += chunk;
+                    if (!streaming) {
+                        return;
+                    }
+                    let newline: number;
+                    try {
+                        while ((newline = body.indexOf('\n')) >= 0) {
+                            const line = body.slice(0, newline).trim();
+                            body = body.slice(newline + 1);
+                            if (line) {
+                                onLine(line);
+                            }
+                        }
+                    } catch (error) {
+                        req.destroy();
+                        reject(this.toError(error));
+                    }
+                });
+                res.on('error', error => reject(toAIError(error, this.name)));
+                res.on('end', () => {
+                    if (status < 200 || status >= 300) {
+                        reject(this.toError(parseError(body), status, parseRetryAfter(res.headers['retry-after'] as string)));
+                        return;
+                    }
+                    try {
+                        if (streaming && body.trim()) {
+                            onLine(body.trim());
+                        }
+                        resolve(body);
+                    } catch (error) {
+                        reject(this.toError(error));
+                    }
+                });
+            });
+            req.on('error', error => reject(toAIError(error, this.name)));
+            req.end(payload);
+        });
+    }
+
+    private parse(text: string): ResponseBody {
+        try {
+            return JSON.parse(text) as ResponseBody;
+        } catch (error) {
+            throw new AIError('UNKNOWN', `Invalid response from ${this.url.origin}: ${(error as Error).message}`, {
+                provider: this.name
+            });
+        }
+    }
+
+    private toResult(request: ResolvedRequest, text: string, body: ResponseBody): GenerateResult {
+        return { text, provider: this.name, model: request.model, usage: body.usage, finishReason: body.finishReason };
+    }
+
+    private toError(error: unknown, status?: number, retryAfterMs?: number): AIError {
+        if (error instanceof AIError) {
+            return error;
+        }
+        const { code, message } = (error ?? {}) as { code?: string; message?: string };
+        const errorCode = isAIErrorCode(code) ? code : status ? codeForStatus(status) : 'UNKNOWN';
+        return new AIError(errorCode, message || `Request failed with status ${status}`, {
+            provider: this.name,
+            status,
+            retryAfterMs
+        });
+    }
+}
+
+function parseError(body: string): ResponseBody['error'] {
+    try {
+        return (JSON.parse(body) as ResponseBody).error;
+    } catch {
+        return undefined;
+    }
+}
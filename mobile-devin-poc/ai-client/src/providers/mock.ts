@@ -0,0 +1,86 @@
+import { AIError, AIErrorCode } from '../errors';
+import { estimateRequestTokens, estimateTokens } from '../tokens';
+import { GenerateResult, ProviderAdapter, ResolvedRequest, TokenCount } from '../types';
+
+export interface MockOptions {
+    // Canned replies used in turn (the last one repeats), or a function of the request.
+    // Without either the mock echoes the last user message.
+    responses?: string[] | ((request: ResolvedRequest) => string);
+    latencyMs?: number;
+    chunkSize?: number; // characters per streamed chunk
+    failures?: AIErrorCode[]; // thrown by the first calls, in order, to exercise retries and error handling
+}
+
+// Deterministic, offline provider for tests and demos
+export class MockAdapter implements ProviderAdapter {
+    readonly name = 'mock' as const;
+    private calls = 0;
+
+    constructor(private readonly options: MockOptions = {}) {}
+
+    async generate(request: ResolvedRequest): Promise<GenerateResult> {
+        const text = await this.respond(request);
+        return this.toResult(request, text);
+    }
+
+    async stream(request: ResolvedRequest, onText: (text: string) => void): Promise<GenerateResult> {
+        const text = await this.respond(request);
+        const chunkSize = Math.max(1, this.options.chunkSize ?? 16);
+        for (let offset = 0; offset < text.length && !request.signal.aborted; offset += chunkSize) {
+            onText(text.slice(offset, offset + chunkSize));
+            await this.delay(request);
+        }
+        return this.toResult(request, text);
+    }
+
+    async countTokens(request: ResolvedRequest): Promise<TokenCount> {
+        return { totalTokens: estimateRequestTokens(request), estimated: true };
+    }
+
+    private async respond(request: ResolvedRequest): Promise<string> {
+        const call = this.calls++;
+        await this.delay(request);
+
+        const failure = this.options.failures?.[call];
+        if (failure) {
+            throw new AIError(failure, `Mock failure ${call + 1} (${failure})`, { provider: this.name });
+        }
+
+        const { responses } = this.options;
+        if (typeof responses === 'function') {
+            return responses(request);
+        }
+        if (responses && responses.length > 0) {
+            const answered = call - (this.options.failures?.length ?? 0);
+            return responses[Math.min(answered, responses.length - 1)];
+        }
+        const lastUser = [...request.messages].reverse().find(message => message.role === 'user');
+        return `Mock response to: ${lastUser?.content.trim() ?? ''}`;
+    }
+
+    private delay(request: ResolvedRequest): Promise<void> {
+        const latencyMs = this.options.latencyMs ?? 0;
+        if (latencyMs <= 0 || request.signal.aborted) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, latencyMs);
+            request.signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+        });
+    }
+
+    private toResult(request: ResolvedRequest, text: string): GenerateResult {
+        const promptTokens = estimateRequestTokens(request);
+        const outputTokens = estimateTokens(text);
+        return {
+            text,
+            provider: this.name,
+            model: request.model,
+            usage: { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens },
+            finishReason: 'stop'
+        };
+    }
+}
@@ -0,0 +1,175 @@
+import { AIError, codeForStatus, parseRetryAfter, toAIError } from '../errors';
+import { estimateRequestTokens } from '../tokens';
+import { GenerateResult, ProviderAdapter, ResolvedRequest, TokenCount, TokenUsage } from '../types';
+
+export interface OpenAIOptions {
+    apiKey?: string;
+    baseURL?: string; // for OpenAI-compatible servers (Azure, LM Studio, Ollama, ...)
+    organization?: string;
+}
+
+// The parts of the openai SDK used here; the SDK is loaded on first use
+interface ChatCompletionMessage {
+    role: 'system' | 'user' | 'assistant';
+    content: string;
+}
+
+interface Usage {
+    prompt_tokens: number;
+    completion_tokens: number;
+    total_tokens: number;
+}
+
+interface ChatCompletion {
+    choices: { message?: { content?: string | null }; finish_reason?: string | null }[];
+    usage?: Usage | null;
+}
+
+interface ChatCompletionChunk {
+    choices: { delta?: { content?: string | null }; finish_reason?: string | null }[];
+    usage?: Usage | null;
+}
+
+interface OpenAIInstance {
+    chat: {
+        completions: {
+            create(body: Record<string, unknown>, options?: { signal?: AbortSignal }): Promise<unknown>;
+        };
+    };
+}
+
+type OpenAIConstructor = new (init: {
+    apiKey: string;
+    baseURL?: string;
+    organization?: string;
+    maxRetries: number;
+}) => OpenAIInstance;
+
+interface OpenAIErrorLike {
+    name?: string;
+    status?: number;
+    message?: string;
+    headers?: Record<string, string>;
+}
+
+export class OpenAIAdapter implements ProviderAdapter {
+    readonly name = 'openai' as const;
+    private client: OpenAIInstance | undefined;
+
+    constructor(private readonly options: OpenAIOptions) {}
+
+    async generate(request: ResolvedRequest): Promise<GenerateResult> {
+        try {
+            const completion = await this.openai().chat.completions.create(
+                this.body(request),
+                { signal: request.signal }
+            ) as ChatCompletion;
+            const choice = completion.choices[0];
+            return this.toResult(request, choice?.message?.content ?? '', choice?.finish_reason, completion.usage);
+        } catch (error) {
+            throw this.toError(error);
+        }
+    }
+
+    async stream(request: ResolvedRequest, onText: (text: string) => void): Promise<GenerateResult> {
+        try {
+            const chunks = await this.openai().chat.completions.create(
+                { ...this.body(request), stream: true, stream_options: { include_usage: true } },
+                { signal: request.signal }
+            ) as AsyncIterable<ChatCompletionChunk>;
+
+            let text = '';
+            let finishReason: string | null | undefined;
+            let usage: Usage | null | undefined;
+            for await (const chunk of chunks) {
+                const choice = chunk.choices[0];
+                const delta = choice?.delta?.content ?? '';
+                text += delta;
+                onText(delta);
+                finishReason = choice?.finish_reason ?? finishReason;
+                usage = chunk.usage ?? usage;
+            }
+            return this.toResult(request, text, finishReason, usage);
+        } catch (error) {
+            throw this.toError(error);
+        }
+    }
+
+    // Chat models have no counting endpoint
+    async countTokens(request: ResolvedRequest): Promise<TokenCount> {
+        return { totalTokens: estimateRequestTokens(request), estimated: true };
+    }
+
+    private openai(): OpenAIInstance {
+        if (!this.client) {
+            // Local OpenAI-compatible servers usually need no key
+            if (!this.options.apiKey && !this.options.baseURL) {
+                throw new AIError('NOT_CONFIGURED', 'OPENAI_API_KEY is not set', { provider: this.name });
+            }
+            const sdk = require('openai') as OpenAIConstructor & { default?: OpenAIConstructor };
+            const OpenAI = sdk.default ?? sdk;
+            this.client = new OpenAI({
+                apiKey: this.options.apiKey || 'not-needed',
+                baseURL: this.options.baseURL,
+                organization: this.options.organization,
+                maxRetries: 0 // AIClient retries
+            });
+        }
+        return this.client;
+    }
+
+    private body(request: ResolvedRequest): Record<string, unknown> {
+        const messages: ChatCompletionMessage[] = request.system ?
+            [{ role: 'system', content: request.system }, ...request.messages] :
+            request.messages;
+        return {
+            model: request.model,
+            messages,
+            max_tokens: request.config.maxOutputTokens,
+            temperature: request.config.temperature,
+            top_p: request.config.topP,
+            stop: request.config.stopSequences
+        };
+    }
+
+    private toResult(
+        request: ResolvedRequest,
+        text: string,
+        finishReason: string | null | undefined,
+        usage: Usage | null | undefined
+    ): GenerateResult {
+        if (!text && finishReason === 'content_filter') {
+            throw new AIError('CONTENT_BLOCKED', 'Response blocked by the content filter', { provider: this.name });
+        }
+        const tokenUsage: TokenUsage | undefined = usage ? {
+            promptTokens: usage.prompt_tokens,
+            outputTokens: usage.completion_tokens,
+            totalTokens: usage.total_tokens
+        } : undefined;
+        return { text, provider: this.name, model: request.model, usage: tokenUsage, finishReason: finishReason ?? undefined };
+    }
+
+    private toError(error: unknown): AIError {
+        if (error instanceof AIError) {
+            return error;
+        }
+        const apiError = error as OpenAIErrorLike;
+        const message = apiError?.message ?? String(error);
+        switch (apiError?.name) {
+            case 'APIUserAbortError':
+                return new AIError('CANCELLED', message, { provider: this.name });
+            case 'APIConnectionTimeoutError':
+                return new AIError('TIMEOUT', message, { provider: this.name });
+            case 'APIConnectionError':
+                return new AIError('UNAVAILABLE', message, { provider: this.name });
+        }
+        if (typeof apiError?.status === 'number') {
+            return new AIError(codeForStatus(apiError.status), message, {
+                provider: this.name,
+                status: apiError.status,
+                retryAfterMs: parseRetryAfter(apiError.headers?.['retry-after'])
+            });
+        }
+        return toAIError(error, this.name);
+    }
+}
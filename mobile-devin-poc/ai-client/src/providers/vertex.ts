@@ -0,0 +1,151 @@
+import { AIError, codeForStatus, toAIError } from '../errors';
+import { GenerateResult, ProviderAdapter, ResolvedRequest, TokenCount, TokenUsage } from '../types';
+
+export interface VertexOptions {
+    project: string;
+    location: string;
+}
+
+// The parts of @google-cloud/vertexai used here; the SDK is loaded on first use
+interface Content {
+    role: 'user' | 'model';
+    parts: { text?: string }[];
+}
+
+interface GenerateContentResponse {
+    candidates?: {
+        content?: { parts?: { text?: string }[] };
+        finishReason?: string;
+    }[];
+    promptFeedback?: { blockReason?: string };
+    usageMetadata?: {
+        promptTokenCount?: number;
+        candidatesTokenCount?: number;
+        totalTokenCount?: number;
+    };
+}
+
+interface GenerativeModel {
+    generateContent(request: { contents: Content[] }): Promise<{ response: GenerateContentResponse }>;
+    generateContentStream(request: { contents: Content[] }): Promise<{
+        stream: AsyncIterable<GenerateContentResponse>;
+        response: Promise<GenerateContentResponse>;
+    }>;
+    countTokens(request: { contents: Content[] }): Promise<{ totalTokens?: number }>;
+}
+
+interface VertexAIInstance {
+    preview: {
+        getGenerativeModel(params: { model: string; generationConfig?: Record<string, unknown> }): GenerativeModel;
+    };
+}
+
+type VertexAIConstructor = new (init: { project: string; location: string }) => VertexAIInstance;
+
+const BLOCKED_FINISH_REASONS = new Set(['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT']);
+
+export class VertexAdapter implements ProviderAdapter {
+    readonly name = 'vertex' as const;
+    private vertexAI: VertexAIInstance | undefined;
+
+    constructor(private readonly options: VertexOptions) {}
+
+    async generate(request: ResolvedRequest): Promise<GenerateResult> {
+        try {
+            const result = await this.model(request).generateContent({ contents: this.contents(request) });
+            return this.toResult(request, result.response, textOf(result.response));
+        } catch (error) {
+            throw this.toError(error);
+        }
+    }
+
+    async stream(request: ResolvedRequest, onText: (text: string) => void): Promise<GenerateResult> {
+        try {
+            const result = await this.model(request).generateContentStream({ contents: this.contents(request) });
+            let text = '';
+            for await (const item of result.stream) {
+                if (request.signal.aborted) {
+                    break;
+                }
+                const delta = textOf(item);
+                text += delta;
+                onText(delta);
+            }
+            return this.toResult(request, await result.response, text);
+        } catch (error) {
+            throw this.toError(error);
+        }
+    }
+
+    async countTokens(request: ResolvedRequest): Promise<TokenCount> {
+        try {
+            const result = await this.model(request).countTokens({ contents: this.contents(request) });
+            return { totalTokens: result.totalTokens ?? 0, estimated: false };
+        } catch (error) {
+            throw this.toError(error);
+        }
+    }
+
+    private model(request: ResolvedRequest): GenerativeModel {
+        if (!this.vertexAI) {
+            if (!this.options.project) {
+                throw new AIError('NOT_CONFIGURED', 'GOOGLE_CLOUD_PROJECT is not set', { provider: this.name });
+            }
+            const { VertexAI } = require('@google-cloud/vertexai') as { VertexAI: VertexAIConstructor };
+            this.vertexAI = new VertexAI({ project: this.options.project, location: this.options.location });
+        }
+        const { maxOutputTokens, temperature, topP, stopSequences } = request.config;
+        return this.vertexAI.preview.getGenerativeModel({
+            model: request.model,
+            generationConfig: { maxOutputTokens, temperature, topP, stopSequences }
+        });
+    }
+
+    // This SDK version has no system instruction, so it leads the first user turn instead
+    private contents(request: ResolvedRequest): Content[] {
+        return request.messages.map((message, index) => ({
+            role: message.role === 'assistant' ? 'model' : 'user',
+            parts: [{
+                text: index === 0 && request.system ? `${request.system}\n\n${message.content}` : message.content
+            }]
+        }));
+    }
+
+    private toResult(request: ResolvedRequest, response: GenerateContentResponse, text: string): GenerateResult {
+        const candidate = response.candidates?.[0];
+        const blockReason = response.promptFeedback?.blockReason ??
+            (candidate?.finishReason && BLOCKED_FINISH_REASONS.has(candidate.finishReason) ? candidate.finishReason : undefined);
+        if (!text && blockReason) {
+            throw new AIError('CONTENT_BLOCKED', `Response blocked (${blockReason})`, { provider: this.name });
+        }
+
+        const metadata = response.usageMetadata;
+        const usage: TokenUsage | undefined = metadata && {
+            promptTokens: metadata.promptTokenCount ?? 0,
+            outputTokens: metadata.candidatesTokenCount ?? 0,
+            totalTokens: metadata.totalTokenCount ?? 0
+        };
+        return { text, provider: this.name, model: request.model, usage, finishReason: candidate?.finishReason };
+    }
+
+    // The SDK reports HTTP failures only in the message, e.g. "got status: 429 Too Many Requests"
+    private toError(error: unknown): AIError {
+        if (error instanceof AIError) {
+            return error;
+        }
+        const message = error instanceof Error ? error.message : String(error);
+        const status = /got status: (\d{3})/.exec(message);
+        if (status) {
+            const code = Number(status[1]);
+            return new AIError(codeForStatus(code), message, { provider: this.name, status: code });
+        }
+        if (/default credentials|Unable to authenticate|invalid_grant/i.test(message)) {
+            return new AIError('AUTH_FAILED', message, { provider: this.name });
+        }
+        return toAIError(error, this.name);
+    }
+}
+
+function textOf(response: GenerateContentResponse): string {
+    return (response.candidates?.[0]?.content?.parts ?? []).map(part => part.text ?? '').join('');
+}
@@ -0,0 +1,65 @@
+import { AIError } from './errors';
+
+export interface RetryOptions {
+    maxRetries: number;
+    initialDelayMs: number;
+    maxDelayMs: number;
+}
+
+export const DEFAULT_RETRY_OPTIONS: RetryOptions = {
+    maxRetries: 3,
+    initialDelayMs: 500,
+    maxDelayMs: 8000
+};
+
+export type RetryListener = (error: AIError, attempt: number, delayMs: number) => void;
+
+// Exponential backoff with jitter; a Retry-After from the provider wins when it is longer
+export function backoffDelay(retry: number, options: RetryOptions, error?: AIError): number {
+    const exponential = Math.min(options.maxDelayMs, options.initialDelayMs * 2 ** retry);
+    const jittered = exponential / 2 + Math.random() * exponential / 2;
+    const retryAfter = error?.details.retryAfterMs;
+    return Math.round(retryAfter !== undefined ? Math.min(options.maxDelayMs, Math.max(jittered, retryAfter)) : jittered);
+}
+
+export function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new AIError('CANCELLED', 'Request cancelled'));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new AIError('CANCELLED', 'Request cancelled'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Retries only retryable AIErrors. `canRetry` lets a caller refuse once a retry would repeat
+// side effects, e.g. after a stream has already delivered text.
+export async function withRetry<T>(
+    operation: (attempt: number) => Promise<T>,
+    options: RetryOptions,
+    signal?: AbortSignal,
+    onRetry?: RetryListener,
+    canRetry: () => boolean = () => true
+): Promise<T> {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (!(error instanceof AIError) || !error.retryable || attempt >= options.maxRetries ||
+                signal?.aborted || !canRetry()) {
+                throw error;
+            }
+            const delayMs = backoffDelay(attempt, options, error);
+            onRetry?.(error, attempt + 1, delayMs);
+            await sleep(delayMs, signal);
+        }
+    }
+}
@@ -0,0 +1,18 @@
+import { ResolvedRequest } from './types';
+
+// Roughly four characters per token for English text and code; used where a provider
+// offers no counting API and for budgeting before a request is sent
+const CHARS_PER_TOKEN = 4;
+const TOKENS_PER_MESSAGE = 4;
+
+export function estimateTokens(text: string): number {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+export function estimateRequestTokens(request: Pick<ResolvedRequest, 'system' | 'messages'>): number {
+    let total = request.system ? estimateTokens(request.system) + TOKENS_PER_MESSAGE : 0;
+    for (const message of request.messages) {
+        total += estimateTokens(message.content) + TOKENS_PER_MESSAGE;
+    }
+    return total;
+}
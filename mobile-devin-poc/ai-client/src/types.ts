@@ -0,0 +1,59 @@
+export type ProviderName = 'vertex' | 'openai' | 'http' | 'mock';
+
+export type MessageRole = 'system' | 'user' | 'assistant';
+
+export interface ChatMessage {
+    role: MessageRole;
+    content: string;
+}
+
+export interface GenerationConfig {
+    maxOutputTokens?: number;
+    temperature?: number;
+    topP?: number;
+    stopSequences?: string[];
+}
+
+export interface GenerateRequest extends GenerationConfig {
+    prompt?: string; // shorthand for a single trailing user message
+    system?: string;
+    messages?: ChatMessage[];
+    model?: string; // overrides the client's default model
+    signal?: AbortSignal;
+}
+
+export interface TokenUsage {
+    promptTokens: number;
+    outputTokens: number;
+    totalTokens: number;
+}
+
+export interface GenerateResult {
+    text: string;
+    provider: ProviderName;
+    model: string;
+    usage?: TokenUsage;
+    finishReason?: string;
+}
+
+export interface TokenCount {
+    totalTokens: number;
+    estimated: boolean; // true when the provider has no token counting API
+}
+
+// A request after the client has applied its defaults. System messages are folded into `system`.
+export interface ResolvedRequest {
+    model: string;
+    system?: string;
+    messages: ChatMessage[];
+    config: GenerationConfig;
+    signal: AbortSignal;
+}
+
+// What each provider implements; AIClient adds defaults, timeouts, retries and error mapping on top
+export interface ProviderAdapter {
+    readonly name: ProviderName;
+    generate(request: ResolvedRequest): Promise<GenerateResult>;
+    stream(request: ResolvedRequest, onText: (text: string) => void): Promise<GenerateResult>;
+    countTokens(request: ResolvedRequest): Promise<TokenCount>;
+}
@@ -44,13 +44,12 @@ class CodeGenerationIntegrationTester {
     // Test with Gemini
     try {
       console.log('🤖 Testing with Gemini...');
-      const geminiResult = await this.geminiTester.generativeModel.generateContent(scenario.prompt);
-      const geminiCode = geminiResult.response.candidates[0].content.parts[0].text;
+      const { text: geminiCode, tokenCount } = await this.geminiTester.generate(scenario.prompt);
       
       results.gemini = {
         success: true,
         code: geminiCode,
-        tokenCount: geminiResult.response.usageMetadata?.totalTokenCount || 0,
+        tokenCount,
         quality: this.analyzeCodeQuality(geminiCode),
       };
       
@@ -60,19 +59,19 @@ class CodeGenerationIntegrationTester {
       results.gemini = {
         success: false,
         error: error.message,
+        errorCode: error.code,
       };
     }
 
     // Test with Vertex AI
     try {
       console.log('🤖 Testing with Vertex AI...');
-      const vertexResult = await this.vertexAITester.codeGenerativeModel.generateContent(scenario.prompt);
-      const vertexCode = vertexResult.response.candidates[0].content.parts[0].text;
+      const { text: vertexCode, tokenCount } = await this.vertexAITester.generateCode(scenario.prompt);
       
       results.vertexAI = {
         success: true,
         code: vertexCode,
-        tokenCount: vertexResult.response.usageMetadata?.totalTokenCount || 0,
+        tokenCount,
         quality: this.analyzeCodeQuality(vertexCode),
       };
       
@@ -82,6 +81,7 @@ class CodeGenerationIntegrationTester {
       results.vertexAI = {
         success: false,
         error: error.message,
+        errorCode: error.code,
       };
     }
 
@@ -217,11 +217,10 @@ class CodeGenerationIntegrationTester {
       console.log(`\nTesting: ${prompt.substring(0, 50)}...`);
       
       try {
-        const geminiResult = await this.geminiTester.generativeModel.generateContent(
+        const { text: code } = await this.geminiTester.generate(
           `${prompt}\n\nRequirements:\n- Use TypeScript\n- Follow React Native best practices\n- Include proper imports\n- Add error handling`
         );
         
-        const code = geminiResult.response.candidates[0].content.parts[0].text;
         const quality = this.analyzeCodeQuality(code);
         
         results.push({
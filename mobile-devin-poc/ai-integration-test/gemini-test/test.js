@@ -1,22 +1,25 @@
 require('dotenv').config();
-const { VertexAI } = require('@google-cloud/vertexai');
+const { createAIClient } = require('@mobile-devin/ai-client');
 
 class GeminiTester {
-  constructor() {
-    this.vertex_ai = new VertexAI({
-      project: process.env.GOOGLE_CLOUD_PROJECT || 'your-project-id',
-      location: process.env.GOOGLE_CLOUD_LOCATION || 'us-central1',
-    });
-    
-    this.model = 'gemini-1.5-pro';
-    this.generativeModel = this.vertex_ai.preview.getGenerativeModel({
-      model: this.model,
-      generationConfig: {
+  // The provider and model come from AI_PROVIDER / AI_MODEL (Gemini on Vertex AI by default)
+  constructor(client) {
+    this.client = client || createAIClient({
+      generation: {
         maxOutputTokens: 2048,
         temperature: 0.1,
         topP: 0.8,
       },
     });
+    this.model = this.client.model;
+  }
+
+  async generate(prompt) {
+    const result = await this.client.generate(prompt);
+    return {
+      text: result.text,
+      tokenCount: result.usage?.totalTokens || 0,
+    };
   }
 
   async testCodeGeneration() {
@@ -33,9 +36,7 @@ class GeminiTester {
     `;
 
     try {
-      const result = await this.generativeModel.generateContent(prompt);
-      const response = result.response;
-      const text = response.candidates[0].content.parts[0].text;
+      const { text, tokenCount } = await this.generate(prompt);
       
       console.log('✅ Code Generation Success!');
       console.log('Generated Code:');
@@ -46,13 +47,14 @@ class GeminiTester {
       return {
         success: true,
         code: text,
-        tokenCount: response.usageMetadata?.totalTokenCount || 0
+        tokenCount
       };
     } catch (error) {
       console.error('❌ Code Generation Failed:', error);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        errorCode: error.code
       };
     }
   }
@@ -117,9 +119,7 @@ class GeminiTester {
     `;
 
     try {
-      const result = await this.generativeModel.generateContent(prompt);
-      const response = result.response;
-      const analysis = response.candidates[0].content.parts[0].text;
+      const { text: analysis, tokenCount } = await this.generate(prompt);
       
       console.log('✅ Code Analysis Success!');
       console.log('Analysis Result:');
@@ -130,13 +130,14 @@ class GeminiTester {
       return {
         success: true,
         analysis,
-        tokenCount: response.usageMetadata?.totalTokenCount || 0
+        tokenCount
       };
     } catch (error) {
       console.error('❌ Code Analysis Failed:', error);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        errorCode: error.code
       };
     }
   }
@@ -172,9 +173,7 @@ class GeminiTester {
     `;
 
     try {
-      const result = await this.generativeModel.generateContent(prompt);
-      const response = result.response;
-      const plan = response.candidates[0].content.parts[0].text;
+      const { text: plan, tokenCount } = await this.generate(prompt);
       
       console.log('✅ Context Understanding Success!');
       console.log('Implementation Plan:');
@@ -185,19 +184,20 @@ class GeminiTester {
       return {
         success: true,
         plan,
-        tokenCount: response.usageMetadata?.totalTokenCount || 0
+        tokenCount
       };
     } catch (error) {
       console.error('❌ Context Understanding Failed:', error);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        errorCode: error.code
       };
     }
   }
 
   async runAllTests() {
-    console.log('🚀 Starting Gemini AI Integration Tests...\n');
+    console.log(`🚀 Starting Gemini AI Integration Tests (${this.client.provider}: ${this.model})...\n`);
     
     const results = {
       codeGeneration: await this.testCodeGeneration(),
@@ -0,0 +1,117 @@
+require('dotenv').config();
+const http = require('http');
+
+// Local stand-in for the `http` AI provider (see ai-client/src/providers/http.ts for the wire format).
+// Replies are canned, so the tests and the bridge can run without cloud credentials:
+//   AI_PROVIDER=http AI_HTTP_URL=http://127.0.0.1:8787/generate npm run gemini-test
+// A message containing "[fail:<status>]" is answered with that HTTP status, to exercise error handling.
+
+const PORT = Number(process.env.MOCK_AI_PORT) || 8787;
+const CHUNK_DELAY_MS = 20;
+
+const estimateTokens = text => Math.ceil((text || '').length / 4);
+
+function reply(body) {
+  const lastUser = [...(body.messages || [])].reverse().find(message => message.role === 'user');
+  const prompt = (lastUser?.content || '').trim();
+  const wantsCode = /\b(code|component|function|hook|refactor|generate|create|write)\b/i.test(prompt);
+  const firstLine = prompt.split('\n').find(line => line.trim()) || 'empty prompt';
+
+  if (wantsCode) {
+    return [
+      `Here is a mock implementation for: ${firstLine.trim()}`,
+      '',
+      '```typescript',
+      "import React from 'react';",
+      "import { View, Text } from 'react-native';",
+      '',
+      'interface Props {',
+      '  title: string;',
+      '}',
+      '',
+      '// Placeholder generated by the mock AI server',
+      'export const Generated: React.FC<Props> = ({ title }) => {',
+      '  try {',
+      '    return <View><Text>{title}</Text></View>;',
+      '  } catch (error) {',
+      '    return null;',
+      '  }',
+      '};',
+      '```',
+    ].join('\n');
+  }
+  return `Mock answer for: ${firstLine.trim()}`;
+}
+
+function usageFor(body, text) {
+  const promptTokens = estimateTokens(body.system) +
+    (body.messages || []).reduce((sum, message) => sum + estimateTokens(message.content), 0);
+  const outputTokens = estimateTokens(text);
+  return { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens };
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+async function handle(body, res) {
+  const failure = /\[fail:(\d{3})\]/.exec(JSON.stringify(body.messages || []));
+  if (failure) {
+    const status = Number(failure[1]);
+    if (status === 429) {
+      res.setHeader('Retry-After', '1');
+    }
+    sendJson(res, status, { error: { message: `Mock failure with status ${status}` } });
+    return;
+  }
+
+  const text = reply(body);
+  switch (body.operation) {
+    case 'generate':
+      sendJson(res, 200, { text, usage: usageFor(body, text), finishReason: 'stop' });
+      return;
+    case 'countTokens':
+      sendJson(res, 200, { totalTokens: usageFor(body, '').promptTokens });
+      return;
+    case 'stream':
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      for (const piece of text.match(/[\s\S]{1,24}/g) || []) {
+        res.write(JSON.stringify({ text: piece }) + '\n');
+        await new Promise(resolve => setTimeout(resolve, CHUNK_DELAY_MS));
+      }
+      res.end(JSON.stringify({ done: true, usage: usageFor(body, text), finishReason: 'stop' }) + '\n');
+      return;
+    default:
+      sendJson(res, 400, { error: { code: 'INVALID_REQUEST', message: `Unknown operation: ${body.operation}` } });
+  }
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: { message: 'Only POST is supported' } });
+    return;
+  }
+
+  let raw = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch (error) {
+      sendJson(res, 400, { error: { code: 'INVALID_REQUEST', message: 'Request body is not JSON' } });
+      return;
+    }
+    console.log(`📨 ${body.operation} (${body.model}, ${(body.messages || []).length} messages)`);
+    handle(body, res).catch(error => {
+      console.error('❌ Mock AI server error:', error);
+      res.destroy();
+    });
+  });
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`🤖 Mock AI server listening on http://127.0.0.1:${PORT}/generate`);
+});
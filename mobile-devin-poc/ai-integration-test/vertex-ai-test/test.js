@@ -1,31 +1,45 @@
 require('dotenv').config();
-const { VertexAI } = require('@google-cloud/vertexai');
+const { createAIClient, loadAIConfig } = require('@mobile-devin/ai-client');
 
 class VertexAITester {
-  constructor() {
-    this.vertex_ai = new VertexAI({
-      project: process.env.GOOGLE_CLOUD_PROJECT || 'your-project-id',
-      location: process.env.GOOGLE_CLOUD_LOCATION || 'us-central1',
-    });
-    
-    this.codeModel = 'code-bison';
-    this.textModel = 'text-bison';
-    
-    this.codeGenerativeModel = this.vertex_ai.preview.getGenerativeModel({
-      model: this.codeModel,
-      generationConfig: {
+  constructor(codeClient, textClient) {
+    // code-bison and text-bison exist only on Vertex AI; other providers use their configured model
+    const onVertex = loadAIConfig().provider === 'vertex';
+
+    this.codeClient = codeClient || createAIClient({
+      model: onVertex ? process.env.VERTEX_AI_CODE_MODEL || 'code-bison' : undefined,
+      generation: {
         maxOutputTokens: 1024,
         temperature: 0.1,
       },
     });
     
-    this.textGenerativeModel = this.vertex_ai.preview.getGenerativeModel({
-      model: this.textModel,
-      generationConfig: {
+    this.textClient = textClient || createAIClient({
+      model: onVertex ? process.env.VERTEX_AI_TEXT_MODEL || 'text-bison' : undefined,
+      generation: {
         maxOutputTokens: 512,
         temperature: 0.2,
       },
     });
+
+    this.codeModel = this.codeClient.model;
+    this.textModel = this.textClient.model;
+  }
+
+  async generateCode(prompt) {
+    const result = await this.codeClient.generate(prompt);
+    return {
+      text: result.text,
+      tokenCount: result.usage?.totalTokens || 0,
+    };
+  }
+
+  async generateText(prompt) {
+    const result = await this.textClient.generate(prompt);
+    return {
+      text: result.text,
+      tokenCount: result.usage?.totalTokens || 0,
+    };
   }
 
   async testCodeBison() {
@@ -38,9 +52,7 @@ class VertexAITester {
     `;
 
     try {
-      const result = await this.codeGenerativeModel.generateContent(prompt);
-      const response = result.response;
-      const code = response.candidates[0].content.parts[0].text;
+      const { text: code, tokenCount } = await this.generateCode(prompt);
       
       console.log('✅ Code-Bison Success!');
       console.log('Generated Code:');
@@ -52,13 +64,14 @@ class VertexAITester {
         success: true,
         code,
         model: this.codeModel,
-        tokenCount: response.usageMetadata?.totalTokenCount || 0
+        tokenCount
       };
     } catch (error) {
       console.error('❌ Code-Bison Failed:', error);
       return {
         success: false,
         error: error.message,
+        errorCode: error.code,
         model: this.codeModel
       };
     }
@@ -74,9 +87,7 @@ class VertexAITester {
     `;
 
     try {
-      const result = await this.textGenerativeModel.generateContent(prompt);
-      const response = result.response;
-      const text = response.candidates[0].content.parts[0].text;
+      const { text, tokenCount } = await this.generateText(prompt);
       
       console.log('✅ Text-Bison Success!');
       console.log('Generated Text:');
@@ -88,13 +99,14 @@ class VertexAITester {
         success: true,
         text,
         model: this.textModel,
-        tokenCount: response.usageMetadata?.totalTokenCount || 0
+        tokenCount
       };
     } catch (error) {
       console.error('❌ Text-Bison Failed:', error);
       return {
         success: false,
         error: error.message,
+        errorCode: error.code,
         model: this.textModel
       };
     }
@@ -127,9 +139,7 @@ class VertexAITester {
     `;
 
     try {
-      const result = await this.codeGenerativeModel.generateContent(prompt);
-      const response = result.response;
-      const refactoredCode = response.candidates[0].content.parts[0].text;
+      const { text: refactoredCode, tokenCount } = await this.generateCode(prompt);
       
       console.log('✅ Code Refactoring Success!');
       console.log('Refactored Code:');
@@ -141,13 +151,14 @@ class VertexAITester {
         success: true,
         originalCode,
         refactoredCode,
-        tokenCount: response.usageMetadata?.totalTokenCount || 0
+        tokenCount
       };
     } catch (error) {
       console.error('❌ Code Refactoring Failed:', error);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        errorCode: error.code
       };
     }
   }
@@ -196,9 +207,7 @@ class VertexAITester {
     `;
 
     try {
-      const result = await this.codeGenerativeModel.generateContent(prompt);
-      const response = result.response;
-      const analysis = response.candidates[0].content.parts[0].text;
+      const { text: analysis, tokenCount } = await this.generateCode(prompt);
       
       console.log('✅ Performance Analysis Success!');
       console.log('Analysis Result:');
@@ -210,19 +219,20 @@ class VertexAITester {
         success: true,
         analysis,
         originalCode: performanceIssueCode,
-        tokenCount: response.usageMetadata?.totalTokenCount || 0
+        tokenCount
       };
     } catch (error) {
       console.error('❌ Performance Analysis Failed:', error);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        errorCode: error.code
       };
     }
   }
 
   async runAllTests() {
-    console.log('🚀 Starting Vertex AI Integration Tests...\n');
+    console.log(`🚀 Starting Vertex AI Integration Tests (${this.codeClient.provider}: ${this.codeModel}, ${this.textModel})...\n`);
     
     const results = {
       codeBison: await this.testCodeBison(),
@@ -0,0 +1,509 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import {
+    AGENT_INSTRUCTIONS,
+    AIClient,
+    AIError,
+    AgentAction,
+    AgentToolName,
+    ChangeAction,
+    ChatMessage,
+    TokenUsage,
+    buildAgentTask,
+    parseAgentTurn
+} from '@mobile-devin/ai-client';
+import { BridgeError, ErrorPayload, toBridgeError } from './protocol';
+import { WebSocketMessage } from './websocket-server';
+import { AIChanges, ResolveChangeTarget } from './ai-changes';
+import { toChatError } from './ai-chat';
+import { ProjectFileEntry } from './project-info';
+import { matchesAnyGlob } from './file-filters';
+import { LineMatcher } from './line-matcher';
+import { createLineMatcher, readSearchableText, toSearchGlob } from './workspace-search';
+import { TerminalProcess, spawnTerminalProcess } from './terminal-process';
+import { findWorkspaceFolder } from './workspace-folders';
+import { FindContext } from './context-index';
+
+export type AgentSend = (ownerId: string, type: WebSocketMessage['type'], payload: any) => void;
+
+export type AgentStepKind = 'thought' | 'plan' | 'tool';
+export type AgentStepStatus = 'running' | 'done' | 'failed';
+
+export interface AgentStep {
+    runId: string;
+    index: number; // a step is sent again, with the same index, when it changes
+    kind: AgentStepKind;
+    tool?: AgentToolName;
+    title: string;
+    text?: string; // the thought, the plan with one step per line, or the tool's output
+    files?: { workspaceFolder: string; filePath: string; action: ChangeAction }[]; // changed by an edit
+    status: AgentStepStatus;
+}
+
+export type AgentRunStatus = 'succeeded' | 'failed' | 'cancelled' | 'budget_exhausted';
+
+export interface AgentRequest {
+    task: string;
+    workspaceFolder: string;
+    testCommand?: string; // detected from package.json when omitted
+    maxTurns: number;
+    maxTokens: number;
+}
+
+export interface AgentStart {
+    runId: string;
+    provider: string;
+    model: string;
+    workspaceFolder: string;
+    testCommand: string | null;
+    maxTurns: number;
+    maxTokens: number;
+}
+
+export interface AgentEnd {
+    runId: string;
+    status: AgentRunStatus;
+    summary: string;
+    turns: number;
+    usage?: TokenUsage;
+    changedFiles: string[];
+    error?: ErrorPayload;
+}
+
+interface Run {
+    runId: string;
+    ownerId: string;
+    workspaceFolder: string;
+    controller: AbortController;
+    paused: boolean;
+    resume?: () => void; // set while waiting in a pause
+    stepCount: number;
+    test?: TerminalProcess;
+}
+
+interface TestResult {
+    passed: boolean;
+    output: string;
+}
+
+export const DEFAULT_AGENT_TURNS = 25;
+export const MAX_AGENT_TURNS = 100;
+export const DEFAULT_AGENT_TOKENS = 500000;
+
+// What the model is shown of the project and of each tool's result
+const MAX_LISTED_FILES = 300;
+const MAX_READ_LENGTH = 40000;
+const MAX_SEARCH_MATCHES = 100;
+const MAX_TEST_OUTPUT = 12000;
+// Older tool results are dropped from the conversation beyond this
+const MAX_CONVERSATION_LENGTH = 300000;
+// What the phone is shown of a tool's output
+const MAX_STEP_TEXT = 4000;
+const TEST_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Terminal color codes and window titles in test output
+const ANSI_ESCAPE = new RegExp('\\u001b\\[[0-9;?]*[ -/]*[@-~]|\\u001b\\][^\\u0007]*\\u0007', 'g');
+
+// Works on a task on its own: the model reads and searches files, edits them and runs the
+// project's tests in turns until it finishes with passing tests or the budget runs out.
+// Every step is sent to the client that started the run, which can pause and cancel it;
+// runs end when their client disconnects.
+export class AIAgent {
+    private runs: Map<string, Run> = new Map();
+
+    constructor(
+        private createClient: () => Promise<AIClient>,
+        private changes: AIChanges,
+        private resolveTarget: ResolveChangeTarget,
+        private getFiles: () => Promise<ProjectFileEntry[]>,
+        private detectTestCommand: (folder: vscode.WorkspaceFolder) => Promise<string | undefined>,
+        private send: AgentSend,
+        private findContext?: FindContext
+    ) {}
+
+    // Steps follow as agent_step messages and the run ends with agent_end
+    async start(ownerId: string, request: AgentRequest): Promise<AgentStart> {
+        let client: AIClient;
+        try {
+            client = await this.createClient();
+        } catch (error) {
+            throw toChatError(error);
+        }
+        const testCommand = request.testCommand ?? await this.detectTestCommand(findWorkspaceFolder(request.workspaceFolder));
+
+        // Two agents editing the same files would undo each other's work
+        const busy = Array.from(this.runs.values()).find(run => run.workspaceFolder === request.workspaceFolder);
+        if (busy) {
+            throw new BridgeError('CONFLICT', `An agent is already working in ${request.workspaceFolder}`, {
+                workspaceFolder: request.workspaceFolder,
+                runId: busy.runId
+            });
+        }
+
+        const run: Run = {
+            runId: uuidv4(),
+            ownerId,
+            workspaceFolder: request.workspaceFolder,
+            controller: new AbortController(),
+            paused: false,
+            stepCount: 0
+        };
+        this.runs.set(run.runId, run);
+        this.run(run, client, request, testCommand);
+
+        return {
+            runId: run.runId,
+            provider: client.provider,
+            model: client.model,
+            workspaceFolder: request.workspaceFolder,
+            testCommand: testCommand ?? null,
+            maxTurns: request.maxTurns,
+            maxTokens: request.maxTokens
+        };
+    }
+
+    // Takes effect once the current step is done
+    pause(ownerId: string, runId: string): void {
+        const run = this.findRun(ownerId, runId);
+        run.paused = true;
+    }
+
+    resume(ownerId: string, runId: string): void {
+        const run = this.findRun(ownerId, runId);
+        run.paused = false;
+        run.resume?.();
+    }
+
+    // Runs that already ended are ignored, as their end may still be on its way
+    cancel(ownerId: string, runId: string): void {
+        const run = this.runs.get(runId);
+        if (run && run.ownerId === ownerId) {
+            this.stop(run);
+        }
+    }
+
+    closeAll(ownerId: string): void {
+        this.runs.forEach(run => {
+            if (run.ownerId === ownerId) {
+                this.stop(run);
+            }
+        });
+    }
+
+    dispose(): void {
+        this.runs.forEach(run => this.stop(run));
+        this.runs.clear();
+    }
+
+    private findRun(ownerId: string, runId: string): Run {
+        const run = this.runs.get(runId);
+        if (!run || run.ownerId !== ownerId) {
+            throw new BridgeError('INVALID_MESSAGE', `No running agent with id ${runId}`, { runId });
+        }
+        return run;
+    }
+
+    private stop(run: Run): void {
+        run.controller.abort();
+        run.test?.kill();
+        run.resume?.();
+    }
+
+    private async run(run: Run, client: AIClient, request: AgentRequest, testCommand: string | undefined): Promise<void> {
+        const signal = run.controller.signal;
+        const changedFiles = new Set<string>();
+        let usage: TokenUsage | undefined;
+        let turns = 0;
+        // Whether files changed since the tests last passed
+        let untested = false;
+
+        const finish = (status: AgentRunStatus, summary: string, error?: ErrorPayload) =>
+            this.end(run, { status, summary, turns, usage, changedFiles: Array.from(changedFiles), error });
+
+        try {
+            const files = (await this.getFiles()).filter(file => file.workspaceFolder === run.workspaceFolder);
+            const messages: ChatMessage[] = [{
+                role: 'user',
+                content: buildAgentTask(request.task, {
+                    testCommand,
+                    files: files.slice(0, MAX_LISTED_FILES).map(file => file.path),
+                    totalFiles: files.length,
+                    excerpts: await this.findContext?.(request.task, { workspaceFolder: run.workspaceFolder })
+                })
+            }];
+
+            while (true) {
+                await this.waitWhilePaused(run);
+                if (signal.aborted) {
+                    return finish('cancelled', 'Cancelled');
+                }
+                if (turns >= request.maxTurns || (usage?.totalTokens ?? 0) >= request.maxTokens) {
+                    return finish('budget_exhausted', `Stopped after ${turns} turn(s) without finishing the task`);
+                }
+
+                turns++;
+                const thought = this.step(run, { kind: 'thought', title: `Turn ${turns}`, status: 'running' });
+                const result = await client.generate({ system: AGENT_INSTRUCTIONS, messages, temperature: 0.2, signal });
+                usage = addUsage(usage, result.usage);
+                messages.push({ role: 'assistant', content: result.text });
+
+                let turn;
+                try {
+                    turn = parseAgentTurn(result.text);
+                } catch (error) {
+                    if (!(error instanceof AIError && error.code === 'INVALID_RESPONSE')) {
+                        throw error;
+                    }
+                    this.update(run, thought, { status: 'failed', text: error.message });
+                    messages.push({ role: 'user', content: `Your reply could not be used: ${error.message}. Reply with a single JSON object as described.` });
+                    continue;
+                }
+
+                this.update(run, thought, { status: 'done', text: turn.thought });
+                if (turn.plan) {
+                    this.step(run, {
+                        kind: 'plan',
+                        title: 'Plan',
+                        text: turn.plan.map((item, index) => `${index + 1}. ${item}`).join('\n'),
+                        status: 'done'
+                    });
+                }
+
+                const action = turn.action;
+                if (action.tool === 'finish') {
+                    if (testCommand && untested) {
+                        const test = await this.runTests(run, testCommand);
+                        if (signal.aborted) {
+                            continue;
+                        }
+                        if (!test.passed) {
+                            messages.push({ role: 'user', content: `The task is not finished, the tests fail:\n${test.output}` });
+                            continue;
+                        }
+                    }
+                    return finish('succeeded', action.summary);
+                }
+
+                let observation: string;
+                if (action.tool === 'run_tests') {
+                    if (testCommand) {
+                        const test = await this.runTests(run, testCommand);
+                        untested = untested && !test.passed;
+                        observation = test.output;
+                    } else {
+                        this.step(run, { kind: 'tool', tool: 'run_tests', title: 'Run tests', text: 'No test command', status: 'failed' });
+                        observation = 'The project has no test command. Check the changes by reading them again instead.';
+                    }
+                } else {
+                    observation = await this.execute(run, action, changed => {
+                        changed.forEach(file => changedFiles.add(file));
+                        untested = untested || changed.length > 0;
+                    });
+                }
+                messages.push({ role: 'user', content: observation });
+                compact(messages);
+            }
+        } catch (error) {
+            if (signal.aborted) {
+                return finish('cancelled', 'Cancelled');
+            }
+            console.error('Agent failed:', error);
+            const bridgeError = error instanceof AIError ? toChatError(error) : toBridgeError(error);
+            return finish('failed', bridgeError.message, bridgeError.toPayload());
+        }
+    }
+
+    private async waitWhilePaused(run: Run): Promise<void> {
+        while (run.paused && !run.controller.signal.aborted) {
+            await new Promise<void>(resolve => {
+                run.resume = resolve;
+            });
+            run.resume = undefined;
+        }
+    }
+
+    // Tool failures are reported to the model, which can try something else
+    private async execute(run: Run, action: Exclude<AgentAction, { tool: 'finish' | 'run_tests' }>, onChanged: (files: string[]) => void): Promise<string> {
+        const step = this.step(run, { kind: 'tool', tool: action.tool, title: describeAction(action), status: 'running' });
+        try {
+            switch (action.tool) {
+                case 'list_files': {
+                    const files = await this.listFiles(run, action.pattern);
+                    this.update(run, step, { status: 'done', text: `${files.length} file(s)` });
+                    return files.length > 0 ? files.join('\n') : 'No files match.';
+                }
+                case 'read_file': {
+                    const target = await this.resolveTarget(run.workspaceFolder, action.path);
+                    const current = await this.changes.readCurrent(target);
+                    if (!current) {
+                        throw new BridgeError('FILE_NOT_FOUND', `${action.path} does not exist`);
+                    }
+                    this.update(run, step, { status: 'done', text: `${current.content.split('\n').length} line(s)` });
+                    return truncate(current.content, MAX_READ_LENGTH);
+                }
+                case 'search': {
+                    const matches = await this.searchText(run, action.query, action.isRegex);
+                    this.update(run, step, { status: 'done', text: `${matches.length} match(es)` });
+                    return matches.length > 0 ? matches.join('\n') : 'No matches.';
+                }
+                case 'edit': {
+                    const applied = await this.changes.edit(action.files, run.workspaceFolder, 'Mobile Devin: agent edit');
+                    onChanged(applied.map(file => file.filePath));
+                    this.update(run, step, {
+                        status: 'done',
+                        files: applied.map(({ workspaceFolder, filePath, action: fileAction }) => ({ workspaceFolder, filePath, action: fileAction }))
+                    });
+                    return applied.length > 0
+                        ? `Changed: ${applied.map(file => `${file.action} ${file.filePath}`).join(', ')}`
+                        : 'The edit left every file as it was.';
+                }
+            }
+        } catch (error) {
+            if (run.controller.signal.aborted) {
+                throw error;
+            }
+            const message = (error instanceof AIError ? toChatError(error) : toBridgeError(error)).message;
+            this.update(run, step, { status: 'failed', text: message });
+            return action.tool === 'edit' ? `The edit failed and nothing was changed: ${message}` : `Error: ${message}`;
+        }
+    }
+
+    private async listFiles(run: Run, pattern: string | undefined): Promise<string[]> {
+        const glob = pattern ? toSearchGlob(pattern) : undefined;
+        return (await this.getFiles())
+            .filter(file => file.workspaceFolder === run.workspaceFolder && (!glob || matchesAnyGlob(file.path, [glob])))
+            .slice(0, MAX_LISTED_FILES)
+            .map(file => file.path);
+    }
+
+    // Files with unsaved changes in Cursor are searched as they are shown there, like a search from the phone
+    private async searchText(run: Run, query: string, isRegex: boolean): Promise<string[]> {
+        const lineMatcher = new LineMatcher(createLineMatcher({ kind: 'text', query, isRegex, matchCase: true }));
+        const root = findWorkspaceFolder(run.workspaceFolder).uri.fsPath;
+        const dirtyDocuments = new Map(vscode.workspace.textDocuments
+            .filter(document => document.isDirty && document.uri.scheme === 'file')
+            .map(document => [document.uri.fsPath, document] as const));
+
+        const results: string[] = [];
+        try {
+            for (const file of await this.getFiles()) {
+                if (file.workspaceFolder !== run.workspaceFolder) {
+                    continue;
+                }
+                if (run.controller.signal.aborted || results.length >= MAX_SEARCH_MATCHES) {
+                    break;
+                }
+
+                const fullPath = path.join(root, file.path);
+                const content = await readSearchableText(fullPath, dirtyDocuments.get(fullPath));
+                for (const match of content === undefined ? [] : await lineMatcher.matchLines(content)) {
+                    results.push(`${file.path}:${match.line + 1}: ${match.preview.trim()}`);
+                }
+            }
+        } finally {
+            lineMatcher.dispose();
+        }
+        return results.slice(0, MAX_SEARCH_MATCHES);
+    }
+
+    // CI is set so test runners do not start in watch mode
+    private runTests(run: Run, command: string): Promise<TestResult> {
+        const step = this.step(run, { kind: 'tool', tool: 'run_tests', title: `Run ${command}`, status: 'running' });
+
+        return new Promise(resolve => {
+            let output = '';
+            const test = spawnTerminalProcess({
+                cwd: findWorkspaceFolder(run.workspaceFolder).uri.fsPath,
+                command,
+                env: { CI: 'true' },
+                cols: 120,
+                rows: 40
+            });
+            run.test = test;
+            const timer = setTimeout(() => test.kill(), TEST_TIMEOUT_MS);
+
+            test.onData(data => {
+                // Only the end is kept, where test runners summarize the failures
+                output = (output + data).slice(-MAX_TEST_OUTPUT * 2);
+            });
+            test.onExit((exitCode, signal) => {
+                clearTimeout(timer);
+                run.test = undefined;
+                const text = output.replace(ANSI_ESCAPE, '').replace(/\r/g, '').trim();
+                const passed = exitCode === 0;
+                const status = signal ? `was stopped (${signal})` : `exited with code ${exitCode}`;
+                this.update(run, step, { status: passed ? 'done' : 'failed', text: `${status}\n${tail(text, MAX_STEP_TEXT)}` });
+                resolve({ passed, output: `${command} ${status}:\n${tail(text, MAX_TEST_OUTPUT)}` });
+            });
+        });
+    }
+
+    private step(run: Run, step: Omit<AgentStep, 'runId' | 'index'>): AgentStep {
+        const sent: AgentStep = { runId: run.runId, index: run.stepCount++, ...step };
+        this.sendStep(run, sent);
+        return sent;
+    }
+
+    private update(run: Run, step: AgentStep, update: Partial<AgentStep>): void {
+        Object.assign(step, update);
+        this.sendStep(run, step);
+    }
+
+    private sendStep(run: Run, step: AgentStep): void {
+        if (this.runs.has(run.runId)) {
+            this.send(run.ownerId, 'agent_step', { ...step, text: step.text && tail(step.text, MAX_STEP_TEXT) });
+        }
+    }
+
+    private end(run: Run, result: Omit<AgentEnd, 'runId'>): void {
+        if (!this.runs.delete(run.runId)) {
+            return;
+        }
+        console.log(`Agent run ended: ${result.status} after ${result.turns} turn(s)`);
+        this.send(run.ownerId, 'agent_end', { runId: run.runId, ...result });
+    }
+}
+
+function describeAction(action: Exclude<AgentAction, { tool: 'finish' | 'run_tests' }>): string {
+    switch (action.tool) {
+        case 'list_files':
+            return action.pattern ? `List files ${action.pattern}` : 'List files';
+        case 'read_file':
+            return `Read ${action.path}`;
+        case 'search':
+            return `Search for ${JSON.stringify(action.query)}`;
+        case 'edit':
+            return `Edit ${action.files.map(file => file.path).join(', ')}`;
+    }
+}
+
+function addUsage(total: TokenUsage | undefined, usage: TokenUsage | undefined): TokenUsage | undefined {
+    if (!usage) {
+        return total;
+    }
+    return {
+        promptTokens: (total?.promptTokens ?? 0) + usage.promptTokens,
+        outputTokens: (total?.outputTokens ?? 0) + usage.outputTokens,
+        totalTokens: (total?.totalTokens ?? 0) + usage.totalTokens
+    };
+}
+
+// Every turn sends the whole conversation, so the oldest tool results go first; the task
+// and the model's own replies are kept
+function compact(messages: ChatMessage[]): void {
+    let length = messages.reduce((total, message) => total + message.content.length, 0);
+    for (let index = 2; index < messages.length - 1 && length > MAX_CONVERSATION_LENGTH; index += 2) {
+        const omitted = '(Result omitted to save space; run the tool again if you need it.)';
+        length -= messages[index].content.length - omitted.length;
+        messages[index] = { role: 'user', content: omitted };
+    }
+}
+
+function truncate(text: string, maxLength: number): string {
+    return text.length <= maxLength ? text : `${text.slice(0, maxLength)}\n… (${text.length - maxLength} more characters)`;
+}
+
+function tail(text: string, maxLength: number): string {
+    return text.length <= maxLength ? text : `…${text.slice(-maxLength)}`;
+}
@@ -0,0 +1,289 @@
+import * as vscode from 'vscode';
+import {
+    AIClient,
+    AIError,
+    CHANGE_SET_INSTRUCTIONS,
+    ChangeSetProposal,
+    ChangeAction,
+    ProposedFileChange,
+    TokenUsage,
+    applySearchReplace,
+    buildChangeSetPrompt,
+    parseChangeSet
+} from '@mobile-devin/ai-client';
+import { createPatch } from '@mobile-devin/shared';
+import { BridgeError } from './protocol';
+import { FileVersion, createVersion, isSameVersion, readSnapshot } from './file-version';
+import { MAX_FILE_SIZE } from './file-filters';
+import { toChatError } from './ai-chat';
+import { ContextLocation, FindContext, toContextLocations } from './context-index';
+
+// A workspace file the bridge has checked against the sandbox and deny-list
+export interface ChangeTarget {
+    workspaceFolder: string;
+    filePath: string;
+    fullPath: string;
+}
+
+export type ResolveChangeTarget = (workspaceFolder: string, filePath: string) => Promise<ChangeTarget>;
+
+export interface ChangeContextFile extends ChangeTarget {
+    content?: string; // the editor's text on the phone; Cursor's otherwise
+}
+
+export interface ProposedChange {
+    workspaceFolder: string;
+    filePath: string;
+    action: ChangeAction;
+    original: string | null; // null for new files
+    modified: string | null; // null for deleted files
+    baseVersion: FileVersion | null; // of original, checked again when the change is applied
+}
+
+export interface ChangeSet {
+    summary: string;
+    provider: string;
+    model: string;
+    usage?: TokenUsage;
+    files: ProposedChange[];
+    context: ContextLocation[]; // the project code added to the prompt besides the files
+}
+
+export interface AcceptedChange {
+    target: ChangeTarget;
+    action: ChangeAction;
+    content: string | null; // the reviewed content; null to delete
+    baseVersion: FileVersion | null;
+}
+
+export interface AppliedChange {
+    workspaceFolder: string;
+    filePath: string;
+    action: ChangeAction;
+    version: FileVersion | null; // null once deleted
+    saved: boolean; // false when the file had unsaved edits in Cursor, which are kept unsaved
+}
+
+// Files shown to the model, together
+export const MAX_CHANGE_CONTEXT_LENGTH = 200000;
+export const MAX_CHANGE_FILES = 20;
+
+export interface CurrentText {
+    content: string;
+    version: FileVersion;
+    document?: vscode.TextDocument;
+}
+
+// Asks the configured AI provider for a change set and applies reviewed changes as one
+// WorkspaceEdit, which Cursor can undo in a single step
+export class AIChanges {
+    constructor(
+        private createClient: () => Promise<AIClient>,
+        private resolveTarget: ResolveChangeTarget,
+        private findContext?: FindContext
+    ) {}
+
+    async propose(instruction: string, files: ChangeContextFile[], defaultFolder: string): Promise<ChangeSet> {
+        const context: { target: ChangeTarget; content: string }[] = [];
+        for (const file of files) {
+            const content = file.content ?? (await this.readCurrent(file))?.content;
+            if (content === undefined) {
+                throw new BridgeError('FILE_NOT_FOUND', 'File not found', {
+                    workspaceFolder: file.workspaceFolder,
+                    filePath: file.filePath
+                });
+            }
+            context.push({ target: file, content });
+        }
+        const contextLength = context.reduce((total, file) => total + file.content.length, 0);
+        if (contextLength > MAX_CHANGE_CONTEXT_LENGTH) {
+            throw new BridgeError('FILE_TOO_LARGE', `The files exceed ${MAX_CHANGE_CONTEXT_LENGTH} characters together`, {
+                size: contextLength
+            });
+        }
+
+        // Excerpts come from the folder new paths resolve to, so edits to them land in the right file
+        const excerpts = await this.findContext?.(instruction, {
+            workspaceFolder: defaultFolder,
+            exclude: context.map(file => file.target)
+        }) ?? [];
+
+        let client: AIClient;
+        let proposal: ChangeSetProposal;
+        let usage: TokenUsage | undefined;
+        try {
+            client = await this.createClient();
+            const result = await client.generate({
+                system: CHANGE_SET_INSTRUCTIONS,
+                prompt: buildChangeSetPrompt(instruction, context.map(file => ({
+                    path: file.target.filePath,
+                    content: file.content
+                })), excerpts),
+                temperature: 0.2
+            });
+            usage = result.usage;
+            proposal = parseChangeSet(result.text);
+        } catch (error) {
+            throw toChatError(error);
+        }
+
+        const changes = await this.prepare(proposal.files, path =>
+            context.find(candidate => candidate.target.filePath === path)?.target.workspaceFolder ?? defaultFolder);
+        return {
+            summary: proposal.summary,
+            provider: client.provider,
+            model: client.model,
+            usage,
+            files: changes.map(({ target, ...change }) => change),
+            context: toContextLocations(excerpts)
+        };
+    }
+
+    // Applies the model's changes without a review, e.g. for the agent
+    async edit(files: ProposedFileChange[], workspaceFolder: string, label: string): Promise<AppliedChange[]> {
+        const changes = await this.prepare(files, () => workspaceFolder);
+        return this.apply(changes.map(({ target, action, modified, baseVersion }) => ({
+            target,
+            action,
+            content: modified,
+            baseVersion
+        })), label);
+    }
+
+    // Fails with CONFLICT, changing nothing, when a file changed since it was proposed
+    async apply(changes: AcceptedChange[], label: string): Promise<AppliedChange[]> {
+        const edit = new vscode.WorkspaceEdit();
+        const metadata: vscode.WorkspaceEditEntryMetadata = { label, needsConfirmation: false };
+        const unsaved = new Set<string>();
+
+        for (const { target, action, content, baseVersion } of changes) {
+            const current = await this.readCurrent(target);
+            if (!isSameVersion(current?.version, baseVersion)) {
+                throw new BridgeError('CONFLICT', `${target.filePath} changed since the change was proposed`, {
+                    workspaceFolder: target.workspaceFolder,
+                    filePath: target.filePath
+                });
+            }
+
+            const uri = vscode.Uri.file(target.fullPath);
+            if (action === 'delete') {
+                edit.deleteFile(uri, { ignoreIfNotExists: true }, metadata);
+            } else if (!current) {
+                edit.createFile(uri, { overwrite: false }, metadata);
+                edit.insert(uri, new vscode.Position(0, 0), content ?? '', metadata);
+            } else {
+                const document = current.document ?? await vscode.workspace.openTextDocument(uri);
+                if (document.isDirty) {
+                    unsaved.add(target.fullPath);
+                }
+                for (const { offset, deleteCount, text } of createPatch(document.getText(), content ?? '')) {
+                    const range = new vscode.Range(document.positionAt(offset), document.positionAt(offset + deleteCount));
+                    edit.replace(uri, range, text, metadata);
+                }
+            }
+        }
+
+        if (!await vscode.workspace.applyEdit(edit)) {
+            throw new BridgeError('INTERNAL_ERROR', 'Cursor did not apply the changes');
+        }
+
+        const applied: AppliedChange[] = [];
+        for (const { target, action } of changes) {
+            let saved = false;
+            if (action !== 'delete' && !unsaved.has(target.fullPath)) {
+                const document = await vscode.workspace.openTextDocument(vscode.Uri.file(target.fullPath));
+                saved = await document.save();
+            }
+            // A saved file gets its disk version, which the phone's next file_update is based on
+            const current = action === 'delete' ? null :
+                saved ? await readSnapshot(target.fullPath) : await this.readCurrent(target);
+            applied.push({
+                workspaceFolder: target.workspaceFolder,
+                filePath: target.filePath,
+                action,
+                version: current?.version ?? null,
+                saved
+            });
+        }
+        return applied;
+    }
+
+    // Later changes to a file apply on top of earlier ones; files left as they were are dropped
+    private async prepare(
+        files: ProposedFileChange[],
+        folderFor: (path: string) => string
+    ): Promise<(ProposedChange & { target: ChangeTarget })[]> {
+        const changes = new Map<string, ProposedChange & { target: ChangeTarget }>();
+        for (const file of files) {
+            const target = await this.resolveTarget(folderFor(file.path), file.path);
+            const key = `${target.workspaceFolder}/${target.filePath}`;
+
+            let change = changes.get(key);
+            if (!change) {
+                const current = await this.readCurrent(target);
+                change = {
+                    target,
+                    workspaceFolder: target.workspaceFolder,
+                    filePath: target.filePath,
+                    action: current ? 'modify' : 'create',
+                    original: current?.content ?? null,
+                    modified: current?.content ?? null,
+                    baseVersion: current?.version ?? null
+                };
+                changes.set(key, change);
+            }
+
+            try {
+                applyProposal(change, file.action, file.content, file.edits);
+            } catch (error) {
+                throw toChatError(error);
+            }
+        }
+        return Array.from(changes.values()).filter(change => change.original !== change.modified);
+    }
+
+    // Cursor's text when the file is open, which may be unsaved; the disk otherwise
+    async readCurrent(target: ChangeTarget): Promise<CurrentText | null> {
+        const document = vscode.workspace.textDocuments.find(doc =>
+            doc.uri.scheme === 'file' && doc.uri.fsPath === target.fullPath);
+        if (document) {
+            const content = document.getText();
+            return { content, version: createVersion(content, Date.now()), document };
+        }
+
+        const snapshot = await readSnapshot(target.fullPath);
+        if (snapshot && snapshot.size > MAX_FILE_SIZE) {
+            throw new BridgeError('FILE_TOO_LARGE', `File exceeds ${MAX_FILE_SIZE} bytes`, {
+                workspaceFolder: target.workspaceFolder,
+                filePath: target.filePath,
+                size: snapshot.size
+            });
+        }
+        return snapshot && { content: snapshot.content, version: snapshot.version };
+    }
+}
+
+function applyProposal(
+    change: ProposedChange,
+    action: ChangeAction,
+    content: string | undefined,
+    edits: { search: string; replace: string }[] | undefined
+): void {
+    if (action === 'delete') {
+        if (change.original === null) {
+            throw new AIError('INVALID_RESPONSE', `${change.filePath} does not exist and cannot be deleted`);
+        }
+        change.action = 'delete';
+        change.modified = null;
+        return;
+    }
+
+    // A new file the model thought existed, or an existing one it wants to create, is fine
+    // as long as the whole content is given
+    const base = change.modified;
+    if (content === undefined && base === null) {
+        throw new AIError('INVALID_RESPONSE', `${change.filePath} does not exist, so it needs the whole content`);
+    }
+    change.modified = content ?? applySearchReplace(base!, edits ?? [], change.filePath);
+    change.action = change.original === null ? 'create' : 'modify';
+}
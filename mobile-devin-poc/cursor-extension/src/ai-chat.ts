@@ -0,0 +1,266 @@
+import { v4 as uuidv4 } from 'uuid';
+import { AIClient, AIError, ChatMessage, TokenUsage, formatExcerpts } from '@mobile-devin/ai-client';
+import { BridgeError, ErrorPayload, toBridgeError } from './protocol';
+import { WebSocketMessage } from './websocket-server';
+import { ContextExcerpt, ContextLocation, FindContext, toContextLocations } from './context-index';
+
+export type ChatSend = (ownerId: string, type: WebSocketMessage['type'], payload: any) => void;
+
+// The file the user is looking at, sent along as context
+export interface ChatFileContext {
+    workspaceFolder: string;
+    filePath: string;
+    language?: string; // fence tag for code blocks; the file extension when omitted
+    content: string;
+    selection?: { start: number; end: number }; // offsets in content
+}
+
+export interface ChatRequest {
+    messages: ChatMessage[]; // user and assistant turns, ending with the user's
+    file?: ChatFileContext;
+}
+
+export interface ChatStart {
+    chatId: string;
+    provider: string;
+    model: string;
+}
+
+export interface ChatEnd {
+    chatId: string;
+    text: string; // the whole reply, for clients that missed a delta
+    usage?: TokenUsage;
+    finishReason?: string;
+    cancelled: boolean;
+    error?: ErrorPayload;
+    context?: ContextLocation[]; // the project code added to the prompt
+}
+
+interface Chat {
+    chatId: string;
+    ownerId: string;
+    controller: AbortController;
+}
+
+export const MAX_CHAT_MESSAGES = 100;
+export const MAX_CHAT_MESSAGE_LENGTH = 50000;
+// Larger files are cut to the lines around the selection
+const MAX_FILE_CONTEXT_LENGTH = 24000;
+// Deltas are sent at most this often, so a fast model does not flood the socket
+const DELTA_DELAY_MS = 50;
+
+const SYSTEM_PROMPT = [
+    'You are Mobile Devin, a coding assistant for a developer who works on a phone with a workspace open in Cursor.',
+    'Answer in concise Markdown. Put code in fenced code blocks with a language tag.',
+    'When asked to change the selected code, reply with one code block that replaces the whole selection.'
+].join(' ');
+
+// Streams replies from the configured AI provider to the client that asked. Chats can be
+// cancelled and end when their client disconnects.
+export class AIChat {
+    private chats: Map<string, Chat> = new Map();
+
+    constructor(
+        private createClient: () => Promise<AIClient>,
+        private send: ChatSend,
+        private findContext?: FindContext
+    ) {}
+
+    // The reply follows as ai_chat_delta messages and ends with ai_chat_end
+    async start(ownerId: string, request: ChatRequest): Promise<ChatStart> {
+        let client: AIClient;
+        try {
+            client = await this.createClient();
+        } catch (error) {
+            throw toChatError(error);
+        }
+
+        const chat: Chat = { chatId: uuidv4(), ownerId, controller: new AbortController() };
+        this.chats.set(chat.chatId, chat);
+        this.run(chat, client, request);
+
+        return { chatId: chat.chatId, provider: client.provider, model: client.model };
+    }
+
+    // Chats that already ended are ignored, as their end may still be on its way
+    cancel(ownerId: string, chatId: string): void {
+        const chat = this.chats.get(chatId);
+        if (chat && chat.ownerId === ownerId) {
+            chat.controller.abort();
+        }
+    }
+
+    closeAll(ownerId: string): void {
+        this.chats.forEach(chat => {
+            if (chat.ownerId === ownerId) {
+                chat.controller.abort();
+            }
+        });
+    }
+
+    dispose(): void {
+        this.chats.forEach(chat => chat.controller.abort());
+        this.chats.clear();
+    }
+
+    private async run(chat: Chat, client: AIClient, request: ChatRequest): Promise<void> {
+        let pending = '';
+        let timer: NodeJS.Timeout | undefined;
+        const flush = () => {
+            clearTimeout(timer);
+            timer = undefined;
+            if (pending && !chat.controller.signal.aborted) {
+                this.send(chat.ownerId, 'ai_chat_delta', { chatId: chat.chatId, text: pending });
+            }
+            pending = '';
+        };
+
+        let text = '';
+        let excerpts: ContextExcerpt[] = [];
+        try {
+            excerpts = await this.findChatContext(request);
+            const result = await client.stream({
+                system: buildSystemPrompt(request.file, excerpts),
+                messages: request.messages,
+                signal: chat.controller.signal
+            }, delta => {
+                text += delta;
+                pending += delta;
+                timer ??= setTimeout(flush, DELTA_DELAY_MS);
+            });
+            flush();
+            this.end(chat, {
+                text: result.text,
+                usage: result.usage,
+                finishReason: result.finishReason,
+                context: toContextLocations(excerpts)
+            });
+        } catch (error) {
+            flush();
+            const cancelled = error instanceof AIError && error.code === 'CANCELLED';
+            if (!cancelled) {
+                console.error('AI chat failed:', error);
+            }
+            this.end(chat, {
+                text,
+                error: cancelled ? undefined : toChatError(error).toPayload(),
+                context: toContextLocations(excerpts)
+            });
+        }
+    }
+
+    // Searched with the question and the selected code, leaving out the file that is sent whole
+    private async findChatContext(request: ChatRequest): Promise<ContextExcerpt[]> {
+        if (!this.findContext) {
+            return [];
+        }
+        const question = request.messages[request.messages.length - 1].content;
+        const file = request.file;
+        const selected = file?.selection ? file.content.slice(file.selection.start, file.selection.end) : '';
+        return this.findContext(`${question}\n${selected}`, { exclude: file ? [file] : [] });
+    }
+
+    private end(chat: Chat, result: Omit<ChatEnd, 'chatId' | 'cancelled'>): void {
+        if (!this.chats.delete(chat.chatId)) {
+            return;
+        }
+        this.send(chat.ownerId, 'ai_chat_end', { chatId: chat.chatId, cancelled: chat.controller.signal.aborted, ...result });
+    }
+}
+
+// AI failures keep the provider's error code as the reason, so the client can tell
+// a missing API key from a rate limit
+export function toChatError(error: unknown): BridgeError {
+    if (error instanceof AIError) {
+        return new BridgeError('AI_ERROR', error.message, {
+            reason: error.code,
+            retryable: error.retryable,
+            provider: error.details.provider,
+            status: error.details.status
+        });
+    }
+    return toBridgeError(error);
+}
+
+function buildSystemPrompt(file: ChatFileContext | undefined, excerpts: ContextExcerpt[]): string {
+    const prompt = file ? buildFilePrompt(file) : SYSTEM_PROMPT;
+    if (excerpts.length === 0) {
+        return prompt;
+    }
+    return [
+        prompt,
+        '',
+        formatExcerpts(
+            'Related code from the project, found by searching for the question; not all of it may be relevant:',
+            excerpts.map(excerpt => ({ ...excerpt, path: `${excerpt.workspaceFolder}/${excerpt.path}` }))
+        )
+    ].join('\n');
+}
+
+function buildFilePrompt(file: ChatFileContext): string {
+    const fence = file.language || file.filePath.split('.').pop() || '';
+    const lines = file.content.split('\n');
+    const parts = [SYSTEM_PROMPT, '', `The developer has ${file.workspaceFolder}/${file.filePath} open.`];
+
+    const selection = file.selection;
+    if (selection && selection.end > selection.start) {
+        const firstLine = lineAt(file.content, selection.start);
+        const lastLine = lineAt(file.content, selection.end - 1);
+        parts.push(
+            '',
+            `Selected code (lines ${firstLine + 1}-${lastLine + 1}):`,
+            codeBlock(fence, file.content.slice(selection.start, selection.end))
+        );
+    }
+
+    const [start, end] = contextWindow(file.content, lines, selection?.start ?? 0);
+    const whole = start === 0 && end === lines.length;
+    parts.push(
+        '',
+        whole ? 'File content:' : `File content (lines ${start + 1}-${end} of ${lines.length}):`,
+        codeBlock(fence, lines.slice(start, end).join('\n'))
+    );
+    return parts.join('\n');
+}
+
+// Whole lines around the focus offset, within the context length
+function contextWindow(content: string, lines: string[], focus: number): [number, number] {
+    if (content.length <= MAX_FILE_CONTEXT_LENGTH) {
+        return [0, lines.length];
+    }
+
+    const focusLine = lineAt(content, focus);
+    let start = focusLine;
+    let end = focusLine + 1;
+    let length = lines[focusLine].length + 1;
+    while (start > 0 || end < lines.length) {
+        // Grow towards the end first, then alternate, so the focus stays near the top third
+        const next = end < lines.length && (start === 0 || end - focusLine <= 2 * (focusLine - start)) ? end : start - 1;
+        const added = lines[next].length + 1;
+        if (length + added > MAX_FILE_CONTEXT_LENGTH) {
+            break;
+        }
+        length += added;
+        if (next === end) {
+            end++;
+        } else {
+            start--;
+        }
+    }
+    return [start, end];
+}
+
+function lineAt(content: string, offset: number): number {
+    let line = 0;
+    for (let index = content.indexOf('\n'); index >= 0 && index < offset; index = content.indexOf('\n', index + 1)) {
+        line++;
+    }
+    return line;
+}
+
+function codeBlock(language: string, code: string): string {
+    // A fence longer than any backtick run in the code cannot be closed early
+    const longestRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    return `${fence}${language}\n${code}\n${fence}`;
+}
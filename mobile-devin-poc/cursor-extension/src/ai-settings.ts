@@ -0,0 +1,56 @@
+import * as vscode from 'vscode';
+import { AIClient, AIConfig, ProviderName, createAIClient } from '@mobile-devin/ai-client';
+
+const OPENAI_KEY_SECRET = 'mobileDevin.openaiApiKey';
+
+// Settings are read for every chat, so changes apply without restarting the bridge.
+// Unset settings fall back to the environment variables the ai-client reads.
+export async function createAIClientFromSettings(secrets: vscode.SecretStorage): Promise<AIClient> {
+    const config = vscode.workspace.getConfiguration('mobileDevin.ai');
+    const overrides: Partial<AIConfig> = {};
+
+    const provider = config.get<string>('provider', '');
+    if (provider) {
+        overrides.provider = provider as ProviderName;
+    }
+    const model = config.get<string>('model', '');
+    if (model) {
+        overrides.model = model;
+    }
+
+    const env = { ...process.env };
+    setIfPresent(env, 'GOOGLE_CLOUD_PROJECT', config.get<string>('googleCloudProject'));
+    setIfPresent(env, 'GOOGLE_CLOUD_LOCATION', config.get<string>('googleCloudLocation'));
+    setIfPresent(env, 'OPENAI_BASE_URL', config.get<string>('openaiBaseUrl'));
+    setIfPresent(env, 'AI_HTTP_URL', config.get<string>('httpUrl'));
+    setIfPresent(env, 'OPENAI_API_KEY', await secrets.get(OPENAI_KEY_SECRET));
+
+    return createAIClient(overrides, env);
+}
+
+// The key is kept in the OS keychain rather than in settings.json
+export async function promptForOpenAIKey(secrets: vscode.SecretStorage): Promise<void> {
+    const key = await vscode.window.showInputBox({
+        title: 'OpenAI API Key',
+        prompt: 'Used for AI chat when mobileDevin.ai.provider is "openai". Leave empty to remove the stored key.',
+        password: true,
+        ignoreFocusOut: true
+    });
+    if (key === undefined) {
+        return;
+    }
+
+    if (key.trim()) {
+        await secrets.store(OPENAI_KEY_SECRET, key.trim());
+        vscode.window.showInformationMessage('OpenAI API key saved');
+    } else {
+        await secrets.delete(OPENAI_KEY_SECRET);
+        vscode.window.showInformationMessage('OpenAI API key removed');
+    }
+}
+
+function setIfPresent(env: Record<string, string | undefined>, name: string, value: string | undefined): void {
+    if (value) {
+        env[name] = value;
+    }
+}
@@ -0,0 +1,463 @@
+import * as vscode from 'vscode';
+import {
+    TextOperation,
+    applyOperation,
+    baseLength,
+    createPatch,
+    isNoop,
+    operationFromEdits,
+    operationToEdits,
+    transform,
+    transformOffset
+} from '@mobile-devin/shared';
+import { BridgeError } from './protocol';
+import { MAX_FILE_SIZE } from './file-filters';
+import { WebSocketMessage } from './websocket-server';
+
+export interface CollabSelection {
+    anchor: number; // document offsets
+    head: number;
+}
+
+export interface CollabParticipant {
+    id: string;
+    name: string;
+}
+
+export interface CollabParticipantInfo extends CollabParticipant {
+    color: string;
+    selections: CollabSelection[];
+}
+
+export interface CollabJoinResult {
+    revision: number;
+    content: string;
+    participants: CollabParticipantInfo[];
+}
+
+export type CollabSend = (participantId: string, type: WebSocketMessage['type'], payload: any) => void;
+
+interface ParticipantState extends CollabParticipantInfo {
+    cursorDecoration?: vscode.TextEditorDecorationType;
+    selectionDecoration?: vscode.TextEditorDecorationType;
+}
+
+interface DocumentSession {
+    workspaceFolder: string;
+    filePath: string;
+    document: vscode.TextDocument;
+    text: string; // document text at revision
+    revision: number;
+    history: TextOperation[]; // history[i] turned revision historyStart + i into the next one
+    historyStart: number;
+    participants: Map<string, ParticipantState>;
+    desktop: ParticipantState;
+    queue: Promise<void>; // remote operations are applied to the document one at a time
+    applyingRemote: boolean;
+}
+
+const DESKTOP_PARTICIPANT: CollabParticipant = { id: 'cursor', name: 'Cursor' };
+const DESKTOP_COLOR = '#007ACC';
+const PARTICIPANT_COLORS = ['#E91E63', '#4CAF50', '#FF9800', '#9C27B0', '#00BCD4', '#795548'];
+const MAX_HISTORY = 1000;
+
+// Keystroke-level co-editing of open documents. The extension is the OT server: the
+// VS Code document is the authoritative text, every change to it gets a revision, and
+// client operations based on older revisions are transformed before they are applied.
+export class CollabManager {
+    private sessions: Map<string, DocumentSession> = new Map(); // by document uri
+    private disposables: vscode.Disposable[] = [];
+
+    constructor(private send: CollabSend) {
+        this.disposables.push(
+            vscode.workspace.onDidChangeTextDocument((event) => {
+                const session = this.sessions.get(event.document.uri.toString());
+                if (session) {
+                    this.captureDesktopChanges(session);
+                }
+            }),
+            vscode.workspace.onDidCloseTextDocument((document) => {
+                const session = this.sessions.get(document.uri.toString());
+                if (session) {
+                    this.closeSession(session);
+                }
+            }),
+            vscode.window.onDidChangeTextEditorSelection((event) => {
+                const session = this.sessions.get(event.textEditor.document.uri.toString());
+                if (session && !session.applyingRemote) {
+                    this.captureDesktopChanges(session);
+                    this.updateDesktopSelections(session, event.selections);
+                }
+            }),
+            vscode.window.onDidChangeVisibleTextEditors(() => {
+                this.sessions.forEach(session => this.renderDecorations(session));
+            })
+        );
+    }
+
+    async join(participant: CollabParticipant, workspaceFolder: string, filePath: string, uri: vscode.Uri): Promise<CollabJoinResult> {
+        let session = this.sessions.get(uri.toString());
+
+        if (!session) {
+            const document = await vscode.workspace.openTextDocument(uri);
+            if (document.getText().length > MAX_FILE_SIZE) {
+                throw new BridgeError('FILE_TOO_LARGE', `File exceeds ${MAX_FILE_SIZE} bytes`, { workspaceFolder, filePath });
+            }
+
+            // Keeping the document in an editor keeps VS Code from disposing it mid-session
+            await vscode.window.showTextDocument(document, { preview: false, preserveFocus: true });
+
+            session = {
+                workspaceFolder,
+                filePath,
+                document,
+                text: document.getText(),
+                revision: 0,
+                history: [],
+                historyStart: 0,
+                participants: new Map(),
+                desktop: { ...DESKTOP_PARTICIPANT, color: DESKTOP_COLOR, selections: [] },
+                queue: Promise.resolve(),
+                applyingRemote: false
+            };
+            this.sessions.set(uri.toString(), session);
+        } else {
+            this.captureDesktopChanges(session);
+        }
+
+        // Rejoining, e.g. after a reconnect, replaces the previous state of the participant
+        const previous = session.participants.get(participant.id);
+        if (previous) {
+            this.disposeDecorations(previous);
+            session.participants.delete(participant.id);
+        }
+
+        const color = PARTICIPANT_COLORS[session.participants.size % PARTICIPANT_COLORS.length];
+        session.participants.set(participant.id, {
+            ...participant,
+            color,
+            selections: [],
+            cursorDecoration: vscode.window.createTextEditorDecorationType({
+                borderStyle: 'solid',
+                borderColor: color,
+                borderWidth: '0 0 0 2px',
+                after: { contentText: participant.name, color, margin: '0 0 0 4px', fontStyle: 'italic' }
+            }),
+            selectionDecoration: vscode.window.createTextEditorDecorationType({
+                backgroundColor: `${color}40`
+            })
+        });
+
+        this.notifyPresence(session, participant.id);
+        console.log(`${participant.name} joined collaborative editing of ${workspaceFolder}/${filePath}`);
+
+        return {
+            revision: session.revision,
+            content: session.text,
+            participants: this.getParticipants(session).filter(info => info.id !== participant.id)
+        };
+    }
+
+    leave(participantId: string, uri: vscode.Uri): void {
+        const session = this.sessions.get(uri.toString());
+        if (session) {
+            this.removeParticipant(session, participantId);
+        }
+    }
+
+    leaveAll(participantId: string): void {
+        this.sessions.forEach(session => this.removeParticipant(session, participantId));
+    }
+
+    // acknowledge runs as soon as the operation is part of the history, before any later
+    // operation is sent to its author
+    receiveOperation(
+        participantId: string,
+        uri: vscode.Uri,
+        revision: number,
+        operation: TextOperation,
+        acknowledge: (revision: number) => void
+    ): Promise<void> {
+        const session = this.getSession(participantId, uri);
+
+        const result = session.queue.then(() => this.applyClientOperation(session, participantId, revision, operation, acknowledge));
+        session.queue = result.then(() => undefined, () => undefined);
+        return result;
+    }
+
+    updateSelections(participantId: string, uri: vscode.Uri, revision: number, selections: CollabSelection[]): void {
+        const session = this.getSession(participantId, uri);
+        const participant = session.participants.get(participantId)!;
+        const operations = this.operationsSince(session, revision);
+
+        participant.selections = selections.map(selection => ({
+            anchor: operations.reduce((offset, operation) => transformOffset(offset, operation), selection.anchor),
+            head: operations.reduce((offset, operation) => transformOffset(offset, operation), selection.head)
+        }));
+
+        this.renderDecorations(session);
+        this.broadcastSelections(session, participant);
+    }
+
+    async save(participantId: string, uri: vscode.Uri): Promise<number> {
+        const session = this.getSession(participantId, uri);
+        await session.queue;
+        this.captureDesktopChanges(session);
+
+        if (!await session.document.save()) {
+            throw new BridgeError('INTERNAL_ERROR', 'Cursor did not save the document', {
+                workspaceFolder: session.workspaceFolder,
+                filePath: session.filePath
+            });
+        }
+        return session.revision;
+    }
+
+    dispose(): void {
+        this.sessions.forEach(session => {
+            session.participants.forEach(participant => this.disposeDecorations(participant));
+        });
+        this.sessions.clear();
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+    }
+
+    private async applyClientOperation(
+        session: DocumentSession,
+        participantId: string,
+        revision: number,
+        operation: TextOperation,
+        acknowledge: (revision: number) => void
+    ): Promise<void> {
+        // Desktop typing since the last operation becomes part of the history first
+        this.captureDesktopChanges(session);
+
+        let transformed = operation;
+        for (const concurrent of this.operationsSince(session, revision)) {
+            [transformed] = transform(transformed, concurrent);
+        }
+
+        if (baseLength(transformed) !== session.text.length) {
+            throw new BridgeError('INVALID_MESSAGE', 'Operation does not apply to the document', {
+                workspaceFolder: session.workspaceFolder,
+                filePath: session.filePath,
+                revision
+            });
+        }
+
+        // Ranges are computed while the document still matches the text the operation applies to
+        const edit = new vscode.WorkspaceEdit();
+        for (const { offset, deleteCount, text } of operationToEdits(transformed)) {
+            const range = new vscode.Range(
+                session.document.positionAt(offset),
+                session.document.positionAt(offset + deleteCount)
+            );
+            edit.replace(session.document.uri, range, text);
+        }
+
+        // The operation only becomes part of the history once the document really has it
+        let applied = false;
+        session.applyingRemote = true;
+        try {
+            applied = await vscode.workspace.applyEdit(edit);
+        } catch (error) {
+            console.error('Failed to apply collaborative edit:', error);
+        } finally {
+            session.applyingRemote = false;
+        }
+
+        if (!applied) {
+            // The author's document has diverged from the session, so it has to join again;
+            // anything that did reach the document is recorded as a desktop change
+            this.removeParticipant(session, participantId);
+            this.captureDesktopChanges(session);
+            throw new BridgeError('INTERNAL_ERROR', 'Cursor did not apply the operation, join the session again', {
+                workspaceFolder: session.workspaceFolder,
+                filePath: session.filePath,
+                revision
+            });
+        }
+
+        this.commit(session, transformed, participantId);
+        acknowledge(session.revision);
+
+        // Whatever else changed while the edit was in flight is recorded as a desktop change
+        this.captureDesktopChanges(session);
+    }
+
+    // The document is only compared with the history while no remote edit is in flight
+    private captureDesktopChanges(session: DocumentSession): void {
+        if (session.applyingRemote) {
+            return;
+        }
+
+        const current = session.document.getText();
+        if (current === session.text) {
+            return;
+        }
+
+        const operation = operationFromEdits(session.text.length, createPatch(session.text, current));
+        this.commit(session, operation, DESKTOP_PARTICIPANT.id);
+    }
+
+    // Appends an operation to the history and sends it to everyone but its author
+    private commit(session: DocumentSession, operation: TextOperation, authorId: string): void {
+        if (isNoop(operation)) {
+            return;
+        }
+
+        session.text = applyOperation(session.text, operation);
+        session.history.push(operation);
+        session.revision++;
+
+        if (session.history.length > MAX_HISTORY) {
+            session.history.shift();
+            session.historyStart++;
+        }
+
+        for (const participant of [session.desktop, ...session.participants.values()]) {
+            participant.selections = participant.selections.map(selection => ({
+                anchor: transformOffset(selection.anchor, operation),
+                head: transformOffset(selection.head, operation)
+            }));
+        }
+        this.renderDecorations(session);
+
+        session.participants.forEach((_participant, participantId) => {
+            if (participantId !== authorId) {
+                this.send(participantId, 'collab_operation', {
+                    workspaceFolder: session.workspaceFolder,
+                    filePath: session.filePath,
+                    revision: session.revision,
+                    operation,
+                    participantId: authorId
+                });
+            }
+        });
+    }
+
+    private operationsSince(session: DocumentSession, revision: number): TextOperation[] {
+        if (!Number.isInteger(revision) || revision < session.historyStart || revision > session.revision) {
+            throw new BridgeError('INVALID_MESSAGE', 'Revision is not available, join the session again', {
+                workspaceFolder: session.workspaceFolder,
+                filePath: session.filePath,
+                revision,
+                currentRevision: session.revision
+            });
+        }
+        return session.history.slice(revision - session.historyStart);
+    }
+
+    private getSession(participantId: string, uri: vscode.Uri): DocumentSession {
+        const session = this.sessions.get(uri.toString());
+        if (!session || !session.participants.has(participantId)) {
+            throw new BridgeError('INVALID_MESSAGE', 'Join the collaborative session first');
+        }
+        return session;
+    }
+
+    private updateDesktopSelections(session: DocumentSession, selections: readonly vscode.Selection[]): void {
+        session.desktop.selections = selections.map(selection => ({
+            anchor: session.document.offsetAt(selection.anchor),
+            head: session.document.offsetAt(selection.active)
+        }));
+        this.broadcastSelections(session, session.desktop);
+    }
+
+    private broadcastSelections(session: DocumentSession, participant: ParticipantState): void {
+        session.participants.forEach((_other, participantId) => {
+            if (participantId !== participant.id) {
+                this.send(participantId, 'collab_selection', {
+                    workspaceFolder: session.workspaceFolder,
+                    filePath: session.filePath,
+                    revision: session.revision,
+                    participant: this.toParticipantInfo(participant)
+                });
+            }
+        });
+    }
+
+    private notifyPresence(session: DocumentSession, changedParticipantId: string): void {
+        const participants = this.getParticipants(session);
+        session.participants.forEach((_participant, participantId) => {
+            if (participantId !== changedParticipantId) {
+                this.send(participantId, 'collab_presence', {
+                    workspaceFolder: session.workspaceFolder,
+                    filePath: session.filePath,
+                    participants: participants.filter(info => info.id !== participantId)
+                });
+            }
+        });
+    }
+
+    private removeParticipant(session: DocumentSession, participantId: string): void {
+        const participant = session.participants.get(participantId);
+        if (!participant) {
+            return;
+        }
+
+        this.disposeDecorations(participant);
+        session.participants.delete(participantId);
+
+        if (session.participants.size === 0) {
+            this.sessions.delete(session.document.uri.toString());
+            console.log(`Collaborative editing of ${session.workspaceFolder}/${session.filePath} ended`);
+        } else {
+            this.notifyPresence(session, participantId);
+        }
+    }
+
+    private closeSession(session: DocumentSession): void {
+        session.participants.forEach((participant, participantId) => {
+            this.disposeDecorations(participant);
+            this.send(participantId, 'collab_closed', {
+                workspaceFolder: session.workspaceFolder,
+                filePath: session.filePath
+            });
+        });
+        this.sessions.delete(session.document.uri.toString());
+        console.log(`${session.workspaceFolder}/${session.filePath} was closed in Cursor, collaborative editing ended`);
+    }
+
+    private getParticipants(session: DocumentSession): CollabParticipantInfo[] {
+        return [session.desktop, ...session.participants.values()].map(participant => this.toParticipantInfo(participant));
+    }
+
+    private toParticipantInfo(participant: ParticipantState): CollabParticipantInfo {
+        const { id, name, color, selections } = participant;
+        return { id, name, color, selections };
+    }
+
+    // Shows mobile cursors and selections in every editor displaying the document
+    private renderDecorations(session: DocumentSession): void {
+        const editors = vscode.window.visibleTextEditors.filter(editor => editor.document === session.document);
+        const toRange = (selection: CollabSelection) => new vscode.Range(
+            session.document.positionAt(Math.min(selection.anchor, selection.head)),
+            session.document.positionAt(Math.max(selection.anchor, selection.head))
+        );
+
+        for (const participant of session.participants.values()) {
+            if (!participant.cursorDecoration || !participant.selectionDecoration) {
+                continue;
+            }
+
+            const cursors = participant.selections.map(selection => {
+                const head = session.document.positionAt(selection.head);
+                return new vscode.Range(head, head);
+            });
+            const selected = participant.selections
+                .filter(selection => selection.anchor !== selection.head)
+                .map(toRange);
+
+            for (const editor of editors) {
+                editor.setDecorations(participant.cursorDecoration, cursors);
+                editor.setDecorations(participant.selectionDecoration, selected);
+            }
+        }
+    }
+
+    private disposeDecorations(participant: ParticipantState): void {
+        participant.cursorDecoration?.dispose();
+        participant.selectionDecoration?.dispose();
+    }
+}
@@ -0,0 +1,48 @@
+import { hashContent } from './file-version';
+
+const DEFAULT_MAX_BYTES = 8 * 1024 * 1024; // 8MB
+
+// Recently served file contents by version hash, so a stale file_update can be
+// three-way merged against the content the client based its edit on
+export class ContentCache {
+    private entries: Map<string, string> = new Map();
+    private totalBytes = 0;
+
+    constructor(private maxBytes: number = DEFAULT_MAX_BYTES) {}
+
+    remember(content: string, hash: string = hashContent(content)): void {
+        const size = Buffer.byteLength(content, 'utf8');
+        if (size > this.maxBytes) {
+            return;
+        }
+
+        // Re-insert so the entry becomes the most recently used
+        this.forget(hash);
+        this.entries.set(hash, content);
+        this.totalBytes += size;
+
+        for (const [oldestHash] of this.entries) {
+            if (this.totalBytes <= this.maxBytes) {
+                break;
+            }
+            this.forget(oldestHash);
+        }
+    }
+
+    get(hash: string): string | undefined {
+        return this.entries.get(hash);
+    }
+
+    clear(): void {
+        this.entries.clear();
+        this.totalBytes = 0;
+    }
+
+    private forget(hash: string): void {
+        const content = this.entries.get(hash);
+        if (content !== undefined) {
+            this.entries.delete(hash);
+            this.totalBytes -= Buffer.byteLength(content, 'utf8');
+        }
+    }
+}
@@ -0,0 +1,364 @@
+import * as path from 'path';
+import { CodeExcerpt, estimateTokens } from '@mobile-devin/ai-client';
+import { FileChangeEvent } from './websocket-server';
+import { ProjectFileEntry } from './project-info';
+import { isTextFile, shouldIgnoreFile } from './file-filters';
+import { findWorkspaceFolder } from './workspace-folders';
+import { readSearchableText } from './workspace-search';
+
+export interface ContextExcerpt extends CodeExcerpt {
+    workspaceFolder: string; // path is relative to it
+}
+
+export interface ContextOptions {
+    workspaceFolder?: string; // only code from this folder
+    exclude?: { workspaceFolder: string; filePath: string }[]; // files the prompt already contains
+}
+
+// Where an excerpt came from, for showing what was sent to the AI provider
+export interface ContextLocation {
+    workspaceFolder: string;
+    filePath: string;
+    startLine: number;
+    endLine: number;
+}
+
+// Code related to a request, within the configured token budget; empty when nothing matches
+export type FindContext = (text: string, options?: ContextOptions) => Promise<ContextExcerpt[]>;
+
+interface IndexedFile {
+    mtime: number; // of the indexed content
+    pathTerms: Set<string>;
+    chunks: Chunk[];
+}
+
+interface Chunk {
+    workspaceFolder: string;
+    filePath: string;
+    file: IndexedFile;
+    startLine: number; // 1-based
+    endLine: number; // inclusive
+    content: string;
+    symbols: Set<string>; // terms of the names declared in the chunk
+    terms: Map<string, number>; // term frequencies
+    length: number; // number of terms
+}
+
+export const DEFAULT_CONTEXT_TOKENS = 4000;
+
+const MAX_INDEXED_FILES = 10000;
+const MAX_INDEXED_FILE_SIZE = 256 * 1024;
+// Generated files match almost any query and are never what the model needs
+const GENERATED_FILE_PATTERN = /(?:^|\/)(?:package-lock\.json|yarn\.lock|pnpm-lock\.yaml|[^/]+\.min\.(?:js|css))$/;
+
+const MAX_CHUNK_LINES = 60;
+const MAX_CHUNK_LENGTH = 4000;
+// A top-level declaration starts a new chunk once the current one has this many lines
+const MIN_CHUNK_LINES = 8;
+
+const MAX_EXCERPTS = 12;
+const MAX_EXCERPTS_PER_FILE = 3;
+// Chunks scoring below this share of the best one are noise rather than context
+const MIN_RELATIVE_SCORE = 0.2;
+const EXCERPT_OVERHEAD_TOKENS = 12; // the path line and fences
+
+// BM25 parameters, with extra weight for declared names and path segments
+const K1 = 1.2;
+const B = 0.75;
+const SYMBOL_BOOST = 1.5;
+const PATH_BOOST = 0.5;
+
+const DECLARATION_PATTERN = new RegExp(
+    '^\\s*(?:export\\s+)?(?:default\\s+)?(?:declare\\s+)?(?:abstract\\s+)?(?:async\\s+)?(?:pub(?:\\([^)]*\\))?\\s+)?' +
+    '(?:function\\*?|class|interface|type|enum|const|let|var|def|fn|struct|trait|impl|mod|module|namespace|func(?:\\s+\\([^)]*\\))?)' +
+    '\\s+([A-Za-z_$][\\w$]*)'
+);
+const METHOD_PATTERN = /^\s+(?:(?:public|private|protected|static|async|override|readonly|get|set)\s+)*([A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\s*\([^;]*$/;
+const NOT_METHODS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'with', 'else', 'do', 'super', 'await', 'new', 'typeof']);
+const COMMENT_OR_DECORATOR = /^\s*(?:\/\/|\/\*|\*|#|@)/;
+
+const WORD_PATTERN = /[A-Za-z_$][\w$]*/g;
+const MAX_WORD_LENGTH = 64;
+// Keywords and question words that say nothing about which code is meant
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'this', 'that', 'from', 'into', 'are', 'was', 'is', 'in', 'of', 'to', 'an', 'it',
+    'be', 'or', 'not', 'as', 'on', 'at', 'by', 'if', 'else', 'do', 'what', 'how', 'why', 'where', 'which', 'when',
+    'does', 'can', 'could', 'should', 'would', 'you', 'me', 'my', 'we', 'our', 'please', 'there', 'here', 'all',
+    'import', 'export', 'default', 'return', 'const', 'let', 'var', 'function', 'class', 'new', 'true', 'false',
+    'null', 'undefined', 'void', 'async', 'await', 'public', 'private', 'protected', 'static', 'readonly',
+    'string', 'number', 'boolean', 'any', 'unknown', 'def', 'self', 'none', 'fn', 'pub', 'use', 'func', 'type'
+]);
+
+// A lexical index of the project's source files for finding the code a request is about.
+// Files are split into chunks at top-level declarations and ranked with BM25. The index is
+// built on first use from the project's file list, so ignored and deny-listed files are never
+// indexed, and follows the file watcher's change events; files whose modification time no
+// longer matches the list are indexed again before each search.
+export class ContextIndex {
+    private files: Map<string, IndexedFile> = new Map();
+    private postings: Map<string, Map<Chunk, number>> = new Map();
+    private chunkCount = 0;
+    private totalLength = 0;
+    private syncInProgress: Promise<void> | undefined;
+
+    constructor(private getFiles: () => Promise<ProjectFileEntry[]>) {}
+
+    // Files the watcher could not read (binary, too large) leave the index
+    update(change: FileChangeEvent): void {
+        const key = fileKey(change.workspaceFolder, change.filePath);
+        if (change.type === 'file_deleted' || change.content === undefined || !isIndexable(change.filePath, change.content.length)) {
+            this.remove(key);
+        } else {
+            this.add(change.workspaceFolder, change.filePath, change.content, change.version?.mtime ?? Date.now());
+        }
+    }
+
+    async search(text: string, maxTokens: number, options: ContextOptions = {}): Promise<ContextExcerpt[]> {
+        const terms = Array.from(new Set(termsOf(text)));
+        if (terms.length === 0 || maxTokens <= 0) {
+            return [];
+        }
+        await this.sync();
+
+        const excluded = new Set((options.exclude || []).map(file => fileKey(file.workspaceFolder, file.filePath)));
+        const averageLength = this.totalLength / Math.max(1, this.chunkCount);
+        const scores: Map<Chunk, number> = new Map();
+        for (const term of terms) {
+            const postings = this.postings.get(term);
+            if (!postings) {
+                continue;
+            }
+            const idf = Math.log(1 + (this.chunkCount - postings.size + 0.5) / (postings.size + 0.5));
+            postings.forEach((frequency, chunk) => {
+                if ((options.workspaceFolder !== undefined && chunk.workspaceFolder !== options.workspaceFolder) ||
+                    excluded.has(fileKey(chunk.workspaceFolder, chunk.filePath))) {
+                    return;
+                }
+                let score = idf * frequency * (K1 + 1) / (frequency + K1 * (1 - B + B * chunk.length / averageLength));
+                if (chunk.symbols.has(term)) {
+                    score += idf * SYMBOL_BOOST;
+                }
+                if (chunk.file.pathTerms.has(term)) {
+                    score += idf * PATH_BOOST;
+                }
+                scores.set(chunk, (scores.get(chunk) ?? 0) + score);
+            });
+        }
+
+        const ranked = Array.from(scores).sort((a, b) => b[1] - a[1]);
+        const minScore = (ranked[0]?.[1] ?? 0) * MIN_RELATIVE_SCORE;
+        const excerpts: ContextExcerpt[] = [];
+        const perFile: Map<IndexedFile, number> = new Map();
+        let tokens = 0;
+        for (const [chunk, score] of ranked) {
+            if (score < minScore || excerpts.length === MAX_EXCERPTS) {
+                break;
+            }
+            const cost = estimateTokens(chunk.content) + EXCERPT_OVERHEAD_TOKENS;
+            const fromFile = perFile.get(chunk.file) ?? 0;
+            // A smaller chunk further down may still fit
+            if (fromFile === MAX_EXCERPTS_PER_FILE || tokens + cost > maxTokens) {
+                continue;
+            }
+            tokens += cost;
+            perFile.set(chunk.file, fromFile + 1);
+            excerpts.push({
+                workspaceFolder: chunk.workspaceFolder,
+                path: chunk.filePath,
+                startLine: chunk.startLine,
+                endLine: chunk.endLine,
+                content: chunk.content,
+                language: path.extname(chunk.filePath).slice(1)
+            });
+        }
+        return excerpts;
+    }
+
+    // Concurrent searches share one pass over the file list
+    private sync(): Promise<void> {
+        if (!this.syncInProgress) {
+            this.syncInProgress = this.syncFiles().finally(() => {
+                this.syncInProgress = undefined;
+            });
+        }
+        return this.syncInProgress;
+    }
+
+    private async syncFiles(): Promise<void> {
+        const listed = (await this.getFiles())
+            .filter(file => isIndexable(file.path, file.size))
+            .slice(0, MAX_INDEXED_FILES);
+
+        const keys = new Set(listed.map(file => fileKey(file.workspaceFolder, file.path)));
+        Array.from(this.files.keys()).filter(key => !keys.has(key)).forEach(key => this.remove(key));
+
+        let indexed = 0;
+        for (const file of listed) {
+            const key = fileKey(file.workspaceFolder, file.path);
+            const before = this.files.get(key);
+            if (before && before.mtime >= file.lastModified) {
+                continue;
+            }
+
+            const fullPath = path.join(findWorkspaceFolder(file.workspaceFolder).uri.fsPath, file.path);
+            const content = await readSearchableText(fullPath, undefined);
+            // A change event that arrived meanwhile has the newer content
+            if (this.files.get(key) !== before) {
+                continue;
+            }
+            if (content === undefined) {
+                this.remove(key);
+            } else {
+                this.add(file.workspaceFolder, file.path, content, file.lastModified);
+            }
+
+            // Let other messages through while the whole project is read
+            if (++indexed % 50 === 0) {
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        }
+        if (indexed > 0) {
+            console.log(`Context index updated ${indexed} files (${this.files.size} indexed, ${this.chunkCount} chunks)`);
+        }
+    }
+
+    private add(workspaceFolder: string, filePath: string, content: string, mtime: number): void {
+        const key = fileKey(workspaceFolder, filePath);
+        this.remove(key);
+
+        const file: IndexedFile = { mtime, pathTerms: new Set(termsOf(filePath)), chunks: [] };
+        for (const range of splitChunks(content)) {
+            const terms: Map<string, number> = new Map();
+            const words = termsOf(range.content);
+            words.forEach(term => terms.set(term, (terms.get(term) ?? 0) + 1));
+
+            const chunk: Chunk = { workspaceFolder, filePath, file, ...range, terms, length: words.length };
+            terms.forEach((frequency, term) => {
+                let postings = this.postings.get(term);
+                if (!postings) {
+                    postings = new Map();
+                    this.postings.set(term, postings);
+                }
+                postings.set(chunk, frequency);
+            });
+            file.chunks.push(chunk);
+            this.chunkCount++;
+            this.totalLength += chunk.length;
+        }
+        this.files.set(key, file);
+    }
+
+    private remove(key: string): void {
+        const file = this.files.get(key);
+        if (!file) {
+            return;
+        }
+        for (const chunk of file.chunks) {
+            chunk.terms.forEach((frequency, term) => {
+                const postings = this.postings.get(term);
+                postings?.delete(chunk);
+                if (postings?.size === 0) {
+                    this.postings.delete(term);
+                }
+            });
+            this.chunkCount--;
+            this.totalLength -= chunk.length;
+        }
+        this.files.delete(key);
+    }
+}
+
+export function toContextLocations(excerpts: ContextExcerpt[]): ContextLocation[] {
+    return excerpts.map(excerpt => ({
+        workspaceFolder: excerpt.workspaceFolder,
+        filePath: excerpt.path,
+        startLine: excerpt.startLine,
+        endLine: excerpt.endLine
+    }));
+}
+
+function fileKey(workspaceFolder: string, filePath: string): string {
+    return `${workspaceFolder}/${filePath}`;
+}
+
+function isIndexable(filePath: string, size: number): boolean {
+    return size <= MAX_INDEXED_FILE_SIZE && isTextFile(filePath) && !shouldIgnoreFile(filePath) &&
+        !GENERATED_FILE_PATTERN.test(filePath);
+}
+
+// Chunks end before top-level declarations, together with the comments and decorators above
+// them, or when they grow too long
+function splitChunks(content: string): { startLine: number; endLine: number; content: string; symbols: Set<string> }[] {
+    const lines = content.split(/\r?\n/);
+    const chunks: { startLine: number; endLine: number; content: string; symbols: Set<string> }[] = [];
+    const push = (start: number, end: number) => {
+        const text = lines.slice(start, end).join('\n');
+        if (text.trim().length === 0) {
+            return;
+        }
+        const symbols: Set<string> = new Set();
+        lines.slice(start, end).forEach(line => {
+            const name = declaredName(line);
+            if (name) {
+                termsOf(name).forEach(term => symbols.add(term));
+            }
+        });
+        chunks.push({ startLine: start + 1, endLine: end, content: text.slice(0, MAX_CHUNK_LENGTH), symbols });
+    };
+
+    let start = 0;
+    let length = 0;
+    for (let i = 0; i < lines.length; i++) {
+        if (i - start >= MIN_CHUNK_LINES && isTopLevelDeclaration(lines[i])) {
+            let boundary = i;
+            while (boundary - 1 > start && COMMENT_OR_DECORATOR.test(lines[boundary - 1])) {
+                boundary--;
+            }
+            push(start, boundary);
+            start = boundary;
+            length = lines.slice(boundary, i).reduce((total, line) => total + line.length + 1, 0);
+        } else if (i > start && (i - start >= MAX_CHUNK_LINES || length + lines[i].length + 1 > MAX_CHUNK_LENGTH)) {
+            push(start, i);
+            start = i;
+            length = 0;
+        }
+        length += lines[i].length + 1;
+    }
+    push(start, lines.length);
+    return chunks;
+}
+
+function isTopLevelDeclaration(line: string): boolean {
+    return !/^\s/.test(line) && DECLARATION_PATTERN.test(line);
+}
+
+function declaredName(line: string): string | undefined {
+    const declaration = DECLARATION_PATTERN.exec(line);
+    if (declaration) {
+        return declaration[1];
+    }
+    const method = METHOD_PATTERN.exec(line);
+    return method && !NOT_METHODS.has(method[1]) ? method[1] : undefined;
+}
+
+// Identifiers as a whole and split into their camelCase and snake_case words, lowercased
+function termsOf(text: string): string[] {
+    const terms: string[] = [];
+    for (const word of text.match(WORD_PATTERN) || []) {
+        if (word.length > MAX_WORD_LENGTH) {
+            continue;
+        }
+        const parts = word.split(/[_$]+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/).filter(part => part.length > 0);
+        if (parts.length > 1) {
+            addTerm(terms, word.toLowerCase());
+        }
+        parts.forEach(part => addTerm(terms, part.toLowerCase()));
+    }
+    return terms;
+}
+
+function addTerm(terms: string[], term: string): void {
+    if (term.length >= 2 && !STOP_WORDS.has(term)) {
+        terms.push(term);
+    }
+}
@@ -0,0 +1,136 @@
+import * as vscode from 'vscode';
+import { toWorkspaceLocation } from './workspace-folders';
+
+export type DiagnosticSeverity = 'error' | 'warning' | 'info' | 'hint';
+
+// 0-based, like vscode.Position
+export interface TextPosition {
+    line: number;
+    character: number;
+}
+
+export interface TextRange {
+    start: TextPosition;
+    end: TextPosition;
+}
+
+export interface DiagnosticInfo {
+    severity: DiagnosticSeverity;
+    message: string;
+    range: TextRange;
+    source?: string; // e.g. "ts" or "eslint"
+    code?: string;
+}
+
+export interface FileDiagnostics {
+    workspaceFolder: string;
+    filePath: string;
+    diagnostics: DiagnosticInfo[]; // empty once the file has no problems left
+    total: number; // more than diagnostics.length when the list was cut
+}
+
+// Language servers report a whole file at a time and often several times per keystroke
+const FLUSH_DELAY_MS = 300;
+const MAX_DIAGNOSTICS_PER_FILE = 200;
+
+const SEVERITIES: Record<vscode.DiagnosticSeverity, DiagnosticSeverity> = {
+    [vscode.DiagnosticSeverity.Error]: 'error',
+    [vscode.DiagnosticSeverity.Warning]: 'warning',
+    [vscode.DiagnosticSeverity.Information]: 'info',
+    [vscode.DiagnosticSeverity.Hint]: 'hint'
+};
+
+const SEVERITY_ORDER: DiagnosticSeverity[] = ['error', 'warning', 'info', 'hint'];
+
+// Follows the problems Cursor shows for workspace files and reports the files whose
+// problems changed. Files outside the workspace or hidden by isHidden are left out.
+export class DiagnosticsTracker {
+    private changedUris: Map<string, vscode.Uri> = new Map();
+    private flushTimer: NodeJS.Timeout | undefined;
+    private subscription: vscode.Disposable;
+
+    constructor(
+        private isHidden: (filePath: string) => boolean,
+        private onChange: (files: FileDiagnostics[]) => void
+    ) {
+        this.subscription = vscode.languages.onDidChangeDiagnostics((event) => {
+            event.uris.forEach(uri => this.changedUris.set(uri.toString(), uri));
+            if (!this.flushTimer) {
+                this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+            }
+        });
+    }
+
+    // Files that currently have problems
+    getAll(): FileDiagnostics[] {
+        return vscode.languages.getDiagnostics()
+            .filter(([, diagnostics]) => diagnostics.length > 0)
+            .map(([uri, diagnostics]) => this.toFileDiagnostics(uri, diagnostics))
+            .filter((file): file is FileDiagnostics => file !== undefined);
+    }
+
+    get(uri: vscode.Uri): FileDiagnostics | undefined {
+        return this.toFileDiagnostics(uri, vscode.languages.getDiagnostics(uri));
+    }
+
+    dispose(): void {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = undefined;
+        this.changedUris.clear();
+        this.subscription.dispose();
+    }
+
+    private flush(): void {
+        this.flushTimer = undefined;
+        const uris = Array.from(this.changedUris.values());
+        this.changedUris.clear();
+
+        const files = uris
+            .map(uri => this.get(uri))
+            .filter((file): file is FileDiagnostics => file !== undefined);
+        if (files.length > 0) {
+            this.onChange(files);
+        }
+    }
+
+    private toFileDiagnostics(uri: vscode.Uri, diagnostics: readonly vscode.Diagnostic[]): FileDiagnostics | undefined {
+        if (uri.scheme !== 'file') {
+            return undefined;
+        }
+
+        const location = toWorkspaceLocation(uri.fsPath);
+        if (!location || this.isHidden(location.relativePath)) {
+            return undefined;
+        }
+
+        // Errors first, so a cut list still holds the ones that matter most
+        const sorted = diagnostics.map(toDiagnosticInfo).sort((a, b) =>
+            SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+            a.range.start.line - b.range.start.line ||
+            a.range.start.character - b.range.start.character
+        );
+
+        return {
+            workspaceFolder: location.folder.name,
+            filePath: location.relativePath,
+            diagnostics: sorted.slice(0, MAX_DIAGNOSTICS_PER_FILE),
+            total: sorted.length
+        };
+    }
+}
+
+function toDiagnosticInfo(diagnostic: vscode.Diagnostic): DiagnosticInfo {
+    const { start, end } = diagnostic.range;
+    const code = typeof diagnostic.code === 'object' ? diagnostic.code.value : diagnostic.code;
+
+    return {
+        severity: SEVERITIES[diagnostic.severity] ?? 'error',
+        message: diagnostic.message,
+        range: {
+            start: { line: start.line, character: start.character },
+            end: { line: end.line, character: end.character }
+        },
+        source: diagnostic.source,
+        code: code === undefined ? undefined : String(code)
+    };
+}
@@ -0,0 +1,67 @@
+import { v4 as uuidv4 } from 'uuid';
+
+const DEFAULT_MAX_EVENTS = 1000;
+const DEFAULT_MAX_BYTES = 8 * 1024 * 1024; // 8MB
+
+// Where a client stopped reading the log
+export interface ResumePoint {
+    logId: string;
+    lastSeq: number;
+}
+
+export interface LoggedEvent<T> {
+    seq: number;
+    payload: T;
+    originDeviceId?: string; // the device whose write caused the event already has it
+    size: number;
+}
+
+// Recent broadcasts numbered in order, so a client that reconnects can be sent what it
+// missed. The log id changes whenever the bridge restarts and numbering starts over.
+export class EventLog<T> {
+    readonly logId = uuidv4();
+    private events: LoggedEvent<T>[] = [];
+    private nextSeq = 1;
+    private totalBytes = 0;
+
+    constructor(
+        private maxEvents: number = DEFAULT_MAX_EVENTS,
+        private maxBytes: number = DEFAULT_MAX_BYTES
+    ) {}
+
+    append(payload: T, originDeviceId?: string): LoggedEvent<T> {
+        const event: LoggedEvent<T> = {
+            seq: this.nextSeq++,
+            payload,
+            originDeviceId,
+            size: Buffer.byteLength(JSON.stringify(payload), 'utf8')
+        };
+        this.events.push(event);
+        this.totalBytes += event.size;
+
+        while (this.events.length > this.maxEvents || (this.totalBytes > this.maxBytes && this.events.length > 1)) {
+            this.totalBytes -= this.events.shift()!.size;
+        }
+
+        return event;
+    }
+
+    getLastSeq(): number {
+        return this.nextSeq - 1;
+    }
+
+    // Events after the resume point, or null when some of them are no longer held or the
+    // point belongs to an earlier run of the bridge
+    since(resume: ResumePoint): LoggedEvent<T>[] | null {
+        if (resume.logId !== this.logId || !Number.isInteger(resume.lastSeq) || resume.lastSeq > this.getLastSeq()) {
+            return null;
+        }
+
+        const oldestSeq = this.events.length > 0 ? this.events[0].seq : this.nextSeq;
+        if (resume.lastSeq < oldestSeq - 1) {
+            return null;
+        }
+
+        return this.events.filter(event => event.seq > resume.lastSeq);
+    }
+}
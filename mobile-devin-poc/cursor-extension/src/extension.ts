@@ -1,9 +1,15 @@
 import * as vscode from 'vscode';
 import { WebSocketBridge } from './websocket-server';
 import { FileWatcher } from './file-watcher';
+import { PairingManager } from './pairing';
+import { closePairingPanel, showPairingPanel } from './pairing-panel';
+import { TlsCredentials, loadOrCreateCertificate } from './tls-certificate';
+import { createAIClientFromSettings, promptForOpenAIKey } from './ai-settings';
 
 let webSocketBridge: WebSocketBridge | undefined;
 let fileWatcher: FileWatcher | undefined;
+let pairingManager: PairingManager;
+let extensionContext: vscode.ExtensionContext;
 let statusBarItem: vscode.StatusBarItem;
 
 export function activate(context: vscode.ExtensionContext) {
@@ -15,15 +21,34 @@ export function activate(context: vscode.ExtensionContext) {
     statusBarItem.text = '$(device-mobile) Mobile Devin: Disconnected';
     statusBarItem.show();
 
+    extensionContext = context;
+    pairingManager = new PairingManager(context.globalState);
+    pairingManager.onDeviceRevoked((deviceId) => {
+        webSocketBridge?.disconnectDevice(deviceId);
+    });
+
     // Register commands
     const startBridgeCommand = vscode.commands.registerCommand('mobileDevin.startBridge', async () => {
         await startMobileDevinBridge();
+        await showPairingCode();
+    });
+
+    const pairDeviceCommand = vscode.commands.registerCommand('mobileDevin.pairDevice', async () => {
+        await showPairingCode();
+    });
+
+    const manageDevicesCommand = vscode.commands.registerCommand('mobileDevin.manageDevices', async () => {
+        await managePairedDevices();
     });
 
     const stopBridgeCommand = vscode.commands.registerCommand('mobileDevin.stopBridge', async () => {
         await stopMobileDevinBridge();
     });
 
+    const setOpenAIKeyCommand = vscode.commands.registerCommand('mobileDevin.setOpenAIKey', async () => {
+        await promptForOpenAIKey(context.secrets);
+    });
+
     const showStatusCommand = vscode.commands.registerCommand('mobileDevin.showStatus', () => {
         const status = webSocketBridge?.isRunning() ? 'Running' : 'Stopped';
         const connectedClients = webSocketBridge?.getConnectedClients() || 0;
@@ -33,7 +58,30 @@ export function activate(context: vscode.ExtensionContext) {
         );
     });
 
-    context.subscriptions.push(startBridgeCommand, stopBridgeCommand, showStatusCommand, statusBarItem);
+    // Added or removed roots need a fresh watcher and file tree
+    const workspaceFoldersListener = vscode.workspace.onDidChangeWorkspaceFolders(async () => {
+        if (!webSocketBridge?.isRunning()) {
+            return;
+        }
+
+        webSocketBridge.invalidateProjectInfo();
+        if (fileWatcher) {
+            await fileWatcher.stop();
+            fileWatcher = undefined;
+            await startFileWatcher();
+        }
+    });
+
+    context.subscriptions.push(
+        startBridgeCommand,
+        workspaceFoldersListener,
+        stopBridgeCommand,
+        showStatusCommand,
+        pairDeviceCommand,
+        manageDevicesCommand,
+        setOpenAIKeyCommand,
+        statusBarItem
+    );
 
     // Auto-start if enabled
     const config = vscode.workspace.getConfiguration('mobileDevin');
@@ -52,24 +100,47 @@ async function startMobileDevinBridge() {
         const config = vscode.workspace.getConfiguration('mobileDevin');
         const port = config.get('websocketPort', 3001);
         const enableFileWatcher = config.get('enableFileWatcher', true);
+        const denyList = config.get<string[]>('denyList');
+        const enableTerminal = config.get('enableTerminal', true);
+        const enableTasks = config.get('enableTasks', true);
+        const createAIClient = config.get('enableAIChat', true) ?
+            () => createAIClientFromSettings(extensionContext.secrets) :
+            undefined;
+        const enableAgent = config.get('enableAgent', true);
+        const agentTestCommand = config.get<string>('agent.testCommand');
+        const contextTokens = config.get<number>('ai.contextTokens');
+
+        // Self-signed certificate persisted in the extension's global storage
+        let tls: TlsCredentials | undefined;
+        if (config.get('tls', false)) {
+            tls = await loadOrCreateCertificate(extensionContext.globalStorageUri.fsPath);
+        }
 
         // Start WebSocket Bridge
-        webSocketBridge = new WebSocketBridge(port);
+        webSocketBridge = new WebSocketBridge(port, {
+            pairing: pairingManager,
+            denyList,
+            tls,
+            enableTerminal,
+            enableTasks,
+            createAIClient,
+            enableAgent,
+            agentTestCommand,
+            contextTokens
+        });
         await webSocketBridge.start();
 
         // Start File Watcher if enabled
-        if (enableFileWatcher && vscode.workspace.workspaceFolders) {
-            fileWatcher = new FileWatcher(vscode.workspace.workspaceFolders);
-            fileWatcher.onFileChanged((change) => {
-                webSocketBridge?.broadcastFileChange(change);
-            });
-            await fileWatcher.start();
+        if (enableFileWatcher) {
+            await startFileWatcher();
         }
 
         // Update status
         updateStatusBar('Connected', webSocketBridge.getConnectedClients());
         
-        vscode.window.showInformationMessage(`Mobile Devin Bridge started on port ${port}`);
+        vscode.window.showInformationMessage(
+            `Mobile Devin Bridge started on ${webSocketBridge.getScheme()}://0.0.0.0:${port}`
+        );
 
         // Listen for connection changes
         webSocketBridge.onConnectionChange((clientCount) => {
@@ -82,7 +153,84 @@ async function startMobileDevinBridge() {
     }
 }
 
+async function startFileWatcher() {
+    if (!vscode.workspace.workspaceFolders) {
+        return;
+    }
+
+    fileWatcher = new FileWatcher(vscode.workspace.workspaceFolders);
+    fileWatcher.onFileChanged((change) => {
+        webSocketBridge?.broadcastFileChange(change);
+    });
+    await fileWatcher.start();
+}
+
+async function showPairingCode() {
+    if (!webSocketBridge?.isRunning()) {
+        vscode.window.showWarningMessage('Start the Mobile Devin Bridge before pairing a device');
+        return;
+    }
+
+    const config = vscode.workspace.getConfiguration('mobileDevin');
+    const payload = pairingManager.createPairingPayload(
+        config.get('websocketPort', 3001),
+        webSocketBridge.getCertificateFingerprint()
+    );
+
+    try {
+        await showPairingPanel(payload);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Failed to show pairing QR code: ${error}`);
+    }
+
+    const action = await vscode.window.showInformationMessage(
+        `Mobile Devin pairing code: ${payload.code} (valid for 5 minutes)`,
+        'Copy Pairing Payload'
+    );
+    if (action === 'Copy Pairing Payload') {
+        await vscode.env.clipboard.writeText(JSON.stringify(payload));
+    }
+}
+
+async function managePairedDevices() {
+    const devices = pairingManager.getDevices();
+    if (devices.length === 0) {
+        vscode.window.showInformationMessage('No paired Mobile Devin devices');
+        return;
+    }
+
+    const picked = await vscode.window.showQuickPick(
+        devices.map(device => ({
+            label: device.name,
+            description: `Paired ${new Date(device.pairedAt).toLocaleString()}`,
+            detail: device.lastSeenAt ? `Last seen ${new Date(device.lastSeenAt).toLocaleString()}` : undefined,
+            deviceId: device.id
+        })),
+        { placeHolder: 'Select devices to revoke', canPickMany: true }
+    );
+
+    if (!picked || picked.length === 0) {
+        return;
+    }
+
+    const confirmation = await vscode.window.showWarningMessage(
+        `Revoke ${picked.length} paired device(s)? They will need to pair again.`,
+        { modal: true },
+        'Revoke'
+    );
+    if (confirmation !== 'Revoke') {
+        return;
+    }
+
+    for (const item of picked) {
+        await pairingManager.revoke(item.deviceId);
+    }
+    vscode.window.showInformationMessage(`Revoked ${picked.length} device(s)`);
+}
+
 async function stopMobileDevinBridge() {
+    closePairingPanel();
+
     try {
         await webSocketBridge?.stop();
         await fileWatcher?.stop();
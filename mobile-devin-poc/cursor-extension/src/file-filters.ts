@@ -0,0 +1,134 @@
+import * as path from 'path';
+
+export const DEFAULT_IGNORE_PATTERNS: string[] = [
+    '**/node_modules/**',
+    '**/.git/**',
+    '**/.vscode/**',
+    '**/out/**',
+    '**/dist/**',
+    '**/*.log',
+    '**/tmp/**',
+    '**/.DS_Store'
+];
+
+export const MAX_FILE_SIZE = 1024 * 1024; // 1MB
+
+const TEXT_EXTENSIONS = [
+    '.js', '.ts', '.jsx', '.tsx', '.json', '.html', '.css', '.scss', '.sass',
+    '.py', '.java', '.c', '.cpp', '.h', '.hpp', '.cs', '.php', '.rb', '.go',
+    '.rs', '.swift', '.kt', '.scala', '.sh', '.bash', '.zsh', '.fish',
+    '.xml', '.yaml', '.yml', '.toml', '.ini', '.cfg', '.conf',
+    '.md', '.txt', '.rst', '.tex', '.latex',
+    '.vue', '.svelte', '.astro', '.sql', '.graphql', '.proto',
+    '.dockerfile', '.gitignore', '.gitattributes',
+    '.env', '.env.local', '.env.development', '.env.production'
+];
+
+const LANGUAGE_BY_EXTENSION: Record<string, string> = {
+    '.js': 'javascript',
+    '.jsx': 'javascript',
+    '.ts': 'typescript',
+    '.tsx': 'typescript',
+    '.py': 'python',
+    '.java': 'java',
+    '.cpp': 'cpp',
+    '.hpp': 'cpp',
+    '.c': 'c',
+    '.h': 'c',
+    '.cs': 'csharp',
+    '.php': 'php',
+    '.rb': 'ruby',
+    '.go': 'go',
+    '.rs': 'rust',
+    '.swift': 'swift',
+    '.kt': 'kotlin',
+    '.scala': 'scala',
+    '.sh': 'shell',
+    '.bash': 'shell',
+    '.zsh': 'shell',
+    '.html': 'html',
+    '.css': 'css',
+    '.scss': 'scss',
+    '.json': 'json',
+    '.xml': 'xml',
+    '.md': 'markdown',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.sql': 'sql',
+    '.graphql': 'graphql',
+    '.vue': 'vue',
+    '.svelte': 'svelte'
+};
+
+export function toPosixPath(filePath: string): string {
+    return filePath.split(path.sep).join('/');
+}
+
+export function globToRegExp(pattern: string, ignoreCase: boolean = false): RegExp {
+    let regex = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '*' && pattern[i + 1] === '*') {
+            // "**/" matches zero or more directories, a trailing "**" matches anything
+            if (pattern[i + 2] === '/') {
+                regex += '(?:.*/)?';
+                i += 2;
+            } else {
+                regex += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            regex += '[^/]*';
+        } else if (char === '?') {
+            regex += '[^/]';
+        } else {
+            regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${regex}$`, ignoreCase ? 'i' : '');
+}
+
+export function matchesAnyGlob(relativePath: string, patterns: string[], ignoreCase: boolean = false): boolean {
+    const normalizedPath = toPosixPath(relativePath);
+    return patterns.some(pattern => globToRegExp(pattern, ignoreCase).test(normalizedPath));
+}
+
+export function shouldIgnoreFile(relativePath: string, ignorePatterns: string[] = DEFAULT_IGNORE_PATTERNS): boolean {
+    if (matchesAnyGlob(relativePath, ignorePatterns)) {
+        return true;
+    }
+
+    // Ignore temporary files and backups
+    const fileName = path.basename(relativePath);
+    if (fileName.startsWith('.') && fileName !== '.env') {
+        return true;
+    }
+
+    if (fileName.endsWith('~') || fileName.endsWith('.tmp') || fileName.endsWith('.bak')) {
+        return true;
+    }
+
+    return false;
+}
+
+export function shouldIgnoreDirectory(
+    relativePath: string,
+    ignorePatterns: string[] = DEFAULT_IGNORE_PATTERNS,
+    ignoreCase: boolean = false
+): boolean {
+    // Directory patterns end in "/**", so probe with a child path
+    return matchesAnyGlob(`${toPosixPath(relativePath)}/`, ignorePatterns, ignoreCase);
+}
+
+export function isTextFile(filePath: string): boolean {
+    const ext = path.extname(filePath).toLowerCase();
+    return TEXT_EXTENSIONS.includes(ext) || !ext; // Include files without extension
+}
+
+export function detectLanguage(filePath: string): string {
+    const ext = path.extname(filePath).toLowerCase();
+    return LANGUAGE_BY_EXTENSION[ext] || 'plaintext';
+}
@@ -0,0 +1,47 @@
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+
+export interface FileVersion {
+    mtime: number;
+    hash: string; // SHA-256 of the UTF-8 content
+}
+
+export interface FileSnapshot {
+    content: string;
+    version: FileVersion;
+    size: number;
+}
+
+export function hashContent(content: string): string {
+    return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+export function createVersion(content: string, mtime: number): FileVersion {
+    return { mtime, hash: hashContent(content) };
+}
+
+// The hash decides; a touched file with identical content is not a conflict
+export function isSameVersion(a: FileVersion | null | undefined, b: FileVersion | null | undefined): boolean {
+    if (!a || !b) {
+        return !a && !b;
+    }
+    return a.hash === b.hash;
+}
+
+export function isFileVersion(value: any): value is FileVersion {
+    return !!value && typeof value.hash === 'string' && typeof value.mtime === 'number';
+}
+
+// Returns null when the file does not exist
+export async function readSnapshot(fullPath: string): Promise<FileSnapshot | null> {
+    try {
+        const stats = await fs.promises.stat(fullPath);
+        const content = await fs.promises.readFile(fullPath, 'utf8');
+        return { content, version: createVersion(content, stats.mtimeMs), size: stats.size };
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
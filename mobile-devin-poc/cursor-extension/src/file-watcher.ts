@@ -3,21 +3,14 @@ import * as chokidar from 'chokidar';
 import * as fs from 'fs';
 import * as path from 'path';
 import { FileChangeEvent } from './websocket-server';
+import { FileVersion, createVersion } from './file-version';
+import { DEFAULT_IGNORE_PATTERNS, MAX_FILE_SIZE, isTextFile, shouldIgnoreFile, toPosixPath } from './file-filters';
 
 export class FileWatcher {
     private watchers: chokidar.FSWatcher[] = [];
     private isWatching = false;
     private changeCallback: ((change: FileChangeEvent) => void) | undefined;
-    private ignorePatterns: string[] = [
-        '**/node_modules/**',
-        '**/.git/**',
-        '**/.vscode/**',
-        '**/out/**',
-        '**/dist/**',
-        '**/*.log',
-        '**/tmp/**',
-        '**/.DS_Store'
-    ];
+    private ignorePatterns: string[] = DEFAULT_IGNORE_PATTERNS;
 
     constructor(private workspaceFolders: readonly vscode.WorkspaceFolder[]) {}
 
@@ -67,15 +60,15 @@ export class FileWatcher {
         });
 
         watcher.on('change', (filePath) => {
-            this.handleFileChange('file_changed', filePath, folderPath);
+            this.handleFileChange('file_changed', filePath, folder);
         });
 
         watcher.on('add', (filePath) => {
-            this.handleFileChange('file_created', filePath, folderPath);
+            this.handleFileChange('file_created', filePath, folder);
         });
 
         watcher.on('unlink', (filePath) => {
-            this.handleFileChange('file_deleted', filePath, folderPath);
+            this.handleFileChange('file_deleted', filePath, folder);
         });
 
         watcher.on('error', (error) => {
@@ -92,34 +85,35 @@ export class FileWatcher {
     private async handleFileChange(
         type: 'file_changed' | 'file_created' | 'file_deleted',
         absolutePath: string,
-        workspaceRoot: string
+        folder: vscode.WorkspaceFolder
     ): Promise<void> {
         try {
-            // Convert absolute path to relative path
-            const relativePath = path.relative(workspaceRoot, absolutePath);
+            // Paths are relative to the workspace folder that reported them
+            const relativePath = toPosixPath(path.relative(folder.uri.fsPath, absolutePath));
             
             // Skip if path is outside workspace or matches ignore patterns
-            if (relativePath.startsWith('..') || this.shouldIgnoreFile(relativePath)) {
+            if (relativePath.startsWith('..') || shouldIgnoreFile(relativePath, this.ignorePatterns)) {
                 return;
             }
 
             let content: string | undefined;
+            let version: FileVersion | undefined;
             
             // Read file content for created/changed files
             if (type !== 'file_deleted') {
                 try {
                     // Check file size before reading (limit to 1MB)
                     const stats = await fs.promises.stat(absolutePath);
-                    const maxFileSize = 1024 * 1024; // 1MB
                     
-                    if (stats.size > maxFileSize) {
+                    if (stats.size > MAX_FILE_SIZE) {
                         console.warn(`File too large, skipping: ${relativePath} (${stats.size} bytes)`);
                         return;
                     }
                     
                     // Only read text files
-                    if (this.isTextFile(relativePath)) {
+                    if (isTextFile(relativePath)) {
                         content = await fs.promises.readFile(absolutePath, 'utf8');
+                        version = createVersion(content, stats.mtimeMs);
                     }
                 } catch (error) {
                     console.warn(`Could not read file: ${relativePath}`, error);
@@ -129,8 +123,10 @@ export class FileWatcher {
 
             const changeEvent: FileChangeEvent = {
                 type,
+                workspaceFolder: folder.name,
                 filePath: relativePath,
                 content,
+                version,
                 timestamp: Date.now(),
                 source: 'cursor'
             };
@@ -139,55 +135,13 @@ export class FileWatcher {
                 this.changeCallback(changeEvent);
             }
 
-            console.log(`File ${type}: ${relativePath}`);
+            console.log(`File ${type}: ${folder.name}/${relativePath}`);
 
         } catch (error) {
             console.error('Error handling file change:', error);
         }
     }
 
-    private shouldIgnoreFile(relativePath: string): boolean {
-        // Check against ignore patterns
-        for (const pattern of this.ignorePatterns) {
-            const regexPattern = pattern
-                .replace(/\*\*/g, '.*')
-                .replace(/\*/g, '[^/]*')
-                .replace(/\?/g, '[^/]');
-            
-            if (new RegExp(regexPattern).test(relativePath)) {
-                return true;
-            }
-        }
-
-        // Ignore temporary files and backups
-        const fileName = path.basename(relativePath);
-        if (fileName.startsWith('.') && fileName !== '.env') {
-            return true;
-        }
-
-        if (fileName.endsWith('~') || fileName.endsWith('.tmp') || fileName.endsWith('.bak')) {
-            return true;
-        }
-
-        return false;
-    }
-
-    private isTextFile(filePath: string): boolean {
-        const textExtensions = [
-            '.js', '.ts', '.jsx', '.tsx', '.json', '.html', '.css', '.scss', '.sass',
-            '.py', '.java', '.c', '.cpp', '.h', '.hpp', '.cs', '.php', '.rb', '.go',
-            '.rs', '.swift', '.kt', '.scala', '.sh', '.bash', '.zsh', '.fish',
-            '.xml', '.yaml', '.yml', '.toml', '.ini', '.cfg', '.conf',
-            '.md', '.txt', '.rst', '.tex', '.latex',
-            '.vue', '.svelte', '.astro', '.sql', '.graphql', '.proto',
-            '.dockerfile', '.gitignore', '.gitattributes',
-            '.env', '.env.local', '.env.development', '.env.production'
-        ];
-
-        const ext = path.extname(filePath).toLowerCase();
-        return textExtensions.includes(ext) || !ext; // Include files without extension
-    }
-
     isRunning(): boolean {
         return this.isWatching;
     }
@@ -0,0 +1,476 @@
+import * as childProcess from 'child_process';
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import { BridgeError } from './protocol';
+import { MAX_FILE_SIZE, toPosixPath } from './file-filters';
+
+export type GitChangeStatus =
+    'modified' | 'added' | 'deleted' | 'renamed' | 'copied' | 'typechange' | 'untracked' | 'conflicted';
+
+export interface GitFileChange {
+    filePath: string; // relative to the workspace folder
+    originalPath?: string; // before a rename or copy
+    status: GitChangeStatus;
+}
+
+export interface GitStatus {
+    workspaceFolder: string;
+    branch: string | null; // null while HEAD is detached
+    commit: string | null; // short hash of HEAD, null before the first commit
+    upstream?: string; // e.g. "origin/main"
+    ahead: number;
+    behind: number;
+    staged: GitFileChange[];
+    unstaged: GitFileChange[]; // untracked and conflicted files included
+}
+
+export interface GitHunk {
+    id: string; // changes whenever the hunk does, so a stale hunk is never staged
+    oldStart: number;
+    oldLines: number;
+    newStart: number;
+    newLines: number;
+    header: string; // the "@@ -1,2 +1,3 @@" line
+    lines: string[]; // with their " ", "-", "+" or "\" prefix
+}
+
+export interface GitDiff {
+    workspaceFolder: string;
+    filePath: string;
+    staged: boolean;
+    original: string | null; // HEAD for staged changes, the index otherwise; null where the file is missing
+    modified: string | null; // the index for staged changes, the working tree otherwise
+    binary: boolean; // contents and hunks are left out
+    hunks: GitHunk[]; // empty for untracked files, which are staged whole
+}
+
+export interface GitBranch {
+    name: string; // e.g. "main" or "origin/main"
+    remote: boolean;
+    current: boolean;
+    commit: string;
+    upstream?: string;
+}
+
+export interface GitRepository {
+    name: string; // workspace folder name
+    folderPath: string;
+    isHidden: (filePath: string) => boolean;
+}
+
+type GitErrorReason = 'git_not_found' | 'not_a_repository' | 'no_remote' | 'command_failed' | 'timeout';
+
+const GIT_TIMEOUT_MS = 30000;
+const REMOTE_TIMEOUT_MS = 120000; // pull and push wait on the network
+const MAX_OUTPUT = 16 * 1024 * 1024;
+const MAX_STDERR_LENGTH = 2000;
+
+// Git must never wait for a password or an editor that nobody can answer from the phone
+const GIT_ENV = {
+    ...process.env,
+    GIT_TERMINAL_PROMPT: '0',
+    GIT_OPTIONAL_LOCKS: '0',
+    GIT_EDITOR: 'true',
+    LC_ALL: 'C'
+};
+
+const CONFLICT_CODES = ['DD', 'AU', 'UD', 'UA', 'DU', 'AA', 'UU'];
+
+const STATUS_BY_CODE: Record<string, GitChangeStatus> = {
+    M: 'modified',
+    A: 'added',
+    D: 'deleted',
+    R: 'renamed',
+    C: 'copied',
+    T: 'typechange'
+};
+
+// Runs git in the repository that contains a workspace folder. Paths in and out are relative
+// to the workspace folder; changes outside it and files hidden by isHidden are left out.
+// Commands for one repository run one at a time, as git locks the index.
+export class GitService {
+    private queues: Map<string, Promise<unknown>> = new Map();
+
+    async status(repo: GitRepository): Promise<GitStatus> {
+        return this.exclusive(repo, () => this.readStatus(repo));
+    }
+
+    async diff(repo: GitRepository, filePath: string, staged: boolean): Promise<GitDiff> {
+        return this.exclusive(repo, () => this.readDiff(repo, filePath, staged));
+    }
+
+    // The whole file, or only the hunks with the given ids from its current diff
+    async stage(repo: GitRepository, filePaths: string[] | undefined, hunkIds?: string[]): Promise<GitStatus> {
+        return this.exclusive(repo, async () => {
+            if (hunkIds) {
+                await this.applyHunks(repo, filePaths![0], hunkIds, false);
+            } else {
+                const paths = filePaths ?? (await this.readStatus(repo)).unstaged.map(change => change.filePath);
+                if (paths.length > 0) {
+                    await this.git(repo, ['add', '-A', '--', ...paths]);
+                }
+            }
+            return this.readStatus(repo);
+        });
+    }
+
+    async unstage(repo: GitRepository, filePaths: string[] | undefined, hunkIds?: string[]): Promise<GitStatus> {
+        return this.exclusive(repo, async () => {
+            if (hunkIds) {
+                await this.applyHunks(repo, filePaths![0], hunkIds, true);
+            } else {
+                const status = await this.readStatus(repo);
+                const paths = filePaths ?? status.staged.flatMap(change =>
+                    change.originalPath ? [change.filePath, change.originalPath] : [change.filePath]);
+                if (paths.length > 0) {
+                    // Before the first commit there is no HEAD to reset to
+                    await this.git(repo, status.commit
+                        ? ['reset', '-q', 'HEAD', '--', ...paths]
+                        : ['rm', '--cached', '-r', '-q', '--', ...paths]);
+                }
+            }
+            return this.readStatus(repo);
+        });
+    }
+
+    async commit(repo: GitRepository, message: string, amend: boolean): Promise<{ commit: string; status: GitStatus }> {
+        return this.exclusive(repo, async () => {
+            await this.git(repo, ['commit', '-q', '-F', '-', ...(amend ? ['--amend'] : [])], { input: message });
+            const commit = (await this.git(repo, ['rev-parse', '--short', 'HEAD'])).trim();
+            return { commit, status: await this.readStatus(repo) };
+        });
+    }
+
+    async branches(repo: GitRepository): Promise<GitBranch[]> {
+        return this.exclusive(repo, async () => {
+            const output = await this.git(repo, [
+                'for-each-ref',
+                '--format=%(refname)%09%(objectname:short)%09%(upstream:short)%09%(HEAD)',
+                'refs/heads',
+                'refs/remotes'
+            ]);
+
+            const branches: GitBranch[] = [];
+            for (const line of output.split('\n').filter(Boolean)) {
+                const [ref, commit, upstream, head] = line.split('\t');
+                const remote = ref.startsWith('refs/remotes/');
+                // origin/HEAD only points at another remote branch
+                if (remote && ref.endsWith('/HEAD')) {
+                    continue;
+                }
+                branches.push({
+                    name: ref.replace(/^refs\/(heads|remotes)\//, ''),
+                    remote,
+                    current: head === '*',
+                    commit,
+                    upstream: upstream || undefined
+                });
+            }
+            return branches;
+        });
+    }
+
+    // A remote branch name such as "origin/feature" checks out a local branch tracking it
+    async checkout(repo: GitRepository, branch: string, create: boolean): Promise<GitStatus> {
+        return this.exclusive(repo, async () => {
+            try {
+                await this.git(repo, ['check-ref-format', '--branch', branch]);
+            } catch (error) {
+                throw new BridgeError('INVALID_MESSAGE', `Invalid branch name: ${branch}`, { branch });
+            }
+
+            if (create) {
+                await this.git(repo, ['checkout', '-q', '-b', branch]);
+            } else {
+                await this.git(repo, await this.checkoutArgs(repo, branch));
+            }
+            return this.readStatus(repo);
+        });
+    }
+
+    // Fast-forward only, so the phone never leaves a merge half done
+    async pull(repo: GitRepository): Promise<GitStatus> {
+        return this.exclusive(repo, async () => {
+            await this.git(repo, ['pull', '--ff-only', '-q'], { timeout: REMOTE_TIMEOUT_MS });
+            return this.readStatus(repo);
+        });
+    }
+
+    // A branch without an upstream is pushed to origin, or the only remote, and tracks it
+    async push(repo: GitRepository): Promise<GitStatus> {
+        return this.exclusive(repo, async () => {
+            const status = await this.readStatus(repo);
+            if (status.upstream) {
+                await this.git(repo, ['push', '-q'], { timeout: REMOTE_TIMEOUT_MS });
+            } else {
+                const remotes = (await this.git(repo, ['remote'])).split('\n').filter(Boolean);
+                const remote = remotes.includes('origin') ? 'origin' : remotes[0];
+                if (!remote) {
+                    throw gitError('no_remote', 'The repository has no remote to push to');
+                }
+                await this.git(repo, ['push', '-q', '--set-upstream', remote, 'HEAD'], { timeout: REMOTE_TIMEOUT_MS });
+            }
+            return this.readStatus(repo);
+        });
+    }
+
+    private async readStatus(repo: GitRepository): Promise<GitStatus> {
+        const root = await this.getRoot(repo);
+        const output = await this.git(repo, ['status', '--porcelain=v1', '-z', '--branch', '--untracked-files=all', '--', '.']);
+        const entries = output.split('\0');
+
+        const status: GitStatus = {
+            workspaceFolder: repo.name,
+            ...parseBranchLine(entries[0]),
+            staged: [],
+            unstaged: []
+        };
+
+        for (let i = 1; i < entries.length; i++) {
+            const entry = entries[i];
+            if (entry.length < 4) {
+                continue;
+            }
+
+            const code = entry.slice(0, 2);
+            const filePath = this.toFolderPath(repo, root, entry.slice(3));
+            // Renames and copies are followed by the original path
+            const originalPath = code[0] === 'R' || code[0] === 'C'
+                ? this.toFolderPath(repo, root, entries[++i])
+                : undefined;
+            if (filePath === undefined || repo.isHidden(filePath)) {
+                continue;
+            }
+
+            if (code === '??') {
+                status.unstaged.push({ filePath, status: 'untracked' });
+            } else if (CONFLICT_CODES.includes(code)) {
+                status.unstaged.push({ filePath, status: 'conflicted' });
+            } else {
+                if (STATUS_BY_CODE[code[0]]) {
+                    status.staged.push({ filePath, originalPath, status: STATUS_BY_CODE[code[0]] });
+                }
+                if (STATUS_BY_CODE[code[1]]) {
+                    status.unstaged.push({ filePath, status: STATUS_BY_CODE[code[1]] });
+                }
+            }
+        }
+
+        status.commit = status.commit === null ? null : await this.readHead(repo);
+        return status;
+    }
+
+    private async readHead(repo: GitRepository): Promise<string | null> {
+        try {
+            return (await this.git(repo, ['rev-parse', '--short', 'HEAD'])).trim();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    private async readDiff(repo: GitRepository, filePath: string, staged: boolean): Promise<GitDiff> {
+        const output = await this.git(repo, ['diff', '--no-color', '--no-ext-diff', ...(staged ? ['--cached'] : []), '--', filePath]);
+        const { hunks, binary } = parseDiff(output);
+
+        const original = binary ? null : await this.readBlob(repo, staged ? `HEAD:./${filePath}` : `:./${filePath}`);
+        const modified = binary ? null : staged
+            ? await this.readBlob(repo, `:./${filePath}`)
+            : await readWorkingTreeFile(path.join(repo.folderPath, filePath));
+
+        const isBinary = binary || [original, modified].some(content => content !== null && content.includes('\0'));
+        return {
+            workspaceFolder: repo.name,
+            filePath,
+            staged,
+            original: isBinary ? null : original,
+            modified: isBinary ? null : modified,
+            binary: isBinary,
+            hunks: isBinary ? [] : hunks
+        };
+    }
+
+    // null when the object does not exist, e.g. a file added after HEAD
+    private async readBlob(repo: GitRepository, object: string): Promise<string | null> {
+        try {
+            const size = Number((await this.git(repo, ['cat-file', '-s', object])).trim());
+            if (size > MAX_FILE_SIZE) {
+                throw new BridgeError('FILE_TOO_LARGE', `File exceeds ${MAX_FILE_SIZE} bytes`, { object });
+            }
+            return await this.git(repo, ['cat-file', 'blob', object]);
+        } catch (error) {
+            if (error instanceof BridgeError && error.code !== 'GIT_ERROR') {
+                throw error;
+            }
+            return null;
+        }
+    }
+
+    // Builds a patch of the selected hunks and applies it to the index
+    private async applyHunks(repo: GitRepository, filePath: string, hunkIds: string[], reverse: boolean): Promise<void> {
+        const output = await this.git(repo, ['diff', '--no-color', '--no-ext-diff', ...(reverse ? ['--cached'] : []), '--', filePath]);
+        const { header, hunks } = parseDiff(output);
+
+        const selected = hunks.filter(hunk => hunkIds.includes(hunk.id));
+        if (selected.length !== hunkIds.length) {
+            throw new BridgeError('CONFLICT', 'The file changed since its diff was loaded', {
+                filePath,
+                missingHunks: hunkIds.filter(id => !hunks.some(hunk => hunk.id === id))
+            });
+        }
+
+        const patch = [...header, ...selected.flatMap(hunk => [hunk.header, ...hunk.lines])].join('\n') + '\n';
+        await this.git(repo, ['apply', '--cached', '--whitespace=nowarn', ...(reverse ? ['--reverse'] : []), '-'], { input: patch });
+    }
+
+    // A remote branch is checked out as the local branch of the same name, tracking it
+    private async checkoutArgs(repo: GitRepository, branch: string): Promise<string[]> {
+        const refs = (await this.git(repo, ['for-each-ref', '--format=%(refname)', 'refs/heads', 'refs/remotes'])).split('\n');
+        if (refs.includes(`refs/heads/${branch}`) || !refs.includes(`refs/remotes/${branch}`)) {
+            return ['checkout', '-q', branch, '--'];
+        }
+
+        const localName = branch.slice(branch.indexOf('/') + 1);
+        return refs.includes(`refs/heads/${localName}`)
+            ? ['checkout', '-q', localName, '--']
+            : ['checkout', '-q', '--track', branch];
+    }
+
+    private async getRoot(repo: GitRepository): Promise<string> {
+        return (await this.git(repo, ['rev-parse', '--show-toplevel'])).trim();
+    }
+
+    // Status paths are relative to the repository root, which may be above the folder
+    private toFolderPath(repo: GitRepository, root: string, repoPath: string): string | undefined {
+        const folderPath = fs.realpathSync(repo.folderPath);
+        const relativePath = path.relative(folderPath, path.join(root, repoPath));
+        return relativePath.startsWith('..') || path.isAbsolute(relativePath) ? undefined : toPosixPath(relativePath);
+    }
+
+    private exclusive<T>(repo: GitRepository, task: () => Promise<T>): Promise<T> {
+        const previous = this.queues.get(repo.folderPath) ?? Promise.resolve();
+        const result = previous.catch(() => undefined).then(task);
+        const tail = result.catch(() => undefined);
+        this.queues.set(repo.folderPath, tail);
+        tail.then(() => {
+            if (this.queues.get(repo.folderPath) === tail) {
+                this.queues.delete(repo.folderPath);
+            }
+        });
+        return result;
+    }
+
+    private git(repo: GitRepository, args: string[], options: { input?: string; timeout?: number } = {}): Promise<string> {
+        return new Promise((resolve, reject) => {
+            const child = childProcess.execFile('git', args, {
+                cwd: repo.folderPath,
+                env: GIT_ENV,
+                encoding: 'utf8',
+                maxBuffer: MAX_OUTPUT,
+                timeout: options.timeout ?? GIT_TIMEOUT_MS
+            }, (error, stdout, stderr) => {
+                if (error) {
+                    reject(toGitError(args, error, stderr));
+                } else {
+                    resolve(stdout);
+                }
+            });
+            child.stdin?.end(options.input);
+        });
+    }
+}
+
+function parseBranchLine(line: string): Pick<GitStatus, 'branch' | 'commit' | 'upstream' | 'ahead' | 'behind'> {
+    const text = line.replace(/^## /, '');
+    const unborn = /^(?:No commits yet on|Initial commit on) (.+)$/.exec(text);
+    if (unborn) {
+        return { branch: unborn[1], commit: null, ahead: 0, behind: 0 };
+    }
+    if (text.startsWith('HEAD (no branch)')) {
+        return { branch: null, commit: '', ahead: 0, behind: 0 };
+    }
+
+    // "main...origin/main [ahead 1, behind 2]"
+    const match = /^(.+?)(?:\.\.\.(\S+))?(?: \[(.*)\])?$/.exec(text);
+    const tracking = match?.[3] || '';
+    return {
+        branch: match ? match[1] : text,
+        commit: '', // read separately
+        upstream: match?.[2],
+        ahead: Number(/ahead (\d+)/.exec(tracking)?.[1] || 0),
+        behind: Number(/behind (\d+)/.exec(tracking)?.[1] || 0)
+    };
+}
+
+function parseDiff(output: string): { header: string[]; hunks: GitHunk[]; binary: boolean } {
+    const header: string[] = [];
+    const hunks: GitHunk[] = [];
+    let binary = false;
+
+    // Lines keep a trailing "\r" so the patch applies to files with CRLF endings
+    const lines = output.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+
+    let current: Omit<GitHunk, 'id'> | undefined;
+    for (const line of lines) {
+        const range = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line);
+        if (range) {
+            current = {
+                oldStart: Number(range[1]),
+                oldLines: range[2] === undefined ? 1 : Number(range[2]),
+                newStart: Number(range[3]),
+                newLines: range[4] === undefined ? 1 : Number(range[4]),
+                header: line,
+                lines: []
+            };
+            hunks.push(current as GitHunk);
+        } else if (current) {
+            current.lines.push(line);
+        } else {
+            header.push(line);
+            binary = binary || line.startsWith('Binary files ') || line === 'GIT binary patch';
+        }
+    }
+
+    for (const hunk of hunks) {
+        hunk.id = crypto.createHash('sha1').update([hunk.header, ...hunk.lines].join('\n')).digest('hex').slice(0, 12);
+    }
+    return { header, hunks, binary };
+}
+
+async function readWorkingTreeFile(fullPath: string): Promise<string | null> {
+    try {
+        const stats = await fs.promises.stat(fullPath);
+        if (stats.size > MAX_FILE_SIZE) {
+            throw new BridgeError('FILE_TOO_LARGE', `File exceeds ${MAX_FILE_SIZE} bytes`, { size: stats.size });
+        }
+        return await fs.promises.readFile(fullPath, 'utf8');
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+function gitError(reason: GitErrorReason, message: string, details: Record<string, any> = {}): BridgeError {
+    return new BridgeError('GIT_ERROR', message, { ...details, reason });
+}
+
+function toGitError(args: string[], error: childProcess.ExecFileException, stderr: string): BridgeError {
+    const command = `git ${args[0]}`;
+    if (error.code === 'ENOENT') {
+        return gitError('git_not_found', 'Git is not installed or not on the PATH of the editor');
+    }
+    if (error.killed) {
+        return gitError('timeout', `${command} did not finish in time`, { command });
+    }
+    if (/not a git repository/i.test(stderr)) {
+        return gitError('not_a_repository', 'The workspace folder is not in a git repository');
+    }
+
+    const output = stderr.trim().slice(0, MAX_STDERR_LENGTH);
+    return gitError('command_failed', output.split('\n').pop() || `${command} failed`, { command, stderr: output });
+}
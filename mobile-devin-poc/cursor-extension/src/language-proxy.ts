@@ -0,0 +1,234 @@
+import * as vscode from 'vscode';
+import { TextOperation, createPatch, operationFromEdits, transformOffset } from '@mobile-devin/shared';
+import { BridgeError } from './protocol';
+import { MAX_FILE_SIZE } from './file-filters';
+import { TextRange } from './diagnostics-tracker';
+import { toWorkspaceLocation } from './workspace-folders';
+
+// A position in the text the client is editing, which may have edits Cursor has not seen
+export interface LanguageRequest {
+    uri: vscode.Uri;
+    offset: number;
+    content?: string; // the client's text; omitted when it matches Cursor's document
+}
+
+// Offsets in the client's text
+export interface OffsetRange {
+    start: number;
+    end: number;
+}
+
+export interface CompletionItemInfo {
+    label: string;
+    kind: string; // vscode.CompletionItemKind name, e.g. "Method"
+    detail?: string;
+    documentation?: string; // markdown
+    insertText: string;
+    snippet: boolean; // insertText uses snippet syntax
+    range?: OffsetRange; // text the completion replaces; the word at the position when omitted
+    sortText?: string;
+    filterText?: string;
+    additionalTextEdits?: (OffsetRange & { text: string })[]; // e.g. an import the completion needs
+}
+
+export interface CompletionResult {
+    items: CompletionItemInfo[];
+    isIncomplete: boolean; // ask again as the user keeps typing
+}
+
+export interface HoverResult {
+    contents: string[]; // markdown
+    range?: OffsetRange;
+}
+
+export interface DefinitionLocation {
+    workspaceFolder: string;
+    filePath: string;
+    range: TextRange; // in the client's text for the requested file, in Cursor's document otherwise
+}
+
+// Language servers offer every symbol in scope; the client only needs those that can
+// match what is typed, and asks again once the list was cut
+const MAX_COMPLETION_ITEMS = 200;
+
+// Completions, hovers and definitions from the language features of Cursor, for files the
+// client may have edited without saving. Positions are mapped between the client's text and
+// Cursor's document, so results are exact in unchanged text and approximate inside the edits.
+export class LanguageProxy {
+    constructor(private isHidden: (filePath: string) => boolean) {}
+
+    async completion(request: LanguageRequest, triggerCharacter?: string): Promise<CompletionResult> {
+        const { document, mapping, position } = await this.resolve(request);
+        const list = await vscode.commands.executeCommand<vscode.CompletionList | undefined>(
+            'vscode.executeCompletionItemProvider', document.uri, position, triggerCharacter
+        );
+        if (!list) {
+            return { items: [], isIncomplete: false };
+        }
+
+        const wordRange = document.getWordRangeAtPosition(position);
+        const prefix = wordRange ? document.getText(new vscode.Range(wordRange.start, position)) : '';
+        const matching = list.items
+            .filter(item => matchesPrefix(item.filterText ?? getLabel(item), prefix))
+            .sort((a, b) => (a.sortText ?? getLabel(a)).localeCompare(b.sortText ?? getLabel(b)));
+
+        const toRange = (range: vscode.Range) => mapping.toClientRange(document, range);
+        return {
+            items: matching.slice(0, MAX_COMPLETION_ITEMS).map(item => toCompletionItemInfo(item, toRange)),
+            isIncomplete: list.isIncomplete === true || matching.length > MAX_COMPLETION_ITEMS
+        };
+    }
+
+    async hover(request: LanguageRequest): Promise<HoverResult> {
+        const { document, mapping, position } = await this.resolve(request);
+        const hovers = await vscode.commands.executeCommand<vscode.Hover[] | undefined>(
+            'vscode.executeHoverProvider', document.uri, position
+        ) || [];
+
+        const contents = hovers
+            .flatMap(hover => hover.contents.map(toMarkdown))
+            .filter(content => content.trim().length > 0);
+        const range = hovers.find(hover => hover.range)?.range;
+
+        return { contents, range: range && mapping.toClientRange(document, range) };
+    }
+
+    async definition(request: LanguageRequest): Promise<DefinitionLocation[]> {
+        const { document, mapping, position, clientText } = await this.resolve(request);
+        const results = await vscode.commands.executeCommand<(vscode.Location | vscode.LocationLink)[] | undefined>(
+            'vscode.executeDefinitionProvider', document.uri, position
+        ) || [];
+
+        const locations: DefinitionLocation[] = [];
+        for (const result of results) {
+            const uri = 'targetUri' in result ? result.targetUri : result.uri;
+            const range = 'targetUri' in result ? result.targetSelectionRange ?? result.targetRange : result.range;
+            const location = uri.scheme === 'file' ? toWorkspaceLocation(uri.fsPath) : undefined;
+            // Library definitions outside the workspace cannot be opened on the phone
+            if (!location || this.isHidden(location.relativePath)) {
+                continue;
+            }
+
+            const inRequestedFile = uri.toString() === document.uri.toString();
+            const clientRange = mapping.toClientRange(document, range);
+            locations.push({
+                workspaceFolder: location.folder.name,
+                filePath: location.relativePath,
+                range: inRequestedFile
+                    ? { start: toPosition(clientText, clientRange.start), end: toPosition(clientText, clientRange.end) }
+                    : toTextRange(range)
+            });
+        }
+        return locations;
+    }
+
+    private async resolve(request: LanguageRequest) {
+        const document = await vscode.workspace.openTextDocument(request.uri);
+        const documentText = document.getText();
+        const clientText = request.content ?? documentText;
+        if (clientText.length > MAX_FILE_SIZE || documentText.length > MAX_FILE_SIZE) {
+            throw new BridgeError('FILE_TOO_LARGE', `File exceeds ${MAX_FILE_SIZE} bytes`);
+        }
+        if (request.offset > clientText.length) {
+            throw new BridgeError('INVALID_MESSAGE', 'offset is past the end of the text', { offset: request.offset });
+        }
+
+        const mapping = new OffsetMapping(clientText, documentText);
+        const position = document.positionAt(mapping.toDocument(request.offset));
+        return { document, mapping, position, clientText };
+    }
+}
+
+// Translates offsets between the client's text and Cursor's document through the
+// edits that turn one into the other
+class OffsetMapping {
+    private toDocumentOperation: TextOperation | undefined;
+    private toClientOperation: TextOperation | undefined;
+
+    constructor(clientText: string, documentText: string) {
+        if (clientText !== documentText) {
+            this.toDocumentOperation = operationFromEdits(clientText.length, createPatch(clientText, documentText));
+            this.toClientOperation = operationFromEdits(documentText.length, createPatch(documentText, clientText));
+        }
+    }
+
+    toDocument(offset: number): number {
+        return this.toDocumentOperation ? transformOffset(offset, this.toDocumentOperation) : offset;
+    }
+
+    toClientRange(document: vscode.TextDocument, range: vscode.Range): OffsetRange {
+        const map = (offset: number) => this.toClientOperation ? transformOffset(offset, this.toClientOperation, true) : offset;
+        const start = map(document.offsetAt(range.start));
+        return { start, end: Math.max(start, map(document.offsetAt(range.end))) };
+    }
+}
+
+function toCompletionItemInfo(item: vscode.CompletionItem, toRange: (range: vscode.Range) => OffsetRange): CompletionItemInfo {
+    const label = getLabel(item);
+    const insertText = item.insertText ?? label;
+    const range = item.range && ('replacing' in item.range ? item.range.replacing : item.range);
+    const detail = typeof item.label === 'object' ? item.label.detail ?? item.detail : item.detail;
+
+    return {
+        label,
+        kind: item.kind !== undefined ? vscode.CompletionItemKind[item.kind] : 'Text',
+        detail,
+        documentation: item.documentation === undefined ? undefined : toMarkdown(item.documentation),
+        insertText: typeof insertText === 'string' ? insertText : insertText.value,
+        snippet: typeof insertText !== 'string',
+        range: range && toRange(range),
+        sortText: item.sortText,
+        filterText: item.filterText,
+        additionalTextEdits: item.additionalTextEdits?.map(edit => ({ ...toRange(edit.range), text: edit.newText }))
+    };
+}
+
+function getLabel(item: vscode.CompletionItem): string {
+    return typeof item.label === 'string' ? item.label : item.label.label;
+}
+
+// The first character must match; the rest may be spread out, like the editor's filtering
+function matchesPrefix(text: string, prefix: string): boolean {
+    if (prefix.length === 0) {
+        return true;
+    }
+
+    const candidate = text.toLowerCase();
+    const wanted = prefix.toLowerCase();
+    if (candidate[0] !== wanted[0]) {
+        return false;
+    }
+
+    let index = 0;
+    for (const char of wanted) {
+        index = candidate.indexOf(char, index);
+        if (index < 0) {
+            return false;
+        }
+        index++;
+    }
+    return true;
+}
+
+function toMarkdown(content: vscode.MarkdownString | vscode.MarkedString | string): string {
+    if (typeof content === 'string') {
+        return content;
+    }
+    if ('language' in content) {
+        return '```' + content.language + '\n' + content.value + '\n```';
+    }
+    return content.value;
+}
+
+function toTextRange(range: vscode.Range): TextRange {
+    return {
+        start: { line: range.start.line, character: range.start.character },
+        end: { line: range.end.line, character: range.end.character }
+    };
+}
+
+function toPosition(text: string, offset: number): { line: number; character: number } {
+    const before = text.slice(0, offset);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    return { line: before.split('\n').length - 1, character: offset - lineStart };
+}
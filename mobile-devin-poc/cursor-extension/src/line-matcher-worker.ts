@@ -0,0 +1,10 @@
+import { parentPort, workerData } from 'worker_threads';
+import { MatchRequest, MatchResponse, matchLines } from './line-matcher';
+
+// Worker thread started by LineMatcher; the pattern was validated before it got here
+const matcher = new RegExp(workerData.source, workerData.flags);
+
+parentPort!.on('message', ({ id, content }: MatchRequest) => {
+    const response: MatchResponse = { id, matches: matchLines(content, matcher) };
+    parentPort!.postMessage(response);
+});
@@ -0,0 +1,130 @@
+import * as path from 'path';
+import { Worker } from 'worker_threads';
+import { BridgeError } from './protocol';
+
+export interface LineMatch {
+    line: number; // 0-based, like TextPosition
+    character: number; // of the first match in the line
+    preview: string; // the line, cut around the first match when it is long
+    ranges: { start: number; end: number }[]; // matches in preview
+}
+
+export interface MatchRequest {
+    id: number;
+    content: string;
+}
+
+export interface MatchResponse {
+    id: number;
+    matches: LineMatch[];
+}
+
+const MAX_PREVIEW_LENGTH = 200;
+const PREVIEW_CONTEXT = 40; // characters kept before a match in a long line
+// Ordinary patterns take milliseconds even on files of MAX_FILE_SIZE
+const MATCH_TIMEOUT_MS = 2000;
+
+// Runs a search pattern over file contents in a worker thread. A pattern from a client or
+// the AI can backtrack for minutes, so it must never run on the extension host; the worker
+// is stopped when a file takes longer than the timeout and the search fails instead.
+export class LineMatcher {
+    private worker: Worker | undefined;
+    private nextId = 1;
+
+    constructor(private matcher: RegExp) {}
+
+    matchLines(content: string): Promise<LineMatch[]> {
+        const worker = this.getWorker();
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            const finish = () => {
+                clearTimeout(timer);
+                worker.off('message', onMessage);
+                worker.off('error', onError);
+                worker.off('exit', onExit);
+            };
+            const fail = (error: Error) => {
+                finish();
+                this.dispose();
+                reject(error);
+            };
+            const onMessage = (response: MatchResponse) => {
+                if (response.id === id) {
+                    finish();
+                    resolve(response.matches);
+                }
+            };
+            const onError = (error: Error) => fail(error);
+            const onExit = (code: number) => fail(new Error(`Search worker exited with code ${code}`));
+            const timer = setTimeout(() => fail(new BridgeError(
+                'INVALID_MESSAGE',
+                `The search pattern took longer than ${MATCH_TIMEOUT_MS / 1000}s to match a file`,
+                { query: this.matcher.source }
+            )), MATCH_TIMEOUT_MS);
+
+            worker.on('message', onMessage);
+            worker.on('error', onError);
+            worker.on('exit', onExit);
+            const request: MatchRequest = { id, content };
+            worker.postMessage(request);
+        });
+    }
+
+    dispose(): void {
+        const worker = this.worker;
+        this.worker = undefined;
+        worker?.terminate().catch(error => console.warn('Failed to stop the search worker:', error));
+    }
+
+    private getWorker(): Worker {
+        if (!this.worker) {
+            this.worker = new Worker(path.join(__dirname, 'line-matcher-worker.js'), {
+                workerData: { source: this.matcher.source, flags: this.matcher.flags }
+            });
+            // A forgotten matcher must not keep the extension host alive
+            this.worker.unref();
+        }
+        return this.worker;
+    }
+}
+
+// The matching itself, done in the worker thread
+export function matchLines(content: string, matcher: RegExp): LineMatch[] {
+    const results: LineMatch[] = [];
+    const lines = content.split(/\r?\n/);
+
+    lines.forEach((text, line) => {
+        const ranges: { start: number; end: number }[] = [];
+        matcher.lastIndex = 0;
+        let match: RegExpExecArray | null;
+        while ((match = matcher.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                // Empty matches such as "^" would never advance
+                matcher.lastIndex++;
+                continue;
+            }
+            ranges.push({ start: match.index, end: match.index + match[0].length });
+        }
+
+        if (ranges.length > 0) {
+            results.push({ line, character: ranges[0].start, ...toPreview(text, ranges) });
+        }
+    });
+    return results;
+}
+
+function toPreview(text: string, ranges: { start: number; end: number }[]): Pick<LineMatch, 'preview' | 'ranges'> {
+    if (text.length <= MAX_PREVIEW_LENGTH) {
+        return { preview: text, ranges };
+    }
+
+    const start = Math.max(0, Math.min(ranges[0].start - PREVIEW_CONTEXT, text.length - MAX_PREVIEW_LENGTH));
+    const end = start + MAX_PREVIEW_LENGTH;
+    return {
+        preview: text.slice(start, end),
+        ranges: ranges
+            .filter(range => range.start < end)
+            .map(range => ({ start: range.start - start, end: Math.min(range.end, end) - start }))
+    };
+}
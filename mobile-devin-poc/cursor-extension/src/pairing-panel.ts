@@ -0,0 +1,68 @@
+import * as vscode from 'vscode';
+import * as QRCode from 'qrcode';
+import { PairingPayload } from './pairing';
+
+let currentPanel: vscode.WebviewPanel | undefined;
+
+export async function showPairingPanel(payload: PairingPayload): Promise<void> {
+    const payloadText = JSON.stringify(payload);
+    const qrSvg = await QRCode.toString(payloadText, { type: 'svg', margin: 1 });
+
+    if (!currentPanel) {
+        currentPanel = vscode.window.createWebviewPanel(
+            'mobileDevinPairing',
+            'Pair Mobile Device',
+            vscode.ViewColumn.Active,
+            { enableScripts: false }
+        );
+        currentPanel.onDidDispose(() => {
+            currentPanel = undefined;
+        });
+    }
+
+    currentPanel.webview.html = renderPairingHtml(payload, payloadText, qrSvg);
+    currentPanel.reveal();
+}
+
+export function closePairingPanel(): void {
+    currentPanel?.dispose();
+}
+
+function renderPairingHtml(payload: PairingPayload, payloadText: string, qrSvg: string): string {
+    const expiresAt = new Date(payload.expiresAt).toLocaleTimeString();
+    const scheme = payload.tls ? 'wss' : 'ws';
+    const fingerprint = payload.fingerprint
+        ? `<p class="payload">Certificate SHA-256: ${escapeHtml(payload.fingerprint)}</p>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; img-src data:;">
+    <style>
+        body { font-family: var(--vscode-font-family); padding: 24px; text-align: center; }
+        .qr { width: 240px; height: 240px; margin: 16px auto; background: #fff; padding: 8px; }
+        .code { font-size: 36px; letter-spacing: 8px; font-weight: bold; margin: 16px 0; }
+        .payload { font-family: var(--vscode-editor-font-family); font-size: 12px; word-break: break-all; opacity: 0.8; }
+    </style>
+</head>
+<body>
+    <h2>Pair a phone with Mobile Devin</h2>
+    <p>Scan the QR code or enter the code below in the Mobile Devin app.</p>
+    <div class="qr">${qrSvg}</div>
+    <div class="code">${escapeHtml(payload.code)}</div>
+    <p>Bridge: ${scheme}://${escapeHtml(payload.host)}:${payload.port} &middot; expires at ${escapeHtml(expiresAt)}</p>
+    ${fingerprint}
+    <p class="payload">${escapeHtml(payloadText)}</p>
+</body>
+</html>`;
+}
+
+function escapeHtml(value: string): string {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,202 @@
+import * as vscode from 'vscode';
+import * as crypto from 'crypto';
+import * as os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import { BridgeError } from './protocol';
+
+export interface PairedDevice {
+    id: string;
+    name: string;
+    tokenHash: string; // also the key of the authentication proofs
+    pairedAt: number;
+    lastSeenAt?: number;
+}
+
+export interface PairingCode {
+    code: string;
+    expiresAt: number;
+}
+
+// An authentication in progress, between auth_request and auth_proof
+export interface AuthChallenge {
+    deviceId: string;
+    clientNonce: string;
+    serverNonce: string;
+}
+
+export interface PairingPayload {
+    v: 1;
+    host: string;
+    port: number;
+    code: string;
+    expiresAt: number;
+    tls?: boolean;
+    fingerprint?: string; // certificate SHA-256 for the client to pin
+}
+
+const DEVICES_STORAGE_KEY = 'mobileDevin.pairedDevices';
+const PAIRING_CODE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_PAIRING_ATTEMPTS = 5;
+const NONCE_PATTERN = /^[0-9a-f]{64}$/; // 32 random bytes, hex
+
+export class PairingManager {
+    private activeCode: (PairingCode & { attempts: number }) | undefined;
+    private revokeCallback: ((deviceId: string) => void) | undefined;
+
+    constructor(private storage: vscode.Memento) {}
+
+    createPairingCode(): PairingCode {
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+        this.activeCode = {
+            code,
+            expiresAt: Date.now() + PAIRING_CODE_TTL_MS,
+            attempts: 0
+        };
+
+        return { code, expiresAt: this.activeCode.expiresAt };
+    }
+
+    createPairingPayload(port: number, certificateFingerprint?: string): PairingPayload {
+        const { code, expiresAt } = this.createPairingCode();
+        const payload: PairingPayload = {
+            v: 1,
+            host: getLanAddress(),
+            port,
+            code,
+            expiresAt
+        };
+
+        if (certificateFingerprint) {
+            payload.tls = true;
+            payload.fingerprint = certificateFingerprint;
+        }
+
+        return payload;
+    }
+
+    async pair(code: string, deviceName: string): Promise<{ device: PairedDevice; token: string }> {
+        const activeCode = this.activeCode;
+
+        if (!activeCode || Date.now() > activeCode.expiresAt) {
+            this.activeCode = undefined;
+            throw new BridgeError('UNAUTHORIZED', 'No pairing code is active. Start pairing from Cursor first.');
+        }
+
+        if (typeof code !== 'string' || !safeEqual(code, activeCode.code)) {
+            activeCode.attempts++;
+            if (activeCode.attempts >= MAX_PAIRING_ATTEMPTS) {
+                // Burn the code so it can't be brute-forced
+                this.activeCode = undefined;
+            }
+            throw new BridgeError('UNAUTHORIZED', 'Invalid pairing code');
+        }
+
+        // Codes are single-use
+        this.activeCode = undefined;
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const device: PairedDevice = {
+            id: uuidv4(),
+            name: (typeof deviceName === 'string' && deviceName.trim()) || 'Mobile device',
+            tokenHash: hashToken(token),
+            pairedAt: Date.now(),
+            lastSeenAt: Date.now()
+        };
+
+        await this.saveDevices([...this.getDevices(), device]);
+        console.log(`Paired new device: ${device.name} (${device.id})`);
+
+        return { device, token };
+    }
+
+    // The bridge answers the device's nonce with a proof that it holds the device's token
+    // hash, so the device can tell it is talking to the bridge it paired with before it
+    // proves anything itself. The token never crosses the wire after pairing.
+    createChallenge(deviceId: string, clientNonce: string): { challenge: AuthChallenge; proof: string } {
+        if (typeof clientNonce !== 'string' || !NONCE_PATTERN.test(clientNonce)) {
+            throw new BridgeError('UNAUTHORIZED', 'auth_request requires a nonce of 32 random bytes in hex');
+        }
+
+        const device = this.getDevices().find(candidate => candidate.id === deviceId);
+        if (!device) {
+            throw new BridgeError('UNAUTHORIZED', 'Unknown or revoked device');
+        }
+
+        const challenge: AuthChallenge = {
+            deviceId: device.id,
+            clientNonce,
+            serverNonce: crypto.randomBytes(32).toString('hex')
+        };
+        return { challenge, proof: authProof(device.tokenHash, 'bridge', challenge) };
+    }
+
+    async verifyProof(challenge: AuthChallenge, proof: string): Promise<PairedDevice> {
+        // Looked up again in case the device was revoked in the meantime
+        const devices = this.getDevices();
+        const device = devices.find(candidate => candidate.id === challenge.deviceId);
+
+        if (!device || typeof proof !== 'string' || !safeEqual(proof, authProof(device.tokenHash, 'device', challenge))) {
+            throw new BridgeError('UNAUTHORIZED', 'Authentication failed');
+        }
+
+        device.lastSeenAt = Date.now();
+        await this.saveDevices(devices);
+
+        return device;
+    }
+
+    getDevices(): PairedDevice[] {
+        return this.storage.get<PairedDevice[]>(DEVICES_STORAGE_KEY, []);
+    }
+
+    async revoke(deviceId: string): Promise<void> {
+        await this.saveDevices(this.getDevices().filter(device => device.id !== deviceId));
+        console.log(`Revoked paired device: ${deviceId}`);
+
+        if (this.revokeCallback) {
+            this.revokeCallback(deviceId);
+        }
+    }
+
+    onDeviceRevoked(callback: (deviceId: string) => void): void {
+        this.revokeCallback = callback;
+    }
+
+    private async saveDevices(devices: PairedDevice[]): Promise<void> {
+        await this.storage.update(DEVICES_STORAGE_KEY, devices);
+    }
+}
+
+function hashToken(token: string): string {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// HMAC over both nonces, keyed with the token hash; the role keeps a proof from one side
+// from being replayed as the other's
+function authProof(tokenHash: string, role: 'bridge' | 'device', challenge: AuthChallenge): string {
+    return crypto.createHmac('sha256', Buffer.from(tokenHash, 'hex'))
+        .update(`mobile-devin-${role}\n${challenge.clientNonce}\n${challenge.serverNonce}`)
+        .digest('hex');
+}
+
+function safeEqual(a: string, b: string): boolean {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+export function getLanAddresses(): string[] {
+    const lanAddresses: string[] = [];
+    for (const addresses of Object.values(os.networkInterfaces())) {
+        for (const address of addresses || []) {
+            if (address.family === 'IPv4' && !address.internal) {
+                lanAddresses.push(address.address);
+            }
+        }
+    }
+    return lanAddresses;
+}
+
+function getLanAddress(): string {
+    return getLanAddresses()[0] || 'localhost';
+}
@@ -0,0 +1,213 @@
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+    DEFAULT_IGNORE_PATTERNS,
+    detectLanguage,
+    matchesAnyGlob,
+    shouldIgnoreDirectory,
+    shouldIgnoreFile,
+    toPosixPath
+} from './file-filters';
+import { getWorkspaceFolders, toWorkspaceLocation } from './workspace-folders';
+
+export interface ProjectFileEntry {
+    workspaceFolder: string;
+    path: string;
+    size: number;
+    lastModified: number;
+    language: string;
+}
+
+export interface ProjectFolder {
+    name: string;
+    path: string;
+    index: number;
+    fileCount: number;
+}
+
+export interface OpenFileEntry {
+    workspaceFolder: string;
+    path: string;
+}
+
+export interface ProjectInfo {
+    workspaceName: string;
+    workspacePath: string;
+    folders: ProjectFolder[];
+    openFiles: OpenFileEntry[];
+    languages: Record<string, number>;
+    files: ProjectFileEntry[];
+    pagination: {
+        offset: number;
+        limit: number;
+        total: number;
+        hasMore: boolean;
+    };
+}
+
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_PAGE_SIZE = 1000;
+const MAX_SCAN_DEPTH = 50; // Same depth limit as the file watcher
+const MAX_SCANNED_FILES = 50000;
+
+export class ProjectInfoProvider {
+    private cachedFiles: ProjectFileEntry[] | undefined;
+    private scanInProgress: Promise<ProjectFileEntry[]> | undefined;
+    private generation = 0;
+
+    // Deny-list patterns match regardless of case, like the sandbox's checks
+    constructor(private ignorePatterns: string[] = DEFAULT_IGNORE_PATTERNS, private denyList: string[] = []) {}
+
+    async getProjectInfo(offset: number = 0, limit: number = DEFAULT_PAGE_SIZE): Promise<ProjectInfo> {
+        const workspaceFolders = getWorkspaceFolders();
+
+        const pageOffset = Math.max(0, Math.floor(Number(offset) || 0));
+        const pageLimit = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(Number(limit) || DEFAULT_PAGE_SIZE)));
+
+        const files = await this.getFiles();
+        const root = workspaceFolders[0].uri.fsPath;
+
+        return {
+            workspaceName: vscode.workspace.name || path.basename(root),
+            workspacePath: root,
+            folders: workspaceFolders.map(folder => ({
+                name: folder.name,
+                path: folder.uri.fsPath,
+                index: folder.index,
+                fileCount: files.filter(file => file.workspaceFolder === folder.name).length
+            })),
+            openFiles: this.getOpenFiles(),
+            languages: this.countLanguages(files),
+            files: files.slice(pageOffset, pageOffset + pageLimit),
+            pagination: {
+                offset: pageOffset,
+                limit: pageLimit,
+                total: files.length,
+                hasMore: pageOffset + pageLimit < files.length
+            }
+        };
+    }
+
+    invalidate(): void {
+        this.generation++;
+        this.cachedFiles = undefined;
+    }
+
+    // Every file in the workspace that is not ignored, in the order of the listing
+    async getFiles(): Promise<ProjectFileEntry[]> {
+        if (this.cachedFiles) {
+            return this.cachedFiles;
+        }
+
+        const generation = this.generation;
+
+        // Concurrent page requests share a single scan
+        if (!this.scanInProgress) {
+            this.scanInProgress = this.scanWorkspace().finally(() => {
+                this.scanInProgress = undefined;
+            });
+        }
+
+        const files = await this.scanInProgress;
+
+        // Don't cache a scan that raced with a file change
+        if (generation === this.generation) {
+            this.cachedFiles = files;
+        }
+        return files;
+    }
+
+    private async scanWorkspace(): Promise<ProjectFileEntry[]> {
+        const workspaceFolders = getWorkspaceFolders();
+        const files: ProjectFileEntry[] = [];
+
+        // Files are listed root by root, in workspace folder order
+        for (const folder of workspaceFolders) {
+            const folderFiles: ProjectFileEntry[] = [];
+            await this.walk(folder, folder.uri.fsPath, 0, folderFiles, files.length);
+
+            folderFiles.sort((a, b) => a.path.localeCompare(b.path));
+            files.push(...folderFiles);
+        }
+
+        console.log(`Project scan found ${files.length} files in ${workspaceFolders.length} workspace folders`);
+        return files;
+    }
+
+    private async walk(
+        folder: vscode.WorkspaceFolder,
+        dir: string,
+        depth: number,
+        files: ProjectFileEntry[],
+        scannedBefore: number
+    ): Promise<void> {
+        if (depth > MAX_SCAN_DEPTH || scannedBefore + files.length >= MAX_SCANNED_FILES) {
+            return;
+        }
+
+        let entries: fs.Dirent[];
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            console.warn(`Could not read directory: ${dir}`, error);
+            return;
+        }
+
+        for (const entry of entries) {
+            if (scannedBefore + files.length >= MAX_SCANNED_FILES) {
+                console.warn(`Project scan stopped at ${MAX_SCANNED_FILES} files`);
+                return;
+            }
+
+            const absolutePath = path.join(dir, entry.name);
+            const relativePath = toPosixPath(path.relative(folder.uri.fsPath, absolutePath));
+
+            // Symlinks are skipped, matching the file watcher's followSymlinks: false
+            if (entry.isDirectory()) {
+                if (
+                    !shouldIgnoreDirectory(relativePath, this.ignorePatterns) &&
+                    !shouldIgnoreDirectory(relativePath, this.denyList, true)
+                ) {
+                    await this.walk(folder, absolutePath, depth + 1, files, scannedBefore);
+                }
+            } else if (
+                entry.isFile() &&
+                !shouldIgnoreFile(relativePath, this.ignorePatterns) &&
+                !matchesAnyGlob(relativePath, this.denyList, true)
+            ) {
+                try {
+                    const stats = await fs.promises.stat(absolutePath);
+                    files.push({
+                        workspaceFolder: folder.name,
+                        path: relativePath,
+                        size: stats.size,
+                        lastModified: stats.mtimeMs,
+                        language: detectLanguage(relativePath)
+                    });
+                } catch (error) {
+                    console.warn(`Could not stat file: ${relativePath}`, error);
+                }
+            }
+        }
+    }
+
+    private getOpenFiles(): OpenFileEntry[] {
+        const openFiles: OpenFileEntry[] = [];
+        for (const document of vscode.workspace.textDocuments) {
+            const location = document.uri.scheme === 'file' ? toWorkspaceLocation(document.uri.fsPath) : undefined;
+            if (location) {
+                openFiles.push({ workspaceFolder: location.folder.name, path: location.relativePath });
+            }
+        }
+        return openFiles;
+    }
+
+    private countLanguages(files: ProjectFileEntry[]): Record<string, number> {
+        const languages: Record<string, number> = {};
+        for (const file of files) {
+            languages[file.language] = (languages[file.language] || 0) + 1;
+        }
+        return languages;
+    }
+}
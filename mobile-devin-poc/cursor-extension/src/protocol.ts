@@ -0,0 +1,61 @@
+export type BridgeErrorCode =
+    'FILE_NOT_FOUND' |
+    'PERMISSION_DENIED' |
+    'FILE_TOO_LARGE' |
+    'WORKSPACE_NOT_OPEN' |
+    'INVALID_MESSAGE' |
+    'AUTH_REQUIRED' |
+    'UNAUTHORIZED' |
+    'CONFLICT' |
+    'UNKNOWN_BASE_VERSION' |
+    'TERMINAL_NOT_FOUND' |
+    'TASK_NOT_FOUND' |
+    'GIT_ERROR' |
+    'AI_ERROR' |
+    'INTERNAL_ERROR';
+
+export interface ErrorPayload {
+    code: BridgeErrorCode;
+    message: string;
+    details?: Record<string, any>;
+}
+
+export class BridgeError extends Error {
+    constructor(
+        public readonly code: BridgeErrorCode,
+        message: string,
+        public readonly details?: Record<string, any>
+    ) {
+        super(message);
+        this.name = 'BridgeError';
+    }
+
+    toPayload(): ErrorPayload {
+        return {
+            code: this.code,
+            message: this.message,
+            details: this.details
+        };
+    }
+}
+
+export function toBridgeError(error: unknown, details?: Record<string, any>): BridgeError {
+    if (error instanceof BridgeError) {
+        return details ? new BridgeError(error.code, error.message, { ...details, ...error.details }) : error;
+    }
+
+    const message = error instanceof Error ? error.message : 'Unknown error';
+
+    // Map Node.js file system errors onto protocol error codes
+    switch ((error as NodeJS.ErrnoException)?.code) {
+        case 'ENOENT':
+            return new BridgeError('FILE_NOT_FOUND', message, details);
+        case 'EACCES':
+        case 'EPERM':
+            return new BridgeError('PERMISSION_DENIED', message, details);
+        case 'EISDIR':
+            return new BridgeError('INVALID_MESSAGE', message, details);
+        default:
+            return new BridgeError('INTERNAL_ERROR', message, details);
+    }
+}
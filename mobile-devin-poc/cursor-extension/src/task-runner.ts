@@ -0,0 +1,386 @@
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { BridgeError } from './protocol';
+import { WebSocketMessage } from './websocket-server';
+import { TerminalInfo, TerminalManager } from './terminal-manager';
+import { getWorkspaceFolders } from './workspace-folders';
+
+export type TaskKind = 'task' | 'npm' | 'launch';
+
+export interface TaskInfo {
+    taskId: string;
+    kind: TaskKind;
+    name: string;
+    workspaceFolder?: string; // undefined for tasks of the whole workspace
+    source: string; // the task provider, e.g. "Workspace" or "npm", or the file it was read from
+    group?: string; // e.g. "build" or "test"
+    detail?: string; // command line or debugger type
+    streamsOutput: boolean; // false means the task runs in Cursor and only its end is reported
+}
+
+export interface TaskRun {
+    runId: string;
+    taskId: string;
+    name: string;
+    terminal?: TerminalInfo; // set when the output streams as terminal_output
+}
+
+export type TaskSend = (ownerId: string, type: WebSocketMessage['type'], payload: any) => void;
+
+// A command line the bridge can run itself, so its output can be streamed
+interface ResolvedCommand {
+    command: string;
+    cwd: string;
+    env?: Record<string, string>;
+}
+
+interface TaskEntry {
+    info: TaskInfo;
+    folder?: vscode.WorkspaceFolder;
+    command?: ResolvedCommand;
+    task?: vscode.Task; // run by Cursor when there is no command
+    launchName?: string;
+}
+
+interface ActiveRun {
+    run: TaskRun;
+    ownerId: string;
+    execution?: vscode.TaskExecution;
+    debugSession?: vscode.DebugSession;
+    stop: () => void | Thenable<void>;
+}
+
+// Lock files that tell which package manager runs the scripts
+const PACKAGE_MANAGER_LOCK_FILES: [string, string][] = [
+    ['pnpm-lock.yaml', 'pnpm'],
+    ['yarn.lock', 'yarn'],
+    ['bun.lockb', 'bun']
+];
+
+// The project's tasks.json tasks, tasks of other providers, package.json scripts and
+// launch configurations, run on behalf of a connected client. Tasks whose command line is
+// known run as bridge terminals so their output reaches the phone; the rest run in Cursor.
+export class TaskRunner {
+    private entries: Promise<Map<string, TaskEntry>> | undefined;
+    private activeRuns: Map<string, ActiveRun> = new Map(); // by runId
+    private disposables: vscode.Disposable[] = [];
+
+    constructor(private terminals: TerminalManager, private send: TaskSend) {
+        this.disposables.push(
+            vscode.tasks.onDidEndTaskProcess((event) => {
+                const active = this.findRun(run => run.execution === event.execution);
+                if (active) {
+                    this.end(active, event.exitCode ?? null);
+                }
+            }),
+            // Tasks without a process, e.g. custom executions, only report that they ended
+            vscode.tasks.onDidEndTask((event) => {
+                const active = this.findRun(run => run.execution === event.execution);
+                if (active) {
+                    this.end(active, null);
+                }
+            }),
+            vscode.debug.onDidTerminateDebugSession((session) => {
+                const active = this.findRun(run => run.debugSession === session);
+                if (active) {
+                    this.end(active, null);
+                }
+            })
+        );
+    }
+
+    async listTasks(): Promise<TaskInfo[]> {
+        return Array.from((await this.getEntries()).values()).map(entry => entry.info);
+    }
+
+    // Called when files change; tasks.json, launch.json or package.json may be among them
+    invalidate(): void {
+        this.entries = undefined;
+    }
+
+    async run(ownerId: string, taskId: string): Promise<TaskRun> {
+        const entry = (await this.getEntries()).get(taskId);
+        if (!entry) {
+            throw new BridgeError('TASK_NOT_FOUND', 'Task does not exist, reload the task list', { taskId });
+        }
+
+        const run: TaskRun = { runId: uuidv4(), taskId, name: entry.info.name };
+        let active: ActiveRun;
+
+        if (entry.command) {
+            const folder = entry.folder || getWorkspaceFolders()[0];
+            run.terminal = this.terminals.create(ownerId, {
+                workspaceFolder: folder.name,
+                ...entry.command,
+                onExit: (exitCode, signal) => this.end(active, exitCode, signal)
+            });
+            active = { run, ownerId, stop: () => this.terminals.kill(ownerId, run.terminal!.terminalId) };
+        } else if (entry.task) {
+            const execution = await vscode.tasks.executeTask(entry.task);
+            active = { run, ownerId, execution, stop: () => execution.terminate() };
+        } else {
+            const debugSession = await startDebugging(entry.folder, entry.launchName!);
+            active = { run, ownerId, debugSession, stop: () => vscode.debug.stopDebugging(debugSession) };
+        }
+
+        this.activeRuns.set(run.runId, active);
+        console.log(`Task started: ${entry.info.name} (${entry.command ? 'streamed' : entry.info.kind})`);
+        return run;
+    }
+
+    // The end is reported with task_end
+    async stop(ownerId: string, runId: string): Promise<void> {
+        const active = this.activeRuns.get(runId);
+        if (!active || active.ownerId !== ownerId) {
+            throw new BridgeError('TASK_NOT_FOUND', 'Task is not running', { runId });
+        }
+        await active.stop();
+    }
+
+    // Streamed runs are killed with their terminal; tasks running in Cursor carry on there
+    closeAll(ownerId: string): void {
+        this.activeRuns.forEach((active, runId) => {
+            if (active.ownerId === ownerId) {
+                this.activeRuns.delete(runId);
+            }
+        });
+    }
+
+    dispose(): void {
+        this.activeRuns.clear();
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+    }
+
+    private getEntries(): Promise<Map<string, TaskEntry>> {
+        if (!this.entries) {
+            this.entries = this.loadEntries();
+            this.entries.catch(() => {
+                this.entries = undefined;
+            });
+        }
+        return this.entries;
+    }
+
+    private async loadEntries(): Promise<Map<string, TaskEntry>> {
+        const entries: Map<string, TaskEntry> = new Map();
+        const add = (entry: TaskEntry) => {
+            if (!entries.has(entry.info.taskId)) {
+                entries.set(entry.info.taskId, entry);
+            }
+        };
+        const providedScripts = new Set<string>(); // folder/script already listed by the npm extension
+
+        let tasks: vscode.Task[] = [];
+        try {
+            tasks = await vscode.tasks.fetchTasks();
+        } catch (error) {
+            console.warn('Could not fetch tasks:', error);
+        }
+
+        for (const task of tasks) {
+            const folder = typeof task.scope === 'object' ? task.scope : undefined;
+            const command = resolveCommand(task, folder);
+            const isScript = task.definition.type === 'npm' && typeof task.definition.script === 'string';
+            if (isScript && !task.definition.path) {
+                providedScripts.add(`${folder?.name}/${task.definition.script}`);
+            }
+
+            add({
+                info: {
+                    taskId: createTaskId('task', folder, task.source, task.name),
+                    kind: isScript ? 'npm' : 'task',
+                    name: task.name,
+                    workspaceFolder: folder?.name,
+                    source: task.source,
+                    group: task.group?.id,
+                    detail: task.detail || command?.command,
+                    streamsOutput: command !== undefined
+                },
+                folder,
+                command,
+                task
+            });
+        }
+
+        for (const folder of getWorkspaceFolders()) {
+            const { scripts, packageManager } = await readPackageScripts(folder);
+            for (const [script, scriptCommand] of Object.entries(scripts)) {
+                if (providedScripts.has(`${folder.name}/${script}`)) {
+                    continue;
+                }
+                add({
+                    info: {
+                        taskId: createTaskId('npm', folder, 'package.json', script),
+                        kind: 'npm',
+                        name: script,
+                        workspaceFolder: folder.name,
+                        source: 'package.json',
+                        detail: scriptCommand,
+                        streamsOutput: true
+                    },
+                    folder,
+                    command: { command: `${packageManager} run ${quoteArgument(script)}`, cwd: folder.uri.fsPath }
+                });
+            }
+
+            for (const configuration of getLaunchConfigurations(folder)) {
+                add({
+                    info: {
+                        taskId: createTaskId('launch', folder, 'launch.json', configuration.name),
+                        kind: 'launch',
+                        name: configuration.name,
+                        workspaceFolder: folder.name,
+                        source: 'launch.json',
+                        detail: configuration.type,
+                        streamsOutput: false
+                    },
+                    folder,
+                    launchName: configuration.name
+                });
+            }
+        }
+
+        return entries;
+    }
+
+    private findRun(predicate: (run: ActiveRun) => boolean): ActiveRun | undefined {
+        return Array.from(this.activeRuns.values()).find(predicate);
+    }
+
+    private end(active: ActiveRun | undefined, exitCode: number | null, signal: string | null = null): void {
+        if (!active || !this.activeRuns.delete(active.run.runId)) {
+            return;
+        }
+
+        const { runId, taskId, name } = active.run;
+        this.send(active.ownerId, 'task_end', { runId, taskId, exitCode, signal });
+        console.log(`Task ended: ${name} (${signal || `code ${exitCode}`})`);
+    }
+}
+
+// Ids stay the same across listings, so a client can run a task from an older list
+function createTaskId(kind: TaskKind, folder: vscode.WorkspaceFolder | undefined, source: string, name: string): string {
+    return [kind, folder?.name ?? '', source, name].join(':');
+}
+
+// Shell and process executions whose variables the bridge can fill in; others, e.g. tasks
+// using ${file} or ${input:...}, depend on the editor's state and run in Cursor
+function resolveCommand(task: vscode.Task, folder: vscode.WorkspaceFolder | undefined): ResolvedCommand | undefined {
+    const execution = task.execution;
+    let commandLine: string | undefined;
+    let options: vscode.ShellExecutionOptions | vscode.ProcessExecutionOptions | undefined;
+
+    if (execution instanceof vscode.ShellExecution) {
+        commandLine = execution.commandLine ?? (execution.command !== undefined
+            ? [execution.command, ...(execution.args || [])].map(quoteArgument).join(' ')
+            : undefined);
+        options = execution.options;
+    } else if (execution instanceof vscode.ProcessExecution) {
+        commandLine = [execution.process, ...execution.args].map(quoteArgument).join(' ');
+        options = execution.options;
+    }
+
+    const cwd = options?.cwd ?? folder?.uri.fsPath ?? getWorkspaceFolders()[0].uri.fsPath;
+    const values = [commandLine, cwd, ...Object.values(options?.env || {})].map(value => value && resolveVariables(value, folder));
+    if (values.some(value => value === undefined)) {
+        return undefined;
+    }
+
+    const [command, resolvedCwd, ...envValues] = values as string[];
+    const env = options?.env
+        ? Object.fromEntries(Object.keys(options.env).map((key, index) => [key, envValues[index]]))
+        : undefined;
+    return { command, cwd: path.resolve(folder?.uri.fsPath ?? '', resolvedCwd), env };
+}
+
+function resolveVariables(value: string, folder: vscode.WorkspaceFolder | undefined): string | undefined {
+    const resolved = value.replace(/\$\{(\w+)(?::([^}]*))?\}/g, (match, name: string, argument?: string) => {
+        switch (name) {
+            case 'workspaceFolder':
+            case 'workspaceRoot':
+                return argument === undefined && folder ? folder.uri.fsPath : match;
+            case 'workspaceFolderBasename':
+                return folder ? folder.name : match;
+            case 'pathSeparator':
+                return path.sep;
+            case 'env':
+                return argument !== undefined ? process.env[argument] ?? '' : match;
+            default:
+                return match;
+        }
+    });
+
+    return /\$\{[^}]*\}/.test(resolved) ? undefined : resolved;
+}
+
+function quoteArgument(argument: string | vscode.ShellQuotedString): string {
+    const value = typeof argument === 'string' ? argument : argument.value;
+    return /^[\w@%+=:,./-]+$/.test(value) ? value : `"${value.replace(/(["\\$`])/g, '\\$1')}"`;
+}
+
+// The package.json test script, unless it is npm's placeholder that only fails
+export async function detectTestCommand(folder: vscode.WorkspaceFolder): Promise<string | undefined> {
+    const { scripts, packageManager } = await readPackageScripts(folder);
+    const test = scripts.test;
+    if (typeof test !== 'string' || test.trim().length === 0 || /no test specified/.test(test)) {
+        return undefined;
+    }
+    return `${packageManager} run test`;
+}
+
+async function readPackageScripts(folder: vscode.WorkspaceFolder): Promise<{ scripts: Record<string, string>; packageManager: string }> {
+    const root = folder.uri.fsPath;
+    let scripts: Record<string, string> = {};
+
+    try {
+        const packageJson = JSON.parse(await fs.promises.readFile(path.join(root, 'package.json'), 'utf8'));
+        if (packageJson && typeof packageJson.scripts === 'object' && packageJson.scripts !== null) {
+            scripts = packageJson.scripts;
+        }
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+            console.warn(`Could not read package.json scripts of ${folder.name}:`, error);
+        }
+    }
+
+    const lockFile = PACKAGE_MANAGER_LOCK_FILES.find(([file]) => fs.existsSync(path.join(root, file)));
+    return { scripts, packageManager: lockFile ? lockFile[1] : 'npm' };
+}
+
+function getLaunchConfigurations(folder: vscode.WorkspaceFolder): vscode.DebugConfiguration[] {
+    const configurations = vscode.workspace.getConfiguration('launch', folder.uri).get<vscode.DebugConfiguration[]>('configurations');
+    return Array.isArray(configurations)
+        ? configurations.filter(configuration => typeof configuration?.name === 'string')
+        : [];
+}
+
+// Resolves with the session that startDebugging created
+function startDebugging(folder: vscode.WorkspaceFolder | undefined, name: string): Promise<vscode.DebugSession> {
+    return new Promise((resolve, reject) => {
+        let started: vscode.DebugSession | undefined;
+        const listener = vscode.debug.onDidStartDebugSession((session) => {
+            if (!started && session.configuration.name === name) {
+                started = session;
+            }
+        });
+
+        vscode.debug.startDebugging(folder, name).then(
+            (success) => {
+                listener.dispose();
+                const session = started || vscode.debug.activeDebugSession;
+                if (success && session) {
+                    resolve(session);
+                } else {
+                    reject(new BridgeError('INTERNAL_ERROR', `Could not start debugging: ${name}`));
+                }
+            },
+            (error) => {
+                listener.dispose();
+                reject(error);
+            }
+        );
+    });
+}
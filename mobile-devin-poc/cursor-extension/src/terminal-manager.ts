@@ -0,0 +1,198 @@
+import { v4 as uuidv4 } from 'uuid';
+import { BridgeError } from './protocol';
+import { WebSocketMessage } from './websocket-server';
+import { OutputStream, TerminalProcess, spawnTerminalProcess } from './terminal-process';
+
+export type TerminalSend = (ownerId: string, type: WebSocketMessage['type'], payload: any) => void;
+
+export interface TerminalCreateOptions {
+    workspaceFolder: string; // name, reported back to the client
+    cwd: string;
+    command?: string;
+    env?: Record<string, string>;
+    cols?: number;
+    rows?: number;
+    onExit?: (exitCode: number | null, signal: string | null) => void; // called after terminal_exit is sent
+}
+
+export interface TerminalInfo {
+    terminalId: string;
+    workspaceFolder: string;
+    command?: string; // undefined for an interactive shell
+    pid?: number;
+    pty: boolean; // false means stdout and stderr are separate pipes and resize has no effect
+    cols: number;
+    rows: number;
+}
+
+interface Terminal extends TerminalInfo {
+    ownerId: string;
+    process: TerminalProcess;
+    onExit?: (exitCode: number | null, signal: string | null) => void;
+    pending: { stream: OutputStream; data: string }[]; // output waiting for the next flush
+    flushTimer?: NodeJS.Timeout;
+    unacknowledged: number; // characters sent that the client has not acknowledged yet
+    paused: boolean;
+}
+
+const DEFAULT_COLS = 80;
+const DEFAULT_ROWS = 24;
+const FLUSH_DELAY_MS = 10; // output produced within this window goes out as one message
+const MAX_CHUNK_LENGTH = 64 * 1024;
+// The process is paused while this much output is unacknowledged, so a slow phone or link
+// holds back a chatty build instead of the bridge buffering it without limit
+const HIGH_WATERMARK = 512 * 1024;
+const LOW_WATERMARK = 64 * 1024;
+
+// Shells and commands run in the workspace on behalf of a connected client. A terminal
+// belongs to the socket that created it and is killed when that socket closes.
+export class TerminalManager {
+    private terminals: Map<string, Terminal> = new Map();
+
+    constructor(private send: TerminalSend) {}
+
+    create(ownerId: string, options: TerminalCreateOptions): TerminalInfo {
+        const cols = options.cols ?? DEFAULT_COLS;
+        const rows = options.rows ?? DEFAULT_ROWS;
+        const proc = spawnTerminalProcess({ cwd: options.cwd, command: options.command, env: options.env, cols, rows });
+
+        const terminal: Terminal = {
+            terminalId: uuidv4(),
+            workspaceFolder: options.workspaceFolder,
+            command: options.command,
+            pid: proc.pid,
+            pty: proc.isPty,
+            cols,
+            rows,
+            ownerId,
+            process: proc,
+            onExit: options.onExit,
+            pending: [],
+            unacknowledged: 0,
+            paused: false
+        };
+        this.terminals.set(terminal.terminalId, terminal);
+
+        proc.onData((data, stream) => this.handleData(terminal, stream, data));
+        proc.onExit((exitCode, signal) => this.handleExit(terminal, exitCode, signal));
+
+        console.log(`Terminal started: ${options.command || 'shell'} in ${options.workspaceFolder} (pid ${proc.pid})`);
+        return toInfo(terminal);
+    }
+
+    write(ownerId: string, terminalId: string, data: string): void {
+        this.getTerminal(ownerId, terminalId).process.write(data);
+    }
+
+    resize(ownerId: string, terminalId: string, cols: number, rows: number): void {
+        const terminal = this.getTerminal(ownerId, terminalId);
+        if (terminal.cols !== cols || terminal.rows !== rows) {
+            terminal.cols = cols;
+            terminal.rows = rows;
+            terminal.process.resize(cols, rows);
+        }
+    }
+
+    // The client reports how much output it has rendered
+    acknowledge(ownerId: string, terminalId: string, length: number): void {
+        const terminal = this.getTerminal(ownerId, terminalId);
+        terminal.unacknowledged = Math.max(0, terminal.unacknowledged - length);
+
+        if (terminal.paused && terminal.unacknowledged <= LOW_WATERMARK) {
+            terminal.paused = false;
+            terminal.process.resume();
+        }
+    }
+
+    // The exit is reported with terminal_exit once the process has ended
+    kill(ownerId: string, terminalId: string, signal?: NodeJS.Signals): void {
+        const terminal = this.getTerminal(ownerId, terminalId);
+        // A paused process cannot finish writing and would never exit
+        terminal.process.resume();
+        terminal.process.kill(signal ?? 'SIGTERM');
+    }
+
+    closeAll(ownerId: string): void {
+        this.terminals.forEach(terminal => {
+            if (terminal.ownerId === ownerId) {
+                this.close(terminal);
+            }
+        });
+    }
+
+    dispose(): void {
+        this.terminals.forEach(terminal => this.close(terminal));
+    }
+
+    private getTerminal(ownerId: string, terminalId: string): Terminal {
+        const terminal = this.terminals.get(terminalId);
+        if (!terminal || terminal.ownerId !== ownerId) {
+            throw new BridgeError('TERMINAL_NOT_FOUND', 'Terminal does not exist or has exited', { terminalId });
+        }
+        return terminal;
+    }
+
+    // Like closing a terminal window; nobody is left to receive the output
+    private close(terminal: Terminal): void {
+        clearTimeout(terminal.flushTimer);
+        this.terminals.delete(terminal.terminalId);
+        terminal.process.resume();
+        terminal.process.kill('SIGHUP');
+    }
+
+    private handleData(terminal: Terminal, stream: OutputStream, data: string): void {
+        if (!this.terminals.has(terminal.terminalId)) {
+            return;
+        }
+
+        const last = terminal.pending[terminal.pending.length - 1];
+        if (last && last.stream === stream) {
+            last.data += data;
+        } else {
+            terminal.pending.push({ stream, data });
+        }
+
+        terminal.unacknowledged += data.length;
+        if (!terminal.paused && terminal.unacknowledged >= HIGH_WATERMARK) {
+            terminal.paused = true;
+            terminal.process.pause();
+        }
+
+        if (!terminal.flushTimer) {
+            terminal.flushTimer = setTimeout(() => this.flush(terminal), FLUSH_DELAY_MS);
+        }
+    }
+
+    private flush(terminal: Terminal): void {
+        clearTimeout(terminal.flushTimer);
+        terminal.flushTimer = undefined;
+
+        for (const { stream, data } of terminal.pending) {
+            for (let offset = 0; offset < data.length; offset += MAX_CHUNK_LENGTH) {
+                this.send(terminal.ownerId, 'terminal_output', {
+                    terminalId: terminal.terminalId,
+                    stream,
+                    data: data.slice(offset, offset + MAX_CHUNK_LENGTH)
+                });
+            }
+        }
+        terminal.pending = [];
+    }
+
+    private handleExit(terminal: Terminal, exitCode: number | null, signal: string | null): void {
+        if (!this.terminals.delete(terminal.terminalId)) {
+            return;
+        }
+
+        // Output produced right before exiting still arrives before the exit
+        this.flush(terminal);
+        this.send(terminal.ownerId, 'terminal_exit', { terminalId: terminal.terminalId, exitCode, signal });
+        console.log(`Terminal exited: ${terminal.command || 'shell'} (${signal || `code ${exitCode}`})`);
+        terminal.onExit?.(exitCode, signal);
+    }
+}
+
+function toInfo(terminal: Terminal): TerminalInfo {
+    const { terminalId, workspaceFolder, command, pid, pty, cols, rows } = terminal;
+    return { terminalId, workspaceFolder, command, pid, pty, cols, rows };
+}
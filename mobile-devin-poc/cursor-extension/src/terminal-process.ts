@@ -0,0 +1,205 @@
+import * as childProcess from 'child_process';
+import * as os from 'os';
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { BridgeError } from './protocol';
+
+export type OutputStream = 'stdout' | 'stderr';
+
+export interface TerminalSpawnOptions {
+    cwd: string;
+    command?: string; // run through the shell; an interactive shell when omitted
+    env?: Record<string, string>; // added to the environment of the editor
+    cols: number;
+    rows: number;
+}
+
+// A shell or command started for a terminal, behind a pseudo-terminal when node-pty can be
+// loaded and on plain pipes otherwise
+export interface TerminalProcess {
+    readonly pid: number | undefined;
+    readonly isPty: boolean;
+    onData(listener: (data: string, stream: OutputStream) => void): void;
+    onExit(listener: (exitCode: number | null, signal: string | null) => void): void;
+    write(data: string): void;
+    resize(cols: number, rows: number): void;
+    pause(): void;
+    resume(): void;
+    kill(signal?: NodeJS.Signals): void;
+}
+
+// The part of node-pty used here
+interface PtyModule {
+    spawn(file: string, args: string[], options: {
+        name: string;
+        cols: number;
+        rows: number;
+        cwd: string;
+        env: NodeJS.ProcessEnv;
+    }): Pty;
+}
+
+interface Pty {
+    readonly pid: number;
+    onData(listener: (data: string) => void): unknown;
+    onExit(listener: (event: { exitCode: number; signal?: number }) => void): unknown;
+    write(data: string): void;
+    resize(cols: number, rows: number): void;
+    pause(): void;
+    resume(): void;
+    kill(signal?: string): void;
+}
+
+let ptyModule: PtyModule | null | undefined;
+
+export function spawnTerminalProcess(options: TerminalSpawnOptions): TerminalProcess {
+    const pty = loadPty();
+    return pty ? spawnPty(pty, options) : spawnPipes(options);
+}
+
+// node-pty is a native module, so it is not a dependency of the extension. It is used when
+// installed next to it or from the copy that ships with the editor.
+function loadPty(): PtyModule | null {
+    if (ptyModule === undefined) {
+        ptyModule = null;
+        const candidates = [
+            'node-pty',
+            path.join(vscode.env.appRoot, 'node_modules.asar', 'node-pty'),
+            path.join(vscode.env.appRoot, 'node_modules', 'node-pty')
+        ];
+
+        for (const candidate of candidates) {
+            try {
+                ptyModule = require(candidate) as PtyModule;
+                break;
+            } catch {
+                // Not available here, try the next location
+            }
+        }
+
+        console.log(ptyModule ? 'Terminals use node-pty' : 'node-pty not found, terminals use pipes');
+    }
+
+    return ptyModule;
+}
+
+function spawnPty(pty: PtyModule, options: TerminalSpawnOptions): TerminalProcess {
+    const proc = pty.spawn(getShell(), getShellArgs(options.command), {
+        name: 'xterm-256color',
+        cols: options.cols,
+        rows: options.rows,
+        cwd: options.cwd,
+        env: { ...process.env, ...options.env, TERM: 'xterm-256color' }
+    });
+
+    return {
+        pid: proc.pid,
+        isPty: true,
+        onData: (listener) => {
+            proc.onData(data => listener(data, 'stdout'));
+        },
+        onExit: (listener) => {
+            proc.onExit(({ exitCode, signal }) => listener(exitCode, signal ? getSignalName(signal) : null));
+        },
+        write: (data) => proc.write(data),
+        resize: (cols, rows) => proc.resize(cols, rows),
+        pause: () => proc.pause(),
+        resume: () => proc.resume(),
+        // Windows has no signals; the process is always terminated
+        kill: (signal) => proc.kill(process.platform === 'win32' ? undefined : signal)
+    };
+}
+
+function spawnPipes(options: TerminalSpawnOptions): TerminalProcess {
+    // Its own process group, so killing it also stops whatever the shell started
+    const detached = process.platform !== 'win32';
+    const child = childProcess.spawn(getShell(), getShellArgs(options.command), {
+        cwd: options.cwd,
+        env: {
+            ...process.env,
+            ...options.env,
+            TERM: 'xterm-256color',
+            // Tools disable colors when they are not writing to a terminal
+            FORCE_COLOR: '1',
+            COLUMNS: String(options.cols),
+            LINES: String(options.rows)
+        },
+        detached,
+        windowsHide: true
+    });
+
+    child.on('error', (error) => {
+        console.error('Terminal process error:', error);
+    });
+
+    if (child.pid === undefined) {
+        throw new BridgeError('INTERNAL_ERROR', `Failed to start ${getShell()}`);
+    }
+
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    // Input written after the process exited fails with EPIPE, which is not worth reporting
+    child.stdin.on('error', () => undefined);
+
+    const kill = (signal: NodeJS.Signals = 'SIGTERM') => {
+        try {
+            if (detached) {
+                process.kill(-child.pid!, signal);
+            } else {
+                child.kill(signal);
+            }
+        } catch {
+            // Already exited
+        }
+    };
+
+    return {
+        pid: child.pid,
+        isPty: false,
+        onData: (listener) => {
+            child.stdout.on('data', (data: string) => listener(data, 'stdout'));
+            child.stderr.on('data', (data: string) => listener(data, 'stderr'));
+        },
+        onExit: (listener) => {
+            child.on('close', (exitCode, signal) => listener(exitCode, signal));
+        },
+        // Without a terminal nothing translates keystrokes: Enter arrives as \r and Ctrl+C
+        // as a byte no program interprets
+        write: (data) => {
+            if (data === '\x03') {
+                kill('SIGINT');
+                return;
+            }
+            child.stdin.write(data.replace(/\r\n?/g, '\n'));
+        },
+        // Pipes have no window size; COLUMNS and LINES were set when the process started
+        resize: () => undefined,
+        pause: () => {
+            child.stdout.pause();
+            child.stderr.pause();
+        },
+        resume: () => {
+            child.stdout.resume();
+            child.stderr.resume();
+        },
+        kill
+    };
+}
+
+function getShell(): string {
+    return process.platform === 'win32'
+        ? process.env.COMSPEC || 'cmd.exe'
+        : process.env.SHELL || '/bin/sh';
+}
+
+function getShellArgs(command: string | undefined): string[] {
+    if (command === undefined) {
+        return [];
+    }
+    return process.platform === 'win32' ? ['/d', '/s', '/c', command] : ['-c', command];
+}
+
+function getSignalName(signal: number): string {
+    const entry = Object.entries(os.constants.signals).find(([, value]) => value === signal);
+    return entry ? entry[0] : String(signal);
+}
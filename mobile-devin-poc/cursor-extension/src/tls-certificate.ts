@@ -0,0 +1,70 @@
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as selfsigned from 'selfsigned';
+import { getLanAddresses } from './pairing';
+
+export interface TlsCredentials {
+    cert: string;
+    key: string;
+    fingerprint: string; // SHA-256, colon-separated hex as reported by Node.js
+}
+
+const CERT_FILE = 'bridge-cert.pem';
+const KEY_FILE = 'bridge-key.pem';
+const CERT_VALIDITY_DAYS = 825;
+const RENEW_BEFORE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+export async function loadOrCreateCertificate(storageDir: string): Promise<TlsCredentials> {
+    const certPath = path.join(storageDir, CERT_FILE);
+    const keyPath = path.join(storageDir, KEY_FILE);
+
+    try {
+        const cert = await fs.promises.readFile(certPath, 'utf8');
+        const key = await fs.promises.readFile(keyPath, 'utf8');
+        const certificate = new crypto.X509Certificate(cert);
+
+        if (new Date(certificate.validTo).getTime() - Date.now() > RENEW_BEFORE_MS) {
+            return { cert, key, fingerprint: certificate.fingerprint256 };
+        }
+        console.log('Bridge certificate is about to expire, generating a new one');
+
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+            console.warn('Could not load bridge certificate, generating a new one:', error);
+        }
+    }
+
+    return createCertificate(certPath, keyPath);
+}
+
+async function createCertificate(certPath: string, keyPath: string): Promise<TlsCredentials> {
+    const altNames = [
+        { type: 2, value: 'localhost' }, // DNS
+        { type: 2, value: os.hostname() },
+        { type: 7, ip: '127.0.0.1' }, // IP
+        ...getLanAddresses().map(ip => ({ type: 7, ip }))
+    ];
+
+    const generated = selfsigned.generate([{ name: 'commonName', value: 'Mobile Devin Bridge' }], {
+        days: CERT_VALIDITY_DAYS,
+        keySize: 2048,
+        algorithm: 'sha256',
+        extensions: [
+            { name: 'basicConstraints', cA: false },
+            { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+            { name: 'extKeyUsage', serverAuth: true },
+            { name: 'subjectAltName', altNames }
+        ]
+    });
+
+    await fs.promises.mkdir(path.dirname(certPath), { recursive: true });
+    await fs.promises.writeFile(certPath, generated.cert, 'utf8');
+    await fs.promises.writeFile(keyPath, generated.private, { encoding: 'utf8', mode: 0o600 });
+
+    const fingerprint = new crypto.X509Certificate(generated.cert).fingerprint256;
+    console.log(`Generated bridge certificate ${fingerprint}`);
+
+    return { cert: generated.cert, key: generated.private, fingerprint };
+}
@@ -1,31 +1,195 @@
 import WebSocket from 'ws';
 import * as vscode from 'vscode';
 import * as fs from 'fs';
+import * as https from 'https';
 import * as path from 'path';
 import { v4 as uuidv4 } from 'uuid';
+import { ProjectInfoProvider } from './project-info';
+import { BridgeError, toBridgeError } from './protocol';
+import { DEFAULT_IGNORE_PATTERNS, MAX_FILE_SIZE, toPosixPath } from './file-filters';
+import { DEFAULT_DENY_LIST, WorkspaceSandbox } from './workspace-sandbox';
+import { AuthChallenge, PairedDevice, PairingManager } from './pairing';
+import { TlsCredentials } from './tls-certificate';
+import { findWorkspaceFolder } from './workspace-folders';
+import { FileSnapshot, FileVersion, createVersion, isFileVersion, isSameVersion, readSnapshot } from './file-version';
+import { ContentCache } from './content-cache';
+import { TextEdit, applyPatch, createPatch, isOperation, isTextEdit, mergeText } from '@mobile-devin/shared';
+import { CollabManager, CollabSelection } from './collab-manager';
+import { EventLog, ResumePoint } from './event-log';
+import { TerminalManager } from './terminal-manager';
+import { TaskRunner, detectTestCommand } from './task-runner';
+import { DiagnosticsTracker, FileDiagnostics } from './diagnostics-tracker';
+import { LanguageProxy, LanguageRequest } from './language-proxy';
+import { MAX_SEARCH_QUERY_LENGTH, SearchQuery, WorkspaceSearch } from './workspace-search';
+import { GitRepository, GitService } from './git-service';
+import { AIChat, ChatFileContext, ChatRequest, MAX_CHAT_MESSAGES, MAX_CHAT_MESSAGE_LENGTH } from './ai-chat';
+import { AIChanges, AcceptedChange, ChangeContextFile, ChangeTarget, MAX_CHANGE_FILES } from './ai-changes';
+import { AIAgent, DEFAULT_AGENT_TOKENS, DEFAULT_AGENT_TURNS, MAX_AGENT_TURNS } from './ai-agent';
+import { ContextIndex, DEFAULT_CONTEXT_TOKENS, FindContext } from './context-index';
+import { AIClient } from '@mobile-devin/ai-client';
+
+// Edits against a version the receiver is expected to hold
+export interface FileDelta {
+    baseVersion: FileVersion;
+    edits: TextEdit[];
+}
 
 export interface FileChangeEvent {
     type: 'file_changed' | 'file_created' | 'file_deleted';
+    workspaceFolder: string; // name of the workspace folder filePath is relative to
     filePath: string;
     content?: string;
+    delta?: FileDelta; // sent instead of content when it is smaller
+    version?: FileVersion; // set whenever content or delta is
     timestamp: number;
     source: 'cursor' | 'mobile';
+    seq?: number; // position in the event log, set when broadcast
 }
 
 export interface WebSocketMessage {
     id: string;
-    type: 'file_update' | 'file_request' | 'file_response' | 'file_change' | 'ping' | 'pong';
+    type: 'file_update' | 'file_delta' | 'file_update_response' | 'file_request' | 'file_response' | 'file_change' |
+        'project_info_request' | 'project_info_response' | 'pair_request' | 'pair_response' |
+        'auth_request' | 'auth_challenge' | 'auth_proof' | 'auth_response' | 'ping' | 'pong' | 'error' |
+        'collab_join' | 'collab_join_response' | 'collab_leave' | 'collab_leave_response' | 'collab_operation' |
+        'collab_ack' | 'collab_selection' | 'collab_presence' | 'collab_save' | 'collab_save_response' | 'collab_closed' |
+        'terminal_create' | 'terminal_create_response' | 'terminal_input' | 'terminal_resize' | 'terminal_ack' |
+        'terminal_output' | 'terminal_exit' | 'terminal_kill' | 'terminal_kill_response' |
+        'task_run' | 'task_run_response' | 'task_stop' | 'task_stop_response' | 'task_end' |
+        'diagnostics_request' | 'diagnostics_response' | 'diagnostics_change' |
+        'completion_request' | 'completion_response' | 'hover_request' | 'hover_response' |
+        'definition_request' | 'definition_response' |
+        'search_start' | 'search_start_response' | 'search_results' | 'search_end' | 'search_cancel' | 'search_cancel_response' |
+        'git_status' | 'git_status_response' | 'git_diff' | 'git_diff_response' | 'git_stage' | 'git_stage_response' |
+        'git_unstage' | 'git_unstage_response' | 'git_commit' | 'git_commit_response' | 'git_branches' | 'git_branches_response' |
+        'git_checkout' | 'git_checkout_response' | 'git_pull' | 'git_pull_response' | 'git_push' | 'git_push_response' |
+        'ai_chat' | 'ai_chat_response' | 'ai_chat_delta' | 'ai_chat_end' | 'ai_chat_cancel' | 'ai_chat_cancel_response' |
+        'ai_change_request' | 'ai_change_request_response' | 'ai_change_apply' | 'ai_change_apply_response' |
+        'agent_start' | 'agent_start_response' | 'agent_step' | 'agent_end' | 'agent_pause' | 'agent_pause_response' |
+        'agent_resume' | 'agent_resume_response' | 'agent_cancel' | 'agent_cancel_response';
+    replyTo?: string; // id of the request this message answers
     payload: any;
     timestamp: number;
 }
 
+export interface WebSocketBridgeOptions {
+    pairing: PairingManager;
+    denyList?: string[];
+    tls?: TlsCredentials; // serve wss:// with this certificate
+    enableTerminal?: boolean; // let clients run shells and commands in the workspace
+    enableTasks?: boolean; // let clients run the workspace's tasks, scripts and launch configurations
+    createAIClient?: () => Promise<AIClient>; // AI chat, changes and the agent are disabled without one
+    enableAgent?: boolean; // let clients start an agent that edits files and runs the tests on its own
+    agentTestCommand?: string; // the agent's test command; the package.json test script when unset
+    contextTokens?: number; // related project code added to AI prompts; 0 leaves the project unindexed
+}
+
+interface FileTarget {
+    workspaceFolder: vscode.WorkspaceFolder;
+    filePath: string;
+    fullPath: string;
+}
+
+interface ClientSession {
+    id: string; // identifies the client as a collaborator
+    device?: PairedDevice;
+    authTimeout?: NodeJS.Timeout;
+    challenge?: AuthChallenge; // sent in auth_challenge, answered by auth_proof
+}
+
+const AUTH_TIMEOUT_MS = 10000; // 10 seconds
+const HANDSHAKE_MESSAGES = ['pair_request', 'auth_request', 'auth_proof'];
+const CLOSE_UNAUTHORIZED = 4401;
+const CLOSE_REVOKED = 4403;
+const MAX_TERMINAL_SIZE = 1000; // columns or rows
+const TERMINAL_SIGNALS: NodeJS.Signals[] = ['SIGINT', 'SIGTERM', 'SIGKILL', 'SIGHUP'];
+
 export class WebSocketBridge {
     private server: WebSocket.Server | undefined;
-    private clients: Set<WebSocket.WebSocket> = new Set();
+    private httpsServer: https.Server | undefined;
+    private clients: Set<WebSocket.WebSocket> = new Set(); // authenticated sockets only
+    private sessions: Map<WebSocket.WebSocket, ClientSession> = new Map();
+    private fileLocks: Map<string, Promise<void>> = new Map();
+    private contentCache = new ContentCache();
+    private fileVersions: Map<string, FileVersion> = new Map(); // last version sent or written, per file
     private isServerRunning = false;
     private connectionChangeCallback: ((clientCount: number) => void) | undefined;
+    private sandbox: WorkspaceSandbox;
+    private projectInfoProvider: ProjectInfoProvider;
+    private pairing: PairingManager;
+    private tls: TlsCredentials | undefined;
+    private collab: CollabManager;
+    private eventLog = new EventLog<FileChangeEvent>();
+    private terminals: TerminalManager;
+    private enableTerminal: boolean;
+    private tasks: TaskRunner;
+    private enableTasks: boolean;
+    private diagnostics: DiagnosticsTracker;
+    private language: LanguageProxy;
+    private search: WorkspaceSearch;
+    private git = new GitService();
+    private chat: AIChat | undefined;
+    private changes: AIChanges | undefined;
+    private agent: AIAgent | undefined;
+    private agentTestCommand: string | undefined;
+    private contextIndex: ContextIndex | undefined;
 
-    constructor(private port: number) {}
+    constructor(private port: number, options: WebSocketBridgeOptions) {
+        this.pairing = options.pairing;
+        this.tls = options.tls;
+        this.enableTerminal = options.enableTerminal ?? true;
+        this.enableTasks = options.enableTasks ?? true;
+        this.sandbox = new WorkspaceSandbox(options.denyList || DEFAULT_DENY_LIST);
+        // Denied files are hidden from the file tree as well as blocked
+        this.projectInfoProvider = new ProjectInfoProvider(DEFAULT_IGNORE_PATTERNS, this.sandbox.getDenyList());
+        this.collab = new CollabManager((participantId, type, payload) => this.sendToParticipant(participantId, type, payload));
+        this.terminals = new TerminalManager((ownerId, type, payload) => this.sendToParticipant(ownerId, type, payload));
+        this.tasks = new TaskRunner(this.terminals, (ownerId, type, payload) => this.sendToParticipant(ownerId, type, payload));
+        this.diagnostics = new DiagnosticsTracker(
+            filePath => this.sandbox.isDenied(filePath),
+            files => this.broadcastDiagnostics(files)
+        );
+        this.language = new LanguageProxy(filePath => this.sandbox.isDenied(filePath));
+        this.search = new WorkspaceSearch(
+            () => this.projectInfoProvider.getFiles(),
+            (ownerId, type, payload) => this.sendToParticipant(ownerId, type, payload)
+        );
+        if (options.createAIClient) {
+            const contextTokens = options.contextTokens ?? DEFAULT_CONTEXT_TOKENS;
+            let findContext: FindContext | undefined;
+            if (contextTokens > 0) {
+                const contextIndex = new ContextIndex(() => this.projectInfoProvider.getFiles());
+                this.contextIndex = contextIndex;
+                // A request goes ahead without context rather than failing
+                findContext = (text, contextOptions) => contextIndex.search(text, contextTokens, contextOptions).catch(error => {
+                    console.warn('Could not find related code:', error);
+                    return [];
+                });
+            }
+            this.chat = new AIChat(
+                options.createAIClient,
+                (ownerId, type, payload) => this.sendToParticipant(ownerId, type, payload),
+                findContext
+            );
+            const resolveTarget = async (workspaceFolder: string, filePath: string): Promise<ChangeTarget> => {
+                const target = await this.resolveFileTarget({ payload: { workspaceFolder, filePath } } as WebSocketMessage);
+                return { workspaceFolder: target.workspaceFolder.name, filePath: target.filePath, fullPath: target.fullPath };
+            };
+            this.changes = new AIChanges(options.createAIClient, resolveTarget, findContext);
+            if (options.enableAgent ?? true) {
+                this.agent = new AIAgent(
+                    options.createAIClient,
+                    this.changes,
+                    resolveTarget,
+                    () => this.projectInfoProvider.getFiles(),
+                    folder => detectTestCommand(folder),
+                    (ownerId, type, payload) => this.sendToParticipant(ownerId, type, payload),
+                    findContext
+                );
+                this.agentTestCommand = options.agentTestCommand || undefined;
+            }
+        }
+    }
 
     async start(): Promise<void> {
         if (this.isServerRunning) {
@@ -33,11 +197,34 @@ export class WebSocketBridge {
         }
 
         return new Promise((resolve, reject) => {
-            this.server = new WebSocket.Server({ port: this.port }, () => {
+            const onListening = () => {
                 this.isServerRunning = true;
-                console.log(`Mobile Devin WebSocket server started on port ${this.port}`);
+                console.log(`Mobile Devin WebSocket server started on port ${this.port} (${this.getScheme()})`);
                 resolve();
-            });
+            };
+
+            if (this.tls) {
+                const tls = this.tls;
+                this.httpsServer = https.createServer({ cert: tls.cert, key: tls.key }, (request, response) => {
+                    // React Native cannot pin a WebSocket certificate, so the app fetches it here over an
+                    // unverified connection and only trusts it if it matches the fingerprint in the QR code
+                    if (request.method === 'GET' && request.url === '/certificate') {
+                        response.writeHead(200, { 'Content-Type': 'application/x-pem-file', 'Content-Length': Buffer.byteLength(tls.cert) });
+                        response.end(tls.cert);
+                        return;
+                    }
+                    response.writeHead(426, { 'Content-Type': 'text/plain', Upgrade: 'websocket' });
+                    response.end('WebSocket connections only');
+                });
+                this.httpsServer.on('error', (error) => {
+                    console.error('HTTPS server error:', error);
+                    reject(error);
+                });
+                this.server = new WebSocket.Server({ server: this.httpsServer });
+                this.httpsServer.listen(this.port, onListening);
+            } else {
+                this.server = new WebSocket.Server({ port: this.port }, onListening);
+            }
 
             this.server.on('error', (error) => {
                 console.error('WebSocket server error:', error);
@@ -56,18 +243,36 @@ export class WebSocketBridge {
         }
 
         return new Promise((resolve) => {
-                    this.clients.forEach(client => {
-            if (client.readyState === WebSocket.WebSocket.OPEN) {
+            this.sessions.forEach((session, client) => {
+                clearTimeout(session.authTimeout);
+                if (client.readyState === WebSocket.WebSocket.OPEN) {
                     client.close();
                 }
             });
             
             this.clients.clear();
+            this.sessions.clear();
+            this.collab.dispose();
+            this.tasks.dispose();
+            this.terminals.dispose();
+            this.diagnostics.dispose();
+            this.search.dispose();
+            this.chat?.dispose();
+            this.agent?.dispose();
             
             this.server!.close(() => {
-                this.isServerRunning = false;
-                console.log('Mobile Devin WebSocket server stopped');
-                resolve();
+                const finish = () => {
+                    this.isServerRunning = false;
+                    console.log('Mobile Devin WebSocket server stopped');
+                    resolve();
+                };
+
+                if (this.httpsServer) {
+                    this.httpsServer.close(() => finish());
+                    this.httpsServer = undefined;
+                } else {
+                    finish();
+                }
             });
         });
     }
@@ -76,6 +281,14 @@ export class WebSocketBridge {
         return this.isServerRunning;
     }
 
+    getScheme(): 'ws' | 'wss' {
+        return this.tls ? 'wss' : 'ws';
+    }
+
+    getCertificateFingerprint(): string | undefined {
+        return this.tls?.fingerprint;
+    }
+
     getConnectedClients(): number {
         return this.clients.size;
     }
@@ -84,30 +297,45 @@ export class WebSocketBridge {
         this.connectionChangeCallback = callback;
     }
 
+    invalidateProjectInfo(): void {
+        this.projectInfoProvider.invalidate();
+        this.tasks.invalidate();
+    }
+
     broadcastFileChange(change: FileChangeEvent): void {
-        const message: WebSocketMessage = {
-            id: uuidv4(),
-            type: 'file_change',
-            payload: change,
-            timestamp: Date.now()
-        };
+        this.projectInfoProvider.invalidate();
+        this.tasks.invalidate();
 
-        this.broadcast(message);
+        // Never push the content of deny-listed files such as .env to the phone
+        if (this.sandbox.isDenied(change.filePath)) {
+            return;
+        }
+        this.contextIndex?.update(change);
+
+        const previousVersion = this.trackVersion(change.workspaceFolder, change.filePath, change.content, change.version);
+        this.publishFileChange(this.withDelta(change, previousVersion));
+    }
+
+    disconnectDevice(deviceId: string): void {
+        this.sessions.forEach((session, client) => {
+            if (session.device?.id === deviceId) {
+                client.close(CLOSE_REVOKED, 'Device revoked');
+            }
+        });
     }
 
     private handleNewConnection(ws: WebSocket.WebSocket, request: any): void {
         console.log('New mobile client connected:', request.socket.remoteAddress);
-        
-        this.clients.add(ws);
-        this.notifyConnectionChange();
 
-        // Send welcome message
-        this.sendMessage(ws, {
+        // Sockets must pair or authenticate before anything else is processed
+        const session: ClientSession = {
             id: uuidv4(),
-            type: 'ping',
-            payload: { message: 'Welcome to Mobile Devin Bridge' },
-            timestamp: Date.now()
-        });
+            authTimeout: setTimeout(() => {
+                console.warn('Closing unauthenticated client after timeout');
+                ws.close(CLOSE_UNAUTHORIZED, 'Authentication timeout');
+            }, AUTH_TIMEOUT_MS)
+        };
+        this.sessions.set(ws, session);
 
         ws.on('message', (data) => {
             this.handleMessage(ws, data);
@@ -115,132 +343,1076 @@ export class WebSocketBridge {
 
         ws.on('close', () => {
             console.log('Mobile client disconnected');
-            this.clients.delete(ws);
-            this.notifyConnectionChange();
+            this.removeClient(ws);
         });
 
         ws.on('error', (error) => {
             console.error('WebSocket client error:', error);
-            this.clients.delete(ws);
+            this.removeClient(ws);
+        });
+    }
+
+    private removeClient(ws: WebSocket.WebSocket): void {
+        const session = this.sessions.get(ws);
+        clearTimeout(session?.authTimeout);
+        this.sessions.delete(ws);
+
+        if (session) {
+            this.collab.leaveAll(session.id);
+            this.tasks.closeAll(session.id);
+            this.terminals.closeAll(session.id);
+            this.search.closeAll(session.id);
+            this.chat?.closeAll(session.id);
+            this.agent?.closeAll(session.id);
+        }
+
+        if (this.clients.delete(ws)) {
             this.notifyConnectionChange();
+        }
+    }
+
+    // Replayed events are sent right after the welcome message and before any later
+    // broadcast, so the client sees changes in log order
+    private authenticateClient(ws: WebSocket.WebSocket, device: PairedDevice, missedEvents: FileChangeEvent[] = []): void {
+        const session = this.sessions.get(ws);
+        if (!session) {
+            return;
+        }
+
+        clearTimeout(session.authTimeout);
+        session.authTimeout = undefined;
+        session.device = device;
+
+        this.clients.add(ws);
+        this.notifyConnectionChange();
+        console.log(`Mobile client authenticated: ${device.name} (${device.id})`);
+
+        // Send welcome message
+        this.sendMessage(ws, {
+            id: uuidv4(),
+            type: 'ping',
+            payload: { message: 'Welcome to Mobile Devin Bridge' },
+            timestamp: Date.now()
         });
+
+        for (const payload of missedEvents) {
+            this.sendMessage(ws, { id: uuidv4(), type: 'file_change', payload, timestamp: Date.now() });
+        }
     }
 
     private handleMessage(ws: WebSocket.WebSocket, data: WebSocket.Data): void {
+        let message: WebSocketMessage;
+
         try {
-            const message: WebSocketMessage = JSON.parse(data.toString());
-            
-            switch (message.type) {
-                case 'file_request':
-                    this.handleFileRequest(ws, message);
-                    break;
-                case 'file_update':
-                    this.handleFileUpdate(ws, message);
-                    break;
-                case 'ping':
-                    this.handlePing(ws, message);
-                    break;
-                default:
-                    console.warn('Unknown message type:', message.type);
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            console.error('Error parsing message:', error);
+            this.sendError(ws, undefined, new BridgeError('INVALID_MESSAGE', 'Message is not valid JSON'));
+            return;
+        }
+
+        if (!message || typeof message.id !== 'string' || typeof message.type !== 'string') {
+            this.sendError(ws, undefined, new BridgeError('INVALID_MESSAGE', 'Message must have a string id and type'));
+            return;
+        }
+
+        if (!this.sessions.get(ws)?.device && !HANDSHAKE_MESSAGES.includes(message.type)) {
+            this.sendError(ws, message, new BridgeError('AUTH_REQUIRED', 'Authenticate before sending other messages'));
+            ws.close(CLOSE_UNAUTHORIZED, 'Authentication required');
+            return;
+        }
+
+        this.dispatchMessage(ws, message).catch((error) => {
+            console.error(`Error handling ${message.type}:`, error);
+            this.sendError(ws, message, error);
+        });
+    }
+
+    private async dispatchMessage(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        switch (message.type) {
+            case 'pair_request':
+                await this.handlePairRequest(ws, message);
+                break;
+            case 'auth_request':
+                this.handleAuthRequest(ws, message);
+                break;
+            case 'auth_proof':
+                await this.handleAuthProof(ws, message);
+                break;
+            case 'file_request':
+                await this.handleFileRequest(ws, message);
+                break;
+            case 'file_update':
+                await this.handleFileUpdate(ws, message);
+                break;
+            case 'file_delta':
+                await this.handleFileDelta(ws, message);
+                break;
+            case 'project_info_request':
+                await this.handleProjectInfoRequest(ws, message);
+                break;
+            case 'collab_join':
+                await this.handleCollabJoin(ws, message);
+                break;
+            case 'collab_leave':
+                await this.handleCollabLeave(ws, message);
+                break;
+            case 'collab_operation':
+                await this.handleCollabOperation(ws, message);
+                break;
+            case 'collab_selection':
+                await this.handleCollabSelection(ws, message);
+                break;
+            case 'collab_save':
+                await this.handleCollabSave(ws, message);
+                break;
+            case 'terminal_create':
+                await this.handleTerminalCreate(ws, message);
+                break;
+            case 'terminal_input':
+                this.handleTerminalInput(ws, message);
+                break;
+            case 'terminal_resize':
+                this.handleTerminalResize(ws, message);
+                break;
+            case 'terminal_ack':
+                this.handleTerminalAck(ws, message);
+                break;
+            case 'terminal_kill':
+                this.handleTerminalKill(ws, message);
+                break;
+            case 'task_run':
+                await this.handleTaskRun(ws, message);
+                break;
+            case 'task_stop':
+                await this.handleTaskStop(ws, message);
+                break;
+            case 'diagnostics_request':
+                await this.handleDiagnosticsRequest(ws, message);
+                break;
+            case 'completion_request':
+                await this.handleCompletionRequest(ws, message);
+                break;
+            case 'hover_request':
+                await this.handleHoverRequest(ws, message);
+                break;
+            case 'definition_request':
+                await this.handleDefinitionRequest(ws, message);
+                break;
+            case 'search_start':
+                this.handleSearchStart(ws, message);
+                break;
+            case 'search_cancel':
+                this.handleSearchCancel(ws, message);
+                break;
+            case 'git_status':
+                await this.handleGitStatus(ws, message);
+                break;
+            case 'git_diff':
+                await this.handleGitDiff(ws, message);
+                break;
+            case 'git_stage':
+            case 'git_unstage':
+                await this.handleGitStage(ws, message);
+                break;
+            case 'git_commit':
+                await this.handleGitCommit(ws, message);
+                break;
+            case 'git_branches':
+                await this.handleGitBranches(ws, message);
+                break;
+            case 'git_checkout':
+                await this.handleGitCheckout(ws, message);
+                break;
+            case 'git_pull':
+            case 'git_push':
+                await this.handleGitSync(ws, message);
+                break;
+            case 'ai_chat':
+                await this.handleAIChat(ws, message);
+                break;
+            case 'ai_chat_cancel':
+                this.handleAIChatCancel(ws, message);
+                break;
+            case 'ai_change_request':
+                await this.handleAIChangeRequest(ws, message);
+                break;
+            case 'ai_change_apply':
+                await this.handleAIChangeApply(ws, message);
+                break;
+            case 'agent_start':
+                await this.handleAgentStart(ws, message);
+                break;
+            case 'agent_pause':
+            case 'agent_resume':
+            case 'agent_cancel':
+                this.handleAgentControl(ws, message);
+                break;
+            case 'ping':
+                this.handlePing(ws, message);
+                break;
+            case 'pong':
+                break;
+            default:
+                throw new BridgeError('INVALID_MESSAGE', `Unknown message type: ${message.type}`);
+        }
+    }
+
+    private async handlePairRequest(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const { code, deviceName } = message.payload || {};
+
+        try {
+            const { device, token } = await this.pairing.pair(code, deviceName);
+
+            this.sendResponse(ws, message, 'pair_response', {
+                deviceId: device.id,
+                deviceName: device.name,
+                eventLog: { logId: this.eventLog.logId, lastSeq: this.eventLog.getLastSeq(), resumed: false, replayed: 0 },
+                token
+            });
+            this.authenticateClient(ws, device);
+
+        } catch (error) {
+            this.rejectAuthentication(ws, message, error);
+        }
+    }
+
+    private handleAuthRequest(ws: WebSocket.WebSocket, message: WebSocketMessage): void {
+        const { deviceId, nonce } = message.payload || {};
+
+        try {
+            const { challenge, proof } = this.pairing.createChallenge(deviceId, nonce);
+            this.sessions.get(ws)!.challenge = challenge;
+            this.sendResponse(ws, message, 'auth_challenge', { nonce: challenge.serverNonce, proof });
+
+        } catch (error) {
+            this.rejectAuthentication(ws, message, error);
+        }
+    }
+
+    private async handleAuthProof(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const { proof, resume } = message.payload || {};
+        const session = this.sessions.get(ws)!;
+        // A challenge is answered once
+        const challenge = session.challenge;
+        session.challenge = undefined;
+
+        try {
+            if (!challenge) {
+                throw new BridgeError('UNAUTHORIZED', 'Send auth_request before auth_proof');
             }
+            const device = await this.pairing.verifyProof(challenge, proof);
+
+            // A client that cannot be caught up reloads everything instead
+            const missed = isResumePoint(resume) ? this.eventLog.since(resume) : null;
+            const replay = (missed || [])
+                .filter(event => event.originDeviceId !== device.id)
+                .map(event => event.payload);
+
+            this.sendResponse(ws, message, 'auth_response', {
+                deviceId: device.id,
+                deviceName: device.name,
+                eventLog: {
+                    logId: this.eventLog.logId,
+                    lastSeq: this.eventLog.getLastSeq(),
+                    resumed: missed !== null,
+                    replayed: replay.length
+                }
+            });
+            this.authenticateClient(ws, device, replay);
+
         } catch (error) {
-            console.error('Error handling message:', error);
+            this.rejectAuthentication(ws, message, error);
         }
     }
 
+    private rejectAuthentication(ws: WebSocket.WebSocket, message: WebSocketMessage, error: unknown): void {
+        console.warn(`Rejected ${message.type}:`, error instanceof Error ? error.message : error);
+        this.sendError(ws, message, error);
+        ws.close(CLOSE_UNAUTHORIZED, 'Unauthorized');
+    }
+
     private async handleFileRequest(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
-        const { filePath } = message.payload;
-        
+        const { workspaceFolder, filePath, fullPath } = await this.resolveFileTarget(message);
+
         try {
-            if (!vscode.workspace.workspaceFolders) {
-                throw new Error('No workspace open');
+            const stats = await fs.promises.stat(fullPath);
+            if (stats.size > MAX_FILE_SIZE) {
+                throw new BridgeError('FILE_TOO_LARGE', `File exceeds ${MAX_FILE_SIZE} bytes`, { size: stats.size });
             }
 
-            const fullPath = this.resolveWorkspacePath(filePath);
             const content = await fs.promises.readFile(fullPath, 'utf8');
-            
-            this.sendMessage(ws, {
-                id: uuidv4(),
-                type: 'file_response',
-                payload: {
-                    filePath,
-                    content,
-                    exists: true
-                },
-                timestamp: Date.now()
+            const version = createVersion(content, stats.mtimeMs);
+            this.trackVersion(workspaceFolder.name, filePath, content, version);
+
+            // A client revalidating its cached copy only needs the content if it changed
+            const notModified = message.payload?.knownHash === version.hash;
+
+            this.sendResponse(ws, message, 'file_response', {
+                workspaceFolder: workspaceFolder.name,
+                filePath,
+                content: notModified ? undefined : content,
+                notModified,
+                version,
+                exists: true,
+                lastModified: stats.mtimeMs,
+                encoding: 'utf8',
+                size: stats.size
             });
 
         } catch (error) {
-            this.sendMessage(ws, {
-                id: uuidv4(),
-                type: 'file_response',
-                payload: {
-                    filePath,
-                    content: null,
-                    exists: false,
-                    error: error instanceof Error ? error.message : 'Unknown error'
-                },
-                timestamp: Date.now()
-            });
+            throw toBridgeError(error, { workspaceFolder: workspaceFolder.name, filePath });
         }
     }
 
     private async handleFileUpdate(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
-        const { filePath, content } = message.payload;
-        
+        const { content, baseVersion } = message.payload || {};
+
+        if (typeof content !== 'string') {
+            throw new BridgeError('INVALID_MESSAGE', 'file_update requires string content', {
+                filePath: message.payload?.filePath
+            });
+        }
+
+        // undefined: unconditional write, null: the file must not exist yet
+        if (baseVersion !== undefined && baseVersion !== null && !isFileVersion(baseVersion)) {
+            throw new BridgeError('INVALID_MESSAGE', 'baseVersion must be {mtime, hash} or null', {
+                filePath: message.payload.filePath
+            });
+        }
+
+        await this.writeFileUpdate(ws, message, content, baseVersion);
+    }
+
+    // Edits against a version the bridge still holds; if it no longer does, the client
+    // falls back to a full file_update
+    private async handleFileDelta(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const { baseVersion, edits } = message.payload || {};
+
+        if (!isFileVersion(baseVersion) || !Array.isArray(edits) || !edits.every(isTextEdit)) {
+            throw new BridgeError('INVALID_MESSAGE', 'file_delta requires baseVersion and edits', {
+                filePath: message.payload?.filePath
+            });
+        }
+
+        const baseContent = this.contentCache.get(baseVersion.hash);
+        if (baseContent === undefined) {
+            throw new BridgeError('UNKNOWN_BASE_VERSION', 'Base version is no longer available, send the full content', {
+                filePath: message.payload.filePath,
+                baseVersion
+            });
+        }
+
+        let content: string;
+        try {
+            content = applyPatch(baseContent, edits);
+        } catch (error) {
+            throw new BridgeError('INVALID_MESSAGE', error instanceof Error ? error.message : 'Invalid edits', {
+                filePath: message.payload.filePath
+            });
+        }
+
+        await this.writeFileUpdate(ws, message, content, baseVersion);
+    }
+
+    private async writeFileUpdate(
+        ws: WebSocket.WebSocket,
+        message: WebSocketMessage,
+        content: string,
+        baseVersion: FileVersion | null | undefined
+    ): Promise<void> {
+        const { workspaceFolder, filePath, fullPath } = await this.resolveFileTarget(message);
+
+        const { written, version, merged, previousVersion } = await this.withFileLock(fullPath, async () => {
+            try {
+                let contentToWrite = content;
+                let wasMerged = false;
+
+                if (baseVersion !== undefined) {
+                    const current = await readSnapshot(fullPath);
+                    if (!isSameVersion(current?.version, baseVersion)) {
+                        contentToWrite = this.mergeStaleUpdate(current, baseVersion, content, workspaceFolder.name, filePath);
+                        wasMerged = true;
+                    }
+                }
+
+                // Ensure directory exists
+                const dir = path.dirname(fullPath);
+                await fs.promises.mkdir(dir, { recursive: true });
+                
+                // Write file
+                await fs.promises.writeFile(fullPath, contentToWrite, 'utf8');
+                this.projectInfoProvider.invalidate();
+
+                const stats = await fs.promises.stat(fullPath);
+                const writtenVersion = createVersion(contentToWrite, stats.mtimeMs);
+                const previous = this.trackVersion(workspaceFolder.name, filePath, contentToWrite, writtenVersion);
+
+                return { written: contentToWrite, version: writtenVersion, merged: wasMerged, previousVersion: previous };
+
+            } catch (error) {
+                throw toBridgeError(error, { workspaceFolder: workspaceFolder.name, filePath });
+            }
+        });
+
+        // Broadcast change to other clients
+        const fileChange = this.logFileChange(this.withDelta({
+            type: 'file_changed',
+            workspaceFolder: workspaceFolder.name,
+            filePath,
+            content: written,
+            version,
+            timestamp: Date.now(),
+            source: 'mobile'
+        }, previousVersion), this.sessions.get(ws)?.device?.id);
+
+        // A merged write returns the merged text, which the client must adopt as its new base
+        this.sendResponse(ws, message, 'file_update_response', {
+            workspaceFolder: workspaceFolder.name,
+            filePath,
+            success: true,
+            version,
+            lastModified: version.mtime,
+            size: Buffer.byteLength(written, 'utf8'),
+            merged,
+            content: merged ? written : undefined,
+            seq: fileChange.seq
+        });
+
+        this.broadcastToOthers(ws, { id: uuidv4(), type: 'file_change', payload: fileChange, timestamp: Date.now() });
+
+        console.log(`File ${merged ? 'merged' : 'updated'} from mobile: ${workspaceFolder.name}/${filePath}`);
+    }
+
+    // Three-way merges a stale write when the base content is still cached; overlapping
+    // edits are rejected with a conflict carrying the disk side so the client can resolve it
+    private mergeStaleUpdate(
+        current: FileSnapshot | null,
+        baseVersion: FileVersion | null,
+        content: string,
+        workspaceFolder: string,
+        filePath: string
+    ): string {
+        const baseContent = baseVersion ? this.contentCache.get(baseVersion.hash) : undefined;
+
+        if (current && baseContent !== undefined) {
+            const result = mergeText(baseContent, current.content, content);
+            if (result.clean) {
+                console.log(`Auto-merged stale update of ${workspaceFolder}/${filePath}`);
+                return result.content;
+            }
+        }
+
+        throw new BridgeError('CONFLICT', 'File was changed on disk since it was read', {
+            workspaceFolder,
+            filePath,
+            baseVersion,
+            exists: current !== null,
+            currentVersion: current?.version ?? null,
+            currentContent: current && current.size <= MAX_FILE_SIZE ? current.content : null
+        });
+    }
+
+    // Records the version clients now hold for a file and returns the one it replaces
+    private trackVersion(
+        workspaceFolder: string,
+        filePath: string,
+        content: string | undefined,
+        version: FileVersion | undefined
+    ): FileVersion | undefined {
+        const key = `${workspaceFolder}/${filePath}`;
+        const previous = this.fileVersions.get(key);
+
+        if (content !== undefined && version) {
+            this.contentCache.remember(content, version.hash);
+            this.fileVersions.set(key, version);
+        } else {
+            this.fileVersions.delete(key);
+        }
+
+        return previous;
+    }
+
+    // Replaces the content of a change with edits against the previous version when that is
+    // smaller; clients holding a different version re-request the file
+    private withDelta(change: FileChangeEvent, previousVersion: FileVersion | undefined): FileChangeEvent {
+        const baseContent = previousVersion ? this.contentCache.get(previousVersion.hash) : undefined;
+        if (change.content === undefined || !previousVersion || baseContent === undefined) {
+            return change;
+        }
+
+        const edits = createPatch(baseContent, change.content);
+        if (JSON.stringify(edits).length >= change.content.length) {
+            return change;
+        }
+
+        const { content, ...rest } = change;
+        return { ...rest, delta: { baseVersion: previousVersion, edits } };
+    }
+
+    // Numbers a change in the event log so reconnecting clients can catch up on it
+    private logFileChange(change: FileChangeEvent, originDeviceId?: string): FileChangeEvent {
+        const payload = { ...change };
+        payload.seq = this.eventLog.append(payload, originDeviceId).seq;
+        return payload;
+    }
+
+    private publishFileChange(change: FileChangeEvent): void {
+        this.broadcast({ id: uuidv4(), type: 'file_change', payload: this.logFileChange(change), timestamp: Date.now() });
+    }
+
+    // Serializes the check-then-write of concurrent updates to the same file
+    private async withFileLock<T>(fullPath: string, task: () => Promise<T>): Promise<T> {
+        const previous = this.fileLocks.get(fullPath) || Promise.resolve();
+        const run = previous.then(task);
+        const settled = run.then(() => undefined, () => undefined);
+        this.fileLocks.set(fullPath, settled);
+
         try {
-            if (!vscode.workspace.workspaceFolders) {
-                throw new Error('No workspace open');
+            return await run;
+        } finally {
+            if (this.fileLocks.get(fullPath) === settled) {
+                this.fileLocks.delete(fullPath);
             }
+        }
+    }
 
-            const fullPath = this.resolveWorkspacePath(filePath);
-            
-            // Ensure directory exists
-            const dir = path.dirname(fullPath);
-            await fs.promises.mkdir(dir, { recursive: true });
-            
-            // Write file
-            await fs.promises.writeFile(fullPath, content, 'utf8');
-            
-            // Broadcast change to other clients
-            const fileChange: FileChangeEvent = {
-                type: 'file_changed',
-                filePath,
-                content,
-                timestamp: Date.now(),
-                source: 'mobile'
-            };
-            
-            this.broadcastToOthers(ws, {
-                id: uuidv4(),
-                type: 'file_change',
-                payload: fileChange,
-                timestamp: Date.now()
+    private async handleCollabJoin(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const session = this.sessions.get(ws)!;
+        const { workspaceFolder, filePath, fullPath } = await this.resolveFileTarget(message);
+
+        const result = await this.collab.join(
+            { id: session.id, name: session.device?.name || 'Mobile' },
+            workspaceFolder.name,
+            filePath,
+            vscode.Uri.file(fullPath)
+        );
+
+        this.sendResponse(ws, message, 'collab_join_response', {
+            workspaceFolder: workspaceFolder.name,
+            filePath,
+            participantId: session.id,
+            ...result
+        });
+    }
+
+    private async handleCollabLeave(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const { workspaceFolder, filePath, fullPath } = await this.resolveFileTarget(message);
+        this.collab.leave(this.sessions.get(ws)!.id, vscode.Uri.file(fullPath));
+        this.sendResponse(ws, message, 'collab_leave_response', { workspaceFolder: workspaceFolder.name, filePath });
+    }
+
+    private async handleCollabOperation(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const { revision, operation } = message.payload || {};
+        if (!Number.isInteger(revision) || !isOperation(operation)) {
+            throw new BridgeError('INVALID_MESSAGE', 'collab_operation requires a revision and an operation', {
+                filePath: message.payload?.filePath
             });
+        }
 
-            console.log(`File updated from mobile: ${filePath}`);
+        const { workspaceFolder, filePath, fullPath } = await this.resolveFileTarget(message);
+        await this.collab.receiveOperation(this.sessions.get(ws)!.id, vscode.Uri.file(fullPath), revision, operation, (newRevision) => {
+            this.sendResponse(ws, message, 'collab_ack', { workspaceFolder: workspaceFolder.name, filePath, revision: newRevision });
+        });
+    }
 
-        } catch (error) {
-            console.error('Error updating file:', error);
+    // Selections have no response; the bridge only replies if they are rejected
+    private async handleCollabSelection(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const { revision, selections } = message.payload || {};
+        if (!Number.isInteger(revision) || !Array.isArray(selections) || !selections.every(isCollabSelection)) {
+            throw new BridgeError('INVALID_MESSAGE', 'collab_selection requires a revision and selections', {
+                filePath: message.payload?.filePath
+            });
+        }
+
+        const { fullPath } = await this.resolveFileTarget(message);
+        this.collab.updateSelections(this.sessions.get(ws)!.id, vscode.Uri.file(fullPath), revision, selections);
+    }
+
+    private async handleCollabSave(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const { workspaceFolder, filePath, fullPath } = await this.resolveFileTarget(message);
+        const revision = await this.collab.save(this.sessions.get(ws)!.id, vscode.Uri.file(fullPath));
+        this.sendResponse(ws, message, 'collab_save_response', { workspaceFolder: workspaceFolder.name, filePath, revision });
+    }
+
+    private async handleTerminalCreate(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        if (!this.enableTerminal) {
+            throw new BridgeError('PERMISSION_DENIED', 'Terminals are disabled in the bridge settings');
+        }
+
+        const { workspaceFolder: folderName, command, cols, rows } = message.payload || {};
+        if (command !== undefined && (typeof command !== 'string' || command.trim().length === 0)) {
+            throw new BridgeError('INVALID_MESSAGE', 'command must be a non-empty string');
+        }
+        if ((cols !== undefined || rows !== undefined) && !isTerminalSize(cols, rows)) {
+            throw new BridgeError('INVALID_MESSAGE', `cols and rows must be integers from 1 to ${MAX_TERMINAL_SIZE}`);
+        }
+
+        const workspaceFolder = findWorkspaceFolder(folderName);
+        const terminal = this.terminals.create(this.sessions.get(ws)!.id, {
+            workspaceFolder: workspaceFolder.name,
+            cwd: workspaceFolder.uri.fsPath,
+            command,
+            cols,
+            rows
+        });
+
+        this.sendResponse(ws, message, 'terminal_create_response', terminal);
+    }
+
+    // Input, resizes and acknowledgements have no response; the bridge only replies if they are rejected
+    private handleTerminalInput(ws: WebSocket.WebSocket, message: WebSocketMessage): void {
+        const { terminalId, data } = message.payload || {};
+        if (typeof terminalId !== 'string' || typeof data !== 'string') {
+            throw new BridgeError('INVALID_MESSAGE', 'terminal_input requires a terminalId and data');
+        }
+
+        this.terminals.write(this.sessions.get(ws)!.id, terminalId, data);
+    }
+
+    private handleTerminalResize(ws: WebSocket.WebSocket, message: WebSocketMessage): void {
+        const { terminalId, cols, rows } = message.payload || {};
+        if (typeof terminalId !== 'string' || !isTerminalSize(cols, rows)) {
+            throw new BridgeError('INVALID_MESSAGE', `terminal_resize requires a terminalId, cols and rows from 1 to ${MAX_TERMINAL_SIZE}`);
+        }
+
+        this.terminals.resize(this.sessions.get(ws)!.id, terminalId, cols, rows);
+    }
+
+    private handleTerminalAck(ws: WebSocket.WebSocket, message: WebSocketMessage): void {
+        const { terminalId, length } = message.payload || {};
+        if (typeof terminalId !== 'string' || !Number.isInteger(length) || length < 0) {
+            throw new BridgeError('INVALID_MESSAGE', 'terminal_ack requires a terminalId and length');
+        }
+
+        this.terminals.acknowledge(this.sessions.get(ws)!.id, terminalId, length);
+    }
+
+    private handleTerminalKill(ws: WebSocket.WebSocket, message: WebSocketMessage): void {
+        const { terminalId, signal } = message.payload || {};
+        if (typeof terminalId !== 'string' || (signal !== undefined && !TERMINAL_SIGNALS.includes(signal))) {
+            throw new BridgeError('INVALID_MESSAGE', `terminal_kill requires a terminalId and one of ${TERMINAL_SIGNALS.join(', ')}`);
+        }
+
+        this.terminals.kill(this.sessions.get(ws)!.id, terminalId, signal);
+        this.sendResponse(ws, message, 'terminal_kill_response', { terminalId });
+    }
+
+    private async handleTaskRun(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        if (!this.enableTasks) {
+            throw new BridgeError('PERMISSION_DENIED', 'Tasks are disabled in the bridge settings');
+        }
+
+        const { taskId } = message.payload || {};
+        if (typeof taskId !== 'string') {
+            throw new BridgeError('INVALID_MESSAGE', 'task_run requires a taskId');
+        }
+
+        const run = await this.tasks.run(this.sessions.get(ws)!.id, taskId);
+        this.sendResponse(ws, message, 'task_run_response', run);
+    }
+
+    private async handleTaskStop(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const { runId } = message.payload || {};
+        if (typeof runId !== 'string') {
+            throw new BridgeError('INVALID_MESSAGE', 'task_stop requires a runId');
+        }
+
+        await this.tasks.stop(this.sessions.get(ws)!.id, runId);
+        this.sendResponse(ws, message, 'task_stop_response', { runId });
+    }
+
+    // All files with problems, or the problems of one file
+    private async handleDiagnosticsRequest(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        let files: FileDiagnostics[];
+        if (message.payload?.filePath !== undefined) {
+            const { fullPath } = await this.resolveFileTarget(message);
+            const file = this.diagnostics.get(vscode.Uri.file(fullPath));
+            files = file ? [file] : [];
+        } else {
+            files = this.diagnostics.getAll();
+        }
+
+        this.sendResponse(ws, message, 'diagnostics_response', { files });
+    }
+
+    private async handleCompletionRequest(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const { triggerCharacter } = message.payload || {};
+        if (triggerCharacter !== undefined && typeof triggerCharacter !== 'string') {
+            throw new BridgeError('INVALID_MESSAGE', 'triggerCharacter must be a string');
+        }
+
+        const result = await this.language.completion(await this.resolveLanguageRequest(message), triggerCharacter);
+        this.sendResponse(ws, message, 'completion_response', result);
+    }
+
+    private async handleHoverRequest(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const result = await this.language.hover(await this.resolveLanguageRequest(message));
+        this.sendResponse(ws, message, 'hover_response', result);
+    }
+
+    private async handleDefinitionRequest(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const locations = await this.language.definition(await this.resolveLanguageRequest(message));
+        this.sendResponse(ws, message, 'definition_response', { locations });
+    }
+
+    private async resolveLanguageRequest(message: WebSocketMessage): Promise<LanguageRequest> {
+        const { offset, content } = message.payload || {};
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new BridgeError('INVALID_MESSAGE', `${message.type} requires an offset`);
+        }
+        if (content !== undefined && typeof content !== 'string') {
+            throw new BridgeError('INVALID_MESSAGE', 'content must be a string');
+        }
+
+        const { fullPath } = await this.resolveFileTarget(message);
+        return { uri: vscode.Uri.file(fullPath), offset, content };
+    }
+
+    private handleSearchStart(ws: WebSocket.WebSocket, message: WebSocketMessage): void {
+        const searchId = this.search.start(this.sessions.get(ws)!.id, parseSearchQuery(message.payload));
+        this.sendResponse(ws, message, 'search_start_response', { searchId });
+    }
+
+    private handleSearchCancel(ws: WebSocket.WebSocket, message: WebSocketMessage): void {
+        const { searchId } = message.payload || {};
+        if (typeof searchId !== 'string') {
+            throw new BridgeError('INVALID_MESSAGE', 'search_cancel requires a searchId');
+        }
+
+        this.search.cancel(this.sessions.get(ws)!.id, searchId);
+        this.sendResponse(ws, message, 'search_cancel_response', { searchId });
+    }
+
+    private async handleGitStatus(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const status = await this.git.status(this.resolveGitRepository(message));
+        this.sendResponse(ws, message, 'git_status_response', status);
+    }
+
+    private async handleGitDiff(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const { staged } = message.payload || {};
+        if (staged !== undefined && typeof staged !== 'boolean') {
+            throw new BridgeError('INVALID_MESSAGE', 'staged must be a boolean');
+        }
+
+        const { filePath } = await this.resolveFileTarget(message);
+        const diff = await this.git.diff(this.resolveGitRepository(message), toPosixPath(path.normalize(filePath)), staged === true);
+        this.sendResponse(ws, message, 'git_diff_response', diff);
+    }
+
+    // Without a filePath every visible change is staged or unstaged; hunkIds pick hunks of one file
+    private async handleGitStage(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const { filePath, hunkIds } = message.payload || {};
+        if (hunkIds !== undefined && (!isStringArray(hunkIds) || hunkIds.length === 0 || filePath === undefined)) {
+            throw new BridgeError('INVALID_MESSAGE', 'hunkIds must be a non-empty array of hunk ids of the file at filePath');
+        }
+
+        const filePaths = filePath !== undefined
+            ? [toPosixPath(path.normalize((await this.resolveFileTarget(message)).filePath))]
+            : undefined;
+        const repo = this.resolveGitRepository(message);
+        const status = message.type === 'git_stage'
+            ? await this.git.stage(repo, filePaths, hunkIds)
+            : await this.git.unstage(repo, filePaths, hunkIds);
+        this.sendResponse(ws, message, message.type === 'git_stage' ? 'git_stage_response' : 'git_unstage_response', status);
+    }
+
+    private async handleGitCommit(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const { message: commitMessage, amend } = message.payload || {};
+        if (typeof commitMessage !== 'string' || commitMessage.trim().length === 0) {
+            throw new BridgeError('INVALID_MESSAGE', 'git_commit requires a message');
+        }
+        if (amend !== undefined && typeof amend !== 'boolean') {
+            throw new BridgeError('INVALID_MESSAGE', 'amend must be a boolean');
+        }
+
+        const result = await this.git.commit(this.resolveGitRepository(message), commitMessage, amend === true);
+        this.sendResponse(ws, message, 'git_commit_response', result);
+    }
+
+    private async handleGitBranches(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const branches = await this.git.branches(this.resolveGitRepository(message));
+        this.sendResponse(ws, message, 'git_branches_response', { branches });
+    }
+
+    private async handleGitCheckout(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const { branch, create } = message.payload || {};
+        if (typeof branch !== 'string' || branch.length === 0 || branch.startsWith('-')) {
+            throw new BridgeError('INVALID_MESSAGE', 'git_checkout requires a branch');
+        }
+        if (create !== undefined && typeof create !== 'boolean') {
+            throw new BridgeError('INVALID_MESSAGE', 'create must be a boolean');
+        }
+
+        const status = await this.git.checkout(this.resolveGitRepository(message), branch, create === true);
+        this.sendResponse(ws, message, 'git_checkout_response', status);
+    }
+
+    private async handleGitSync(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const repo = this.resolveGitRepository(message);
+        if (message.type === 'git_pull') {
+            this.sendResponse(ws, message, 'git_pull_response', await this.git.pull(repo));
+        } else {
+            this.sendResponse(ws, message, 'git_push_response', await this.git.push(repo));
+        }
+    }
+
+    // The repository containing the workspace folder; deny-listed files are left out of it
+    private resolveGitRepository(message: WebSocketMessage): GitRepository {
+        const workspaceFolder = findWorkspaceFolder(message.payload?.workspaceFolder);
+        return {
+            name: workspaceFolder.name,
+            folderPath: workspaceFolder.uri.fsPath,
+            isHidden: filePath => this.sandbox.isDenied(filePath)
+        };
+    }
+
+    // The file in context is read through the sandbox like any other, so deny-listed files are never sent to the AI
+    private async handleAIChat(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        if (!this.chat) {
+            throw new BridgeError('PERMISSION_DENIED', 'AI chat is disabled in the bridge settings');
+        }
+
+        const { messages, file } = message.payload || {};
+        const request: ChatRequest = { messages: parseChatMessages(messages) };
+        if (file !== undefined) {
+            request.file = await this.resolveChatFile({ ...message, payload: file });
+        }
+
+        const chat = await this.chat.start(this.sessions.get(ws)!.id, request);
+        this.sendResponse(ws, message, 'ai_chat_response', chat);
+    }
+
+    private handleAIChatCancel(ws: WebSocket.WebSocket, message: WebSocketMessage): void {
+        const { chatId } = message.payload || {};
+        if (typeof chatId !== 'string') {
+            throw new BridgeError('INVALID_MESSAGE', 'ai_chat_cancel requires a chatId');
         }
+
+        this.chat?.cancel(this.sessions.get(ws)!.id, chatId);
+        this.sendResponse(ws, message, 'ai_chat_cancel_response', { chatId });
+    }
+
+    // Files the model may read are resolved like any other; the files it proposes to change
+    // are resolved again, so it cannot reach outside the workspace or the deny-list
+    private async handleAIChangeRequest(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        if (!this.changes) {
+            throw new BridgeError('PERMISSION_DENIED', 'AI changes are disabled in the bridge settings');
+        }
+
+        const { instruction, files = [] } = message.payload || {};
+        if (typeof instruction !== 'string' || instruction.trim().length === 0 || instruction.length > MAX_CHAT_MESSAGE_LENGTH) {
+            throw new BridgeError('INVALID_MESSAGE', `ai_change_request requires an instruction of at most ${MAX_CHAT_MESSAGE_LENGTH} characters`);
+        }
+        if (!Array.isArray(files) || files.length > MAX_CHANGE_FILES) {
+            throw new BridgeError('INVALID_MESSAGE', `files must be an array of at most ${MAX_CHANGE_FILES} files`);
+        }
+
+        const context: ChangeContextFile[] = [];
+        for (const file of files) {
+            if (file?.content !== undefined && typeof file.content !== 'string') {
+                throw new BridgeError('INVALID_MESSAGE', 'content must be a string');
+            }
+            const target = await this.resolveFileTarget({ ...message, payload: file });
+            context.push({
+                workspaceFolder: target.workspaceFolder.name,
+                filePath: target.filePath,
+                fullPath: target.fullPath,
+                content: file.content
+            });
+        }
+
+        const defaultFolder = context[0]?.workspaceFolder ?? findWorkspaceFolder(message.payload.workspaceFolder).name;
+        const changeSet = await this.changes.propose(instruction, context, defaultFolder);
+        this.sendResponse(ws, message, 'ai_change_request_response', changeSet);
+    }
+
+    private async handleAIChangeApply(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        if (!this.changes) {
+            throw new BridgeError('PERMISSION_DENIED', 'AI changes are disabled in the bridge settings');
+        }
+
+        const { files, label } = message.payload || {};
+        if (!Array.isArray(files) || files.length === 0) {
+            throw new BridgeError('INVALID_MESSAGE', 'ai_change_apply requires files');
+        }
+        if (label !== undefined && typeof label !== 'string') {
+            throw new BridgeError('INVALID_MESSAGE', 'label must be a string');
+        }
+
+        const accepted: AcceptedChange[] = [];
+        for (const file of files) {
+            const action = file?.action;
+            if (action !== 'modify' && action !== 'create' && action !== 'delete') {
+                throw new BridgeError('INVALID_MESSAGE', 'action must be modify, create or delete', { filePath: file?.filePath });
+            }
+            if (action !== 'delete' && (typeof file.content !== 'string' || file.content.length > MAX_FILE_SIZE)) {
+                throw new BridgeError('INVALID_MESSAGE', `content must be a string of at most ${MAX_FILE_SIZE} characters`, {
+                    filePath: file.filePath
+                });
+            }
+            if (file.baseVersion !== null && !isFileVersion(file.baseVersion)) {
+                throw new BridgeError('INVALID_MESSAGE', 'baseVersion must be {mtime, hash} or null', { filePath: file.filePath });
+            }
+            const target = await this.resolveFileTarget({ ...message, payload: file });
+            accepted.push({
+                target: { workspaceFolder: target.workspaceFolder.name, filePath: target.filePath, fullPath: target.fullPath },
+                action,
+                content: action === 'delete' ? null : file.content,
+                baseVersion: file.baseVersion
+            });
+        }
+
+        const applied = await this.changes.apply(accepted, label || 'Mobile Devin: AI changes');
+        if (applied.some(change => change.action !== 'modify')) {
+            this.projectInfoProvider.invalidate();
+        }
+        this.sendResponse(ws, message, 'ai_change_apply_response', { files: applied });
+    }
+
+    // A test command from the client is a command line like any other, so it needs the terminal enabled
+    private async handleAgentStart(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        if (!this.agent) {
+            throw new BridgeError('PERMISSION_DENIED', 'The agent is disabled in the bridge settings');
+        }
+
+        const { task, workspaceFolder, testCommand, maxTurns = DEFAULT_AGENT_TURNS, maxTokens = DEFAULT_AGENT_TOKENS } = message.payload || {};
+        if (typeof task !== 'string' || task.trim().length === 0 || task.length > MAX_CHAT_MESSAGE_LENGTH) {
+            throw new BridgeError('INVALID_MESSAGE', `agent_start requires a task of at most ${MAX_CHAT_MESSAGE_LENGTH} characters`);
+        }
+        if (testCommand !== undefined && (typeof testCommand !== 'string' || testCommand.trim().length === 0)) {
+            throw new BridgeError('INVALID_MESSAGE', 'testCommand must be a non-empty string');
+        }
+        if (testCommand !== undefined && !this.enableTerminal) {
+            throw new BridgeError('PERMISSION_DENIED', 'Test commands from the device need the terminal, which is disabled in the bridge settings');
+        }
+        if (!Number.isInteger(maxTurns) || maxTurns < 1 || maxTurns > MAX_AGENT_TURNS) {
+            throw new BridgeError('INVALID_MESSAGE', `maxTurns must be between 1 and ${MAX_AGENT_TURNS}`);
+        }
+        if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+            throw new BridgeError('INVALID_MESSAGE', 'maxTokens must be a positive integer');
+        }
+
+        const run = await this.agent.start(this.sessions.get(ws)!.id, {
+            task,
+            workspaceFolder: findWorkspaceFolder(workspaceFolder).name,
+            testCommand: testCommand ?? this.agentTestCommand,
+            maxTurns,
+            maxTokens
+        });
+        this.sendResponse(ws, message, 'agent_start_response', run);
+    }
+
+    private handleAgentControl(ws: WebSocket.WebSocket, message: WebSocketMessage): void {
+        if (!this.agent) {
+            throw new BridgeError('PERMISSION_DENIED', 'The agent is disabled in the bridge settings');
+        }
+
+        const { runId } = message.payload || {};
+        if (typeof runId !== 'string') {
+            throw new BridgeError('INVALID_MESSAGE', `${message.type} requires a runId`);
+        }
+
+        const ownerId = this.sessions.get(ws)!.id;
+        if (message.type === 'agent_pause') {
+            this.agent.pause(ownerId, runId);
+            this.sendResponse(ws, message, 'agent_pause_response', { runId, paused: true });
+        } else if (message.type === 'agent_resume') {
+            this.agent.resume(ownerId, runId);
+            this.sendResponse(ws, message, 'agent_resume_response', { runId, paused: false });
+        } else {
+            this.agent.cancel(ownerId, runId);
+            this.sendResponse(ws, message, 'agent_cancel_response', { runId });
+        }
+    }
+
+    // The phone's content is used when given, as it may have unsaved edits; otherwise
+    // the file as shown in Cursor, which may be unsaved too
+    private async resolveChatFile(message: WebSocketMessage): Promise<ChatFileContext> {
+        const { content, selection, language } = message.payload || {};
+        if (content !== undefined && (typeof content !== 'string' || content.length > MAX_FILE_SIZE)) {
+            throw new BridgeError('INVALID_MESSAGE', `content must be a string of at most ${MAX_FILE_SIZE} characters`);
+        }
+        if (language !== undefined && typeof language !== 'string') {
+            throw new BridgeError('INVALID_MESSAGE', 'language must be a string');
+        }
+        if (selection !== undefined && !isCollabSelection(selection)) {
+            throw new BridgeError('INVALID_MESSAGE', 'selection must have anchor and head offsets');
+        }
+
+        const { workspaceFolder, filePath, fullPath } = await this.resolveFileTarget(message);
+        let text: string | undefined = content;
+        if (text === undefined) {
+            const document = vscode.workspace.textDocuments.find(doc => doc.uri.scheme === 'file' && doc.uri.fsPath === fullPath);
+            if (document) {
+                text = document.getText();
+            } else {
+                const stats = await fs.promises.stat(fullPath).catch(error => {
+                    throw toBridgeError(error, { workspaceFolder: workspaceFolder.name, filePath });
+                });
+                if (stats.size > MAX_FILE_SIZE) {
+                    throw new BridgeError('FILE_TOO_LARGE', `File exceeds ${MAX_FILE_SIZE} bytes`, { size: stats.size });
+                }
+                text = await fs.promises.readFile(fullPath, 'utf8');
+            }
+        }
+
+        const start = selection ? Math.min(selection.anchor, selection.head, text.length) : undefined;
+        const end = selection ? Math.min(Math.max(selection.anchor, selection.head), text.length) : undefined;
+        return {
+            workspaceFolder: workspaceFolder.name,
+            filePath,
+            language,
+            content: text,
+            selection: start !== undefined && end !== undefined ? { start, end } : undefined
+        };
+    }
+
+    private async handleProjectInfoRequest(ws: WebSocket.WebSocket, message: WebSocketMessage): Promise<void> {
+        const { offset, limit } = message.payload || {};
+        const projectInfo = await this.projectInfoProvider.getProjectInfo(offset, limit);
+
+        // Tasks come with the first page
+        const tasks = this.enableTasks && projectInfo.pagination.offset === 0 ? await this.tasks.listTasks() : undefined;
+        this.sendResponse(ws, message, 'project_info_response', { ...projectInfo, tasks });
     }
 
     private handlePing(ws: WebSocket.WebSocket, message: WebSocketMessage): void {
+        this.sendResponse(ws, message, 'pong', { receivedId: message.id });
+    }
+
+    private async resolveFileTarget(message: WebSocketMessage): Promise<FileTarget> {
+        const filePath = message.payload?.filePath;
+        if (typeof filePath !== 'string' || filePath.length === 0) {
+            throw new BridgeError('INVALID_MESSAGE', `${message.type} requires a filePath`);
+        }
+
+        const workspaceFolder = findWorkspaceFolder(message.payload.workspaceFolder);
+        const fullPath = await this.sandbox.resolve(workspaceFolder.uri.fsPath, filePath);
+
+        return { workspaceFolder, filePath, fullPath };
+    }
+
+    private sendResponse(ws: WebSocket.WebSocket, request: WebSocketMessage, type: WebSocketMessage['type'], payload: any): void {
         this.sendMessage(ws, {
             id: uuidv4(),
-            type: 'pong',
-            payload: { receivedId: message.id },
+            type,
+            replyTo: request.id,
+            payload,
             timestamp: Date.now()
         });
     }
 
-    private resolveWorkspacePath(relativePath: string): string {
-        if (!vscode.workspace.workspaceFolders) {
-            throw new Error('No workspace open');
-        }
+    private sendError(ws: WebSocket.WebSocket, request: WebSocketMessage | undefined, error: unknown): void {
+        const bridgeError = toBridgeError(error);
 
-        const workspaceRoot = vscode.workspace.workspaceFolders[0].uri.fsPath;
-        return path.resolve(workspaceRoot, relativePath);
+        this.sendMessage(ws, {
+            id: uuidv4(),
+            type: 'error',
+            replyTo: request?.id,
+            payload: bridgeError.toPayload(),
+            timestamp: Date.now()
+        });
     }
 
     private sendMessage(ws: WebSocket.WebSocket, message: WebSocketMessage): void {
@@ -249,6 +1421,21 @@ export class WebSocketBridge {
         }
     }
 
+    private sendToParticipant(participantId: string, type: WebSocketMessage['type'], payload: any): void {
+        this.sessions.forEach((session, client) => {
+            if (session.id === participantId && this.clients.has(client)) {
+                this.sendMessage(client, { id: uuidv4(), type, payload, timestamp: Date.now() });
+            }
+        });
+    }
+
+    // Not part of the event log; a client that reconnects requests them again
+    private broadcastDiagnostics(files: FileDiagnostics[]): void {
+        if (this.clients.size > 0) {
+            this.broadcast({ id: uuidv4(), type: 'diagnostics_change', payload: { files }, timestamp: Date.now() });
+        }
+    }
+
     private broadcast(message: WebSocketMessage): void {
         this.clients.forEach(client => {
             this.sendMessage(client, message);
@@ -268,4 +1455,63 @@ export class WebSocketBridge {
             this.connectionChangeCallback(this.clients.size);
         }
     }
-} 
\ No newline at end of file
+} 
+
+function isCollabSelection(value: any): value is CollabSelection {
+    return typeof value === 'object' && value !== null &&
+        Number.isInteger(value.anchor) && value.anchor >= 0 &&
+        Number.isInteger(value.head) && value.head >= 0;
+}
+
+function isTerminalSize(cols: any, rows: any): boolean {
+    return Number.isInteger(cols) && cols >= 1 && cols <= MAX_TERMINAL_SIZE &&
+        Number.isInteger(rows) && rows >= 1 && rows <= MAX_TERMINAL_SIZE;
+}
+
+function parseSearchQuery(payload: any): SearchQuery {
+    const { kind, query, isRegex, matchCase, wholeWord, include, exclude, workspaceFolder, maxResults } = payload || {};
+    if (kind !== 'files' && kind !== 'text') {
+        throw new BridgeError('INVALID_MESSAGE', 'search_start requires a kind of files or text');
+    }
+    if (typeof query !== 'string' || query.trim().length === 0 || query.length > MAX_SEARCH_QUERY_LENGTH) {
+        throw new BridgeError('INVALID_MESSAGE', `query must be a non-empty string of at most ${MAX_SEARCH_QUERY_LENGTH} characters`);
+    }
+    if ([isRegex, matchCase, wholeWord].some(flag => flag !== undefined && typeof flag !== 'boolean')) {
+        throw new BridgeError('INVALID_MESSAGE', 'isRegex, matchCase and wholeWord must be booleans');
+    }
+    if ([include, exclude].some(globs => globs !== undefined && !isStringArray(globs))) {
+        throw new BridgeError('INVALID_MESSAGE', 'include and exclude must be arrays of glob patterns');
+    }
+    if (maxResults !== undefined && (!Number.isInteger(maxResults) || maxResults < 1)) {
+        throw new BridgeError('INVALID_MESSAGE', 'maxResults must be a positive integer');
+    }
+
+    return { kind, query, isRegex, matchCase, wholeWord, include, exclude, workspaceFolder, maxResults };
+}
+
+function parseChatMessages(messages: any): ChatRequest['messages'] {
+    if (!Array.isArray(messages) || messages.length === 0 || messages.length > MAX_CHAT_MESSAGES) {
+        throw new BridgeError('INVALID_MESSAGE', `ai_chat requires between 1 and ${MAX_CHAT_MESSAGES} messages`);
+    }
+    for (const message of messages) {
+        if ((message?.role !== 'user' && message?.role !== 'assistant') || typeof message.content !== 'string' ||
+            message.content.length > MAX_CHAT_MESSAGE_LENGTH) {
+            throw new BridgeError('INVALID_MESSAGE',
+                `Chat messages need a role of user or assistant and content of at most ${MAX_CHAT_MESSAGE_LENGTH} characters`);
+        }
+    }
+    if (messages[messages.length - 1].role !== 'user' || messages[messages.length - 1].content.trim().length === 0) {
+        throw new BridgeError('INVALID_MESSAGE', 'The last chat message must be a non-empty user message');
+    }
+
+    return messages.map(({ role, content }) => ({ role, content }));
+}
+
+function isStringArray(value: any): value is string[] {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function isResumePoint(value: any): value is ResumePoint {
+    return typeof value === 'object' && value !== null &&
+        typeof value.logId === 'string' && Number.isInteger(value.lastSeq);
+}
@@ -0,0 +1,53 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { toPosixPath } from './file-filters';
+import { BridgeError } from './protocol';
+
+export interface WorkspaceLocation {
+    folder: vscode.WorkspaceFolder;
+    relativePath: string;
+}
+
+export function getWorkspaceFolders(): readonly vscode.WorkspaceFolder[] {
+    const folders = vscode.workspace.workspaceFolders;
+    if (!folders || folders.length === 0) {
+        throw new BridgeError('WORKSPACE_NOT_OPEN', 'No workspace open');
+    }
+    return folders;
+}
+
+// Messages address a root by folder name; omitting it means the first folder
+export function findWorkspaceFolder(name?: string): vscode.WorkspaceFolder {
+    const folders = getWorkspaceFolders();
+
+    if (name === undefined || name === null || name === '') {
+        return folders[0];
+    }
+
+    const folder = typeof name === 'string' ? folders.find(candidate => candidate.name === name) : undefined;
+    if (!folder) {
+        throw new BridgeError('INVALID_MESSAGE', `Unknown workspace folder: ${name}`, {
+            workspaceFolder: name,
+            availableFolders: folders.map(candidate => candidate.name)
+        });
+    }
+    return folder;
+}
+
+export function toWorkspaceLocation(absolutePath: string): WorkspaceLocation | undefined {
+    let best: WorkspaceLocation | undefined;
+
+    // Nested roots resolve to the innermost folder
+    for (const folder of vscode.workspace.workspaceFolders || []) {
+        const relativePath = path.relative(folder.uri.fsPath, absolutePath);
+        if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+            continue;
+        }
+
+        if (!best || folder.uri.fsPath.length > best.folder.uri.fsPath.length) {
+            best = { folder, relativePath: toPosixPath(relativePath) };
+        }
+    }
+
+    return best;
+}
@@ -0,0 +1,107 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { matchesAnyGlob, toPosixPath } from './file-filters';
+import { BridgeError } from './protocol';
+
+export const DEFAULT_DENY_LIST: string[] = [
+    '**/.env',
+    '**/.env.*',
+    '**/.git/**',
+    '**/*.pem',
+    '**/*.key',
+    '**/id_rsa*',
+    '**/.npmrc'
+];
+
+export type SandboxViolation = 'invalid_path' | 'outside_workspace' | 'symlink_escape' | 'denied_pattern';
+
+export class WorkspaceSandbox {
+    constructor(private denyList: string[] = DEFAULT_DENY_LIST) {}
+
+    getDenyList(): string[] {
+        return this.denyList;
+    }
+
+    // Case-insensitive, so .ENV or KEY.PEM on a case-insensitive file system are denied too
+    isDenied(relativePath: string): boolean {
+        return matchesAnyGlob(relativePath, this.denyList, true);
+    }
+
+    async resolve(workspaceRoot: string, requestedPath: string): Promise<string> {
+        if (typeof requestedPath !== 'string' || requestedPath.length === 0 || requestedPath.includes('\0')) {
+            throw this.violation('invalid_path', requestedPath, 'Invalid file path');
+        }
+
+        // Only workspace-relative paths are accepted, never absolute ones
+        if (path.isAbsolute(requestedPath) || path.win32.isAbsolute(requestedPath)) {
+            throw this.violation('outside_workspace', requestedPath, 'Absolute paths are not allowed');
+        }
+
+        const fullPath = path.resolve(workspaceRoot, requestedPath);
+        const relativePath = path.relative(workspaceRoot, fullPath);
+
+        if (!this.isContained(relativePath)) {
+            throw this.violation('outside_workspace', requestedPath, 'Path escapes the workspace');
+        }
+
+        if (this.isDenied(relativePath)) {
+            throw this.violation('denied_pattern', requestedPath, 'Access to this file is denied by the bridge deny-list');
+        }
+
+        // Follow symlinks on the deepest existing ancestor so new files are checked too
+        const realRoot = await fs.promises.realpath(workspaceRoot);
+        const realPath = await this.realpathOfExistingAncestor(fullPath);
+        const realRelativePath = path.relative(realRoot, realPath);
+
+        if (!this.isContained(realRelativePath)) {
+            throw this.violation('symlink_escape', requestedPath, 'Path resolves outside the workspace through a symlink');
+        }
+
+        if (this.isDenied(realRelativePath)) {
+            throw this.violation('denied_pattern', requestedPath, 'Access to this file is denied by the bridge deny-list');
+        }
+
+        return fullPath;
+    }
+
+    private isContained(relativePath: string): boolean {
+        // A name such as "..foo" is inside; only a ".." segment leaves the workspace
+        return relativePath === '' || (
+            relativePath !== '..' &&
+            !relativePath.startsWith(`..${path.sep}`) &&
+            !path.isAbsolute(relativePath)
+        );
+    }
+
+    private async realpathOfExistingAncestor(fullPath: string): Promise<string> {
+        let current = fullPath;
+        const missingSegments: string[] = [];
+
+        while (true) {
+            try {
+                const realCurrent = await fs.promises.realpath(current);
+                return path.join(realCurrent, ...missingSegments.reverse());
+            } catch (error) {
+                if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+                    throw error;
+                }
+
+                const parent = path.dirname(current);
+                if (parent === current) {
+                    return fullPath;
+                }
+
+                missingSegments.push(path.basename(current));
+                current = parent;
+            }
+        }
+    }
+
+    private violation(reason: SandboxViolation, requestedPath: string, message: string): BridgeError {
+        console.warn(`Sandbox rejected ${JSON.stringify(requestedPath)}: ${reason}`);
+        return new BridgeError('PERMISSION_DENIED', message, {
+            filePath: typeof requestedPath === 'string' ? toPosixPath(requestedPath) : undefined,
+            reason
+        });
+    }
+}
@@ -0,0 +1,320 @@
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { BridgeError, ErrorPayload, toBridgeError } from './protocol';
+import { WebSocketMessage } from './websocket-server';
+import { MAX_FILE_SIZE, matchesAnyGlob } from './file-filters';
+import { LineMatch, LineMatcher } from './line-matcher';
+import { ProjectFileEntry } from './project-info';
+import { findWorkspaceFolder } from './workspace-folders';
+
+export type SearchSend = (ownerId: string, type: WebSocketMessage['type'], payload: any) => void;
+
+export interface SearchQuery {
+    kind: 'files' | 'text'; // fuzzy file name search, or search in file contents
+    query: string;
+    isRegex?: boolean;
+    matchCase?: boolean;
+    wholeWord?: boolean;
+    include?: string[]; // globs relative to the workspace folder; "*.ts" matches in any directory
+    exclude?: string[];
+    workspaceFolder?: string; // all folders when omitted
+    maxResults?: number;
+}
+
+export interface FileSearchMatch {
+    workspaceFolder: string;
+    filePath: string;
+    positions: number[]; // indexes in filePath of the characters that matched, for highlighting
+}
+
+export interface TextSearchMatch extends LineMatch {
+    workspaceFolder: string;
+    filePath: string;
+}
+
+export interface SearchEnd {
+    searchId: string;
+    resultCount: number;
+    searchedFiles: number;
+    limitHit: boolean; // more results exist than were sent
+    cancelled: boolean;
+    error?: ErrorPayload;
+}
+
+interface Search {
+    searchId: string;
+    ownerId: string;
+    cancelled: boolean;
+}
+
+const DEFAULT_MAX_RESULTS = 200;
+const MAX_RESULTS = 2000;
+export const MAX_SEARCH_QUERY_LENGTH = 1000;
+// Matches are sent in batches of this many, or of what was found within the delay
+const BATCH_SIZE = 50;
+const BATCH_DELAY_MS = 100;
+
+// Searches of the files listed in the project info, so ignored and deny-listed files are
+// never searched. Results stream to the client that started the search, which may cancel it;
+// searches end when their client disconnects.
+export class WorkspaceSearch {
+    private searches: Map<string, Search> = new Map();
+
+    constructor(
+        private getFiles: () => Promise<ProjectFileEntry[]>,
+        private send: SearchSend
+    ) {}
+
+    // Returns the searchId; results follow as search_results and then search_end
+    start(ownerId: string, query: SearchQuery): string {
+        const matcher = query.kind === 'text' ? createLineMatcher(query) : undefined;
+        const folder = query.workspaceFolder !== undefined ? findWorkspaceFolder(query.workspaceFolder).name : undefined;
+        const search: Search = { searchId: uuidv4(), ownerId, cancelled: false };
+        this.searches.set(search.searchId, search);
+
+        const run = matcher
+            ? this.searchText(search, query, folder, matcher)
+            : this.searchFileNames(search, query, folder);
+        run.catch((error) => {
+            console.error('Search failed:', error);
+            this.end(search, { resultCount: 0, searchedFiles: 0, limitHit: false, error: toBridgeError(error).toPayload() });
+        });
+
+        return search.searchId;
+    }
+
+    // Searches that already ended are ignored, as their end may still be on its way
+    cancel(ownerId: string, searchId: string): void {
+        const search = this.searches.get(searchId);
+        if (search && search.ownerId === ownerId) {
+            search.cancelled = true;
+        }
+    }
+
+    closeAll(ownerId: string): void {
+        this.searches.forEach(search => {
+            if (search.ownerId === ownerId) {
+                search.cancelled = true;
+            }
+        });
+    }
+
+    dispose(): void {
+        this.searches.forEach(search => {
+            search.cancelled = true;
+        });
+        this.searches.clear();
+    }
+
+    private async searchFileNames(search: Search, query: SearchQuery, folder: string | undefined): Promise<void> {
+        const files = filterFiles(await this.getFiles(), query, folder);
+        const wanted = query.query.replace(/\s+/g, '');
+        const maxResults = getMaxResults(query);
+
+        const scored: (FileSearchMatch & { score: number })[] = [];
+        for (const file of files) {
+            const match = scoreFileName(file.path, wanted);
+            if (match) {
+                scored.push({ workspaceFolder: file.workspaceFolder, filePath: file.path, ...match });
+            }
+        }
+
+        // The best matches come first, so they are sent in one batch once all names were scored
+        scored.sort((a, b) => b.score - a.score || a.filePath.length - b.filePath.length || a.filePath.localeCompare(b.filePath));
+        const results = scored.slice(0, maxResults).map(({ score, ...match }) => match);
+        if (!search.cancelled && results.length > 0) {
+            this.send(search.ownerId, 'search_results', { searchId: search.searchId, results });
+        }
+
+        this.end(search, { resultCount: results.length, searchedFiles: files.length, limitHit: scored.length > maxResults });
+    }
+
+    private async searchText(
+        search: Search,
+        query: SearchQuery,
+        folder: string | undefined,
+        matcher: RegExp
+    ): Promise<void> {
+        const files = filterFiles(await this.getFiles(), query, folder);
+        const maxResults = getMaxResults(query);
+        // Files with unsaved changes in Cursor are searched as they are shown there
+        const dirtyDocuments = new Map(vscode.workspace.textDocuments
+            .filter(document => document.isDirty && document.uri.scheme === 'file')
+            .map(document => [document.uri.fsPath, document] as const));
+
+        let batch: TextSearchMatch[] = [];
+        let lastFlush = Date.now();
+        const flush = () => {
+            if (batch.length > 0) {
+                this.send(search.ownerId, 'search_results', { searchId: search.searchId, results: batch });
+                batch = [];
+            }
+            lastFlush = Date.now();
+        };
+
+        let resultCount = 0;
+        let searchedFiles = 0;
+        let limitHit = false;
+        const lineMatcher = new LineMatcher(matcher);
+        try {
+            for (const file of files) {
+                if (search.cancelled || limitHit) {
+                    break;
+                }
+
+                const fullPath = path.join(findWorkspaceFolder(file.workspaceFolder).uri.fsPath, file.path);
+                const content = await readSearchableText(fullPath, dirtyDocuments.get(fullPath));
+                searchedFiles++;
+                if (content === undefined) {
+                    continue;
+                }
+
+                for (const match of await lineMatcher.matchLines(content)) {
+                    if (resultCount === maxResults) {
+                        limitHit = true;
+                        break;
+                    }
+                    batch.push({ workspaceFolder: file.workspaceFolder, filePath: file.path, ...match });
+                    resultCount++;
+                }
+
+                if (batch.length >= BATCH_SIZE || Date.now() - lastFlush >= BATCH_DELAY_MS) {
+                    flush();
+                }
+            }
+        } finally {
+            lineMatcher.dispose();
+        }
+
+        if (!search.cancelled) {
+            flush();
+        }
+        this.end(search, { resultCount, searchedFiles, limitHit });
+    }
+
+    private end(search: Search, result: Omit<SearchEnd, 'searchId' | 'cancelled'>): void {
+        if (!this.searches.delete(search.searchId)) {
+            return;
+        }
+        this.send(search.ownerId, 'search_end', { searchId: search.searchId, cancelled: search.cancelled, ...result });
+    }
+}
+
+function getMaxResults(query: SearchQuery): number {
+    return Math.min(MAX_RESULTS, query.maxResults ?? DEFAULT_MAX_RESULTS);
+}
+
+// Like Cursor's search, a pattern without a slash matches at any depth
+export function toSearchGlob(pattern: string): string {
+    const trimmed = pattern.trim().replace(/^\.\//, '');
+    const glob = trimmed.endsWith('/') ? `${trimmed}**` : trimmed;
+    return glob.includes('/') ? glob : `**/${glob}`;
+}
+
+function filterFiles(files: ProjectFileEntry[], query: SearchQuery, folder: string | undefined): ProjectFileEntry[] {
+    const include = (query.include || []).filter(pattern => pattern.trim().length > 0).map(toSearchGlob);
+    const exclude = (query.exclude || []).filter(pattern => pattern.trim().length > 0).map(toSearchGlob);
+
+    return files.filter(file =>
+        (folder === undefined || file.workspaceFolder === folder) &&
+        (include.length === 0 || matchesAnyGlob(file.path, include)) &&
+        !matchesAnyGlob(file.path, exclude)
+    );
+}
+
+export function createLineMatcher(query: SearchQuery): RegExp {
+    let source = query.isRegex ? query.query : query.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (query.wholeWord) {
+        source = `\\b(?:${source})\\b`;
+    }
+
+    try {
+        return new RegExp(source, query.matchCase ? 'g' : 'gi');
+    } catch (error) {
+        throw new BridgeError('INVALID_MESSAGE', (error as Error).message, { query: query.query });
+    }
+}
+
+// Binary files and files over the size limit are skipped
+export async function readSearchableText(fullPath: string, document: vscode.TextDocument | undefined): Promise<string | undefined> {
+    let content: string;
+    if (document) {
+        content = document.getText();
+    } else {
+        try {
+            const stats = await fs.promises.stat(fullPath);
+            if (!stats.isFile() || stats.size > MAX_FILE_SIZE) {
+                return undefined;
+            }
+            content = await fs.promises.readFile(fullPath, 'utf8');
+        } catch (error) {
+            // Deleted since the project scan
+            return undefined;
+        }
+    }
+
+    return content.length <= MAX_FILE_SIZE && !content.includes('\0') ? content : undefined;
+}
+
+// The query's characters must appear in order. Matches in the file name, at the start of
+// words and in runs of consecutive characters rank higher.
+function scoreFileName(filePath: string, query: string): { score: number; positions: number[] } | undefined {
+    if (query.length === 0) {
+        return undefined;
+    }
+
+    const candidate = filePath.toLowerCase();
+    const wanted = query.toLowerCase();
+    const nameStart = filePath.lastIndexOf('/') + 1;
+
+    // Prefer a match within the file name over one spread across directories
+    const positions = findPositions(candidate, wanted, nameStart) ?? findPositions(candidate, wanted, 0);
+    if (!positions) {
+        return undefined;
+    }
+
+    let score = 0;
+    positions.forEach((position, index) => {
+        score += 1;
+        if (isWordStart(filePath, position)) {
+            score += 5;
+        }
+        if (index > 0 && positions[index - 1] === position - 1) {
+            score += 3;
+        }
+    });
+    if (positions[0] >= nameStart) {
+        score += 10;
+    }
+    if (filePath.slice(nameStart).toLowerCase().startsWith(wanted)) {
+        score += 10;
+    }
+
+    return { score, positions };
+}
+
+function findPositions(candidate: string, wanted: string, from: number): number[] | undefined {
+    const positions: number[] = [];
+    let index = from;
+    for (const char of wanted) {
+        index = candidate.indexOf(char, index);
+        if (index < 0) {
+            return undefined;
+        }
+        positions.push(index);
+        index++;
+    }
+    return positions;
+}
+
+function isWordStart(text: string, index: number): boolean {
+    if (index === 0) {
+        return true;
+    }
+    const previous = text[index - 1];
+    const current = text[index];
+    return '/\\_-. '.includes(previous) ||
+        (current !== current.toLowerCase() && previous === previous.toLowerCase());
+}
@@ -0,0 +1,172 @@
+import {
+  applyPatch,
+  createPatch,
+  diffLines,
+  findConflictBlocks,
+  mergeText,
+  PatchError,
+  resolveConflictBlock,
+  splitLines,
+} from '@mobile-devin/shared';
+
+const lines = (...values: string[]) => values.join('\n');
+
+describe('diffLines', () => {
+  it('returns no hunks for equal input', () => {
+    expect(diffLines(['a', 'b'], ['a', 'b'])).toEqual([]);
+  });
+
+  it('reports a replaced line', () => {
+    expect(diffLines(['a', 'b', 'c'], ['a', 'x', 'c'])).toEqual([{aStart: 1, aEnd: 2, bStart: 1, bEnd: 2}]);
+  });
+
+  it('reports insertions and deletions at the edges', () => {
+    expect(diffLines(['b', 'c'], ['a', 'b', 'c', 'd'])).toEqual([
+      {aStart: 0, aEnd: 0, bStart: 0, bEnd: 1},
+      {aStart: 2, aEnd: 2, bStart: 3, bEnd: 4},
+    ]);
+    expect(diffLines(['a', 'b', 'c'], ['b'])).toEqual([
+      {aStart: 0, aEnd: 1, bStart: 0, bEnd: 0},
+      {aStart: 2, aEnd: 3, bStart: 1, bEnd: 1},
+    ]);
+  });
+
+  it('handles empty sides', () => {
+    expect(diffLines([], ['a'])).toEqual([{aStart: 0, aEnd: 0, bStart: 0, bEnd: 1}]);
+    expect(diffLines(['a'], [])).toEqual([{aStart: 0, aEnd: 1, bStart: 0, bEnd: 0}]);
+  });
+});
+
+describe('mergeText', () => {
+  const base = lines('one', 'two', 'three', 'four', 'five');
+
+  it('takes the other side when only one side changed', () => {
+    const changed = lines('one', 'TWO', 'three', 'four', 'five');
+    expect(mergeText(base, changed, base)).toMatchObject({clean: true, content: changed});
+    expect(mergeText(base, base, changed)).toMatchObject({clean: true, content: changed});
+  });
+
+  it('merges changes to different lines cleanly', () => {
+    const local = lines('one', 'TWO', 'three', 'four', 'five');
+    const incoming = lines('one', 'two', 'three', 'FOUR', 'five');
+    const result = mergeText(base, local, incoming);
+    expect(result.clean).toBe(true);
+    expect(result.conflicts).toBe(0);
+    expect(result.content).toBe(lines('one', 'TWO', 'three', 'FOUR', 'five'));
+  });
+
+  it('merges edits at the start and end of the file', () => {
+    const local = lines('zero', 'one', 'two', 'three', 'four', 'five');
+    const incoming = lines('one', 'two', 'three', 'four', 'five', 'six');
+    expect(mergeText(base, local, incoming).content).toBe(
+      lines('zero', 'one', 'two', 'three', 'four', 'five', 'six'),
+    );
+
+    const trimmed = mergeText(base, lines('two', 'three', 'four', 'five'), lines('one', 'two', 'three', 'four'));
+    expect(trimmed).toMatchObject({clean: true, content: lines('two', 'three', 'four')});
+  });
+
+  it('accepts the same change made on both sides', () => {
+    const longer = lines('a', 'b', 'c', 'd', 'e', 'f', 'g');
+    const local = lines('a', 'B', 'c', 'd', 'e', 'f', 'G');
+    const incoming = lines('a', 'B', 'c', 'd', 'E', 'f', 'g');
+    const result = mergeText(longer, local, incoming);
+    expect(result.clean).toBe(true);
+    expect(result.content).toBe(lines('a', 'B', 'c', 'd', 'E', 'f', 'G'));
+    expect(mergeText(base, local, local)).toMatchObject({clean: true, content: local});
+  });
+
+  it('marks different changes to the same line as a conflict', () => {
+    const result = mergeText(
+      base,
+      lines('one', 'mine', 'three', 'four', 'five'),
+      lines('one', 'theirs', 'three', 'four', 'five'),
+      {local: 'phone', incoming: 'editor'},
+    );
+    expect(result.clean).toBe(false);
+    expect(result.conflicts).toBe(1);
+    expect(result.content).toBe(
+      lines('one', '<<<<<<< phone', 'mine', '=======', 'theirs', '>>>>>>> editor', 'three', 'four', 'five'),
+    );
+    expect(result.regions[1]).toEqual({kind: 'conflict', base: ['two'], local: ['mine'], incoming: ['theirs']});
+  });
+
+  it('treats changes to adjacent lines as a conflict', () => {
+    const result = mergeText(
+      base,
+      lines('one', 'two', 'three', 'FOUR', 'five'),
+      lines('one', 'two', 'three', 'four', 'FIVE'),
+    );
+    expect(result.conflicts).toBe(1);
+  });
+
+  it('keeps clean hunks next to a conflict', () => {
+    const result = mergeText(
+      base,
+      lines('ONE', 'two', 'three', 'mine', 'five'),
+      lines('one', 'two', 'three', 'theirs', 'five'),
+    );
+    expect(result.conflicts).toBe(1);
+    expect(splitLines(result.content)[0]).toBe('ONE');
+  });
+});
+
+describe('conflict blocks', () => {
+  const conflicted = mergeText(
+    lines('a', 'b', 'c', 'd', 'e'),
+    lines('a', 'B1', 'c', 'D1', 'e'),
+    lines('a', 'B2', 'c', 'D2', 'e'),
+  ).content;
+
+  it('finds every block with its marker lines', () => {
+    const blocks = findConflictBlocks(conflicted);
+    expect(blocks).toHaveLength(2);
+    expect(blocks[0]).toMatchObject({index: 0, startLine: 1, separatorLine: 3, endLine: 5, local: ['B1'], incoming: ['B2']});
+    expect(blocks[1]).toMatchObject({local: ['D1'], incoming: ['D2']});
+  });
+
+  it('resolves one block at a time', () => {
+    const first = resolveConflictBlock(conflicted, 0, 'incoming');
+    expect(findConflictBlocks(first)).toHaveLength(1);
+    expect(resolveConflictBlock(first, 0, 'both')).toBe(lines('a', 'B2', 'c', 'D1', 'D2', 'e'));
+    expect(resolveConflictBlock(conflicted, 5, 'local')).toBe(conflicted);
+  });
+});
+
+describe('createPatch and applyPatch', () => {
+  const roundTrip = (base: string, target: string) => {
+    expect(applyPatch(base, createPatch(base, target))).toBe(target);
+  };
+
+  it('round-trips edits anywhere in the text', () => {
+    const base = 'first\nsecond\nthird\n';
+    roundTrip(base, base);
+    roundTrip(base, 'zeroth\nfirst\nsecond\nthird\n');
+    roundTrip(base, 'first\nsecond\nthird\nfourth\n');
+    roundTrip(base, 'first\nthird\n');
+    roundTrip(base, 'first\nsecond\nthird');
+    roundTrip('', 'new file\n');
+    roundTrip(base, '');
+    roundTrip('a\nb\nc\nd\ne\nf', 'a\nB\nc\nd\nE\nf\ng');
+  });
+
+  it('narrows a line change to the changed characters', () => {
+    expect(createPatch('hello world\n', 'hello brave world\n')).toEqual([{offset: 6, deleteCount: 0, text: 'brave '}]);
+    expect(createPatch('same', 'same')).toEqual([]);
+  });
+
+  it('does not split surrogate pairs', () => {
+    const edits = createPatch('x😀y', 'x😃y');
+    for (const edit of edits) {
+      expect(edit.text).not.toMatch(/^[\udc00-\udfff]|[\ud800-\udbff]$/);
+    }
+    roundTrip('x😀y', 'x😃y');
+  });
+
+  it('rejects edits that do not fit the base', () => {
+    expect(() => applyPatch('abc', [{offset: 2, deleteCount: 5, text: ''}])).toThrow(PatchError);
+    expect(() => applyPatch('abc', [{offset: 2, deleteCount: 0, text: 'x'}, {offset: 1, deleteCount: 0, text: 'y'}])).toThrow(
+      PatchError,
+    );
+  });
+});
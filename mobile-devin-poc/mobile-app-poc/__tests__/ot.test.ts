@@ -0,0 +1,245 @@
+import {
+  applyOperation,
+  baseLength,
+  compose,
+  createPatch,
+  isNoop,
+  OperationError,
+  operationFromEdits,
+  operationToEdits,
+  OTClient,
+  TextOperation,
+  targetLength,
+  transform,
+  transformOffset,
+} from '@mobile-devin/shared';
+
+// Small deterministic generator so failures reproduce
+const random = (seed: number) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+const randomOperation = (text: string, next: () => number): TextOperation => {
+  let target = text;
+  for (let edits = 1 + Math.floor(next() * 3); edits > 0; edits--) {
+    const start = Math.floor(next() * (target.length + 1));
+    const end = start + Math.floor(next() * Math.min(4, target.length - start + 1));
+    const insert = next() < 0.6 ? 'xyz'.slice(0, 1 + Math.floor(next() * 3)) : '';
+    target = target.slice(0, start) + insert + target.slice(end);
+  }
+  return operationFromEdits(text.length, createPatch(text, target));
+};
+
+describe('TextOperation', () => {
+  it('applies retains, inserts and deletes', () => {
+    expect(applyOperation('hello world', [6, 'brave ', 5])).toBe('hello brave world');
+    expect(applyOperation('hello world', [5, -6])).toBe('hello');
+    expect(baseLength([2, 'ab', -3, 1])).toBe(6);
+    expect(targetLength([2, 'ab', -3, 1])).toBe(5);
+    expect(isNoop([4])).toBe(true);
+    expect(isNoop([2, 'a', 2])).toBe(false);
+  });
+
+  it('rejects an operation for a different document length', () => {
+    expect(() => applyOperation('abc', [4])).toThrow(OperationError);
+  });
+
+  it('converts to and from text edits', () => {
+    const operation = operationFromEdits(10, [
+      {offset: 1, deleteCount: 2, text: 'X'},
+      {offset: 6, deleteCount: 0, text: 'Y'},
+    ]);
+    expect(operation).toEqual([1, 'X', -2, 3, 'Y', 4]);
+    expect(operationToEdits(operation)).toEqual([
+      {offset: 1, deleteCount: 2, text: 'X'},
+      {offset: 6, deleteCount: 0, text: 'Y'},
+    ]);
+    expect(() => operationFromEdits(3, [{offset: 2, deleteCount: 2, text: ''}])).toThrow(OperationError);
+  });
+});
+
+describe('compose', () => {
+  it('has the effect of applying both operations in turn', () => {
+    const a: TextOperation = [3, 'abc', -2, 1];
+    const b: TextOperation = [1, -3, 'Q', 3];
+    expect(applyOperation('012345', compose(a, b))).toBe(applyOperation(applyOperation('012345', a), b));
+  });
+
+  it('drops text that the second operation deletes again', () => {
+    expect(compose([2, 'abc', 2], [2, -3, 2])).toEqual([4]);
+  });
+
+  it('matches sequential application for generated operations', () => {
+    const next = random(7);
+    for (let run = 0; run < 200; run++) {
+      const text = 'the quick brown fox'.slice(0, Math.floor(next() * 20));
+      const a = randomOperation(text, next);
+      const afterA = applyOperation(text, a);
+      const b = randomOperation(afterA, next);
+      expect(applyOperation(text, compose(a, b))).toBe(applyOperation(afterA, b));
+    }
+  });
+
+  it('rejects operations whose lengths do not line up', () => {
+    expect(() => compose([3], [4])).toThrow(OperationError);
+  });
+});
+
+describe('transform', () => {
+  const converges = (text: string, a: TextOperation, b: TextOperation) => {
+    const [aPrime, bPrime] = transform(a, b);
+    const viaA = applyOperation(applyOperation(text, a), bPrime);
+    const viaB = applyOperation(applyOperation(text, b), aPrime);
+    expect(viaA).toBe(viaB);
+    return viaA;
+  };
+
+  it('converges for inserts at the same position, putting the first operation first', () => {
+    expect(converges('ab', [1, 'X', 1], [1, 'Y', 1])).toBe('aXYb');
+  });
+
+  it('converges for overlapping deletes', () => {
+    expect(converges('abcdef', [1, -3, 2], [2, -3, 1])).toBe('af');
+  });
+
+  it('converges for an insert inside a deleted range', () => {
+    expect(converges('abcdef', [1, -4, 1], [3, 'X', 3])).toBe('aXf');
+  });
+
+  it('converges for generated concurrent operations', () => {
+    const next = random(42);
+    for (let run = 0; run < 300; run++) {
+      const text = 'lorem ipsum dolor sit'.slice(0, Math.floor(next() * 22));
+      converges(text, randomOperation(text, next), randomOperation(text, next));
+    }
+  });
+
+  it('rejects operations on different documents', () => {
+    expect(() => transform([3], [4])).toThrow(OperationError);
+  });
+});
+
+describe('transformOffset', () => {
+  it('moves offsets past inserted and deleted text', () => {
+    expect(transformOffset(4, [1, 'XY', 5])).toBe(6);
+    expect(transformOffset(4, [1, -2, 3])).toBe(2);
+    expect(transformOffset(2, [1, -3, 2])).toBe(1);
+    expect(transformOffset(5, [6, 'X'])).toBe(5);
+  });
+
+  it('keeps an offset before text inserted at it when asked', () => {
+    expect(transformOffset(2, [2, 'X', 2])).toBe(3);
+    expect(transformOffset(2, [2, 'X', 2], true)).toBe(2);
+  });
+});
+
+describe('OTClient', () => {
+  // A central server: rebases each operation onto the revisions the client has not seen
+  class Server {
+    history: TextOperation[] = [];
+
+    constructor(public text: string) {}
+
+    receive(revision: number, operation: TextOperation): TextOperation {
+      for (const concurrent of this.history.slice(revision)) {
+        [operation] = transform(operation, concurrent);
+      }
+      this.text = applyOperation(this.text, operation);
+      this.history.push(operation);
+      return operation;
+    }
+  }
+
+  const createClient = (text: string, revision = 0) => {
+    const state = {text, sent: [] as Array<{revision: number; operation: TextOperation}>};
+    const client = new OTClient(revision, {
+      send: (sentRevision, operation) => state.sent.push({revision: sentRevision, operation}),
+      apply: operation => {
+        state.text = applyOperation(state.text, operation);
+      },
+    });
+    const edit = (operation: TextOperation) => {
+      state.text = applyOperation(state.text, operation);
+      client.applyLocal(operation);
+    };
+    return {client, state, edit};
+  };
+
+  it('sends a local edit straight away when nothing is outstanding', () => {
+    const {client, state, edit} = createClient('abc', 3);
+    edit([3, 'd']);
+    expect(state.sent).toEqual([{revision: 3, operation: [3, 'd']}]);
+    expect(client.hasPendingChanges()).toBe(true);
+
+    client.acknowledge();
+    expect(client.revision).toBe(4);
+    expect(client.hasPendingChanges()).toBe(false);
+  });
+
+  it('buffers edits while awaiting an ack and sends them composed afterwards', () => {
+    const {client, state, edit} = createClient('abc');
+    edit([3, 'd']);
+    edit([4, 'e']);
+    edit([-1, 4]);
+    expect(state.sent).toHaveLength(1);
+
+    client.acknowledge();
+    expect(state.sent).toHaveLength(2);
+    expect(state.sent[1].revision).toBe(1);
+    expect(applyOperation('abcd', state.sent[1].operation)).toBe('bcde');
+
+    client.acknowledge();
+    expect(client.hasPendingChanges()).toBe(false);
+    expect(state.sent).toHaveLength(2);
+  });
+
+  it('ignores an acknowledgement with nothing outstanding', () => {
+    const {client} = createClient('abc', 2);
+    client.acknowledge();
+    expect(client.revision).toBe(2);
+  });
+
+  it('applies remote edits directly when in sync', () => {
+    const {client, state} = createClient('abc');
+    client.applyRemote(['X', 3]);
+    expect(state.text).toBe('Xabc');
+    expect(client.revision).toBe(1);
+  });
+
+  it('converges with the server while awaiting an ack and buffering', () => {
+    const server = new Server('hello world');
+    const phone = createClient(server.text);
+    const editor = createClient(server.text);
+
+    // Both edit at once; the editor's edit reaches the server first
+    phone.edit([5, ',', 6]);
+    phone.edit([12, '!']);
+    editor.edit([0, 'Oh ', -1, 'H', 10]);
+
+    const fromEditor = editor.state.sent.shift()!;
+    const committed = server.receive(fromEditor.revision, fromEditor.operation);
+    editor.client.acknowledge();
+    phone.client.applyRemote(committed);
+
+    // The phone's first edit was sent at revision 0 and is rebased by the server
+    const first = phone.state.sent.shift()!;
+    expect(first.revision).toBe(0);
+    const firstCommitted = server.receive(first.revision, first.operation);
+    editor.client.applyRemote(firstCommitted);
+    phone.client.acknowledge();
+
+    const second = phone.state.sent.shift()!;
+    expect(second.revision).toBe(2);
+    const secondCommitted = server.receive(second.revision, second.operation);
+    editor.client.applyRemote(secondCommitted);
+    phone.client.acknowledge();
+
+    expect(server.text).toBe('Oh Hello, world!');
+    expect(phone.state.text).toBe(server.text);
+    expect(editor.state.text).toBe(server.text);
+    expect(phone.client.revision).toBe(3);
+    expect(editor.client.revision).toBe(3);
+    expect(phone.client.hasPendingChanges()).toBe(false);
+  });
+});
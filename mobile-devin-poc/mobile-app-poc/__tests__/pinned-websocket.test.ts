@@ -0,0 +1,156 @@
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as https from 'https';
+import * as os from 'os';
+import * as path from 'path';
+import {AddressInfo} from 'net';
+import {WebSocketServer} from 'ws';
+import {loadOrCreateCertificate, TlsCredentials} from '../../cursor-extension/src/tls-certificate';
+import {
+  PinnedWebSocket,
+  certificateFingerprint,
+  fetchBridgeCertificate,
+  isSameFingerprint,
+} from '../src/services/PinnedWebSocket';
+import {MobileDevinWebSocketClient} from '../src/services/WebSocketClient';
+
+jest.mock('vscode', () => ({}), {virtual: true});
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+// Node's TLS stands in for the native module: a CA trusts only that certificate, and
+// rejectUnauthorized: false accepts any
+jest.mock('react-native-tcp-socket', () => {
+  const tls = require('tls');
+  return {
+    __esModule: true,
+    default: {
+      connectTLS: (options: any, callback: () => void) => tls.connect({
+        host: options.host,
+        port: options.port,
+        ca: options.ca,
+        rejectUnauthorized: options.rejectUnauthorized !== false,
+        checkServerIdentity: () => undefined,
+      }, callback),
+    },
+  };
+});
+
+let base: string;
+let bridge: TlsCredentials;
+let other: TlsCredentials;
+let server: https.Server;
+let url: string;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  base = fs.mkdtempSync(path.join(os.tmpdir(), 'pinned-'));
+  bridge = await loadOrCreateCertificate(path.join(base, 'bridge'));
+  other = await loadOrCreateCertificate(path.join(base, 'other'));
+
+  // The bridge's HTTPS server: its certificate on /certificate, WebSockets on any path
+  server = https.createServer({cert: bridge.cert, key: bridge.key}, (request, response) => {
+    if (request.url === '/certificate') {
+      response.writeHead(200, {'Content-Type': 'application/x-pem-file', 'Content-Length': Buffer.byteLength(bridge.cert)});
+      response.end(bridge.cert);
+      return;
+    }
+    response.writeHead(426);
+    response.end();
+  });
+  const wss = new WebSocketServer({server});
+  wss.on('connection', socket => {
+    socket.on('message', data => {
+      const text = data.toString();
+      if (text === 'close') {
+        socket.close(4403, 'Revoked');
+      } else {
+        socket.send(`echo:${text}`);
+      }
+    });
+  });
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `wss://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(base, {recursive: true, force: true});
+  jest.restoreAllMocks();
+});
+
+const open = (certificate: string) => new Promise<PinnedWebSocket>((resolve, reject) => {
+  const socket = new PinnedWebSocket(url, certificate);
+  socket.onopen = () => resolve(socket);
+  socket.onclose = event => reject(new Error(`closed with ${event.code}`));
+});
+
+const nextMessage = (socket: PinnedWebSocket) => new Promise<string>(resolve => {
+  socket.onmessage = event => resolve(event.data);
+});
+
+describe('certificate pinning', () => {
+  it('fetches the bridge certificate with the fingerprint Node.js reports', async () => {
+    const certificate = await fetchBridgeCertificate(url);
+
+    expect(certificate.trim()).toBe(bridge.cert.trim());
+    expect(certificateFingerprint(certificate)).toBe(new crypto.X509Certificate(bridge.cert).fingerprint256);
+    expect(isSameFingerprint(certificateFingerprint(certificate), bridge.fingerprint.toLowerCase().replace(/:/g, ''))).toBe(true);
+    expect(isSameFingerprint(certificateFingerprint(certificate), other.fingerprint)).toBe(false);
+  });
+
+  it('exchanges messages of every frame length with the pinned bridge', async () => {
+    const socket = await open(bridge.cert);
+    expect(socket.readyState).toBe(PinnedWebSocket.OPEN);
+
+    for (const message of ['hello', 'x'.repeat(300), 'y'.repeat(70000)]) {
+      const reply = nextMessage(socket);
+      socket.send(message);
+      expect(await reply).toBe(`echo:${message}`);
+    }
+    socket.close();
+  });
+
+  it('reports the close code the bridge sends', async () => {
+    const socket = await open(bridge.cert);
+    const closed = new Promise<{code?: number; reason?: string}>(resolve => {
+      socket.onclose = event => resolve(event);
+    });
+
+    socket.send('close');
+    expect(await closed).toEqual({code: 4403, reason: 'Revoked'});
+    expect(socket.readyState).toBe(PinnedWebSocket.CLOSED);
+  });
+
+  it('refuses a bridge with another certificate', async () => {
+    const onerror = jest.fn();
+    const closed = new Promise<number | undefined>((resolve, reject) => {
+      const socket = new PinnedWebSocket(url, other.cert);
+      socket.onopen = () => reject(new Error('connected with the wrong certificate'));
+      socket.onerror = onerror;
+      socket.onclose = event => resolve(event.code);
+    });
+
+    expect(await closed).toBe(1006);
+    expect(onerror).toHaveBeenCalled();
+  });
+
+  it('refuses to pair when the certificate does not match the QR code', async () => {
+    const client = new MobileDevinWebSocketClient(url);
+
+    await expect(client.pair('123456', 'Test', other.fingerprint)).rejects.toMatchObject({
+      code: 'CERTIFICATE_MISMATCH',
+      details: {expected: other.fingerprint, actual: bridge.fingerprint},
+    });
+    await expect(client.pair('123456', 'Test')).rejects.toMatchObject({code: 'CERTIFICATE_MISMATCH'});
+  });
+
+  it('does not connect to a wss:// bridge without a pinned certificate', async () => {
+    const client = new MobileDevinWebSocketClient(url);
+    client.setDeviceCredentials({deviceId: 'device', token: 'token'});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(client.connect()).rejects.toMatchObject({code: 'CERTIFICATE_MISMATCH'});
+  });
+});
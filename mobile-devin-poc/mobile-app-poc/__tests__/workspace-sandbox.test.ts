@@ -0,0 +1,91 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {WorkspaceSandbox} from '../../cursor-extension/src/workspace-sandbox';
+
+let base: string;
+let root: string;
+let outside: string;
+const sandbox = new WorkspaceSandbox();
+
+const rejection = (requestedPath: string) => sandbox.resolve(root, requestedPath).then(
+  () => {
+    throw new Error(`${requestedPath} was accepted`);
+  },
+  error => ({code: error.code, reason: error.details?.reason}),
+);
+
+beforeAll(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'sandbox-')));
+  root = path.join(base, 'workspace');
+  outside = path.join(base, 'outside');
+  fs.mkdirSync(path.join(root, 'src'), {recursive: true});
+  fs.mkdirSync(outside);
+  fs.writeFileSync(path.join(root, 'src', 'index.ts'), '');
+  fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+  fs.symlinkSync(outside, path.join(root, 'linked'));
+  fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(root, 'secret-link.txt'));
+});
+
+afterAll(() => {
+  fs.rmSync(base, {recursive: true, force: true});
+  jest.restoreAllMocks();
+});
+
+describe('WorkspaceSandbox.resolve', () => {
+  it('resolves files inside the workspace', async () => {
+    expect(await sandbox.resolve(root, 'src/index.ts')).toBe(path.join(root, 'src', 'index.ts'));
+    expect(await sandbox.resolve(root, 'src/../src/new-file.ts')).toBe(path.join(root, 'src', 'new-file.ts'));
+    expect(await sandbox.resolve(root, 'missing/dir/file.ts')).toBe(path.join(root, 'missing', 'dir', 'file.ts'));
+  });
+
+  it('rejects ".." escapes', async () => {
+    for (const requestedPath of ['..', '../outside/secret.txt', 'src/../../outside/secret.txt', 'src/../..']) {
+      expect(await rejection(requestedPath)).toEqual({code: 'PERMISSION_DENIED', reason: 'outside_workspace'});
+    }
+  });
+
+  it('accepts names that only start with ".."', async () => {
+    expect(await sandbox.resolve(root, '..foo')).toBe(path.join(root, '..foo'));
+    expect(await sandbox.resolve(root, 'src/..bar/file.ts')).toBe(path.join(root, 'src', '..bar', 'file.ts'));
+    expect(await sandbox.resolve(root, '...')).toBe(path.join(root, '...'));
+  });
+
+  it('rejects absolute paths', async () => {
+    for (const requestedPath of [path.join(root, 'src', 'index.ts'), '/etc/passwd', 'C:\\Windows\\win.ini', '\\\\server\\share']) {
+      expect(await rejection(requestedPath)).toEqual({code: 'PERMISSION_DENIED', reason: 'outside_workspace'});
+    }
+  });
+
+  it('rejects empty paths and NUL bytes', async () => {
+    expect(await rejection('')).toEqual({code: 'PERMISSION_DENIED', reason: 'invalid_path'});
+    expect(await rejection('src/index.ts\0.png')).toEqual({code: 'PERMISSION_DENIED', reason: 'invalid_path'});
+  });
+
+  it('rejects symlinks that point outside the workspace', async () => {
+    expect(await rejection('secret-link.txt')).toEqual({code: 'PERMISSION_DENIED', reason: 'symlink_escape'});
+    expect(await rejection('linked/secret.txt')).toEqual({code: 'PERMISSION_DENIED', reason: 'symlink_escape'});
+    // New files are checked through their existing parent
+    expect(await rejection('linked/new-file.txt')).toEqual({code: 'PERMISSION_DENIED', reason: 'symlink_escape'});
+  });
+
+  it('rejects deny-list matches in any case', async () => {
+    for (const requestedPath of ['.env', '.ENV', 'src/.Env.local', 'certs/KEY.PEM', '.GIT/config', 'keys/ID_RSA.pub']) {
+      expect(await rejection(requestedPath)).toEqual({code: 'PERMISSION_DENIED', reason: 'denied_pattern'});
+    }
+  });
+
+  it('checks the deny-list against the symlink target', async () => {
+    fs.writeFileSync(path.join(root, '.env'), 'TOKEN=1');
+    fs.symlinkSync(path.join(root, '.env'), path.join(root, 'settings.txt'));
+    expect(await rejection('settings.txt')).toEqual({code: 'PERMISSION_DENIED', reason: 'denied_pattern'});
+  });
+
+  it('applies a custom deny-list', async () => {
+    const custom = new WorkspaceSandbox(['**/*.secret']);
+    expect(custom.isDenied('config/APP.SECRET')).toBe(true);
+    expect(custom.isDenied('.env')).toBe(false);
+    expect(await custom.resolve(root, '.env')).toBe(path.join(root, '.env'));
+  });
+});
@@ -2,6 +2,8 @@
  * @format
  */
 
+// Secure random numbers for the authentication nonces, before anything else loads
+import 'react-native-get-random-values';
 import {AppRegistry} from 'react-native';
 import App from './App';
 import {name as appName} from './app.json';
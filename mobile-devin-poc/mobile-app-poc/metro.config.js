@@ -1,3 +1,4 @@
+const path = require('path');
 const {getDefaultConfig, mergeConfig} = require('@react-native/metro-config');
 
 /**
@@ -6,6 +7,9 @@ const {getDefaultConfig, mergeConfig} = require('@react-native/metro-config');
  *
  * @type {import('metro-config').MetroConfig}
  */
-const config = {};
+const config = {
+  // @mobile-devin/shared is compiled from source, see the alias in babel.config.js
+  watchFolders: [path.resolve(__dirname, '../shared')],
+};
 
 module.exports = mergeConfig(getDefaultConfig(__dirname), config); 
\ No newline at end of file
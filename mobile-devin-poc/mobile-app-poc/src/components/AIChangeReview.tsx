@@ -0,0 +1,233 @@
+import React, {useEffect, useState} from 'react';
+import {View, Text, StyleSheet, ScrollView, TouchableOpacity, ActivityIndicator} from 'react-native';
+import MonacoDiffEditor, {DiffChange, revertDiffChange} from './MonacoDiffEditor';
+import {AcceptedChange, ChangeAction, ChangeSet, ProposedChange} from '../services/WebSocketClient';
+
+interface AIChangeReviewProps {
+  changeSet: ChangeSet;
+  isApplying: boolean;
+  onApply: (changes: AcceptedChange[]) => void;
+  onDiscard: () => void;
+}
+
+interface ReviewedFile {
+  accepted: boolean;
+  modified: string | null; // the proposed content without the rejected changes
+}
+
+const ACTION_LABELS: Record<ChangeAction, string> = {
+  modify: 'M',
+  create: 'A',
+  delete: 'D',
+};
+
+const ACTION_COLORS: Record<ChangeAction, string> = {
+  modify: '#FF9800',
+  create: '#4CAF50',
+  delete: '#F44336',
+};
+
+const initialReview = (changeSet: ChangeSet): ReviewedFile[] =>
+  changeSet.files.map(file => ({accepted: true, modified: file.modified}));
+
+// A change set from the AI, one file at a time. Files can be skipped and single changes
+// rejected; what is left is applied in one step.
+const AIChangeReview: React.FC<AIChangeReviewProps> = ({changeSet, isApplying, onApply, onDiscard}) => {
+  const [review, setReview] = useState<ReviewedFile[]>(() => initialReview(changeSet));
+  const [selected, setSelected] = useState(0);
+
+  useEffect(() => {
+    setReview(initialReview(changeSet));
+    setSelected(0);
+  }, [changeSet]);
+
+  const file: ProposedChange | undefined = changeSet.files[selected];
+  const reviewed = review[selected];
+
+  const updateReview = (index: number, update: Partial<ReviewedFile>) => {
+    setReview(prev => prev.map((item, itemIndex) => (itemIndex === index ? {...item, ...update} : item)));
+  };
+
+  const rejectChange = (change: DiffChange) => {
+    if (!file || reviewed?.modified == null) {
+      return;
+    }
+    updateReview(selected, {modified: revertDiffChange(file.original ?? '', reviewed.modified, change)});
+  };
+
+  // A file whose changes were all rejected is left alone
+  const accepted = changeSet.files
+    .map((change, index) => ({change, reviewed: review[index]}))
+    .filter(({change, reviewed: item}) => item?.accepted && (change.action === 'delete' || item.modified !== change.original));
+
+  const apply = () => {
+    onApply(accepted.map(({change, reviewed: item}) => ({
+      workspaceFolder: change.workspaceFolder,
+      filePath: change.filePath,
+      action: change.action,
+      content: item.modified ?? undefined,
+      baseVersion: change.baseVersion,
+    })));
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Proposed Changes</Text>
+      {changeSet.summary.length > 0 && <Text style={styles.summary}>{changeSet.summary}</Text>}
+      <Text style={styles.meta}>{changeSet.provider}/{changeSet.model}</Text>
+
+      {changeSet.files.length === 0 ? (
+        <Text style={styles.emptyText}>The AI proposed no changes.</Text>
+      ) : (
+        <>
+          <ScrollView style={styles.fileList}>
+            {changeSet.files.map((change, index) => (
+              <View key={`${change.workspaceFolder}/${change.filePath}`} style={[styles.fileRow, index === selected && styles.fileRowSelected]}>
+                <TouchableOpacity onPress={() => updateReview(index, {accepted: !review[index]?.accepted})}>
+                  <Text style={styles.checkbox}>{review[index]?.accepted ? '☑' : '☐'}</Text>
+                </TouchableOpacity>
+                <Text style={[styles.actionBadge, {color: ACTION_COLORS[change.action]}]}>{ACTION_LABELS[change.action]}</Text>
+                <TouchableOpacity style={styles.filePathButton} onPress={() => setSelected(index)}>
+                  <Text style={[styles.filePath, !review[index]?.accepted && styles.filePathSkipped]} numberOfLines={1}>
+                    {change.filePath}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </ScrollView>
+
+          {file && reviewed && (
+            <View style={styles.diff}>
+              {file.action === 'delete' ? (
+                <Text style={styles.emptyText}>{file.filePath} will be deleted.</Text>
+              ) : (
+                <MonacoDiffEditor
+                  key={`${file.workspaceFolder}/${file.filePath}`}
+                  original={file.original ?? ''}
+                  modified={reviewed.modified ?? ''}
+                  filePath={file.filePath}
+                  actions={{reject: 'Reject'}}
+                  onChangeAction={rejectChange}
+                />
+              )}
+            </View>
+          )}
+        </>
+      )}
+
+      <View style={styles.buttons}>
+        <TouchableOpacity style={styles.button} onPress={onDiscard} disabled={isApplying}>
+          <Text style={styles.buttonText}>Discard</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.button, styles.buttonPrimary, (accepted.length === 0 || isApplying) && styles.buttonDisabled]}
+          onPress={apply}
+          disabled={accepted.length === 0 || isApplying}
+        >
+          {isApplying ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <Text style={[styles.buttonText, styles.buttonTextPrimary]}>Apply {accepted.length} file(s)</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1e1e1e',
+    padding: 16,
+  },
+  title: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  summary: {
+    color: '#ccc',
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  meta: {
+    color: '#888',
+    fontSize: 11,
+    marginBottom: 8,
+  },
+  emptyText: {
+    color: '#888',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 24,
+  },
+  fileList: {
+    maxHeight: 140,
+    marginBottom: 8,
+  },
+  fileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 4,
+    borderRadius: 4,
+  },
+  fileRowSelected: {
+    backgroundColor: '#2a2a2a',
+  },
+  checkbox: {
+    color: '#ddd',
+    fontSize: 16,
+    marginRight: 8,
+  },
+  actionBadge: {
+    fontFamily: 'Courier',
+    fontWeight: 'bold',
+    fontSize: 13,
+    width: 16,
+  },
+  filePathButton: {
+    flex: 1,
+  },
+  filePath: {
+    color: '#fff',
+    fontSize: 13,
+  },
+  filePathSkipped: {
+    color: '#666',
+    textDecorationLine: 'line-through',
+  },
+  diff: {
+    flex: 1,
+    marginBottom: 12,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  button: {
+    flex: 1,
+    backgroundColor: '#333',
+    paddingVertical: 12,
+    borderRadius: 6,
+    marginHorizontal: 4,
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+  },
+  buttonPrimary: {
+    backgroundColor: '#2196F3',
+  },
+  buttonText: {
+    color: '#fff',
+    textAlign: 'center',
+    fontSize: 13,
+  },
+  buttonTextPrimary: {
+    fontWeight: 'bold',
+  },
+});
+
+export default AIChangeReview;
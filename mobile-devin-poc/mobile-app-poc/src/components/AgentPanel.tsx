@@ -0,0 +1,357 @@
+import React, {useEffect, useRef, useState} from 'react';
+import {View, Text, StyleSheet, FlatList, TextInput, TouchableOpacity, ActivityIndicator, Platform} from 'react-native';
+import {AgentRunState, AgentSession} from '../services/AgentSession';
+import {AgentRunStatus, AgentStepEvent} from '../services/WebSocketClient';
+
+interface AgentPanelProps {
+  session: AgentSession;
+  isConnected: boolean;
+  onStart: (task: string) => void;
+  onPause: () => void;
+  onResume: () => void;
+  onCancel: () => void;
+  onOpenFile: (workspaceFolder: string, filePath: string) => void;
+}
+
+const MONOSPACE = Platform.select({ios: 'Menlo', default: 'monospace'});
+
+const STATE_TEXT: Record<AgentRunState, string> = {
+  starting: 'Starting…',
+  running: 'Working',
+  paused: 'Paused after the current step',
+  ended: 'Ended',
+  disconnected: 'Connection lost, the agent was stopped',
+};
+
+const END_TEXT: Record<AgentRunStatus, string> = {
+  succeeded: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+  budget_exhausted: 'Out of budget',
+};
+
+const END_COLORS: Record<AgentRunStatus, string> = {
+  succeeded: '#4CAF50',
+  failed: '#F44336',
+  cancelled: '#888',
+  budget_exhausted: '#FF9800',
+};
+
+const TOOL_ICONS: Record<NonNullable<AgentStepEvent['tool']>, string> = {
+  list_files: '📂',
+  read_file: '📄',
+  search: '🔍',
+  edit: '✏️',
+  run_tests: '🧪',
+  finish: '🏁',
+};
+
+const ACTION_LABELS = {modify: 'M', create: 'A', delete: 'D'};
+
+const stepIcon = (step: AgentStepEvent): string => {
+  if (step.kind === 'plan') {
+    return '📋';
+  }
+  if (step.kind === 'thought') {
+    return '💭';
+  }
+  return step.tool ? TOOL_ICONS[step.tool] : '⚙️';
+};
+
+const AgentPanel: React.FC<AgentPanelProps> = ({
+  session,
+  isConnected,
+  onStart,
+  onPause,
+  onResume,
+  onCancel,
+  onOpenFile,
+}) => {
+  const [task, setTask] = useState('');
+  const [expanded, setExpanded] = useState<Set<number>>(new Set());
+  const [, setRenderCount] = useState(0);
+  const listRef = useRef<FlatList<AgentStepEvent>>(null);
+
+  useEffect(() => {
+    const render = () => setRenderCount(count => count + 1);
+    session.on('changed', render);
+    return () => {
+      session.off('changed', render);
+    };
+  }, [session]);
+
+  const run = session.run;
+  const canStart = isConnected && !session.isActive && task.trim().length > 0;
+
+  const start = () => {
+    if (!canStart) {
+      return;
+    }
+    setExpanded(new Set());
+    onStart(task.trim());
+    setTask('');
+  };
+
+  const toggleExpanded = (index: number) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (!next.delete(index)) {
+        next.add(index);
+      }
+      return next;
+    });
+  };
+
+  const renderStep = ({item}: {item: AgentStepEvent}) => (
+    <TouchableOpacity style={styles.step} onPress={() => toggleExpanded(item.index)} disabled={!item.text}>
+      <View style={styles.stepHeader}>
+        <Text style={styles.stepIcon}>{stepIcon(item)}</Text>
+        <Text style={[styles.stepTitle, item.status === 'failed' && styles.failedText]} numberOfLines={1}>
+          {item.title}
+        </Text>
+        {item.status === 'running' && <ActivityIndicator size="small" color="#2196F3" />}
+        {item.status === 'failed' && <Text style={styles.failedText}>✗</Text>}
+      </View>
+      {item.text ? (
+        <Text
+          style={[styles.stepText, item.kind === 'tool' && styles.outputText]}
+          numberOfLines={expanded.has(item.index) ? undefined : 3}
+          selectable
+        >
+          {item.text}
+        </Text>
+      ) : null}
+      {item.files?.map(file => (
+        <TouchableOpacity
+          key={`${file.workspaceFolder}/${file.filePath}`}
+          onPress={() => onOpenFile(file.workspaceFolder, file.filePath)}
+          disabled={file.action === 'delete'}
+        >
+          <Text style={styles.fileLink}>
+            {ACTION_LABELS[file.action]} {file.filePath}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      {run && (
+        <View style={styles.header}>
+          <Text style={styles.task} numberOfLines={2}>{run.task}</Text>
+          <Text style={styles.meta}>
+            {run.end ? END_TEXT[run.end.status] : STATE_TEXT[run.state]}
+            {run.start ? ` · ${run.start.provider}/${run.start.model}` : ''}
+            {run.start ? ` · ${run.end ? run.end.turns : run.steps.filter(step => step.kind === 'thought').length}/${run.start.maxTurns} turns` : ''}
+          </Text>
+          {run.start && (
+            <Text style={styles.meta}>{run.start.testCommand ? `Tests: ${run.start.testCommand}` : 'No test command'}</Text>
+          )}
+          {session.isActive && run.start && (
+            <View style={styles.controls}>
+              {run.state === 'paused' ? (
+                <TouchableOpacity style={styles.controlButton} onPress={onResume}>
+                  <Text style={styles.buttonText}>Resume</Text>
+                </TouchableOpacity>
+              ) : (
+                <TouchableOpacity style={styles.controlButton} onPress={onPause}>
+                  <Text style={styles.buttonText}>Pause</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity style={[styles.controlButton, styles.cancelButton]} onPress={onCancel}>
+                <Text style={styles.buttonText}>Cancel</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      )}
+
+      <FlatList
+        ref={listRef}
+        data={run?.steps ?? []}
+        keyExtractor={item => String(item.index)}
+        renderItem={renderStep}
+        onContentSizeChange={() => listRef.current?.scrollToEnd({animated: false})}
+        ListEmptyComponent={
+          run ? null : (
+            <Text style={styles.emptyText}>
+              Describe a task. The agent reads the project, edits files and runs the tests until they pass.
+            </Text>
+          )
+        }
+        ListFooterComponent={
+          run?.end || run?.error ? (
+            <View style={styles.endCard}>
+              {run.end && (
+                <Text style={[styles.endStatus, {color: END_COLORS[run.end.status]}]}>{END_TEXT[run.end.status]}</Text>
+              )}
+              <Text style={styles.stepText} selectable>{run.end?.summary || run.error}</Text>
+              {run.end?.error && run.end.error.message !== run.end.summary && (
+                <Text style={styles.failedText}>{run.end.error.message}</Text>
+              )}
+              {run.end && run.end.changedFiles.length > 0 && (
+                <Text style={styles.meta}>Changed: {run.end.changedFiles.join(', ')}</Text>
+              )}
+              {run.end?.usage && <Text style={styles.meta}>{run.end.usage.totalTokens} tokens</Text>}
+            </View>
+          ) : null
+        }
+        style={styles.list}
+      />
+
+      {!session.isActive && (
+        <View style={styles.inputRow}>
+          <TextInput
+            style={styles.input}
+            value={task}
+            onChangeText={setTask}
+            placeholder={isConnected ? 'Task for the agent…' : 'Connect to start the agent'}
+            placeholderTextColor="#666"
+            multiline
+            editable={isConnected}
+          />
+          <TouchableOpacity style={[styles.startButton, !canStart && styles.disabled]} onPress={start} disabled={!canStart}>
+            <Text style={styles.buttonText}>Start</Text>
+          </TouchableOpacity>
+          {run && (
+            <TouchableOpacity style={styles.clearButton} onPress={() => session.clear()}>
+              <Text style={styles.buttonText}>Clear</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 8,
+  },
+  header: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#333',
+    paddingBottom: 8,
+    marginBottom: 8,
+  },
+  task: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  meta: {
+    color: '#888',
+    fontSize: 11,
+    marginTop: 2,
+  },
+  controls: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  controlButton: {
+    backgroundColor: '#333',
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 4,
+    marginRight: 8,
+  },
+  cancelButton: {
+    backgroundColor: '#F44336',
+  },
+  list: {
+    flex: 1,
+  },
+  step: {
+    marginBottom: 8,
+  },
+  stepHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stepIcon: {
+    width: 24,
+    fontSize: 13,
+  },
+  stepTitle: {
+    flex: 1,
+    color: '#ddd',
+    fontSize: 13,
+  },
+  stepText: {
+    color: '#aaa',
+    fontSize: 12,
+    marginLeft: 24,
+    marginTop: 2,
+  },
+  outputText: {
+    fontFamily: MONOSPACE,
+    fontSize: 11,
+  },
+  failedText: {
+    color: '#F44336',
+    fontSize: 12,
+  },
+  fileLink: {
+    color: '#2196F3',
+    fontSize: 12,
+    marginLeft: 24,
+    marginTop: 2,
+  },
+  endCard: {
+    backgroundColor: '#2a2a2a',
+    borderRadius: 6,
+    padding: 8,
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  endStatus: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  emptyText: {
+    color: '#888',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+  input: {
+    flex: 1,
+    maxHeight: 120,
+    backgroundColor: '#2a2a2a',
+    color: '#fff',
+    fontSize: 14,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderRadius: 4,
+  },
+  startButton: {
+    backgroundColor: '#2196F3',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 4,
+    marginLeft: 8,
+  },
+  clearButton: {
+    backgroundColor: '#333',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 4,
+    marginLeft: 6,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+});
+
+export default AgentPanel;
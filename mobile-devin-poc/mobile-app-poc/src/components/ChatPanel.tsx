@@ -0,0 +1,247 @@
+import React, {useEffect, useRef, useState} from 'react';
+import {View, Text, StyleSheet, FlatList, TextInput, TouchableOpacity, ActivityIndicator} from 'react-native';
+import {ChatEntry, ChatReplyStatus, ChatSession} from '../services/ChatSession';
+import MarkdownView from './MarkdownView';
+
+interface ChatPanelProps {
+  session: ChatSession;
+  isConnected: boolean;
+  fileName: string | null; // the file in the editor, offered as context
+  onSend: (text: string, includeFile: boolean) => void;
+  onCancel: () => void;
+  onInsertCode: (code: string) => void;
+  // Asks for a change set to review instead of a reply
+  onProposeChanges: (instruction: string, includeFile: boolean) => void;
+  isProposing: boolean;
+}
+
+const STATUS_TEXT: Record<Exclude<ChatReplyStatus, 'done'>, string> = {
+  streaming: 'Thinking…',
+  cancelled: 'Stopped',
+  failed: 'Failed',
+  disconnected: 'Connection lost',
+};
+
+const ChatPanel: React.FC<ChatPanelProps> = ({
+  session,
+  isConnected,
+  fileName,
+  onSend,
+  onCancel,
+  onInsertCode,
+  onProposeChanges,
+  isProposing,
+}) => {
+  const [input, setInput] = useState('');
+  const [includeFile, setIncludeFile] = useState(true);
+  const [, setRenderCount] = useState(0);
+  const listRef = useRef<FlatList<ChatEntry>>(null);
+
+  useEffect(() => {
+    const render = () => setRenderCount(count => count + 1);
+    session.on('changed', render);
+    return () => {
+      session.off('changed', render);
+    };
+  }, [session]);
+
+  const canSend = isConnected && !session.isReplying && !isProposing && input.trim().length > 0;
+
+  const send = () => {
+    if (!canSend) {
+      return;
+    }
+    onSend(input.trim(), includeFile && fileName !== null);
+    setInput('');
+  };
+
+  const proposeChanges = () => {
+    if (!canSend) {
+      return;
+    }
+    onProposeChanges(input.trim(), includeFile && fileName !== null);
+    setInput('');
+  };
+
+  const renderEntry = ({item}: {item: ChatEntry}) => {
+    if (item.role === 'user') {
+      return (
+        <View style={[styles.message, styles.userMessage]}>
+          <Text style={styles.userText} selectable>{item.content}</Text>
+          {item.file && <Text style={styles.meta}>with {item.file}</Text>}
+        </View>
+      );
+    }
+    return (
+      <View style={styles.message}>
+        {item.content.length > 0 && <MarkdownView text={item.content} onInsertCode={onInsertCode} />}
+        {item.status && item.status !== 'done' && (
+          <Text style={[styles.meta, item.status !== 'streaming' && styles.metaError]}>
+            {STATUS_TEXT[item.status]}{item.error ? `: ${item.error}` : ''}
+          </Text>
+        )}
+        {item.model && item.status === 'done' && <Text style={styles.meta}>{item.model}</Text>}
+        {item.context && item.context.length > 0 && (
+          <Text style={styles.meta} numberOfLines={2}>Context: {item.context.join(', ')}</Text>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        ref={listRef}
+        data={session.entries}
+        keyExtractor={item => String(item.id)}
+        renderItem={renderEntry}
+        onContentSizeChange={() => listRef.current?.scrollToEnd({animated: false})}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>
+            Ask about the open file, or select code in the editor and ask to change it. Propose asks for
+            changes to review and apply instead of a reply.
+          </Text>
+        }
+        style={styles.list}
+      />
+      {fileName && (
+        <TouchableOpacity style={styles.contextRow} onPress={() => setIncludeFile(!includeFile)}>
+          <Text style={[styles.contextToggle, includeFile && styles.contextToggleActive]}>
+            {includeFile ? '☑' : '☐'} Include {fileName}
+          </Text>
+        </TouchableOpacity>
+      )}
+      <View style={styles.inputRow}>
+        <TextInput
+          style={styles.input}
+          value={input}
+          onChangeText={setInput}
+          placeholder={isConnected ? 'Ask the AI…' : 'Connect to chat'}
+          placeholderTextColor="#666"
+          multiline
+          editable={isConnected}
+        />
+        {session.isReplying ? (
+          <TouchableOpacity style={[styles.actionButton, styles.stopButton]} onPress={onCancel}>
+            <Text style={styles.actionButtonText}>Stop</Text>
+          </TouchableOpacity>
+        ) : (
+          <>
+            <TouchableOpacity style={[styles.actionButton, !canSend && styles.disabled]} onPress={send} disabled={!canSend}>
+              <Text style={styles.actionButtonText}>Send</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.proposeButton, !canSend && styles.disabled]}
+              onPress={proposeChanges}
+              disabled={!canSend}
+            >
+              {isProposing ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text style={styles.actionButtonText}>Propose</Text>
+              )}
+            </TouchableOpacity>
+          </>
+        )}
+        {session.entries.length > 0 && !session.isReplying && !isProposing && (
+          <TouchableOpacity style={styles.clearButton} onPress={() => session.clear()}>
+            <Text style={styles.actionButtonText}>Clear</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 8,
+  },
+  list: {
+    flex: 1,
+  },
+  message: {
+    marginBottom: 10,
+  },
+  userMessage: {
+    alignSelf: 'flex-end',
+    maxWidth: '85%',
+    backgroundColor: '#1e3a5f',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  userText: {
+    color: '#fff',
+    fontSize: 14,
+  },
+  meta: {
+    color: '#888',
+    fontSize: 11,
+    marginTop: 2,
+  },
+  metaError: {
+    color: '#F44336',
+  },
+  emptyText: {
+    color: '#888',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  contextRow: {
+    paddingVertical: 6,
+  },
+  contextToggle: {
+    color: '#888',
+    fontSize: 12,
+  },
+  contextToggleActive: {
+    color: '#ddd',
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+  input: {
+    flex: 1,
+    maxHeight: 120,
+    backgroundColor: '#2a2a2a',
+    color: '#fff',
+    fontSize: 14,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderRadius: 4,
+  },
+  actionButton: {
+    backgroundColor: '#2196F3',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 4,
+    marginLeft: 8,
+  },
+  proposeButton: {
+    backgroundColor: '#7B1FA2',
+    marginLeft: 6,
+  },
+  stopButton: {
+    backgroundColor: '#F44336',
+  },
+  clearButton: {
+    backgroundColor: '#333',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 4,
+    marginLeft: 6,
+  },
+  actionButtonText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+});
+
+export default ChatPanel;
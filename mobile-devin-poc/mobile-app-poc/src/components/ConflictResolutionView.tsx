@@ -0,0 +1,200 @@
+import React from 'react';
+import {View, Text, StyleSheet, ScrollView, TouchableOpacity} from 'react-native';
+import MonacoDiffEditor, {DiffChange, revertDiffChange} from './MonacoDiffEditor';
+
+interface ConflictResolutionViewProps {
+  filePath: string;
+  localContent: string;
+  remoteContent: string | null;
+  remoteExists: boolean;
+  onChangeLocal: (content: string) => void;
+  onKeepLocal: () => void;
+  onUseRemote: () => void;
+  onCancel: () => void;
+}
+
+interface ContentPaneProps {
+  title: string;
+  content: string | null;
+  placeholder: string;
+  otherLines: string[];
+}
+
+// Lines missing from the other side are highlighted
+const ContentPane: React.FC<ContentPaneProps> = ({title, content, placeholder, otherLines}) => {
+  const otherLineSet = new Set(otherLines);
+
+  return (
+    <View style={styles.pane}>
+      <Text style={styles.paneTitle}>{title}</Text>
+      <ScrollView style={styles.paneBody}>
+        {content === null ? (
+          <Text style={styles.placeholder}>{placeholder}</Text>
+        ) : (
+          content.split('\n').map((line, index) => (
+            <View
+              key={index}
+              style={[styles.line, !otherLineSet.has(line) && styles.lineChanged]}
+            >
+              <Text style={styles.lineNumber}>{index + 1}</Text>
+              <Text style={styles.lineText}>{line || ' '}</Text>
+            </View>
+          ))
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const ConflictResolutionView: React.FC<ConflictResolutionViewProps> = ({
+  filePath,
+  localContent,
+  remoteContent,
+  remoteExists,
+  onChangeLocal,
+  onKeepLocal,
+  onUseRemote,
+  onCancel,
+}) => {
+  // Taking one change from disk undoes it in the phone's version
+  const useRemoteChange = (change: DiffChange) => {
+    if (remoteContent !== null) {
+      onChangeLocal(revertDiffChange(remoteContent, localContent, change));
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Conflict: {filePath}</Text>
+      <Text style={styles.subtitle}>
+        This file was changed in Cursor after you opened it. Take single changes from disk, or choose which version
+        to keep.
+      </Text>
+
+      {remoteContent === null ? (
+        <>
+          <ContentPane title="Your changes (phone)" content={localContent} placeholder="" otherLines={[]} />
+          <ContentPane
+            title="On disk (Cursor)"
+            content={null}
+            placeholder={remoteExists ? 'File is too large to show' : 'File was deleted in Cursor'}
+            otherLines={[]}
+          />
+        </>
+      ) : (
+        <View style={styles.pane}>
+          <Text style={styles.paneTitle}>On disk (Cursor) → Your changes (phone)</Text>
+          <MonacoDiffEditor
+            original={remoteContent}
+            modified={localContent}
+            filePath={filePath}
+            actions={{reject: 'Use Disk'}}
+            onChangeAction={useRemoteChange}
+          />
+        </View>
+      )}
+
+      <View style={styles.buttons}>
+        <TouchableOpacity style={styles.button} onPress={onCancel}>
+          <Text style={styles.buttonText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.button, remoteContent === null && styles.buttonDisabled]}
+          onPress={onUseRemote}
+          disabled={remoteContent === null}
+        >
+          <Text style={styles.buttonText}>Use Disk Version</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.button, styles.buttonPrimary]} onPress={onKeepLocal}>
+          <Text style={[styles.buttonText, styles.buttonTextPrimary]}>Keep Mine</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1e1e1e',
+    padding: 16,
+  },
+  title: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  subtitle: {
+    color: '#ccc',
+    fontSize: 12,
+    marginBottom: 12,
+  },
+  pane: {
+    flex: 1,
+    marginBottom: 12,
+  },
+  paneTitle: {
+    color: '#2196F3',
+    fontSize: 13,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  paneBody: {
+    flex: 1,
+    backgroundColor: '#2a2a2a',
+    borderRadius: 6,
+    padding: 8,
+  },
+  placeholder: {
+    color: '#999',
+    fontStyle: 'italic',
+  },
+  line: {
+    flexDirection: 'row',
+  },
+  lineChanged: {
+    backgroundColor: 'rgba(255, 152, 0, 0.25)',
+  },
+  lineNumber: {
+    color: '#666',
+    fontFamily: 'Courier',
+    fontSize: 12,
+    width: 32,
+    textAlign: 'right',
+    marginRight: 8,
+  },
+  lineText: {
+    color: '#fff',
+    fontFamily: 'Courier',
+    fontSize: 12,
+    flex: 1,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  button: {
+    flex: 1,
+    backgroundColor: '#333',
+    paddingVertical: 12,
+    borderRadius: 6,
+    marginHorizontal: 4,
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+  },
+  buttonPrimary: {
+    backgroundColor: '#2196F3',
+  },
+  buttonText: {
+    color: '#fff',
+    textAlign: 'center',
+    fontSize: 13,
+  },
+  buttonTextPrimary: {
+    fontWeight: 'bold',
+  },
+});
+
+export default ConflictResolutionView;
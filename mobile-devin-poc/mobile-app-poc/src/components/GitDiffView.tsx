@@ -0,0 +1,223 @@
+import React, {useMemo} from 'react';
+import {View, Text, StyleSheet, FlatList, TouchableOpacity, Platform} from 'react-native';
+import {GitDiff, GitHunk} from '../services/WebSocketClient';
+
+interface GitDiffViewProps {
+  diff: GitDiff;
+  isConnected: boolean;
+  isBusy: boolean;
+  onToggleHunk: (hunk: GitHunk) => void; // stages the hunk, or unstages it in a staged diff
+}
+
+interface DiffLine {
+  number: number;
+  text: string;
+  type: 'context' | 'removed' | 'added';
+}
+
+type DiffRow =
+  | {kind: 'hunk'; key: string; hunk: GitHunk}
+  | {kind: 'line'; key: string; left?: DiffLine; right?: DiffLine};
+
+const MONOSPACE = Platform.select({ios: 'Menlo', default: 'monospace'});
+
+// Removed and added lines of a change are paired up, so each side reads top to bottom
+const toRows = (diff: GitDiff): DiffRow[] => {
+  // Untracked files have no hunks; all of their content is new
+  if (diff.hunks.length === 0 && diff.modified !== null) {
+    const lines = diff.modified.split('\n');
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    return lines.map((text, index) => ({
+      kind: 'line',
+      key: `new:${index}`,
+      right: {number: index + 1, text, type: 'added'},
+    }));
+  }
+
+  const rows: DiffRow[] = [];
+  for (const hunk of diff.hunks) {
+    rows.push({kind: 'hunk', key: hunk.id, hunk});
+    let oldNumber = hunk.oldStart;
+    let newNumber = hunk.newStart;
+    let removed: DiffLine[] = [];
+    let added: DiffLine[] = [];
+
+    const flush = () => {
+      for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+        rows.push({kind: 'line', key: `${hunk.id}:${rows.length}`, left: removed[i], right: added[i]});
+      }
+      removed = [];
+      added = [];
+    };
+
+    for (const line of hunk.lines) {
+      const text = line.slice(1).replace(/\r$/, '');
+      if (line.startsWith('-')) {
+        removed.push({number: oldNumber++, text, type: 'removed'});
+      } else if (line.startsWith('+')) {
+        added.push({number: newNumber++, text, type: 'added'});
+      } else if (line.startsWith(' ')) {
+        flush();
+        rows.push({
+          kind: 'line',
+          key: `${hunk.id}:${rows.length}`,
+          left: {number: oldNumber++, text, type: 'context'},
+          right: {number: newNumber++, text, type: 'context'},
+        });
+      }
+      // "\ No newline at end of file" is left out
+    }
+    flush();
+  }
+  return rows;
+};
+
+const GitDiffView: React.FC<GitDiffViewProps> = ({diff, isConnected, isBusy, onToggleHunk}) => {
+  const rows = useMemo(() => toRows(diff), [diff]);
+
+  if (diff.binary) {
+    return (
+      <View style={styles.empty}>
+        <Text style={styles.emptyText}>Binary file</Text>
+        <Text style={styles.emptySubtext}>Binary changes can be staged but not shown</Text>
+      </View>
+    );
+  }
+  if (rows.length === 0) {
+    return (
+      <View style={styles.empty}>
+        <Text style={styles.emptyText}>No changes</Text>
+        <Text style={styles.emptySubtext}>Only the file mode or name changed</Text>
+      </View>
+    );
+  }
+
+  const renderSide = (line: DiffLine | undefined) => (
+    <View style={[styles.side, line ? LINE_STYLES[line.type] : styles.sideEmpty]}>
+      {line && (
+        <>
+          <Text style={styles.lineNumber}>{line.number}</Text>
+          <Text style={styles.lineText}>{line.text}</Text>
+        </>
+      )}
+    </View>
+  );
+
+  return (
+    <FlatList
+      data={rows}
+      keyExtractor={row => row.key}
+      renderItem={({item: row}) =>
+        row.kind === 'hunk' ? (
+          <View style={styles.hunkHeader}>
+            <Text style={styles.hunkTitle} numberOfLines={1}>
+              {row.hunk.header}
+            </Text>
+            <TouchableOpacity
+              style={[styles.actionButton, (!isConnected || isBusy) && styles.disabled]}
+              disabled={!isConnected || isBusy}
+              onPress={() => onToggleHunk(row.hunk)}>
+              <Text style={styles.actionButtonText}>{diff.staged ? 'Unstage' : 'Stage'}</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <View style={styles.row}>
+            {renderSide(row.left)}
+            {renderSide(row.right)}
+          </View>
+        )
+      }
+      initialNumToRender={60}
+    />
+  );
+};
+
+const styles = StyleSheet.create({
+  hunkHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1a2a3a',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    marginTop: 8,
+  },
+  hunkTitle: {
+    flex: 1,
+    color: '#8ab4f8',
+    fontSize: 11,
+    fontFamily: MONOSPACE,
+  },
+  row: {
+    flexDirection: 'row',
+  },
+  side: {
+    flex: 1,
+    flexDirection: 'row',
+    paddingVertical: 1,
+    paddingRight: 4,
+  },
+  sideEmpty: {
+    backgroundColor: '#252525',
+  },
+  context: {
+    backgroundColor: '#1e1e1e',
+  },
+  removed: {
+    backgroundColor: '#4b1818',
+  },
+  added: {
+    backgroundColor: '#1e3a1e',
+  },
+  lineNumber: {
+    color: '#666',
+    fontSize: 10,
+    fontFamily: MONOSPACE,
+    minWidth: 28,
+    textAlign: 'right',
+    marginRight: 4,
+  },
+  lineText: {
+    flex: 1,
+    color: '#ddd',
+    fontSize: 11,
+    fontFamily: MONOSPACE,
+  },
+  actionButton: {
+    backgroundColor: '#333',
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    borderRadius: 4,
+    marginLeft: 8,
+  },
+  actionButtonText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+  empty: {
+    alignItems: 'center',
+    marginTop: 40,
+  },
+  emptyText: {
+    color: '#fff',
+    fontSize: 18,
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    color: '#ccc',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+});
+
+const LINE_STYLES: Record<DiffLine['type'], object> = {
+  context: styles.context,
+  removed: styles.removed,
+  added: styles.added,
+};
+
+export default GitDiffView;
@@ -0,0 +1,242 @@
+import React from 'react';
+import {View, Text, StyleSheet, ScrollView, TouchableOpacity, Platform} from 'react-native';
+
+interface MarkdownViewProps {
+  text: string;
+  // Shows an Insert button on code blocks
+  onInsertCode?: (code: string, language: string) => void;
+}
+
+type Block =
+  | {kind: 'code'; language: string; code: string}
+  | {kind: 'heading'; level: number; text: string}
+  | {kind: 'list'; ordered: boolean; items: string[]}
+  | {kind: 'quote'; text: string}
+  | {kind: 'paragraph'; text: string};
+
+const MONOSPACE = Platform.select({ios: 'Menlo', default: 'monospace'});
+
+const FENCE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+
+// The Markdown replies use: fenced code, headings, lists, quotes and paragraphs.
+// A fence that is not closed yet, as while a reply streams, runs to the end.
+const parseMarkdown = (text: string): Block[] => {
+  const blocks: Block[] = [];
+  const lines = text.split('\n');
+  let paragraph: string[] = [];
+  const endParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({kind: 'paragraph', text: paragraph.join(' ')});
+      paragraph = [];
+    }
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    const fence = FENCE.exec(line);
+    if (fence) {
+      endParagraph();
+      const code: string[] = [];
+      const closing = new RegExp(`^\\s*${fence[1][0]}{${fence[1].length},}\\s*$`);
+      while (++index < lines.length && !closing.test(lines[index])) {
+        code.push(lines[index]);
+      }
+      blocks.push({kind: 'code', language: fence[2], code: code.join('\n')});
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    const item = LIST_ITEM.exec(line);
+    const last = blocks[blocks.length - 1];
+    if (heading) {
+      endParagraph();
+      blocks.push({kind: 'heading', level: heading[1].length, text: heading[2]});
+    } else if (item) {
+      endParagraph();
+      const ordered = /\d/.test(item[1]);
+      if (last?.kind === 'list' && last.ordered === ordered) {
+        last.items.push(item[2]);
+      } else {
+        blocks.push({kind: 'list', ordered, items: [item[2]]});
+      }
+    } else if (line.startsWith('>')) {
+      endParagraph();
+      const quote = line.replace(/^>\s?/, '');
+      if (last?.kind === 'quote') {
+        last.text += `\n${quote}`;
+      } else {
+        blocks.push({kind: 'quote', text: quote});
+      }
+    } else if (line.trim().length === 0) {
+      endParagraph();
+    } else if (paragraph.length === 0 && last?.kind === 'list' && /^\s+/.test(line)) {
+      // A wrapped list item
+      last.items[last.items.length - 1] += ` ${line.trim()}`;
+    } else {
+      paragraph.push(line.trim());
+    }
+  }
+  endParagraph();
+  return blocks;
+};
+
+// `code`, **bold** and *italic*, not nested; underscores are left alone as they are common in names
+const INLINE = /(`[^`]+`|\*\*[^*]+\*\*|\*[^*\s][^*]*\*)/g;
+
+const InlineText: React.FC<{text: string}> = ({text}) => (
+  <>
+    {text.split(INLINE).filter(part => part.length > 0).map((part, index) => {
+      if (part.startsWith('`') && part.endsWith('`') && part.length > 1) {
+        return <Text key={index} style={styles.inlineCode}>{part.slice(1, -1)}</Text>;
+      }
+      if (part.startsWith('**') && part.endsWith('**') && part.length > 4) {
+        return <Text key={index} style={styles.bold}>{part.slice(2, -2)}</Text>;
+      }
+      if (part.startsWith('*') && part.endsWith('*') && part.length > 2) {
+        return <Text key={index} style={styles.italic}>{part.slice(1, -1)}</Text>;
+      }
+      return part;
+    })}
+  </>
+);
+
+const MarkdownView: React.FC<MarkdownViewProps> = ({text, onInsertCode}) => (
+  <View>
+    {parseMarkdown(text).map((block, index) => {
+      switch (block.kind) {
+        case 'code':
+          return (
+            <View key={index} style={styles.codeBlock}>
+              <View style={styles.codeHeader}>
+                <Text style={styles.codeLanguage}>{block.language || 'code'}</Text>
+                {onInsertCode && (
+                  <TouchableOpacity onPress={() => onInsertCode(block.code, block.language)}>
+                    <Text style={styles.insertButton}>Insert</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+              <ScrollView horizontal>
+                <Text style={styles.code} selectable>{block.code}</Text>
+              </ScrollView>
+            </View>
+          );
+        case 'heading':
+          return (
+            <Text key={index} style={[styles.text, styles.heading, block.level > 2 && styles.subheading]}>
+              <InlineText text={block.text} />
+            </Text>
+          );
+        case 'list':
+          return (
+            <View key={index} style={styles.block}>
+              {block.items.map((item, itemIndex) => (
+                <View key={itemIndex} style={styles.listItem}>
+                  <Text style={[styles.text, styles.bullet]}>{block.ordered ? `${itemIndex + 1}.` : '•'}</Text>
+                  <Text style={[styles.text, styles.listText]} selectable>
+                    <InlineText text={item} />
+                  </Text>
+                </View>
+              ))}
+            </View>
+          );
+        case 'quote':
+          return (
+            <View key={index} style={[styles.block, styles.quote]}>
+              <Text style={[styles.text, styles.quoteText]} selectable>
+                <InlineText text={block.text} />
+              </Text>
+            </View>
+          );
+        case 'paragraph':
+          return (
+            <Text key={index} style={[styles.text, styles.block]} selectable>
+              <InlineText text={block.text} />
+            </Text>
+          );
+      }
+    })}
+  </View>
+);
+
+const styles = StyleSheet.create({
+  text: {
+    color: '#ddd',
+    fontSize: 14,
+    lineHeight: 20,
+  },
+  block: {
+    marginBottom: 6,
+  },
+  heading: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginTop: 4,
+    marginBottom: 4,
+  },
+  subheading: {
+    fontSize: 14,
+  },
+  bold: {
+    fontWeight: 'bold',
+  },
+  italic: {
+    fontStyle: 'italic',
+  },
+  inlineCode: {
+    fontFamily: MONOSPACE,
+    fontSize: 13,
+    color: '#CE9178',
+    backgroundColor: '#2a2a2a',
+  },
+  listItem: {
+    flexDirection: 'row',
+  },
+  bullet: {
+    width: 20,
+  },
+  listText: {
+    flex: 1,
+  },
+  quote: {
+    borderLeftWidth: 3,
+    borderLeftColor: '#555',
+    paddingLeft: 8,
+  },
+  quoteText: {
+    color: '#aaa',
+  },
+  codeBlock: {
+    backgroundColor: '#1a1a1a',
+    borderRadius: 4,
+    marginBottom: 6,
+  },
+  codeHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: '#333',
+  },
+  codeLanguage: {
+    color: '#888',
+    fontSize: 11,
+  },
+  insertButton: {
+    color: '#2196F3',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  code: {
+    fontFamily: MONOSPACE,
+    fontSize: 12,
+    color: '#ddd',
+    padding: 8,
+  },
+});
+
+export default MarkdownView;
@@ -0,0 +1,564 @@
+import React, {forwardRef, useImperativeHandle, useRef, useEffect, useState} from 'react';
+import {View, Text, StyleSheet, Dimensions, TouchableOpacity} from 'react-native';
+import {WebView, WebViewMessageEvent} from 'react-native-webview';
+
+export type DiffMode = 'inline' | 'side-by-side';
+export type DiffChangeAction = 'accept' | 'reject';
+
+// A run of changed lines, 0-based. A side without lines has its start where the lines of
+// the other side would go.
+export interface DiffChange {
+  index: number;
+  originalStart: number;
+  originalLines: number;
+  modifiedStart: number;
+  modifiedLines: number;
+}
+
+export interface MonacoDiffEditorHandle {
+  goToChange: (direction: 'next' | 'previous') => void;
+}
+
+interface MonacoDiffEditorProps {
+  original: string;
+  modified: string;
+  language?: string; // detected from filePath when omitted
+  filePath?: string;
+  theme?: string;
+  mode?: DiffMode; // side by side on wide screens when omitted
+  width?: number;
+  height?: number;
+  // Labels of the buttons shown on each change; a change is only reported through
+  // onChangeAction, the owner decides what accepting or rejecting it means
+  actions?: Partial<Record<DiffChangeAction, string>>;
+  onChangeAction?: (change: DiffChange, action: DiffChangeAction) => void;
+  onChangesComputed?: (changes: DiffChange[]) => void;
+  onReady?: () => void;
+}
+
+const SIDE_BY_SIDE_MIN_WIDTH = 600;
+
+// The modified text with one change undone, e.g. to reject a proposed edit
+export const revertDiffChange = (original: string, modified: string, change: DiffChange): string => {
+  const originalLines = original.split('\n');
+  const modifiedLines = modified.split('\n');
+  modifiedLines.splice(
+    change.modifiedStart,
+    change.modifiedLines,
+    ...originalLines.slice(change.originalStart, change.originalStart + change.originalLines),
+  );
+  return modifiedLines.join('\n');
+};
+
+const MonacoDiffEditor = forwardRef<MonacoDiffEditorHandle, MonacoDiffEditorProps>(({
+  original,
+  modified,
+  language,
+  filePath,
+  theme = 'vs-dark',
+  mode,
+  width,
+  height,
+  actions,
+  onChangeAction,
+  onChangesComputed,
+  onReady,
+}, ref) => {
+  const webViewRef = useRef<WebView>(null);
+  const [isReady, setIsReady] = useState(false);
+  const {width: screenWidth} = Dimensions.get('window');
+  const [currentMode, setCurrentMode] = useState<DiffMode>(
+    mode || ((width || screenWidth) >= SIDE_BY_SIDE_MIN_WIDTH ? 'side-by-side' : 'inline'),
+  );
+  const [changes, setChanges] = useState<DiffChange[]>([]);
+  const [currentIndex, setCurrentIndex] = useState(-1); // the change last navigated to
+  const actionLabels = onChangeAction ? actions || {} : {};
+
+  const post = (message: object) => {
+    webViewRef.current?.postMessage(JSON.stringify(message));
+  };
+
+  const revealChange = (index: number) => {
+    setCurrentIndex(index);
+    post({type: 'revealChange', index});
+  };
+
+  // Wraps around at either end
+  const goToChange = (direction: 'next' | 'previous') => {
+    if (changes.length === 0) {
+      return;
+    }
+    const step = direction === 'next' ? 1 : -1;
+    const from = currentIndex < 0 && step < 0 ? 0 : currentIndex;
+    revealChange((from + step + changes.length) % changes.length);
+  };
+
+  useImperativeHandle(ref, () => ({goToChange}));
+
+  useEffect(() => {
+    if (mode) {
+      setCurrentMode(mode);
+    }
+  }, [mode]);
+
+  useEffect(() => {
+    if (isReady) {
+      post({type: 'setModels', original, modified, language, filePath});
+    }
+  }, [original, modified, language, filePath, isReady]);
+
+  useEffect(() => {
+    if (isReady) {
+      post({type: 'setOptions', mode: currentMode, theme});
+    }
+  }, [currentMode, theme, isReady]);
+
+  useEffect(() => {
+    if (isReady) {
+      post({type: 'setActions', actions: actionLabels});
+    }
+  }, [actionLabels.accept, actionLabels.reject, isReady]);
+
+  const handleMessage = (event: WebViewMessageEvent) => {
+    try {
+      const data = JSON.parse(event.nativeEvent.data);
+
+      switch (data.type) {
+        case 'ready':
+          setIsReady(true);
+          onReady?.();
+          break;
+
+        case 'changes':
+          setChanges(data.changes);
+          setCurrentIndex(index => Math.min(index, data.changes.length - 1));
+          onChangesComputed?.(data.changes);
+          break;
+
+        case 'changeAction': {
+          const change = changes.find(candidate => candidate.index === data.index);
+          if (change) {
+            setCurrentIndex(change.index);
+            onChangeAction?.(change, data.action);
+          }
+          break;
+        }
+
+        case 'error':
+          console.error('Monaco Diff Editor Error:', data.error);
+          break;
+
+        default:
+          console.log('Monaco diff message:', data);
+      }
+    } catch (error) {
+      console.error('Failed to parse Monaco diff message:', error);
+    }
+  };
+
+  const currentChange = currentIndex >= 0 ? changes[currentIndex] : undefined;
+
+  const monacoHTML = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no">
+    <style>
+        body {
+            margin: 0;
+            padding: 0;
+            overflow: hidden;
+            background: #1e1e1e;
+        }
+
+        #container {
+            width: 100vw;
+            height: 100vh;
+        }
+
+        .monaco-editor .minimap {
+            display: none !important;
+        }
+
+        /* Touch-friendly scrollbars */
+        .monaco-scrollable-element > .scrollbar {
+            width: 12px !important;
+            height: 12px !important;
+        }
+
+        .monaco-scrollable-element > .scrollbar > .slider {
+            background: rgba(121, 121, 121, 0.4) !important;
+        }
+
+        .current-change {
+            border-left: 3px solid #2196F3;
+        }
+
+        .change-actions {
+            display: flex;
+            gap: 6px;
+            font-family: -apple-system, sans-serif;
+            font-size: 12px;
+        }
+
+        .change-actions button {
+            background: #333;
+            color: #fff;
+            border: 1px solid #555;
+            border-radius: 4px;
+            padding: 4px 10px;
+        }
+    </style>
+</head>
+<body>
+    <div id="container"></div>
+
+    <script src="https://unpkg.com/monaco-editor@0.44.0/min/vs/loader.js"></script>
+    <script>
+        let diffEditor = null;
+        let lineChanges = [];
+        let actionLabels = {};
+        let actionWidgets = [];
+        let currentDecorations = [];
+        let modelId = 0;
+
+        require.config({
+            paths: {
+                vs: 'https://unpkg.com/monaco-editor@0.44.0/min/vs'
+            }
+        });
+
+        require(['vs/editor/editor.main'], function () {
+            try {
+                diffEditor = monaco.editor.createDiffEditor(document.getElementById('container'), {
+                    theme: ${JSON.stringify(theme)},
+                    renderSideBySide: ${JSON.stringify(currentMode === 'side-by-side')},
+
+                    // Review only; changes are accepted or rejected through the app
+                    readOnly: true,
+                    originalEditable: false,
+
+                    // Mobile optimizations
+                    automaticLayout: true,
+                    wordWrap: 'on',
+                    diffWordWrap: 'on',
+                    minimap: { enabled: false },
+                    scrollBeyondLastLine: false,
+                    fontSize: 13,
+                    lineHeight: 19,
+                    folding: false,
+                    glyphMargin: false,
+                    lineDecorationsWidth: 4,
+                    lineNumbersMinChars: 3,
+                    renderOverviewRuler: false,
+                    enableSplitViewResizing: false,
+                    ignoreTrimWhitespace: false,
+
+                    scrollbar: {
+                        verticalScrollbarSize: 12,
+                        horizontalScrollbarSize: 12,
+                        alwaysConsumeMouseWheel: false
+                    }
+                });
+
+                diffEditor.onDidUpdateDiff(function() {
+                    lineChanges = diffEditor.getLineChanges() || [];
+                    renderActions();
+                    sendMessage({ type: 'changes', changes: lineChanges.map(toChange) });
+                });
+
+                document.addEventListener('message', function(e) {
+                    handleMessage(e.data);
+                });
+
+                window.addEventListener('message', function(e) {
+                    handleMessage(e.data);
+                });
+
+                sendMessage({ type: 'ready' });
+            } catch (error) {
+                sendMessage({
+                    type: 'error',
+                    error: error.message
+                });
+            }
+        });
+
+        function handleMessage(data) {
+            try {
+                const message = typeof data === 'string' ? JSON.parse(data) : data;
+
+                switch (message.type) {
+                    case 'setModels':
+                        if (diffEditor) {
+                            setModels(message);
+                        }
+                        break;
+
+                    case 'setOptions':
+                        if (diffEditor) {
+                            diffEditor.updateOptions({ renderSideBySide: message.mode === 'side-by-side' });
+                            monaco.editor.setTheme(message.theme);
+                        }
+                        break;
+
+                    case 'setActions':
+                        if (diffEditor) {
+                            actionLabels = message.actions;
+                            renderActions();
+                        }
+                        break;
+
+                    case 'revealChange':
+                        if (diffEditor) {
+                            revealChange(message.index);
+                        }
+                        break;
+                }
+            } catch (error) {
+                sendMessage({
+                    type: 'error',
+                    error: 'Failed to handle message: ' + error.message
+                });
+            }
+        }
+
+        // Models get URIs with the file's extension so its language is detected
+        function setModels(message) {
+            const previous = diffEditor.getModel();
+            modelId++;
+            const uriFor = function(side) {
+                return monaco.Uri.from({ scheme: 'diff-' + side, path: '/' + modelId + '/' + (message.filePath || 'file') });
+            };
+            const original = monaco.editor.createModel(message.original, message.language, uriFor('original'));
+            const modified = monaco.editor.createModel(message.modified, message.language, uriFor('modified'));
+            diffEditor.setModel({ original: original, modified: modified });
+
+            if (previous) {
+                previous.original.dispose();
+                previous.modified.dispose();
+            }
+        }
+
+        // Monaco marks a side without lines with an end line of 0 and the line before as start
+        function toChange(lineChange, index) {
+            const side = function(start, end) {
+                return end === 0
+                    ? { start: start, lines: 0 }
+                    : { start: start - 1, lines: end - start + 1 };
+            };
+            const original = side(lineChange.originalStartLineNumber, lineChange.originalEndLineNumber);
+            const modified = side(lineChange.modifiedStartLineNumber, lineChange.modifiedEndLineNumber);
+            return {
+                index: index,
+                originalStart: original.start,
+                originalLines: original.lines,
+                modifiedStart: modified.start,
+                modifiedLines: modified.lines
+            };
+        }
+
+        // The first modified line of a change, or for removed lines the line they followed
+        function anchorLine(lineChange) {
+            return Math.max(1, lineChange.modifiedStartLineNumber);
+        }
+
+        function revealChange(index) {
+            const lineChange = lineChanges[index];
+            if (!lineChange) {
+                return;
+            }
+            const editor = diffEditor.getModifiedEditor();
+            const start = anchorLine(lineChange);
+            const end = Math.max(start, lineChange.modifiedEndLineNumber);
+            editor.revealLinesInCenter(start, end);
+            currentDecorations = editor.deltaDecorations(currentDecorations, [{
+                range: new monaco.Range(start, 1, end, 1),
+                options: { isWholeLine: true, linesDecorationsClassName: 'current-change' }
+            }]);
+        }
+
+        // Buttons above each change in the modified editor, which both modes show
+        function renderActions() {
+            const editor = diffEditor.getModifiedEditor();
+            actionWidgets.forEach(function(widget) {
+                editor.removeContentWidget(widget);
+            });
+            actionWidgets = [];
+
+            const actions = ['accept', 'reject'].filter(function(action) {
+                return actionLabels[action];
+            });
+            if (actions.length === 0) {
+                return;
+            }
+
+            lineChanges.forEach(function(lineChange, index) {
+                const widget = createActionWidget(index, anchorLine(lineChange), actions);
+                editor.addContentWidget(widget);
+                actionWidgets.push(widget);
+            });
+        }
+
+        function createActionWidget(index, lineNumber, actions) {
+            const node = document.createElement('div');
+            node.className = 'change-actions';
+
+            actions.forEach(function(action) {
+                const button = document.createElement('button');
+                button.textContent = actionLabels[action];
+                button.addEventListener('click', function() {
+                    sendMessage({ type: 'changeAction', index: index, action: action });
+                });
+                node.appendChild(button);
+            });
+
+            return {
+                getId: function() { return 'diff.change.actions.' + modelId + '.' + index; },
+                getDomNode: function() { return node; },
+                getPosition: function() {
+                    return {
+                        position: { lineNumber: lineNumber, column: 1 },
+                        preference: [
+                            monaco.editor.ContentWidgetPositionPreference.ABOVE,
+                            monaco.editor.ContentWidgetPositionPreference.BELOW
+                        ]
+                    };
+                }
+            };
+        }
+
+        function sendMessage(message) {
+            try {
+                if (window.ReactNativeWebView) {
+                    window.ReactNativeWebView.postMessage(JSON.stringify(message));
+                }
+            } catch (error) {
+                console.error('Failed to send message:', error);
+            }
+        }
+
+        // Prevent zoom on double tap
+        let lastTouchEnd = 0;
+        document.addEventListener('touchend', function (event) {
+            const now = (new Date()).getTime();
+            if (now - lastTouchEnd <= 300) {
+                event.preventDefault();
+            }
+            lastTouchEnd = now;
+        }, false);
+    </script>
+</body>
+</html>`;
+
+  // The page is created once; later props reach it as messages
+  const [initialHTML] = useState(monacoHTML);
+
+  return (
+    <View style={[styles.container, width ? {width} : null, height ? {height} : null]}>
+      <View style={styles.toolbar}>
+        <TouchableOpacity
+          style={styles.toolbarButton}
+          onPress={() => setCurrentMode(currentMode === 'inline' ? 'side-by-side' : 'inline')}>
+          <Text style={styles.toolbarButtonText}>{currentMode === 'inline' ? 'Side by Side' : 'Inline'}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.toolbarButton, changes.length === 0 && styles.disabled]}
+          disabled={changes.length === 0}
+          onPress={() => goToChange('previous')}>
+          <Text style={styles.toolbarButtonText}>‹ Prev</Text>
+        </TouchableOpacity>
+        <Text style={styles.position}>
+          {changes.length === 0
+            ? 'No changes'
+            : currentIndex < 0
+              ? `${changes.length} change(s)`
+              : `${currentIndex + 1} of ${changes.length}`}
+        </Text>
+        <TouchableOpacity
+          style={[styles.toolbarButton, changes.length === 0 && styles.disabled]}
+          disabled={changes.length === 0}
+          onPress={() => goToChange('next')}>
+          <Text style={styles.toolbarButtonText}>Next ›</Text>
+        </TouchableOpacity>
+      </View>
+
+      {currentChange && (actionLabels.accept || actionLabels.reject) && (
+        <View style={styles.actions}>
+          {(['accept', 'reject'] as const).map(action => actionLabels[action] ? (
+            <TouchableOpacity
+              key={action}
+              style={[styles.toolbarButton, action === 'accept' && styles.acceptButton]}
+              onPress={() => onChangeAction?.(currentChange, action)}>
+              <Text style={styles.toolbarButtonText}>{actionLabels[action]}</Text>
+            </TouchableOpacity>
+          ) : null)}
+        </View>
+      )}
+
+      <WebView
+        ref={webViewRef}
+        source={{html: initialHTML}}
+        onMessage={handleMessage}
+        javaScriptEnabled={true}
+        domStorageEnabled={true}
+        startInLoadingState={true}
+        mixedContentMode="compatibility"
+        nestedScrollEnabled={true}
+        showsHorizontalScrollIndicator={false}
+        showsVerticalScrollIndicator={false}
+        style={styles.webview}
+      />
+    </View>
+  );
+});
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1e1e1e',
+  },
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 6,
+    backgroundColor: '#252525',
+  },
+  toolbarButton: {
+    backgroundColor: '#333',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 4,
+    marginRight: 6,
+  },
+  acceptButton: {
+    backgroundColor: '#1565C0',
+  },
+  toolbarButtonText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  position: {
+    flex: 1,
+    color: '#ccc',
+    fontSize: 12,
+    textAlign: 'center',
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    paddingHorizontal: 6,
+    paddingBottom: 6,
+    backgroundColor: '#252525',
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+  webview: {
+    flex: 1,
+    backgroundColor: '#1e1e1e',
+  },
+});
+
+export default MonacoDiffEditor;
@@ -1,6 +1,49 @@
-import React, {useRef, useEffect, useState} from 'react';
-import {View, StyleSheet, Dimensions} from 'react-native';
+import React, {forwardRef, useImperativeHandle, useRef, useEffect, useState} from 'react';
+import {View, Text, ScrollView, TouchableOpacity, StyleSheet, Dimensions, Platform} from 'react-native';
 import {WebView, WebViewMessageEvent} from 'react-native-webview';
+import {ConflictBlock, ConflictChoice, TextEdit} from '@mobile-devin/shared';
+import {
+  CollabParticipant,
+  CollabSelection,
+  CompletionResult,
+  DefinitionLocation,
+  Diagnostic,
+  HoverResult,
+} from '../services/WebSocketClient';
+
+export type LanguageFeature = 'completion' | 'hover' | 'definition';
+
+const MONOSPACE = Platform.select({ios: 'Menlo', default: 'monospace'});
+// Monaco is downloaded from a CDN; a slow network shows the read-only view rather than nothing
+const LOAD_TIMEOUT_MS = 20000;
+
+// offset is in text, the editor's content when the request was made
+export interface EditorLanguageRequest {
+  feature: LanguageFeature;
+  offset: number;
+  text: string;
+  triggerCharacter?: string;
+}
+
+export interface EditorDefinition extends DefinitionLocation {
+  inCurrentFile: boolean; // other files are opened through onOpenLocation
+}
+
+export type EditorLanguageResult = CompletionResult | HoverResult | EditorDefinition[] | null;
+
+export interface MonacoEditorHandle {
+  // Applied only if the editor has not changed since its last reported change;
+  // answered by onRemoteEditsApplied or onRemoteEditsRejected
+  applyRemoteEdits: (requestId: number, edits: TextEdit[]) => void;
+  // 0-based, like diagnostics; scrolls the line to the middle and moves the cursor there
+  revealPosition: (line: number, character: number) => void;
+  // The editor's own commands, for screens without a keyboard shortcut or hover
+  goToDefinition: () => void;
+  showHover: () => void;
+  // Replaces the selection (offsets, as reported by onSelectionsChange) or the editor's own,
+  // as if typed, so it can be undone and reaches live editing like any other edit
+  insertText: (text: string, selection?: CollabSelection) => void;
+}
 
 interface MonacoEditorProps {
   value?: string;
@@ -10,9 +53,21 @@ interface MonacoEditorProps {
   onReady?: () => void;
   width?: number;
   height?: number;
+  conflicts?: ConflictBlock[]; // merge conflicts to highlight, found in value
+  onResolveConflict?: (index: number, choice: ConflictChoice) => void;
+  // Live editing: edits typed by the user against a document of baseLength characters
+  onLocalEdits?: (edits: TextEdit[], baseLength: number) => void;
+  onRemoteEditsApplied?: (requestId: number) => void;
+  onRemoteEditsRejected?: (requestId: number) => void;
+  onSelectionsChange?: (selections: CollabSelection[]) => void;
+  remoteCursors?: CollabParticipant[];
+  markers?: Diagnostic[]; // shown as squiggles
+  // Completions, hovers and definitions; the editor's built-in ones while omitted
+  onLanguageRequest?: (request: EditorLanguageRequest) => Promise<EditorLanguageResult>;
+  onOpenLocation?: (location: DefinitionLocation) => void;
 }
 
-const MonacoEditor: React.FC<MonacoEditorProps> = ({
+const MonacoEditor = forwardRef<MonacoEditorHandle, MonacoEditorProps>(({
   value = '',
   language = 'javascript',
   theme = 'vs-dark',
@@ -20,40 +75,200 @@ const MonacoEditor: React.FC<MonacoEditorProps> = ({
   onReady,
   width,
   height,
-}) => {
+  conflicts,
+  onResolveConflict,
+  onLocalEdits,
+  onRemoteEditsApplied,
+  onRemoteEditsRejected,
+  onSelectionsChange,
+  remoteCursors,
+  markers,
+  onLanguageRequest,
+  onOpenLocation,
+}, ref) => {
   const webViewRef = useRef<WebView>(null);
   const [isReady, setIsReady] = useState(false);
   const [currentValue, setCurrentValue] = useState(value);
+  // Why Monaco did not load, such as being offline; the content is then shown read-only
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [loadAttempt, setLoadAttempt] = useState(0); // remounts the WebView on retry
+  // Model version of the last change the editor reported; null while a setValue is on its way
+  const versionIdRef = useRef<number | null>(null);
+  const heldRemoteEditsRef = useRef<{requestId: number; edits: TextEdit[]} | null>(null);
+  // The text as of the last message from the editor, which language requests refer to
+  const valueRef = useRef(value);
+  const hasLanguageFeatures = onLanguageRequest !== undefined;
+
+  const postRemoteEdits = (requestId: number, edits: TextEdit[]) => {
+    if (versionIdRef.current === null) {
+      heldRemoteEditsRef.current = {requestId, edits};
+      return;
+    }
+    webViewRef.current?.postMessage(JSON.stringify({
+      type: 'applyRemoteEdits',
+      requestId,
+      edits,
+      versionId: versionIdRef.current,
+    }));
+  };
+
+  const revealPosition = (line: number, character: number) => {
+    webViewRef.current?.postMessage(JSON.stringify({type: 'revealPosition', line, character}));
+  };
+
+  const runAction = (actionId: string) => {
+    webViewRef.current?.postMessage(JSON.stringify({type: 'runAction', actionId}));
+  };
+
+  const insertText = (text: string, selection?: CollabSelection) => {
+    webViewRef.current?.postMessage(JSON.stringify({type: 'insertText', text, selection}));
+  };
+
+  useImperativeHandle(ref, () => ({
+    applyRemoteEdits: postRemoteEdits,
+    revealPosition,
+    goToDefinition: () => runAction('editor.action.revealDefinition'),
+    showHover: () => runAction('editor.action.showHover'),
+    insertText,
+  }));
+
+  // A failed request shows nothing rather than an error in the editor
+  const answerLanguageRequest = async (requestId: number, request: Omit<EditorLanguageRequest, 'text'>) => {
+    let result: EditorLanguageResult = null;
+    try {
+      result = onLanguageRequest ? await onLanguageRequest({...request, text: valueRef.current}) : null;
+    } catch (error) {
+      console.warn(`Language request failed: ${error}`);
+    }
+    webViewRef.current?.postMessage(JSON.stringify({type: 'languageResponse', requestId, result}));
+  };
 
   const {width: screenWidth, height: screenHeight} = Dimensions.get('window');
   const editorWidth = width || screenWidth;
   const editorHeight = height || screenHeight * 0.7;
 
+  useEffect(() => {
+    if (isReady || loadError) {
+      return;
+    }
+    const timeout = setTimeout(() => setLoadError('The editor took too long to load'), LOAD_TIMEOUT_MS);
+    return () => clearTimeout(timeout);
+  }, [isReady, loadError, loadAttempt]);
+
   useEffect(() => {
     if (isReady && value !== currentValue) {
       webViewRef.current?.postMessage(JSON.stringify({
         type: 'setValue',
         value,
       }));
+      versionIdRef.current = null;
+      valueRef.current = value;
       setCurrentValue(value);
     }
   }, [value, isReady, currentValue]);
 
+  useEffect(() => {
+    if (isReady) {
+      webViewRef.current?.postMessage(JSON.stringify({
+        type: 'setLanguageFeatures',
+        enabled: hasLanguageFeatures,
+      }));
+    }
+  }, [hasLanguageFeatures, isReady]);
+
+  useEffect(() => {
+    if (isReady) {
+      webViewRef.current?.postMessage(JSON.stringify({
+        type: 'setRemoteCursors',
+        cursors: remoteCursors || [],
+      }));
+    }
+  }, [remoteCursors, isReady]);
+
+  useEffect(() => {
+    if (isReady) {
+      webViewRef.current?.postMessage(JSON.stringify({
+        type: 'setMarkers',
+        markers: markers || [],
+      }));
+    }
+  }, [markers, isReady]);
+
+  useEffect(() => {
+    if (isReady) {
+      webViewRef.current?.postMessage(JSON.stringify({
+        type: 'setConflicts',
+        conflicts: (conflicts || []).map(({index, startLine, separatorLine, endLine}) => ({
+          index,
+          startLine,
+          separatorLine,
+          endLine,
+        })),
+      }));
+    }
+  }, [conflicts, isReady]);
+
   const handleMessage = (event: WebViewMessageEvent) => {
     try {
       const data = JSON.parse(event.nativeEvent.data);
       
       switch (data.type) {
         case 'ready':
+          versionIdRef.current = data.versionId;
           setIsReady(true);
           onReady?.();
           break;
           
-        case 'change':
+        case 'change': {
+          versionIdRef.current = data.versionId;
+          valueRef.current = data.value;
           setCurrentValue(data.value);
           onChange?.(data.value);
+          if (!data.remote && !data.flush) {
+            onLocalEdits?.(data.edits, data.baseLength);
+          }
+
+          // Remote edits held back by a setValue can go out now
+          const held = heldRemoteEditsRef.current;
+          if (held) {
+            heldRemoteEditsRef.current = null;
+            postRemoteEdits(held.requestId, held.edits);
+          }
+          break;
+        }
+
+        case 'remoteEditsApplied':
+          onRemoteEditsApplied?.(data.requestId);
+          break;
+
+        case 'remoteEditsRejected':
+          onRemoteEditsRejected?.(data.requestId);
+          break;
+
+        case 'selections':
+          onSelectionsChange?.(data.selections);
           break;
           
+        case 'resolveConflict':
+          onResolveConflict?.(data.index, data.choice);
+          break;
+
+        case 'languageRequest':
+          answerLanguageRequest(data.requestId, {
+            feature: data.feature,
+            offset: data.offset,
+            triggerCharacter: data.triggerCharacter,
+          });
+          break;
+
+        case 'openLocation':
+          onOpenLocation?.(data.location);
+          break;
+
+        case 'loadFailed':
+          setLoadError(data.error);
+          break;
+
         case 'error':
           console.error('Monaco Editor Error:', data.error);
           break;
@@ -111,15 +326,75 @@ const MonacoEditor: React.FC<MonacoEditorProps> = ({
         .monaco-scrollable-element > .scrollbar > .slider {
             background: rgba(121, 121, 121, 0.4) !important;
         }
+        
+        /* Merge conflicts */
+        .conflict-marker {
+            background: rgba(128, 128, 128, 0.35);
+        }
+        
+        .conflict-local {
+            background: rgba(76, 175, 80, 0.2);
+        }
+        
+        .conflict-incoming {
+            background: rgba(33, 150, 243, 0.2);
+        }
+        
+        .conflict-actions {
+            display: flex;
+            gap: 6px;
+            padding-left: 12px;
+            font-family: -apple-system, sans-serif;
+            font-size: 12px;
+        }
+        
+        .conflict-actions button {
+            background: #333;
+            color: #fff;
+            border: 1px solid #555;
+            border-radius: 4px;
+            padding: 2px 8px;
+        }
+        
+        /* Live editing: remote cursors get per-participant colors in #remote-cursor-styles */
+        .remote-cursor {
+            position: absolute;
+            height: 100%;
+            box-sizing: border-box;
+            border-left-width: 2px;
+            border-left-style: solid;
+        }
     </style>
+    <style id="remote-cursor-styles"></style>
 </head>
 <body>
     <div id="container"></div>
     
-    <script src="https://unpkg.com/monaco-editor@0.44.0/min/vs/loader.js"></script>
+    <script>
+        function reportLoadFailure(error) {
+            if (window.ReactNativeWebView) {
+                window.ReactNativeWebView.postMessage(JSON.stringify({ type: 'loadFailed', error: error }));
+            }
+        }
+    </script>
+    <script src="https://unpkg.com/monaco-editor@0.44.0/min/vs/loader.js"
+        onerror="reportLoadFailure('The editor could not be downloaded')"></script>
     <script>
         let editor = null;
         let isReady = false;
+        let conflictDecorations = [];
+        let conflictWidgets = [];
+        let remoteCursorDecorations = [];
+        let applyingRemote = false;
+        let languageProviders = [];
+        let languageRequestId = 0;
+        const pendingLanguageRequests = {};
+        let externalLocations = []; // definitions in other files, by index in their URI
+        
+        if (typeof require === 'undefined') {
+            // Already reported by the loader's onerror
+            throw new Error('Monaco loader is not available');
+        }
         
         require.config({ 
             paths: { 
@@ -164,6 +439,9 @@ const MonacoEditor: React.FC<MonacoEditorProps> = ({
                     lineDecorationsWidth: 0,
                     lineNumbersMinChars: 3,
                     
+                    // The phone shows one file; definitions elsewhere open it
+                    gotoLocation: { multipleDefinitions: 'goto' },
+                    
                     // Scrolling
                     scrollbar: {
                         vertical: 'auto',
@@ -174,12 +452,43 @@ const MonacoEditor: React.FC<MonacoEditorProps> = ({
                     }
                 });
 
-                // Handle content changes
-                editor.onDidChangeModelContent(() => {
+                // Handle content changes; edits are offsets into the text before the change
+                editor.onDidChangeModelContent((event) => {
                     if (isReady) {
+                        const model = editor.getModel();
+                        const changes = event.changes.slice().sort(function(a, b) {
+                            return a.rangeOffset - b.rangeOffset;
+                        });
+                        const growth = changes.reduce(function(total, change) {
+                            return total + change.text.length - change.rangeLength;
+                        }, 0);
+                        
                         sendMessage({
                             type: 'change',
-                            value: editor.getValue()
+                            value: editor.getValue(),
+                            versionId: model.getVersionId(),
+                            remote: applyingRemote,
+                            flush: event.isFlush,
+                            baseLength: model.getValueLength() - growth,
+                            edits: changes.map(function(change) {
+                                return { offset: change.rangeOffset, deleteCount: change.rangeLength, text: change.text };
+                            })
+                        });
+                    }
+                });
+
+                editor.onDidChangeCursorSelection((event) => {
+                    if (isReady) {
+                        const model = editor.getModel();
+                        const selections = [event.selection].concat(event.secondarySelections);
+                        sendMessage({
+                            type: 'selections',
+                            selections: selections.map(function(selection) {
+                                return {
+                                    anchor: model.getOffsetAt({ lineNumber: selection.selectionStartLineNumber, column: selection.selectionStartColumn }),
+                                    head: model.getOffsetAt(selection.getPosition())
+                                };
+                            })
                         });
                     }
                 });
@@ -188,7 +497,7 @@ const MonacoEditor: React.FC<MonacoEditorProps> = ({
                 editor.onDidLayoutChange(() => {
                     if (!isReady) {
                         isReady = true;
-                        sendMessage({ type: 'ready' });
+                        sendMessage({ type: 'ready', versionId: editor.getModel().getVersionId() });
                     }
                 });
 
@@ -207,6 +516,8 @@ const MonacoEditor: React.FC<MonacoEditorProps> = ({
                     error: error.message
                 });
             }
+        }, function () {
+            reportLoadFailure('The editor could not be downloaded');
         });
 
         function handleMessage(data) {
@@ -243,6 +554,63 @@ const MonacoEditor: React.FC<MonacoEditorProps> = ({
                             editor.layout();
                         }
                         break;
+                        
+                    case 'setConflicts':
+                        if (editor) {
+                            setConflicts(message.conflicts);
+                        }
+                        break;
+                        
+                    case 'applyRemoteEdits':
+                        if (editor) {
+                            applyRemoteEdits(message.requestId, message.edits, message.versionId);
+                        }
+                        break;
+                        
+                    case 'setRemoteCursors':
+                        if (editor) {
+                            setRemoteCursors(message.cursors);
+                        }
+                        break;
+                        
+                    case 'setMarkers':
+                        if (editor) {
+                            setMarkers(message.markers);
+                        }
+                        break;
+                        
+                    case 'setLanguageFeatures':
+                        if (editor) {
+                            setLanguageFeatures(message.enabled);
+                        }
+                        break;
+                        
+                    case 'languageResponse':
+                        if (pendingLanguageRequests[message.requestId]) {
+                            pendingLanguageRequests[message.requestId](message.result);
+                            delete pendingLanguageRequests[message.requestId];
+                        }
+                        break;
+                        
+                    case 'runAction':
+                        if (editor) {
+                            editor.getAction(message.actionId).run();
+                        }
+                        break;
+                        
+                    case 'revealPosition':
+                        if (editor) {
+                            const position = { lineNumber: message.line + 1, column: message.character + 1 };
+                            editor.setPosition(position);
+                            editor.revealPositionInCenter(position);
+                        }
+                        break;
+                        
+                    case 'insertText':
+                        if (editor) {
+                            insertText(message.text, message.selection);
+                        }
+                        break;
                 }
             } catch (error) {
                 sendMessage({
@@ -252,6 +620,299 @@ const MonacoEditor: React.FC<MonacoEditorProps> = ({
             }
         }
 
+        // Conflict lines arrive 0-based, Monaco lines are 1-based
+        function setConflicts(conflicts) {
+            conflictWidgets.forEach(function(widget) {
+                editor.removeContentWidget(widget);
+            });
+            conflictWidgets = [];
+            
+            const decorations = [];
+            const wholeLines = function(from, to, className) {
+                if (to >= from) {
+                    decorations.push({
+                        range: new monaco.Range(from + 1, 1, to + 1, 1),
+                        options: { isWholeLine: true, className: className }
+                    });
+                }
+            };
+            
+            conflicts.forEach(function(conflict) {
+                wholeLines(conflict.startLine, conflict.startLine, 'conflict-marker');
+                wholeLines(conflict.startLine + 1, conflict.separatorLine - 1, 'conflict-local');
+                wholeLines(conflict.separatorLine, conflict.separatorLine, 'conflict-marker');
+                wholeLines(conflict.separatorLine + 1, conflict.endLine - 1, 'conflict-incoming');
+                wholeLines(conflict.endLine, conflict.endLine, 'conflict-marker');
+                
+                const widget = createConflictWidget(conflict);
+                editor.addContentWidget(widget);
+                conflictWidgets.push(widget);
+            });
+            
+            conflictDecorations = editor.deltaDecorations(conflictDecorations, decorations);
+        }
+        
+        // Accept buttons shown after the start marker of each conflict
+        function createConflictWidget(conflict) {
+            const node = document.createElement('div');
+            node.className = 'conflict-actions';
+            
+            [['local', 'Accept Local'], ['incoming', 'Accept Incoming'], ['both', 'Accept Both']].forEach(function(action) {
+                const button = document.createElement('button');
+                button.textContent = action[1];
+                button.addEventListener('click', function() {
+                    sendMessage({ type: 'resolveConflict', index: conflict.index, choice: action[0] });
+                });
+                node.appendChild(button);
+            });
+            
+            const lineNumber = conflict.startLine + 1;
+            return {
+                getId: function() { return 'conflict.actions.' + conflict.index; },
+                getDomNode: function() { return node; },
+                getPosition: function() {
+                    return {
+                        position: { lineNumber: lineNumber, column: editor.getModel().getLineMaxColumn(lineNumber) },
+                        preference: [monaco.editor.ContentWidgetPositionPreference.EXACT]
+                    };
+                }
+            };
+        }
+
+        // Edits are offsets into the model as of versionId; if the user typed since, the
+        // app transforms them against that change and sends them again
+        function applyRemoteEdits(requestId, edits, versionId) {
+            const model = editor.getModel();
+            if (model.getVersionId() !== versionId) {
+                sendMessage({ type: 'remoteEditsRejected', requestId: requestId });
+                return;
+            }
+            
+            applyingRemote = true;
+            try {
+                editor.executeEdits('collab', edits.map(function(edit) {
+                    return {
+                        range: monaco.Range.fromPositions(
+                            model.getPositionAt(edit.offset),
+                            model.getPositionAt(edit.offset + edit.deleteCount)
+                        ),
+                        text: edit.text
+                    };
+                }));
+            } finally {
+                applyingRemote = false;
+            }
+            sendMessage({ type: 'remoteEditsApplied', requestId: requestId });
+        }
+        
+        function insertText(text, selection) {
+            const model = editor.getModel();
+            const range = selection ?
+                monaco.Range.fromPositions(model.getPositionAt(selection.anchor), model.getPositionAt(selection.head)) :
+                editor.getSelection();
+            editor.pushUndoStop();
+            editor.executeEdits('insert', [{ range: range, text: text, forceMoveMarkers: true }]);
+            editor.pushUndoStop();
+            editor.revealPositionInCenter(editor.getPosition());
+            editor.focus();
+        }
+        
+        function setRemoteCursors(cursors) {
+            const model = editor.getModel();
+            const styles = [];
+            const decorations = [];
+            
+            cursors.forEach(function(participant, index) {
+                styles.push('.remote-cursor-' + index + ' { border-left-color: ' + participant.color + '; }');
+                styles.push('.remote-selection-' + index + ' { background: ' + participant.color + '40; }');
+                
+                participant.selections.forEach(function(selection) {
+                    const head = model.getPositionAt(selection.head);
+                    decorations.push({
+                        range: monaco.Range.fromPositions(head, head),
+                        options: {
+                            beforeContentClassName: 'remote-cursor remote-cursor-' + index,
+                            hoverMessage: { value: participant.name }
+                        }
+                    });
+                    if (selection.anchor !== selection.head) {
+                        decorations.push({
+                            range: monaco.Range.fromPositions(
+                                model.getPositionAt(Math.min(selection.anchor, selection.head)),
+                                model.getPositionAt(Math.max(selection.anchor, selection.head))
+                            ),
+                            options: { className: 'remote-selection-' + index }
+                        });
+                    }
+                });
+            });
+            
+            document.getElementById('remote-cursor-styles').textContent = styles.join('\n');
+            remoteCursorDecorations = editor.deltaDecorations(remoteCursorDecorations, decorations);
+        }
+
+        // Language features of the project in Cursor replace those of Monaco's own
+        // TypeScript service, which only knows this one file
+        function setLanguageFeatures(enabled) {
+            languageProviders.forEach(function(provider) {
+                provider.dispose();
+            });
+            languageProviders = [];
+            
+            if (monaco.languages.typescript) {
+                [monaco.languages.typescript.typescriptDefaults, monaco.languages.typescript.javascriptDefaults].forEach(function(defaults) {
+                    defaults.setModeConfiguration(Object.assign({}, defaults.modeConfiguration, {
+                        completionItems: !enabled,
+                        hovers: !enabled,
+                        definitions: !enabled
+                    }));
+                });
+            }
+            
+            if (!enabled) {
+                return;
+            }
+            
+            languageProviders.push(
+                monaco.languages.registerCompletionItemProvider('*', {
+                    triggerCharacters: ['.', ':', '<', '"', "'", '/', '@', '#'],
+                    provideCompletionItems: provideCompletionItems
+                }),
+                monaco.languages.registerHoverProvider('*', { provideHover: provideHover }),
+                monaco.languages.registerDefinitionProvider('*', { provideDefinition: provideDefinition }),
+                monaco.editor.registerEditorOpener({ openCodeEditor: openExternalLocation })
+            );
+        }
+        
+        function requestLanguageFeature(feature, model, position, triggerCharacter) {
+            const requestId = ++languageRequestId;
+            return new Promise(function(resolve) {
+                pendingLanguageRequests[requestId] = resolve;
+                sendMessage({
+                    type: 'languageRequest',
+                    requestId: requestId,
+                    feature: feature,
+                    offset: model.getOffsetAt(position),
+                    triggerCharacter: triggerCharacter
+                });
+            });
+        }
+        
+        function rangeFromOffsets(model, range) {
+            return monaco.Range.fromPositions(model.getPositionAt(range.start), model.getPositionAt(range.end));
+        }
+        
+        function provideCompletionItems(model, position, context) {
+            return requestLanguageFeature('completion', model, position, context.triggerCharacter).then(function(result) {
+                const word = model.getWordUntilPosition(position);
+                const wordRange = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn);
+                
+                return {
+                    incomplete: result ? result.isIncomplete : false,
+                    suggestions: (result ? result.items : []).map(function(item) {
+                        // Monaco only takes a replace range on the line of the cursor, starting before it
+                        let range = item.range ? rangeFromOffsets(model, item.range) : wordRange;
+                        if (range.startLineNumber !== position.lineNumber || range.endLineNumber !== position.lineNumber ||
+                            range.startColumn > position.column) {
+                            range = wordRange;
+                        }
+                        
+                        return {
+                            label: item.label,
+                            kind: monaco.languages.CompletionItemKind[item.kind] !== undefined
+                                ? monaco.languages.CompletionItemKind[item.kind]
+                                : monaco.languages.CompletionItemKind.Text,
+                            detail: item.detail,
+                            documentation: item.documentation ? { value: item.documentation } : undefined,
+                            insertText: item.insertText,
+                            insertTextRules: item.snippet ? monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet : undefined,
+                            range: range,
+                            sortText: item.sortText,
+                            filterText: item.filterText,
+                            additionalTextEdits: (item.additionalTextEdits || []).map(function(edit) {
+                                return { range: rangeFromOffsets(model, edit), text: edit.text };
+                            })
+                        };
+                    })
+                };
+            });
+        }
+        
+        function provideHover(model, position) {
+            return requestLanguageFeature('hover', model, position).then(function(result) {
+                if (!result || result.contents.length === 0) {
+                    return null;
+                }
+                return {
+                    contents: result.contents.map(function(value) {
+                        return { value: value };
+                    }),
+                    range: result.range ? rangeFromOffsets(model, result.range) : undefined
+                };
+            });
+        }
+        
+        function provideDefinition(model, position) {
+            return requestLanguageFeature('definition', model, position).then(function(result) {
+                externalLocations = [];
+                return (result || []).map(function(location) {
+                    const range = new monaco.Range(
+                        location.range.start.line + 1,
+                        location.range.start.character + 1,
+                        location.range.end.line + 1,
+                        location.range.end.character + 1
+                    );
+                    if (location.inCurrentFile) {
+                        return { uri: model.uri, range: range };
+                    }
+                    
+                    externalLocations.push(location);
+                    return {
+                        uri: monaco.Uri.from({
+                            scheme: 'bridge-location',
+                            path: '/' + location.workspaceFolder + '/' + location.filePath,
+                            fragment: String(externalLocations.length - 1)
+                        }),
+                        range: range
+                    };
+                });
+            });
+        }
+        
+        function openExternalLocation(source, resource) {
+            if (resource.scheme !== 'bridge-location') {
+                return false;
+            }
+            const location = externalLocations[Number(resource.fragment)];
+            if (location) {
+                sendMessage({ type: 'openLocation', location: location });
+            }
+            return true;
+        }
+        
+        // Diagnostics are 0-based; Monaco positions are 1-based
+        function setMarkers(markers) {
+            const severities = {
+                error: monaco.MarkerSeverity.Error,
+                warning: monaco.MarkerSeverity.Warning,
+                info: monaco.MarkerSeverity.Info,
+                hint: monaco.MarkerSeverity.Hint
+            };
+            
+            monaco.editor.setModelMarkers(editor.getModel(), 'cursor', markers.map(function(marker) {
+                return {
+                    severity: severities[marker.severity] || monaco.MarkerSeverity.Error,
+                    message: marker.message,
+                    source: marker.source,
+                    code: marker.code,
+                    startLineNumber: marker.range.start.line + 1,
+                    startColumn: marker.range.start.character + 1,
+                    endLineNumber: marker.range.end.line + 1,
+                    endColumn: marker.range.end.character + 1
+                };
+            }));
+        }
+
         function sendMessage(message) {
             try {
                 if (window.ReactNativeWebView) {
@@ -282,12 +943,38 @@ const MonacoEditor: React.FC<MonacoEditorProps> = ({
 </body>
 </html>`;
 
+  const retryLoad = () => {
+    setLoadError(null);
+    setLoadAttempt(attempt => attempt + 1);
+  };
+
+  if (loadError) {
+    return (
+      <View style={[styles.container, {width: editorWidth, height: editorHeight}]}>
+        <View style={styles.fallbackHeader}>
+          <Text style={styles.fallbackNotice}>{loadError}. Showing the file read-only.</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={retryLoad}>
+            <Text style={styles.retryButtonText}>Retry</Text>
+          </TouchableOpacity>
+        </View>
+        <ScrollView style={styles.fallback} nestedScrollEnabled={true}>
+          <ScrollView horizontal={true} nestedScrollEnabled={true}>
+            <Text style={styles.fallbackText} selectable={true}>{value}</Text>
+          </ScrollView>
+        </ScrollView>
+      </View>
+    );
+  }
+
   return (
     <View style={[styles.container, {width: editorWidth, height: editorHeight}]}>
       <WebView
+        key={loadAttempt}
         ref={webViewRef}
         source={{html: monacoHTML}}
         onMessage={handleMessage}
+        onError={({nativeEvent}) => setLoadError(`The editor could not be loaded: ${nativeEvent.description}`)}
+        onHttpError={({nativeEvent}) => setLoadError(`The editor could not be loaded (HTTP ${nativeEvent.statusCode})`)}
         javaScriptEnabled={true}
         domStorageEnabled={true}
         startInLoadingState={true}
@@ -301,7 +988,7 @@ const MonacoEditor: React.FC<MonacoEditorProps> = ({
       />
     </View>
   );
-};
+});
 
 const styles = StyleSheet.create({
   container: {
@@ -312,6 +999,38 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#1e1e1e',
   },
+  fallbackHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 8,
+    backgroundColor: '#3a2f1e',
+  },
+  fallbackNotice: {
+    flex: 1,
+    color: '#ffcc80',
+    fontSize: 12,
+  },
+  retryButton: {
+    marginLeft: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 4,
+    backgroundColor: '#333',
+  },
+  retryButtonText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  fallback: {
+    flex: 1,
+  },
+  fallbackText: {
+    color: '#d4d4d4',
+    fontFamily: MONOSPACE,
+    fontSize: 13,
+    lineHeight: 20,
+    padding: 8,
+  },
 });
 
 export default MonacoEditor; 
\ No newline at end of file
@@ -0,0 +1,137 @@
+import React from 'react';
+import {View, Text, StyleSheet, SectionList, TouchableOpacity} from 'react-native';
+import {Diagnostic, DiagnosticSeverity, FileDiagnostics} from '../services/WebSocketClient';
+
+interface ProblemsListProps {
+  files: FileDiagnostics[];
+  showWorkspaceFolder: boolean;
+  onSelect: (file: FileDiagnostics, diagnostic: Diagnostic) => void;
+}
+
+const SEVERITY_COLORS: Record<DiagnosticSeverity, string> = {
+  error: '#F44336',
+  warning: '#FF9800',
+  info: '#2196F3',
+  hint: '#888',
+};
+
+const countErrors = (file: FileDiagnostics): number =>
+  file.diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+
+// Lines and columns are shown 1-based, as in the editor
+const describeLocation = (diagnostic: Diagnostic): string => {
+  const source = diagnostic.source ? `${diagnostic.source}${diagnostic.code ? `(${diagnostic.code})` : ''} ` : '';
+  return `${source}[${diagnostic.range.start.line + 1}, ${diagnostic.range.start.character + 1}]`;
+};
+
+const ProblemsList: React.FC<ProblemsListProps> = ({files, showWorkspaceFolder, onSelect}) => {
+  // Files with the most errors first
+  const sections = files
+    .slice()
+    .sort((a, b) => countErrors(b) - countErrors(a) || a.filePath.localeCompare(b.filePath))
+    .map(file => ({file, data: file.diagnostics}));
+
+  return (
+    <SectionList
+      style={styles.list}
+      sections={sections}
+      keyExtractor={(diagnostic, index) => `${index}:${diagnostic.range.start.line}:${diagnostic.message}`}
+      renderSectionHeader={({section: {file}}) => (
+        <View style={styles.fileHeader}>
+          <Text style={styles.fileName} numberOfLines={1}>
+            {showWorkspaceFolder ? `${file.workspaceFolder}/${file.filePath}` : file.filePath}
+          </Text>
+          <Text style={styles.count}>
+            {file.total > file.diagnostics.length ? `${file.diagnostics.length} of ${file.total}` : file.total}
+          </Text>
+        </View>
+      )}
+      renderItem={({item: diagnostic, section: {file}}) => (
+        <TouchableOpacity style={styles.problem} onPress={() => onSelect(file, diagnostic)}>
+          <View style={[styles.severity, {backgroundColor: SEVERITY_COLORS[diagnostic.severity]}]} />
+          <View style={styles.problemContent}>
+            <Text style={styles.message}>{diagnostic.message}</Text>
+            <Text style={styles.location}>{describeLocation(diagnostic)}</Text>
+          </View>
+        </TouchableOpacity>
+      )}
+      ListEmptyComponent={
+        <View style={styles.empty}>
+          <Text style={styles.emptyText}>No problems</Text>
+          <Text style={styles.emptySubtext}>Errors and warnings reported in Cursor show up here</Text>
+        </View>
+      }
+      stickySectionHeadersEnabled={false}
+    />
+  );
+};
+
+const styles = StyleSheet.create({
+  list: {
+    flex: 1,
+    padding: 8,
+  },
+  fileHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    marginTop: 4,
+  },
+  fileName: {
+    flex: 1,
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  count: {
+    color: '#ccc',
+    fontSize: 12,
+    backgroundColor: '#333',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  problem: {
+    flexDirection: 'row',
+    backgroundColor: '#2a2a2a',
+    padding: 8,
+    borderRadius: 4,
+    marginBottom: 4,
+  },
+  severity: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginTop: 5,
+    marginRight: 8,
+  },
+  problemContent: {
+    flex: 1,
+  },
+  message: {
+    color: '#fff',
+    fontSize: 13,
+  },
+  location: {
+    color: '#888',
+    fontSize: 11,
+    marginTop: 2,
+  },
+  empty: {
+    alignItems: 'center',
+    marginTop: 40,
+  },
+  emptyText: {
+    color: '#fff',
+    fontSize: 18,
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    color: '#ccc',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+});
+
+export default ProblemsList;
@@ -0,0 +1,445 @@
+import React, {useEffect, useRef, useState} from 'react';
+import {View, Text, StyleSheet, FlatList, SectionList, TextInput, TouchableOpacity, Platform} from 'react-native';
+import {FileSearchMatch, SearchQuery, TextSearchMatch} from '../services/WebSocketClient';
+import {SearchSession, SearchStatus} from '../services/SearchSession';
+
+interface SearchPanelProps {
+  session: SearchSession | null;
+  isConnected: boolean;
+  showWorkspaceFolder: boolean;
+  onSearch: (query: SearchQuery) => void;
+  onCancel: () => void;
+  onOpenFile: (match: FileSearchMatch) => void;
+  onOpenMatch: (match: TextSearchMatch) => void;
+}
+
+// File names are searched while typing; contents once the query is submitted
+const FILE_SEARCH_DELAY_MS = 250;
+const MONOSPACE = Platform.select({ios: 'Menlo', default: 'monospace'});
+
+const STATUS_COLORS: Record<SearchStatus, string> = {
+  running: '#4CAF50',
+  done: '#888',
+  cancelled: '#FF9800',
+  failed: '#F44336',
+  disconnected: '#F44336',
+};
+
+const splitGlobs = (text: string): string[] =>
+  text.split(',').map(glob => glob.trim()).filter(glob => glob.length > 0);
+
+const describeStatus = (session: SearchSession): string => {
+  const count = session.results.length;
+  switch (session.status) {
+    case 'running':
+      return `Searching… ${count} result(s)`;
+    case 'cancelled':
+      return `Cancelled after ${count} result(s)`;
+    case 'failed':
+      return `Search failed: ${session.end?.error?.message}`;
+    case 'disconnected':
+      return `Connection lost after ${count} result(s)`;
+    case 'done':
+      return `${count} result(s) in ${session.end?.searchedFiles} file(s)` +
+        (session.end?.limitHit ? ', more not shown' : '');
+  }
+};
+
+// Splits text into runs, marking those covered by ranges
+const highlight = (text: string, ranges: {start: number; end: number}[]): {text: string; matched: boolean}[] => {
+  const parts: {text: string; matched: boolean}[] = [];
+  let index = 0;
+  for (const range of ranges) {
+    if (range.start > index) {
+      parts.push({text: text.slice(index, range.start), matched: false});
+    }
+    parts.push({text: text.slice(Math.max(index, range.start), range.end), matched: true});
+    index = Math.max(index, range.end);
+  }
+  parts.push({text: text.slice(index), matched: false});
+  return parts.filter(part => part.text.length > 0);
+};
+
+const toRanges = (positions: number[]): {start: number; end: number}[] =>
+  positions.map(position => ({start: position, end: position + 1}));
+
+// Indentation takes up room the phone does not have
+const trimIndent = (match: TextSearchMatch): {text: string; ranges: {start: number; end: number}[]} => {
+  const indent = match.preview.length - match.preview.trimStart().length;
+  return {
+    text: match.preview.slice(indent),
+    ranges: match.ranges.map(range => ({start: Math.max(0, range.start - indent), end: Math.max(0, range.end - indent)})),
+  };
+};
+
+// Matches grouped by file, in the order the bridge found them
+const groupMatches = (matches: TextSearchMatch[]): {key: string; title: string; data: TextSearchMatch[]}[] => {
+  const groups = new Map<string, {key: string; title: string; data: TextSearchMatch[]}>();
+  for (const match of matches) {
+    const key = `${match.workspaceFolder}/${match.filePath}`;
+    const group = groups.get(key) || {key, title: match.filePath, data: []};
+    group.data.push(match);
+    groups.set(key, group);
+  }
+  return Array.from(groups.values());
+};
+
+const SearchPanel: React.FC<SearchPanelProps> = ({
+  session,
+  isConnected,
+  showWorkspaceFolder,
+  onSearch,
+  onCancel,
+  onOpenFile,
+  onOpenMatch,
+}) => {
+  const [kind, setKind] = useState<SearchQuery['kind']>('text');
+  const [query, setQuery] = useState('');
+  const [isRegex, setIsRegex] = useState(false);
+  const [matchCase, setMatchCase] = useState(false);
+  const [wholeWord, setWholeWord] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+  const [include, setInclude] = useState('');
+  const [exclude, setExclude] = useState('');
+  const [, setRenderCount] = useState(0);
+  const fileSearchTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
+
+  useEffect(() => {
+    if (!session) {
+      return;
+    }
+    const render = () => setRenderCount(count => count + 1);
+    session.on('changed', render);
+    return () => {
+      session.off('changed', render);
+    };
+  }, [session]);
+
+  useEffect(() => () => {
+    if (fileSearchTimer.current) {
+      clearTimeout(fileSearchTimer.current);
+    }
+  }, []);
+
+  const search = (text: string = query) => {
+    if (text.trim().length === 0 || !isConnected) {
+      return;
+    }
+    onSearch({
+      kind,
+      query: text,
+      isRegex: kind === 'text' ? isRegex : undefined,
+      matchCase: kind === 'text' ? matchCase : undefined,
+      wholeWord: kind === 'text' ? wholeWord : undefined,
+      include: splitGlobs(include),
+      exclude: splitGlobs(exclude),
+    });
+  };
+
+  const handleChangeQuery = (text: string) => {
+    setQuery(text);
+    if (kind !== 'files') {
+      return;
+    }
+    if (fileSearchTimer.current) {
+      clearTimeout(fileSearchTimer.current);
+    }
+    fileSearchTimer.current = setTimeout(() => search(text), FILE_SEARCH_DELAY_MS);
+  };
+
+  const renderToggle = (label: string, value: boolean, onChange: (value: boolean) => void) => (
+    <TouchableOpacity style={[styles.toggle, value && styles.toggleActive]} onPress={() => onChange(!value)}>
+      <Text style={styles.toggleText}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderHighlighted = (text: string, ranges: {start: number; end: number}[], style: object) => (
+    <Text style={style} numberOfLines={1}>
+      {highlight(text, ranges).map((part, index) => (
+        <Text key={index} style={part.matched ? styles.matched : undefined}>
+          {part.text}
+        </Text>
+      ))}
+    </Text>
+  );
+
+  const isCurrentKind = session?.query.kind === kind;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.kindRow}>
+        {(['text', 'files'] as const).map(option => (
+          <TouchableOpacity
+            key={option}
+            style={[styles.kindButton, kind === option && styles.kindButtonActive]}
+            onPress={() => setKind(option)}>
+            <Text style={styles.kindButtonText}>{option === 'text' ? 'In Files' : 'File Names'}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.queryRow}>
+        <TextInput
+          style={styles.input}
+          value={query}
+          onChangeText={handleChangeQuery}
+          onSubmitEditing={() => search()}
+          placeholder={kind === 'text' ? 'Search in files' : 'Go to file'}
+          placeholderTextColor="#666"
+          autoCapitalize="none"
+          autoCorrect={false}
+          returnKeyType="search"
+        />
+        {session?.status === 'running' ? (
+          <TouchableOpacity style={styles.actionButton} onPress={onCancel}>
+            <Text style={styles.actionButtonText}>Stop</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity
+            style={[styles.actionButton, !isConnected && styles.disabled]}
+            disabled={!isConnected}
+            onPress={() => search()}>
+            <Text style={styles.actionButtonText}>Search</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <View style={styles.optionsRow}>
+        {kind === 'text' && (
+          <>
+            {renderToggle('Aa', matchCase, setMatchCase)}
+            {renderToggle('ab', wholeWord, setWholeWord)}
+            {renderToggle('.*', isRegex, setIsRegex)}
+          </>
+        )}
+        {renderToggle('Filters', showFilters, setShowFilters)}
+      </View>
+
+      {showFilters && (
+        <View style={styles.filters}>
+          <TextInput
+            style={styles.input}
+            value={include}
+            onChangeText={setInclude}
+            placeholder="Files to include, e.g. src/, *.ts"
+            placeholderTextColor="#666"
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <TextInput
+            style={[styles.input, styles.filterInput]}
+            value={exclude}
+            onChangeText={setExclude}
+            placeholder="Files to exclude, e.g. *.test.ts"
+            placeholderTextColor="#666"
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+        </View>
+      )}
+
+      {session && isCurrentKind && (
+        <Text style={[styles.status, {color: STATUS_COLORS[session.status]}]}>{describeStatus(session)}</Text>
+      )}
+
+      {!session || !isCurrentKind ? (
+        <View style={styles.empty}>
+          <Text style={styles.emptyText}>{kind === 'text' ? 'Search in files' : 'Find a file by name'}</Text>
+          <Text style={styles.emptySubtext}>
+            {isConnected ? 'Searches the workspace open in Cursor' : 'Connect to Cursor to search the workspace'}
+          </Text>
+        </View>
+      ) : kind === 'files' ? (
+        <FlatList
+          data={session.results as FileSearchMatch[]}
+          keyExtractor={match => `${match.workspaceFolder}/${match.filePath}`}
+          renderItem={({item: match}) => (
+            <TouchableOpacity style={styles.result} onPress={() => onOpenFile(match)}>
+              {renderHighlighted(match.filePath, toRanges(match.positions), styles.resultPath)}
+              {showWorkspaceFolder && <Text style={styles.resultDetail}>{match.workspaceFolder}</Text>}
+            </TouchableOpacity>
+          )}
+          keyboardShouldPersistTaps="handled"
+        />
+      ) : (
+        <SectionList
+          sections={groupMatches(session.results as TextSearchMatch[])}
+          keyExtractor={match => `${match.workspaceFolder}/${match.filePath}:${match.line}`}
+          renderSectionHeader={({section}) => (
+            <View style={styles.fileHeader}>
+              <Text style={styles.fileName} numberOfLines={1}>
+                {showWorkspaceFolder ? section.key : section.title}
+              </Text>
+              <Text style={styles.count}>{section.data.length}</Text>
+            </View>
+          )}
+          renderItem={({item: match}) => {
+            const preview = trimIndent(match);
+            return (
+              <TouchableOpacity style={styles.result} onPress={() => onOpenMatch(match)}>
+                <View style={styles.matchRow}>
+                  <Text style={styles.lineNumber}>{match.line + 1}</Text>
+                  {renderHighlighted(preview.text, preview.ranges, styles.preview)}
+                </View>
+              </TouchableOpacity>
+            );
+          }}
+          stickySectionHeadersEnabled={false}
+          keyboardShouldPersistTaps="handled"
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 8,
+  },
+  kindRow: {
+    flexDirection: 'row',
+    marginBottom: 8,
+  },
+  kindButton: {
+    flex: 1,
+    alignItems: 'center',
+    backgroundColor: '#2a2a2a',
+    paddingVertical: 6,
+    marginRight: 4,
+    borderRadius: 4,
+  },
+  kindButtonActive: {
+    backgroundColor: '#2196F3',
+  },
+  kindButtonText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  queryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#2a2a2a',
+    color: '#fff',
+    fontSize: 14,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderRadius: 4,
+  },
+  filterInput: {
+    marginTop: 4,
+  },
+  optionsRow: {
+    flexDirection: 'row',
+    marginTop: 6,
+  },
+  toggle: {
+    backgroundColor: '#333',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 4,
+    marginRight: 6,
+  },
+  toggleActive: {
+    backgroundColor: '#2196F3',
+  },
+  toggleText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  filters: {
+    marginTop: 6,
+  },
+  status: {
+    fontSize: 12,
+    marginVertical: 6,
+  },
+  actionButton: {
+    backgroundColor: '#333',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 4,
+    marginLeft: 8,
+  },
+  actionButtonText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+  fileHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    marginTop: 4,
+  },
+  fileName: {
+    flex: 1,
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  count: {
+    color: '#ccc',
+    fontSize: 12,
+    backgroundColor: '#333',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  result: {
+    backgroundColor: '#2a2a2a',
+    padding: 8,
+    borderRadius: 4,
+    marginBottom: 4,
+  },
+  resultPath: {
+    color: '#fff',
+    fontSize: 13,
+  },
+  resultDetail: {
+    color: '#888',
+    fontSize: 11,
+    marginTop: 2,
+  },
+  matchRow: {
+    flexDirection: 'row',
+  },
+  lineNumber: {
+    color: '#888',
+    fontSize: 12,
+    fontFamily: MONOSPACE,
+    minWidth: 36,
+  },
+  preview: {
+    flex: 1,
+    color: '#ccc',
+    fontSize: 12,
+    fontFamily: MONOSPACE,
+  },
+  matched: {
+    color: '#fff',
+    backgroundColor: '#5a4a1a',
+  },
+  empty: {
+    alignItems: 'center',
+    marginTop: 40,
+  },
+  emptyText: {
+    color: '#fff',
+    fontSize: 18,
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    color: '#ccc',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+});
+
+export default SearchPanel;
@@ -0,0 +1,484 @@
+import React, {useState} from 'react';
+import {View, Text, StyleSheet, SectionList, ScrollView, TextInput, TouchableOpacity} from 'react-native';
+import {GitBranch, GitChangeStatus, GitDiff, GitFileChange, GitHunk, GitStatus} from '../services/WebSocketClient';
+import GitDiffView from './GitDiffView';
+import MonacoDiffEditor, {DiffChange} from './MonacoDiffEditor';
+
+interface SourceControlPanelProps {
+  status: GitStatus | null;
+  error: string | null; // why there is no status, e.g. the folder is not a repository
+  branches: GitBranch[];
+  diff: GitDiff | null;
+  workspaceFolders: string[];
+  workspaceFolder?: string;
+  isConnected: boolean;
+  busy: string | null; // the running operation, e.g. "Pushing"
+  onSelectFolder: (workspaceFolder: string) => void;
+  onRefresh: () => void;
+  onOpenDiff: (change: GitFileChange, staged: boolean) => void;
+  onCloseDiff: () => void;
+  onOpenFile: (filePath: string) => void;
+  onStage: (change?: GitFileChange) => void; // every change when omitted
+  onUnstage: (change?: GitFileChange) => void;
+  onToggleHunk: (hunk: GitHunk) => void;
+  onCommit: (message: string, amend: boolean) => Promise<boolean>;
+  onLoadBranches: () => void;
+  onCheckout: (branch: string, create: boolean) => void;
+  onPull: () => void;
+  onPush: () => void;
+}
+
+const STATUS_LABELS: Record<GitChangeStatus, {letter: string; color: string}> = {
+  modified: {letter: 'M', color: '#E2C08D'},
+  added: {letter: 'A', color: '#81B88B'},
+  deleted: {letter: 'D', color: '#C74E39'},
+  renamed: {letter: 'R', color: '#73C991'},
+  copied: {letter: 'C', color: '#73C991'},
+  typechange: {letter: 'T', color: '#E2C08D'},
+  untracked: {letter: 'U', color: '#73C991'},
+  conflicted: {letter: '!', color: '#F44336'},
+};
+
+const splitPath = (filePath: string): {name: string; directory: string} => {
+  const index = filePath.lastIndexOf('/');
+  return {name: filePath.slice(index + 1), directory: filePath.slice(0, Math.max(index, 0))};
+};
+
+// Git hunks hold nearby changes together with their context, so one hunk may cover
+// several of the editor's changes
+const findHunk = (hunks: GitHunk[], change: DiffChange): GitHunk | undefined =>
+  hunks.find(hunk => {
+    const start = hunk.newLines === 0 ? hunk.newStart : hunk.newStart - 1;
+    return start <= change.modifiedStart && change.modifiedStart + change.modifiedLines <= start + hunk.newLines;
+  });
+
+const describeBranch = (status: GitStatus): string => {
+  if (status.branch === null) {
+    return `Detached at ${status.commit}`;
+  }
+  return status.commit === null ? `${status.branch} (no commits yet)` : status.branch;
+};
+
+const SourceControlPanel: React.FC<SourceControlPanelProps> = ({
+  status,
+  error,
+  branches,
+  diff,
+  workspaceFolders,
+  workspaceFolder,
+  isConnected,
+  busy,
+  onSelectFolder,
+  onRefresh,
+  onOpenDiff,
+  onCloseDiff,
+  onOpenFile,
+  onStage,
+  onUnstage,
+  onToggleHunk,
+  onCommit,
+  onLoadBranches,
+  onCheckout,
+  onPull,
+  onPush,
+}) => {
+  const [message, setMessage] = useState('');
+  const [amend, setAmend] = useState(false);
+  const [showBranches, setShowBranches] = useState(false);
+  const [newBranch, setNewBranch] = useState('');
+  const [diffView, setDiffView] = useState<'hunks' | 'editor'>('hunks');
+  const canRun = isConnected && busy === null;
+
+  const renderButton = (label: string, onPress: () => void, enabled: boolean = canRun) => (
+    <TouchableOpacity style={[styles.actionButton, !enabled && styles.disabled]} disabled={!enabled} onPress={onPress}>
+      <Text style={styles.actionButtonText}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  if (diff) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity style={styles.backButton} onPress={onCloseDiff}>
+            <Text style={styles.actionButtonText}>‹ Back</Text>
+          </TouchableOpacity>
+          <View style={styles.rowContent}>
+            <Text style={styles.name} numberOfLines={1}>
+              {splitPath(diff.filePath).name}
+            </Text>
+            <Text style={styles.detail} numberOfLines={1}>
+              {diff.staged ? 'Staged changes · HEAD ↔ index' : 'Changes · index ↔ working tree'}
+            </Text>
+          </View>
+          {!diff.binary &&
+            renderButton(diffView === 'hunks' ? 'Editor' : 'Hunks', () =>
+              setDiffView(diffView === 'hunks' ? 'editor' : 'hunks'), true)}
+          {diff.modified !== null && !diff.staged && renderButton('Open', () => onOpenFile(diff.filePath), true)}
+        </View>
+        {busy && <Text style={styles.busy}>{busy}…</Text>}
+        {diffView === 'editor' && !diff.binary ? (
+          <MonacoDiffEditor
+            original={diff.original ?? ''}
+            modified={diff.modified ?? ''}
+            filePath={diff.filePath}
+            actions={diff.hunks.length > 0 && canRun ? {accept: diff.staged ? 'Unstage' : 'Stage'} : undefined}
+            onChangeAction={change => {
+              const hunk = findHunk(diff.hunks, change);
+              if (hunk) {
+                onToggleHunk(hunk);
+              }
+            }}
+          />
+        ) : (
+          <GitDiffView diff={diff} isConnected={isConnected} isBusy={busy !== null} onToggleHunk={onToggleHunk} />
+        )}
+      </View>
+    );
+  }
+
+  const commit = async () => {
+    if (await onCommit(message, amend)) {
+      setMessage('');
+      setAmend(false);
+    }
+  };
+
+  const checkout = (branch: string, create: boolean) => {
+    setShowBranches(false);
+    setNewBranch('');
+    onCheckout(branch, create);
+  };
+
+  const toggleBranches = () => {
+    if (!showBranches) {
+      onLoadBranches();
+    }
+    setShowBranches(!showBranches);
+  };
+
+  const renderChange = (change: GitFileChange, staged: boolean) => {
+    const {name, directory} = splitPath(change.filePath);
+    const label = STATUS_LABELS[change.status];
+    // Conflicts are resolved in the editor, which marks their blocks
+    const open = () => (change.status === 'conflicted' ? onOpenFile(change.filePath) : onOpenDiff(change, staged));
+    return (
+      <TouchableOpacity style={styles.row} onPress={open}>
+        <View style={styles.rowContent}>
+          <Text style={styles.name} numberOfLines={1}>
+            {name}
+            {directory ? <Text style={styles.directory}>  {directory}</Text> : null}
+          </Text>
+          {change.originalPath && (
+            <Text style={styles.detail} numberOfLines={1}>
+              from {change.originalPath}
+            </Text>
+          )}
+        </View>
+        <Text style={[styles.statusLetter, {color: label.color}]}>{label.letter}</Text>
+        {staged ? renderButton('−', () => onUnstage(change)) : renderButton('+', () => onStage(change))}
+      </TouchableOpacity>
+    );
+  };
+
+  const folderPicker = workspaceFolders.length > 1 && (
+    <View style={styles.folderPicker}>
+      {workspaceFolders.map(folder => (
+        <TouchableOpacity
+          key={folder}
+          style={[styles.folderChip, (workspaceFolder || workspaceFolders[0]) === folder && styles.folderChipActive]}
+          onPress={() => onSelectFolder(folder)}>
+          <Text style={styles.folderChipText}>{folder}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  if (!status) {
+    return (
+      <View style={styles.container}>
+        {folderPicker}
+        <View style={styles.empty}>
+          <Text style={styles.emptyText}>Source Control</Text>
+          <Text style={styles.emptySubtext}>
+            {!isConnected ? 'Connect to Cursor to see the repository' : error || (busy ? `${busy}…` : 'Loading…')}
+          </Text>
+          {isConnected && error && renderButton('Retry', onRefresh)}
+        </View>
+      </View>
+    );
+  }
+
+  const localBranches = branches.filter(branch => !branch.remote);
+  const remoteBranches = branches.filter(branch => branch.remote);
+  const canCommit = canRun && message.trim().length > 0 && (status.staged.length > 0 || amend);
+
+  return (
+    <View style={styles.container}>
+      {folderPicker}
+
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.rowContent} onPress={toggleBranches} disabled={!isConnected}>
+          <Text style={styles.name} numberOfLines={1}>
+            ⎇ {describeBranch(status)}
+            {status.ahead > 0 ? `  ↑${status.ahead}` : ''}
+            {status.behind > 0 ? `  ↓${status.behind}` : ''}
+          </Text>
+          <Text style={styles.detail} numberOfLines={1}>
+            {status.upstream ? `Tracking ${status.upstream}` : 'No upstream branch'}
+          </Text>
+        </TouchableOpacity>
+        {renderButton('Pull', onPull, canRun && status.upstream !== undefined)}
+        {renderButton('Push', onPush)}
+        {renderButton('Refresh', onRefresh)}
+      </View>
+
+      {showBranches && (
+        <View style={styles.branches}>
+          <View style={styles.queryRow}>
+            <TextInput
+              style={styles.input}
+              value={newBranch}
+              onChangeText={setNewBranch}
+              placeholder="New branch name"
+              placeholderTextColor="#666"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            {renderButton('Create', () => checkout(newBranch.trim(), true), canRun && newBranch.trim().length > 0)}
+          </View>
+          <ScrollView style={styles.branchList} keyboardShouldPersistTaps="handled">
+            {[...localBranches, ...remoteBranches].map(branch => (
+              <TouchableOpacity
+                key={`${branch.remote}:${branch.name}`}
+                style={[styles.branchRow, !canRun && styles.disabled]}
+                disabled={!canRun || branch.current}
+                onPress={() => checkout(branch.name, false)}>
+                <Text style={[styles.name, branch.current && styles.currentBranch]} numberOfLines={1}>
+                  {branch.current ? '✓ ' : ''}
+                  {branch.name}
+                </Text>
+                <Text style={styles.detail}>
+                  {branch.remote ? 'remote' : branch.upstream ? `→ ${branch.upstream}` : ''} {branch.commit}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        </View>
+      )}
+
+      <TextInput
+        style={[styles.input, styles.messageInput]}
+        value={message}
+        onChangeText={setMessage}
+        placeholder={`Message (commit on ${status.branch ?? 'detached HEAD'})`}
+        placeholderTextColor="#666"
+        multiline
+      />
+      <View style={styles.commitRow}>
+        <TouchableOpacity style={[styles.toggle, amend && styles.toggleActive]} onPress={() => setAmend(!amend)}>
+          <Text style={styles.actionButtonText}>Amend</Text>
+        </TouchableOpacity>
+        <View style={styles.rowContent} />
+        {renderButton(amend ? 'Amend Commit' : 'Commit', commit, canCommit)}
+      </View>
+
+      {busy && <Text style={styles.busy}>{busy}…</Text>}
+
+      <SectionList
+        sections={[
+          {key: 'staged', title: 'Staged Changes', staged: true, data: status.staged},
+          {key: 'unstaged', title: 'Changes', staged: false, data: status.unstaged},
+        ].filter(section => section.data.length > 0)}
+        keyExtractor={change => change.filePath}
+        renderSectionHeader={({section}) => (
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>
+              {section.title} ({section.data.length})
+            </Text>
+            {section.staged
+              ? renderButton('Unstage All', () => onUnstage())
+              : renderButton('Stage All', () => onStage())}
+          </View>
+        )}
+        renderItem={({item, section}) => renderChange(item, section.staged)}
+        stickySectionHeadersEnabled={false}
+        ListEmptyComponent={
+          <View style={styles.empty}>
+            <Text style={styles.emptyText}>No changes</Text>
+            <Text style={styles.emptySubtext}>The working tree matches {status.commit ?? 'the index'}</Text>
+          </View>
+        }
+        keyboardShouldPersistTaps="handled"
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 8,
+  },
+  folderPicker: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  folderChip: {
+    backgroundColor: '#333',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 12,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  folderChipActive: {
+    backgroundColor: '#1565C0',
+  },
+  folderChipText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  backButton: {
+    backgroundColor: '#333',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 4,
+    marginRight: 8,
+  },
+  branches: {
+    backgroundColor: '#252525',
+    borderRadius: 4,
+    padding: 6,
+    marginBottom: 8,
+  },
+  branchList: {
+    maxHeight: 200,
+    marginTop: 6,
+  },
+  branchRow: {
+    paddingVertical: 6,
+    paddingHorizontal: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: '#333',
+  },
+  currentBranch: {
+    color: '#2196F3',
+  },
+  queryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#2a2a2a',
+    color: '#fff',
+    fontSize: 14,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderRadius: 4,
+  },
+  messageInput: {
+    flex: 0,
+    minHeight: 40,
+    maxHeight: 100,
+  },
+  commitRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+    marginBottom: 4,
+  },
+  toggle: {
+    backgroundColor: '#333',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 4,
+  },
+  toggleActive: {
+    backgroundColor: '#2196F3',
+  },
+  busy: {
+    color: '#4CAF50',
+    fontSize: 12,
+    marginVertical: 4,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+    marginTop: 4,
+  },
+  sectionTitle: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2a2a2a',
+    padding: 8,
+    borderRadius: 4,
+    marginBottom: 4,
+  },
+  rowContent: {
+    flex: 1,
+  },
+  name: {
+    color: '#fff',
+    fontSize: 14,
+  },
+  directory: {
+    color: '#888',
+    fontSize: 12,
+  },
+  detail: {
+    color: '#aaa',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  statusLetter: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    minWidth: 16,
+    textAlign: 'center',
+  },
+  actionButton: {
+    backgroundColor: '#333',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 4,
+    marginLeft: 8,
+  },
+  actionButtonText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+  empty: {
+    alignItems: 'center',
+    marginTop: 40,
+  },
+  emptyText: {
+    color: '#fff',
+    fontSize: 18,
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    color: '#ccc',
+    fontSize: 14,
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+});
+
+export default SourceControlPanel;
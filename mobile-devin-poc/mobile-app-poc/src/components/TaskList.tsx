@@ -0,0 +1,213 @@
+import React from 'react';
+import {View, Text, StyleSheet, SectionList, TouchableOpacity} from 'react-native';
+import {TaskEndEvent, TaskInfo, TaskRun} from '../services/WebSocketClient';
+import {TerminalSession} from '../services/TerminalSession';
+
+export interface TaskRunItem {
+  run: TaskRun;
+  session?: TerminalSession; // the streamed output, shown in the Terminal tab
+  startedAt: number;
+  end?: TaskEndEvent;
+}
+
+interface TaskListProps {
+  tasks: TaskInfo[];
+  runs: TaskRunItem[];
+  isConnected: boolean;
+  onRun: (task: TaskInfo) => void;
+  onStop: (item: TaskRunItem) => void;
+  onShowOutput: (item: TaskRunItem) => void;
+  onRefresh: () => void;
+}
+
+const KIND_LABELS: Record<TaskInfo['kind'], string> = {
+  task: 'Task',
+  npm: 'Script',
+  launch: 'Debug',
+};
+
+const describeRun = (item: TaskRunItem, isConnected: boolean): {text: string; color: string} => {
+  if (!item.end) {
+    return isConnected
+      ? {text: 'Running', color: '#4CAF50'}
+      : {text: 'Connection lost, no exit status', color: '#F44336'};
+  }
+  if (item.end.signal) {
+    return {text: `Stopped (${item.end.signal})`, color: '#FF9800'};
+  }
+  if (item.end.exitCode === null) {
+    return {text: 'Finished', color: '#888'};
+  }
+  return item.end.exitCode === 0
+    ? {text: 'Succeeded', color: '#4CAF50'}
+    : {text: `Failed with code ${item.end.exitCode}`, color: '#F44336'};
+};
+
+// Tasks grouped by workspace folder and where they are defined
+const groupTasks = (tasks: TaskInfo[]): {title: string; data: TaskInfo[]}[] => {
+  const groups = new Map<string, TaskInfo[]>();
+  for (const task of tasks) {
+    const title = task.workspaceFolder ? `${task.workspaceFolder} · ${task.source}` : task.source;
+    groups.set(title, [...(groups.get(title) || []), task]);
+  }
+  return Array.from(groups, ([title, data]) => ({title, data}));
+};
+
+const TaskList: React.FC<TaskListProps> = ({tasks, runs, isConnected, onRun, onStop, onShowOutput, onRefresh}) => {
+  return (
+    <View style={styles.container}>
+      {runs.length > 0 && (
+        <View style={styles.runs}>
+          <Text style={styles.sectionTitle}>Runs</Text>
+          {runs.map(item => {
+            const status = describeRun(item, isConnected);
+            return (
+              <View key={item.run.runId} style={styles.row}>
+                <View style={styles.rowContent}>
+                  <Text style={styles.name} numberOfLines={1}>
+                    {item.run.name}
+                  </Text>
+                  <Text style={[styles.detail, {color: status.color}]}>
+                    {status.text} · started {new Date(item.startedAt).toLocaleTimeString()}
+                  </Text>
+                </View>
+                {item.session && (
+                  <TouchableOpacity style={styles.actionButton} onPress={() => onShowOutput(item)}>
+                    <Text style={styles.actionButtonText}>Output</Text>
+                  </TouchableOpacity>
+                )}
+                {!item.end && isConnected && (
+                  <TouchableOpacity style={styles.actionButton} onPress={() => onStop(item)}>
+                    <Text style={styles.actionButtonText}>Stop</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            );
+          })}
+        </View>
+      )}
+
+      <View style={styles.header}>
+        <Text style={styles.sectionTitle}>Tasks ({tasks.length})</Text>
+        <TouchableOpacity style={[styles.actionButton, !isConnected && styles.disabled]} disabled={!isConnected} onPress={onRefresh}>
+          <Text style={styles.actionButtonText}>Refresh</Text>
+        </TouchableOpacity>
+      </View>
+
+      <SectionList
+        sections={groupTasks(tasks)}
+        keyExtractor={task => task.taskId}
+        renderSectionHeader={({section}) => <Text style={styles.groupTitle}>{section.title}</Text>}
+        renderItem={({item: task}) => (
+          <View style={styles.row}>
+            <View style={styles.rowContent}>
+              <Text style={styles.name} numberOfLines={1}>
+                {task.name}
+              </Text>
+              <Text style={styles.detail} numberOfLines={1}>
+                {KIND_LABELS[task.kind]}
+                {task.group ? ` · ${task.group}` : ''}
+                {task.detail ? ` · ${task.detail}` : ''}
+                {task.streamsOutput ? '' : ' · output stays in Cursor'}
+              </Text>
+            </View>
+            <TouchableOpacity
+              style={[styles.actionButton, !isConnected && styles.disabled]}
+              disabled={!isConnected}
+              onPress={() => onRun(task)}>
+              <Text style={styles.actionButtonText}>Run</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+        ListEmptyComponent={
+          <View style={styles.empty}>
+            <Text style={styles.emptyText}>No tasks</Text>
+            <Text style={styles.emptySubtext}>
+              {isConnected
+                ? 'Add tasks, package.json scripts or launch configurations to the workspace'
+                : 'Connect to Cursor to load its tasks'}
+            </Text>
+          </View>
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 8,
+  },
+  runs: {
+    marginBottom: 12,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  sectionTitle: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  groupTitle: {
+    color: '#888',
+    fontSize: 12,
+    backgroundColor: '#1e1e1e',
+    paddingVertical: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2a2a2a',
+    padding: 8,
+    borderRadius: 4,
+    marginBottom: 4,
+  },
+  rowContent: {
+    flex: 1,
+  },
+  name: {
+    color: '#fff',
+    fontSize: 14,
+  },
+  detail: {
+    color: '#aaa',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  actionButton: {
+    backgroundColor: '#333',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 4,
+    marginLeft: 8,
+  },
+  actionButtonText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+  empty: {
+    alignItems: 'center',
+    marginTop: 40,
+  },
+  emptyText: {
+    color: '#fff',
+    fontSize: 18,
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    color: '#ccc',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+});
+
+export default TaskList;
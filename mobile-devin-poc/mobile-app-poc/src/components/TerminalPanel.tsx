@@ -0,0 +1,393 @@
+import React, {useEffect, useRef, useState} from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Platform,
+  LayoutChangeEvent,
+  TextStyle,
+} from 'react-native';
+import {TerminalSession, TerminalStatus} from '../services/TerminalSession';
+import {TerminalLine, TerminalStyle} from '../services/TerminalScreen';
+
+interface TerminalPanelProps {
+  sessions: TerminalSession[];
+  activeSession: TerminalSession | null;
+  isConnected: boolean;
+  onSelect: (session: TerminalSession) => void;
+  onStart: (command?: string) => void;
+  onClose: (session: TerminalSession) => void;
+}
+
+const FONT_SIZE = 12;
+const LINE_HEIGHT = 16;
+const CHAR_WIDTH = FONT_SIZE * 0.6; // monospace advance, used to size the remote terminal
+const RENDER_INTERVAL_MS = 50; // fast output is rendered at most this often
+const DEFAULT_FOREGROUND = '#cccccc';
+const DEFAULT_BACKGROUND = '#1e1e1e';
+const MONOSPACE = Platform.select({ios: 'Menlo', default: 'monospace'});
+
+const STATUS_COLORS: Record<TerminalStatus, string> = {
+  running: '#4CAF50',
+  exited: '#888',
+  disconnected: '#F44336',
+};
+
+// Keys the on-screen keyboard cannot type, sent as the bytes a terminal would send
+const SPECIAL_KEYS: {label: string; data: string}[] = [
+  {label: 'Ctrl+C', data: '\x03'},
+  {label: 'Tab', data: '\t'},
+  {label: 'Esc', data: '\x1b'},
+  {label: '↑', data: '\x1b[A'},
+  {label: '↓', data: '\x1b[B'},
+];
+
+const toTextStyle = (style: TerminalStyle): TextStyle => {
+  const color = style.color ?? DEFAULT_FOREGROUND;
+  const backgroundColor = style.backgroundColor;
+  return {
+    color: style.inverse ? backgroundColor ?? DEFAULT_BACKGROUND : color,
+    backgroundColor: style.inverse ? color : backgroundColor,
+    fontWeight: style.bold ? 'bold' : undefined,
+    fontStyle: style.italic ? 'italic' : undefined,
+    textDecorationLine: style.underline ? 'underline' : undefined,
+    opacity: style.dim ? 0.6 : undefined,
+  };
+};
+
+const describeStatus = (session: TerminalSession): string => {
+  switch (session.status) {
+    case 'running':
+      return `Running${session.info.pid ? ` · pid ${session.info.pid}` : ''}`;
+    case 'exited':
+      return session.signal ? `Killed by ${session.signal}` : `Exited with code ${session.exitCode}`;
+    case 'disconnected':
+      return 'Connection lost, the terminal was closed';
+  }
+};
+
+// Committed lines never change, so only the line the cursor is on re-renders
+const TerminalLineView = React.memo<{line: TerminalLine}>(({line}) => (
+  <Text style={styles.line}>
+    {line.spans.length === 0
+      ? ' '
+      : line.spans.map((span, index) => (
+          <Text key={index} style={toTextStyle(span.style)}>
+            {span.text}
+          </Text>
+        ))}
+  </Text>
+));
+
+const TerminalPanel: React.FC<TerminalPanelProps> = ({
+  sessions,
+  activeSession,
+  isConnected,
+  onSelect,
+  onStart,
+  onClose,
+}) => {
+  const [lines, setLines] = useState<TerminalLine[]>([]);
+  const [status, setStatus] = useState('');
+  const [command, setCommand] = useState('');
+  const [input, setInput] = useState('');
+  const [followOutput, setFollowOutput] = useState(true);
+  const listRef = useRef<FlatList<TerminalLine>>(null);
+  const sizeRef = useRef<{cols: number; rows: number} | null>(null);
+
+  useEffect(() => {
+    if (!activeSession) {
+      setLines([]);
+      return;
+    }
+
+    let renderTimer: ReturnType<typeof setTimeout> | null = null;
+    const render = () => {
+      renderTimer = null;
+      setLines(activeSession.screen.getLines());
+      setStatus(describeStatus(activeSession));
+    };
+    const scheduleRender = () => {
+      if (!renderTimer) {
+        renderTimer = setTimeout(render, RENDER_INTERVAL_MS);
+      }
+    };
+
+    render();
+    if (sizeRef.current) {
+      activeSession.resize(sizeRef.current.cols, sizeRef.current.rows);
+    }
+    activeSession.on('changed', scheduleRender);
+    return () => {
+      activeSession.off('changed', scheduleRender);
+      if (renderTimer) {
+        clearTimeout(renderTimer);
+      }
+    };
+  }, [activeSession]);
+
+  const handleOutputLayout = (event: LayoutChangeEvent) => {
+    const {width, height} = event.nativeEvent.layout;
+    const size = {
+      cols: Math.max(20, Math.floor(width / CHAR_WIDTH)),
+      rows: Math.max(5, Math.floor(height / LINE_HEIGHT)),
+    };
+    sizeRef.current = size;
+    activeSession?.resize(size.cols, size.rows);
+  };
+
+  const runCommand = () => {
+    if (command.trim()) {
+      onStart(command.trim());
+      setCommand('');
+    }
+  };
+
+  // Enter is sent as a carriage return, like a terminal keyboard
+  const sendInput = () => {
+    activeSession?.write(`${input}\r`);
+    setInput('');
+  };
+
+  const isRunning = activeSession?.status === 'running';
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.sessionList}>
+          {sessions.map(session => (
+            <TouchableOpacity
+              key={session.id}
+              style={[styles.sessionChip, session === activeSession && styles.sessionChipActive]}
+              onPress={() => onSelect(session)}>
+              <View style={[styles.statusDot, {backgroundColor: STATUS_COLORS[session.status]}]} />
+              <Text style={styles.sessionTitle} numberOfLines={1}>
+                {session.title}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+        <TouchableOpacity
+          style={[styles.actionButton, !isConnected && styles.disabled]}
+          disabled={!isConnected}
+          onPress={() => onStart()}>
+          <Text style={styles.actionButtonText}>+ Shell</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.inputRow}>
+        <TextInput
+          style={styles.input}
+          placeholder="Run a command (e.g., npm test)"
+          placeholderTextColor="#666"
+          autoCapitalize="none"
+          autoCorrect={false}
+          value={command}
+          onChangeText={setCommand}
+          onSubmitEditing={runCommand}
+          editable={isConnected}
+        />
+        <TouchableOpacity style={[styles.actionButton, !isConnected && styles.disabled]} disabled={!isConnected} onPress={runCommand}>
+          <Text style={styles.actionButtonText}>Run</Text>
+        </TouchableOpacity>
+      </View>
+
+      {activeSession ? (
+        <>
+          <View style={styles.statusRow}>
+            <Text style={styles.statusText} numberOfLines={1}>
+              {status}
+            </Text>
+            {isRunning ? (
+              <TouchableOpacity style={styles.actionButton} onPress={() => activeSession.kill()}>
+                <Text style={styles.actionButtonText}>Kill</Text>
+              </TouchableOpacity>
+            ) : (
+              <TouchableOpacity style={styles.actionButton} onPress={() => onClose(activeSession)}>
+                <Text style={styles.actionButtonText}>Close</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          <View style={styles.output} onLayout={handleOutputLayout}>
+            <FlatList
+              ref={listRef}
+              data={lines}
+              keyExtractor={line => String(line.id)}
+              renderItem={({item}) => <TerminalLineView line={item} />}
+              onContentSizeChange={() => followOutput && listRef.current?.scrollToEnd({animated: false})}
+              onScrollBeginDrag={() => setFollowOutput(false)}
+              onEndReached={() => setFollowOutput(true)}
+              onEndReachedThreshold={0.1}
+            />
+          </View>
+
+          {isRunning && (
+            <>
+              <View style={styles.keyRow}>
+                {SPECIAL_KEYS.map(key => (
+                  <TouchableOpacity key={key.label} style={styles.key} onPress={() => activeSession.write(key.data)}>
+                    <Text style={styles.keyText}>{key.label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <View style={styles.inputRow}>
+                <TextInput
+                  style={[styles.input, styles.monospace]}
+                  placeholder="Input"
+                  placeholderTextColor="#666"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  value={input}
+                  onChangeText={setInput}
+                  onSubmitEditing={sendInput}
+                  blurOnSubmit={false}
+                />
+                <TouchableOpacity style={styles.actionButton} onPress={sendInput}>
+                  <Text style={styles.actionButtonText}>Send</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          )}
+        </>
+      ) : (
+        <View style={styles.empty}>
+          <Text style={styles.emptyText}>No terminal</Text>
+          <Text style={styles.emptySubtext}>
+            {isConnected ? 'Start a shell or run a command in the workspace' : 'Connect to Cursor to run commands'}
+          </Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  sessionList: {
+    flex: 1,
+  },
+  sessionChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#333',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 12,
+    marginRight: 6,
+    maxWidth: 160,
+  },
+  sessionChipActive: {
+    backgroundColor: '#1565C0',
+  },
+  sessionTitle: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  statusDot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    marginRight: 6,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#333',
+    color: '#fff',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 4,
+    fontSize: 13,
+  },
+  monospace: {
+    fontFamily: MONOSPACE,
+  },
+  actionButton: {
+    backgroundColor: '#333',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 4,
+    marginLeft: 8,
+  },
+  actionButtonText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  statusText: {
+    color: '#ccc',
+    fontSize: 12,
+    flex: 1,
+  },
+  output: {
+    flex: 1,
+    backgroundColor: DEFAULT_BACKGROUND,
+    borderWidth: 1,
+    borderColor: '#333',
+    borderRadius: 4,
+    padding: 4,
+    marginBottom: 8,
+  },
+  line: {
+    color: DEFAULT_FOREGROUND,
+    fontFamily: MONOSPACE,
+    fontSize: FONT_SIZE,
+    lineHeight: LINE_HEIGHT,
+  },
+  keyRow: {
+    flexDirection: 'row',
+    marginBottom: 8,
+  },
+  key: {
+    backgroundColor: '#2a2a2a',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 4,
+    marginRight: 6,
+  },
+  keyText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  empty: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyText: {
+    color: '#fff',
+    fontSize: 18,
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    color: '#ccc',
+    fontSize: 14,
+  },
+});
+
+export default TerminalPanel;
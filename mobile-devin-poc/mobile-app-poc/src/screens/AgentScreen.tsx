@@ -0,0 +1,58 @@
+import React, {useEffect, useState} from 'react';
+import {Alert} from 'react-native';
+import {MobileDevinWebSocketClient} from '../services/WebSocketClient';
+import {AgentSession} from '../services/AgentSession';
+import AgentPanel from '../components/AgentPanel';
+
+interface AgentScreenProps {
+  wsClient: MobileDevinWebSocketClient;
+  isConnected: boolean;
+  workspaceFolder?: string; // of the open file
+  onOpenFile: (filePath: string, workspaceFolder: string) => void;
+  onLog: (message: string, type: 'info' | 'error' | 'success') => void;
+}
+
+const AgentScreen: React.FC<AgentScreenProps> = ({
+  wsClient,
+  isConnected,
+  workspaceFolder,
+  onOpenFile,
+  onLog,
+}) => {
+  const [agentSession] = useState(() => new AgentSession(wsClient));
+
+  useEffect(() => () => agentSession.dispose(), [agentSession]);
+
+  // The agent works in the folder of the open file; its edits reach the editor as file changes
+  const startAgent = async (task: string) => {
+    try {
+      await agentSession.start(task, {workspaceFolder});
+      onLog(`Agent started: ${task}`, 'info');
+    } catch (error) {
+      onLog(`Agent failed to start: ${error}`, 'error');
+      Alert.alert('Agent', error instanceof Error ? error.message : String(error));
+    }
+  };
+
+  const controlAgent = async (command: 'pause' | 'resume' | 'cancel') => {
+    try {
+      await agentSession[command]();
+    } catch (error) {
+      onLog(`Failed to ${command} the agent: ${error}`, 'error');
+    }
+  };
+
+  return (
+    <AgentPanel
+      session={agentSession}
+      isConnected={isConnected}
+      onStart={startAgent}
+      onPause={() => controlAgent('pause')}
+      onResume={() => controlAgent('resume')}
+      onCancel={() => controlAgent('cancel')}
+      onOpenFile={(folder, filePath) => onOpenFile(filePath, folder)}
+    />
+  );
+};
+
+export default AgentScreen;
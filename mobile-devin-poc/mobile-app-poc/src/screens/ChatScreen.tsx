@@ -0,0 +1,157 @@
+import React, {useEffect, useState} from 'react';
+import {Alert, Modal, SafeAreaView, StyleSheet} from 'react-native';
+import {
+  MobileDevinWebSocketClient,
+  AcceptedChange,
+  BridgeRequestError,
+  ChangeSet,
+  ChatFileContext,
+} from '../services/WebSocketClient';
+import {ChatSession} from '../services/ChatSession';
+import ChatPanel from '../components/ChatPanel';
+import AIChangeReview from '../components/AIChangeReview';
+
+// The file open in the editor, read when a message is sent
+export interface ChatOpenFile extends ChatFileContext {
+  content: string; // the editor's text, so the AI sees unsaved edits
+  hasUnsavedChanges: boolean;
+}
+
+interface ChatScreenProps {
+  wsClient: MobileDevinWebSocketClient;
+  isConnected: boolean;
+  fileName: string | null;
+  getOpenFile: () => ChatOpenFile | null;
+  onInsertCode: (code: string) => void;
+  onLog: (message: string, type: 'info' | 'error' | 'success') => void;
+}
+
+const ChatScreen: React.FC<ChatScreenProps> = ({
+  wsClient,
+  isConnected,
+  fileName,
+  getOpenFile,
+  onInsertCode,
+  onLog,
+}) => {
+  const [chatSession] = useState(() => new ChatSession(wsClient));
+  const [changeSet, setChangeSet] = useState<ChangeSet | null>(null); // under review
+  const [changeBusy, setChangeBusy] = useState<'proposing' | 'applying' | null>(null);
+
+  useEffect(() => () => chatSession.dispose(), [chatSession]);
+
+  const sendChat = async (text: string, includeFile: boolean) => {
+    const openFile = includeFile ? getOpenFile() : null;
+    const file = openFile ? {
+      workspaceFolder: openFile.workspaceFolder,
+      filePath: openFile.filePath,
+      content: openFile.content,
+      language: openFile.language,
+      selection: openFile.selection,
+    } : undefined;
+    try {
+      await chatSession.send(text, file);
+    } catch (error) {
+      onLog(`AI chat failed: ${error}`, 'error');
+    }
+  };
+
+  const cancelChat = async () => {
+    try {
+      await chatSession.cancel();
+    } catch (error) {
+      onLog(`Failed to stop the AI reply: ${error}`, 'error');
+    }
+  };
+
+  // Cursor's text is what the changes apply to, so unsaved edits on the phone would be lost
+  const proposeChanges = async (instruction: string, includeFile: boolean) => {
+    const openFile = includeFile ? getOpenFile() : null;
+    if (openFile?.hasUnsavedChanges) {
+      Alert.alert('Unsaved Changes', `Save ${openFile.filePath} first so the AI changes your latest version.`);
+      return;
+    }
+
+    const files = openFile ? [{workspaceFolder: openFile.workspaceFolder, filePath: openFile.filePath}] : [];
+    setChangeBusy('proposing');
+    try {
+      const proposal = await wsClient.requestChanges(instruction, files);
+      onLog(`AI proposed changes to ${proposal.files.length} file(s)`, 'info');
+      if (proposal.files.length === 0) {
+        Alert.alert('No Changes', proposal.summary || 'The AI proposed no changes.');
+      } else {
+        setChangeSet(proposal);
+      }
+    } catch (error) {
+      onLog(`AI change request failed: ${error}`, 'error');
+      Alert.alert('AI Changes Failed', error instanceof Error ? error.message : String(error));
+    } finally {
+      setChangeBusy(null);
+    }
+  };
+
+  // The open file follows through the file_change events of the applied edit
+  const applyChangeSet = async (changes: AcceptedChange[]) => {
+    setChangeBusy('applying');
+    try {
+      const applied = await wsClient.applyChanges(changes);
+      const unsaved = applied.filter(file => !file.saved && file.action !== 'delete');
+      onLog(`Applied AI changes to ${applied.length} file(s)`, 'success');
+      if (unsaved.length > 0) {
+        onLog(`Left unsaved in Cursor: ${unsaved.map(file => file.filePath).join(', ')}`, 'info');
+      }
+      setChangeSet(null);
+    } catch (error) {
+      onLog(`Failed to apply AI changes: ${error}`, 'error');
+      if (error instanceof BridgeRequestError && error.code === 'CONFLICT') {
+        Alert.alert('Files Changed', `${error.message}. Nothing was applied; propose the changes again.`);
+      } else {
+        Alert.alert('Apply Failed', error instanceof Error ? error.message : String(error));
+      }
+    } finally {
+      setChangeBusy(null);
+    }
+  };
+
+  return (
+    <>
+      <ChatPanel
+        session={chatSession}
+        isConnected={isConnected}
+        fileName={fileName}
+        onSend={sendChat}
+        onCancel={cancelChat}
+        onInsertCode={onInsertCode}
+        onProposeChanges={proposeChanges}
+        isProposing={changeBusy === 'proposing'}
+      />
+
+      {/* AI Change Review Modal */}
+      <Modal
+        visible={changeSet !== null}
+        animationType="slide"
+        onRequestClose={() => changeBusy === null && setChangeSet(null)}
+      >
+        <SafeAreaView style={styles.container}>
+          {changeSet && (
+            <AIChangeReview
+              changeSet={changeSet}
+              isApplying={changeBusy === 'applying'}
+              onApply={applyChangeSet}
+              onDiscard={() => setChangeSet(null)}
+            />
+          )}
+        </SafeAreaView>
+      </Modal>
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1e1e1e',
+  },
+});
+
+export default ChatScreen;
@@ -1,30 +1,84 @@
-import React, {useState, useEffect, useCallback} from 'react';
+import React, {useState, useEffect, useCallback, useMemo, useRef} from 'react';
 import {
   View,
   Text,
   StyleSheet,
   TouchableOpacity,
   FlatList,
+  SectionList,
   Alert,
   TextInput,
   Modal,
   SafeAreaView,
+  ScrollView,
   StatusBar,
   Dimensions,
+  Platform,
+  AppState,
 } from 'react-native';
 import {
   MobileDevinWebSocketClient,
   ConnectionState,
   FileChangeEvent,
   FileContent,
+  ProjectFileEntry,
+  BridgeRequestError,
+  WorkspaceFolderInfo,
+  FileVersion,
+  FileConflict,
+  CollabParticipant,
+  CollabSelection,
+  OutboxReplayEvent,
+  OutboxFailureEvent,
+  TaskInfo,
+  Diagnostic,
+  FileDiagnostics,
+  DefinitionLocation,
+  TextSearchMatch,
 } from '../services/WebSocketClient';
-import MonacoEditor from '../components/MonacoEditor';
+import {OutboxEntry, OutboxStatus} from '../services/OutboundQueue';
+import {CachedFileInfo, FileCache} from '../services/FileCache';
+import {CollabSession} from '../services/CollabSession';
+import {TerminalSession} from '../services/TerminalSession';
+import MonacoEditor, {
+  EditorLanguageRequest,
+  EditorLanguageResult,
+  MonacoEditorHandle,
+} from '../components/MonacoEditor';
+import ConflictResolutionView from '../components/ConflictResolutionView';
+import ProblemsList from '../components/ProblemsList';
+import SearchScreen from './SearchScreen';
+import SourceControlScreen from './SourceControlScreen';
+import TasksScreen from './TasksScreen';
+import ChatScreen, {ChatOpenFile} from './ChatScreen';
+import AgentScreen from './AgentScreen';
+import TerminalsScreen, {TerminalsScreenHandle} from './TerminalsScreen';
+import {
+  ConflictChoice,
+  TextEdit,
+  applyPatch,
+  findConflictBlocks,
+  mergeText,
+  resolveConflictBlock,
+} from '@mobile-devin/shared';
+import {
+  BridgeCredentials,
+  clearCredentials,
+  getPairingServerUrl,
+  loadCredentials,
+  parsePairingPayload,
+  saveCredentials,
+} from '../services/CredentialStore';
 
 interface FileItem {
+  workspaceFolder?: string; // omitted means the first workspace folder
   path: string;
   content?: string;
   exists: boolean;
   lastModified?: number;
+  size?: number;
+  language?: string;
+  version?: FileVersion; // disk version the editor content is based on
 }
 
 interface LogEntry {
@@ -36,53 +90,401 @@ interface LogEntry {
 
 const {width: screenWidth, height: screenHeight} = Dimensions.get('window');
 
+const PROJECT_FILES_PAGE_SIZE = 200;
+const MERGE_LABELS = {local: 'phone', incoming: 'Cursor'};
+const DEFAULT_SERVER_URL = 'ws://localhost:3001';
+const PROJECT_REFRESH_DELAY_MS = 500; // files are often created or deleted in bursts
+
+interface FileSection {
+  title: string;
+  fileCount: number;
+  data: FileItem[];
+}
+
+const toFileItem = (entry: ProjectFileEntry): FileItem => ({
+  workspaceFolder: entry.workspaceFolder,
+  path: entry.path,
+  exists: true,
+  lastModified: entry.lastModified,
+  size: entry.size,
+  language: entry.language,
+});
+
+const isSameFile = (a: FileItem, b: {workspaceFolder?: string; path: string}): boolean =>
+  a.path === b.path && (a.workspaceFolder || '') === (b.workspaceFolder || '');
+
+// Files reported without problems are dropped
+const mergeDiagnostics = (current: FileDiagnostics[], changed: FileDiagnostics[]): FileDiagnostics[] => {
+  const isChanged = (file: FileDiagnostics) =>
+    changed.some(other => other.workspaceFolder === file.workspaceFolder && other.filePath === file.filePath);
+  return [...current.filter(file => !isChanged(file)), ...changed.filter(file => file.diagnostics.length > 0)];
+};
+
+const toProjectFileEntry = (item: FileItem): ProjectFileEntry => ({
+  workspaceFolder: item.workspaceFolder ?? '',
+  path: item.path,
+  size: item.size ?? 0,
+  lastModified: item.lastModified ?? 0,
+  language: item.language ?? '',
+});
+
+const getCacheKey = (file: {workspaceFolder?: string; path: string}): string => `${file.workspaceFolder ?? ''}/${file.path}`;
+
+const toFileSections = (folders: WorkspaceFolderInfo[], files: FileItem[]): FileSection[] =>
+  folders.map(folder => ({
+    title: folder.name,
+    fileCount: folder.fileCount,
+    data: files.filter(file => file.workspaceFolder === folder.name),
+  }));
+
+const isConflict = (error: unknown): error is BridgeRequestError =>
+  error instanceof BridgeRequestError && error.code === 'CONFLICT';
+
+const isConnectionLost = (error: unknown): boolean =>
+  error instanceof BridgeRequestError && error.code === 'CONNECTION_LOST';
+
+const isPermissionDenied = (error: unknown): error is BridgeRequestError =>
+  error instanceof BridgeRequestError && error.code === 'PERMISSION_DENIED';
+
+type SaveOutcome = 'saved' | 'queued' | 'failed';
+
+const OUTBOX_STATUS_COLORS: Record<OutboxStatus, string> = {
+  pending: '#FF9800',
+  sending: '#2196F3',
+  conflict: '#F44336',
+  failed: '#F44336',
+};
+
+const describeOutboxEntry = (entry: OutboxEntry): string => {
+  if (entry.type === 'file_update') {
+    const {workspaceFolder, filePath} = entry.payload;
+    return `save of ${workspaceFolder ? `${workspaceFolder}/` : ''}${filePath}`;
+  }
+  return entry.type;
+};
+
+const formatFileSize = (size: number): string => {
+  if (size < 1024) {
+    return `${size} B`;
+  }
+  if (size < 1024 * 1024) {
+    return `${(size / 1024).toFixed(1)} KB`;
+  }
+  return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+};
+
 const MainScreen: React.FC = () => {
   // WebSocket client
   const [wsClient] = useState(() => new MobileDevinWebSocketClient());
+  const [fileCache] = useState(() => new FileCache());
   const [connectionState, setConnectionState] = useState<ConnectionState>(ConnectionState.DISCONNECTED);
+  const [credentials, setCredentials] = useState<BridgeCredentials | null>(null);
+  const [isPairingModalVisible, setIsPairingModalVisible] = useState(false);
+  const [pairingServerUrl, setPairingServerUrl] = useState(DEFAULT_SERVER_URL);
+  const [pairingInput, setPairingInput] = useState('');
   
   // File management
   const [currentFile, setCurrentFile] = useState<FileItem | null>(null);
   const [projectFiles, setProjectFiles] = useState<FileItem[]>([]);
+  const [workspaceFolders, setWorkspaceFolders] = useState<WorkspaceFolderInfo[]>([]);
+  const [projectFilesTotal, setProjectFilesTotal] = useState(0);
+  const [projectCachedAt, setProjectCachedAt] = useState<number | null>(null); // set while showing the cached tree
+  const [cachedFiles, setCachedFiles] = useState<CachedFileInfo[]>([]);
+  const cachedFileKeys = useMemo(
+    () => new Set(cachedFiles.map(info => getCacheKey({workspaceFolder: info.workspaceFolder, path: info.filePath}))),
+    [cachedFiles],
+  );
+  const [hasMoreProjectFiles, setHasMoreProjectFiles] = useState(false);
+  const [isLoadingProjectFiles, setIsLoadingProjectFiles] = useState(false);
   const [editorContent, setEditorContent] = useState<string>('');
   const [isEditorReady, setIsEditorReady] = useState(false);
+  const [conflict, setConflict] = useState<FileConflict | null>(null);
+  const editorRef = useRef<MonacoEditorHandle>(null);
+  const collabRef = useRef<CollabSession | null>(null); // set while live editing currentFile
+  const [isLive, setIsLive] = useState(false);
+  const [remoteCursors, setRemoteCursors] = useState<CollabParticipant[]>([]);
+  const conflictBlocks = useMemo(() => findConflictBlocks(editorContent), [editorContent]);
+  const terminalsRef = useRef<TerminalsScreenHandle>(null);
+  const [tasks, setTasks] = useState<TaskInfo[]>([]);
+  const [diagnostics, setDiagnostics] = useState<FileDiagnostics[]>([]);
+  const problemCount = useMemo(() => diagnostics.reduce((total, file) => total + file.total, 0), [diagnostics]);
+  const currentDiagnostics = useMemo(() => {
+    const file = currentFile && diagnostics.find(candidate =>
+      isSameFile(currentFile, {workspaceFolder: candidate.workspaceFolder, path: candidate.filePath}));
+    return file ? file.diagnostics : [];
+  }, [currentFile, diagnostics]);
+  // Where to put the cursor once the editor for that file is ready
+  const pendingRevealRef = useRef<{workspaceFolder: string; path: string; line: number; character: number} | null>(null);
+  // The editor's last selection, sent with chats and replaced by inserted code
+  const editorSelectionRef = useRef<{workspaceFolder?: string; path: string; selection: CollabSelection} | null>(null);
+  // Code to insert once the editor is shown again
+  const pendingInsertRef = useRef<string | null>(null);
   
   // UI state
-  const [activeTab, setActiveTab] = useState<'editor' | 'files' | 'logs'>('editor');
+  const [activeTab, setActiveTab] = useState<
+    'editor' | 'files' | 'search' | 'git' | 'problems' | 'tasks' | 'chat' | 'agent' | 'terminal' | 'logs'
+  >('editor');
   const [logs, setLogs] = useState<LogEntry[]>([]);
+  const [outboxEntries, setOutboxEntries] = useState<OutboxEntry[]>([]);
   const [isFileModalVisible, setIsFileModalVisible] = useState(false);
   const [newFilePath, setNewFilePath] = useState('');
+  const [newFileFolder, setNewFileFolder] = useState<string | undefined>(undefined);
+
+  // Read by the bridge event listeners, which are registered once per client
+  const currentFileRef = useRef(currentFile);
+  currentFileRef.current = currentFile;
+  const editorContentRef = useRef(editorContent);
+  editorContentRef.current = editorContent;
+  const projectCachedAtRef = useRef(projectCachedAt);
+  projectCachedAtRef.current = projectCachedAt;
   
+  // Restore the paired session and tear down the connection on unmount
+  useEffect(() => {
+    loadCredentials().then((stored) => {
+      if (stored) {
+        wsClient.setServerUrl(stored.serverUrl);
+        wsClient.setDeviceCredentials(stored);
+        setCredentials(stored);
+        setPairingServerUrl(stored.serverUrl);
+        showCachedProject();
+      }
+    });
+    fileCache.getCachedFiles().then(setCachedFiles);
+
+    const handleUnauthorized = async ({reason}: {code: number; reason: string}) => {
+      addLog(`Session rejected by bridge: ${reason || 'unauthorized'}`, 'error');
+      await clearCredentials();
+      wsClient.setDeviceCredentials(null);
+      setCredentials(null);
+      Alert.alert('Pairing Required', 'This device is no longer paired. Pair it again from Cursor.');
+    };
+
+    const handleDiagnosticsChange = (files: FileDiagnostics[]) => {
+      setDiagnostics(prev => mergeDiagnostics(prev, files));
+    };
+
+    // Reconnecting may have given up or been suspended while the app was in the background
+    const appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        wsClient.resumeConnection();
+      }
+    });
+
+    wsClient.on('unauthorized', handleUnauthorized);
+    wsClient.on('diagnosticsChange', handleDiagnosticsChange);
+    wsClient.outbox.on('changed', setOutboxEntries);
+    wsClient.outbox.load();
+
+    return () => {
+      appStateSubscription.remove();
+      wsClient.off('unauthorized', handleUnauthorized);
+      wsClient.off('diagnosticsChange', handleDiagnosticsChange);
+      wsClient.outbox.off('changed', setOutboxEntries);
+      wsClient.disconnect();
+    };
+  }, [wsClient]);
+
   // Initialize WebSocket client
   useEffect(() => {
+    // Update the current file; unsaved edits are merged with the incoming content
+    const applyIncoming = (incoming: string, version: FileVersion | undefined, source: string) => {
+      const currentFile = currentFileRef.current;
+      const editorContent = editorContentRef.current;
+      if (!currentFile) {
+        return;
+      }
+      if (editorContent === currentFile.content) {
+        setEditorContent(incoming);
+      } else {
+        const result = mergeText(currentFile.content ?? '', editorContent, incoming, MERGE_LABELS);
+        setEditorContent(result.content);
+        addLog(
+          result.clean
+            ? `Merged changes from ${source} into ${currentFile.path}`
+            : `${result.conflicts} merge conflict(s) in ${currentFile.path}, resolve them in the editor`,
+          result.clean ? 'success' : 'error',
+        );
+      }
+      setCurrentFile(prev => prev ? {...prev, content: incoming, version} : null);
+    };
+
+    // Files can change in Cursor while the app is offline. Cached copies are checked by
+    // hash, so only files that changed are downloaded again.
+    const revalidateCache = async () => {
+      const cached = await fileCache.getCachedFiles();
+      let changed = 0;
+
+      for (const info of cached) {
+        try {
+          const file = await wsClient.requestFile(info.filePath, info.workspaceFolder, info.version.hash);
+          if (!file.exists) {
+            await fileCache.removeFile(info.filePath, info.workspaceFolder);
+          } else if (!file.notModified && file.content !== undefined && file.version) {
+            changed++;
+            await fileCache.putFile(info.filePath, info.workspaceFolder, file.content, file.version);
+
+            // A queued save of the open file is replayed against its own base instead
+            const currentFile = currentFileRef.current;
+            const isOpen = currentFile && isSameFile(currentFile, {workspaceFolder: info.workspaceFolder, path: info.filePath});
+            if (
+              isOpen &&
+              !collabRef.current &&
+              currentFile.version?.hash === info.version.hash &&
+              !await wsClient.hasQueuedFileUpdate(info.filePath, info.workspaceFolder)
+            ) {
+              applyIncoming(file.content, file.version, 'Cursor');
+            }
+          }
+        } catch (error) {
+          if (wsClient.getConnectionState() !== ConnectionState.CONNECTED) {
+            break;
+          }
+          addLog(`Failed to revalidate ${info.filePath}: ${error}`, 'error');
+        }
+      }
+
+      setCachedFiles(await fileCache.getCachedFiles());
+      if (cached.length > 0) {
+        addLog(`Revalidated ${cached.length} cached file(s), ${changed} changed in Cursor`, 'info');
+      }
+    };
+
     const handleConnectionStateChange = (state: ConnectionState) => {
       setConnectionState(state);
+      if (state !== ConnectionState.CONNECTED) {
+        // The bridge drops collaborators whose socket closes
+        endLiveSession();
+      }
       addLog(`Connection state: ${state}`, state === ConnectionState.CONNECTED ? 'success' : 'info');
+
+      if (state === ConnectionState.CONNECTED) {
+        // Diagnostic changes are not replayed on resume
+        loadDiagnostics();
+        const resume = wsClient.getLastResume();
+        if (resume?.resumed) {
+          // Missed changes are replayed as file_change events
+          addLog(`Caught up on ${resume.replayed} missed change(s)`, 'info');
+          if (projectCachedAtRef.current !== null) {
+            loadProjectFiles();
+          }
+        } else {
+          // Changes may have been missed; refresh everything the app holds
+          loadProjectFiles();
+          revalidateCache();
+        }
+      }
+    };
+
+    // Only creating or deleting a file changes the tree
+    let projectRefreshTimer: ReturnType<typeof setTimeout> | null = null;
+    const scheduleProjectRefresh = () => {
+      if (projectRefreshTimer) {
+        clearTimeout(projectRefreshTimer);
+      }
+      projectRefreshTimer = setTimeout(() => {
+        projectRefreshTimer = null;
+        loadProjectFiles();
+      }, PROJECT_REFRESH_DELAY_MS);
     };
 
     const handleFileChange = (event: FileChangeEvent) => {
-      addLog(`File ${event.type}: ${event.filePath}`, 'info');
-      
-      // Update current file if it matches
-      if (currentFile && currentFile.path === event.filePath) {
-        if (event.content !== undefined) {
-          setEditorContent(event.content);
+      addLog(`File ${event.type}: ${event.workspaceFolder}/${event.filePath}`, 'info');
+
+      const currentFile = currentFileRef.current;
+      if (currentFile && isSameFile(currentFile, {workspaceFolder: event.workspaceFolder, path: event.filePath})) {
+        const incoming = event.content !== undefined
+          ? event.content
+          : event.delta && currentFile.content !== undefined && currentFile.version?.hash === event.delta.baseVersion.hash
+            ? applyPatch(currentFile.content, event.delta.edits)
+            : undefined;
+
+        if (collabRef.current) {
+          // The live session keeps the editor in sync; only the saved version moves
+          if (incoming !== undefined) {
+            setCurrentFile(prev => prev ? {...prev, content: incoming, version: event.version} : null);
+          }
+        } else if (incoming !== undefined) {
+          applyIncoming(incoming, event.version, event.source);
+        } else if (event.delta) {
+          // The edits are against a version this buffer does not hold
+          wsClient.requestFile(event.filePath, event.workspaceFolder)
+            .then(file => {
+              if (file.content !== undefined) {
+                applyIncoming(file.content, file.version, event.source);
+              }
+            })
+            .catch(error => addLog(`Failed to reload ${event.filePath}: ${error}`, 'error'));
         }
       }
-      
-      // Update project files list
-      loadProjectFiles();
+
+      if (event.type !== 'file_changed') {
+        scheduleProjectRefresh();
+      }
+    };
+
+    // The open buffer only follows a replayed save it is still based on
+    const isQueuedFromBuffer = (entry: OutboxEntry): boolean => {
+      const currentFile = currentFileRef.current;
+      return (
+        entry.type === 'file_update' &&
+        !!currentFile &&
+        isSameFile(currentFile, {workspaceFolder: entry.payload.workspaceFolder, path: entry.payload.filePath}) &&
+        currentFile.version?.hash === entry.payload.baseVersion?.hash
+      );
+    };
+
+    const handleOutboxReplayed = ({entry, response}: OutboxReplayEvent) => {
+      addLog(`Synced queued ${describeOutboxEntry(entry)}`, 'success');
+      if (!isQueuedFromBuffer(entry)) {
+        return;
+      }
+
+      const queued: string = entry.payload.content;
+      const written = response.merged && response.content !== undefined ? response.content : queued;
+      setCurrentFile(prev => prev ? {...prev, content: written, version: response.version} : null);
+      if (written !== queued) {
+        setEditorContent(prev => prev === queued ? written : mergeText(queued, prev, written, MERGE_LABELS).content);
+      }
+    };
+
+    const handleOutboxFailed = ({entry, error}: OutboxFailureEvent) => {
+      addLog(`Queued ${describeOutboxEntry(entry)} failed: ${error.message}`, 'error');
+
+      // A conflict on the open file goes through the same merge as a direct save
+      const currentFile = currentFileRef.current;
+      if (error.code === 'CONFLICT' && currentFile && isQueuedFromBuffer(entry)) {
+        wsClient.outbox.remove(entry.id);
+        handleSaveConflict(currentFile, editorContentRef.current, error.details as FileConflict, true);
+      }
     };
 
     wsClient.on('connectionStateChanged', handleConnectionStateChange);
     wsClient.on('fileChange', handleFileChange);
+    wsClient.on('outboxReplayed', handleOutboxReplayed);
+    wsClient.on('outboxFailed', handleOutboxFailed);
 
     return () => {
+      if (projectRefreshTimer) {
+        clearTimeout(projectRefreshTimer);
+      }
       wsClient.off('connectionStateChanged', handleConnectionStateChange);
       wsClient.off('fileChange', handleFileChange);
-      wsClient.disconnect();
+      wsClient.off('outboxReplayed', handleOutboxReplayed);
+      wsClient.off('outboxFailed', handleOutboxFailed);
     };
-  }, [currentFile, wsClient]);
+  }, [wsClient]);
+
+  // Keeps the disk content of the open file available offline
+  useEffect(() => {
+    if (currentFile?.content === undefined || !currentFile.version) {
+      return;
+    }
+    fileCache
+      .putFile(currentFile.path, currentFile.workspaceFolder, currentFile.content, currentFile.version)
+      .then(() => fileCache.getCachedFiles())
+      .then(setCachedFiles)
+      .catch(error => console.warn('Failed to cache file:', error));
+  }, [currentFile, fileCache]);
 
   const addLog = useCallback((message: string, type: 'info' | 'error' | 'success' = 'info') => {
     const newLog: LogEntry = {
@@ -94,93 +496,536 @@ const MainScreen: React.FC = () => {
     setLogs(prev => [newLog, ...prev.slice(0, 99)]); // Keep last 100 logs
   }, []);
 
+  const endLiveSession = useCallback(() => {
+    collabRef.current?.dispose();
+    collabRef.current = null;
+    setIsLive(false);
+    setRemoteCursors([]);
+  }, []);
+
+  // Keystroke-level co-editing with Cursor through the document open there
+  const startLiveEditing = async () => {
+    if (!currentFile) {
+      return;
+    }
+    if (editorContent !== currentFile.content) {
+      Alert.alert('Unsaved Changes', 'Save your changes before starting live editing.');
+      return;
+    }
+
+    try {
+      const join = await wsClient.joinCollab(currentFile.path, currentFile.workspaceFolder);
+      collabRef.current = new CollabSession(
+        wsClient,
+        join.workspaceFolder,
+        join.filePath,
+        join,
+        {
+          applyRemoteEdits: (requestId, edits) => editorRef.current?.applyRemoteEdits(requestId, edits),
+          setRemoteCursors,
+        },
+        {
+          onError: error => {
+            addLog(`Live editing stopped: ${error}`, 'error');
+            endLiveSession();
+          },
+          onClosed: () => {
+            addLog(`${join.filePath} was closed in Cursor, live editing ended`, 'info');
+            endLiveSession();
+          },
+        },
+      );
+      setEditorContent(join.content);
+      setIsLive(true);
+      addLog(`Live editing ${join.filePath} with ${join.participants.map(p => p.name).join(', ')}`, 'success');
+    } catch (error) {
+      addLog(`Failed to start live editing: ${error}`, 'error');
+      Alert.alert('Live Editing', `Could not start live editing: ${error}`);
+    }
+  };
+
+  const stopLiveEditing = async () => {
+    const session = collabRef.current;
+    endLiveSession();
+    try {
+      await session?.leave();
+      addLog('Live editing stopped', 'info');
+    } catch (error) {
+      addLog(`Failed to leave live session: ${error}`, 'error');
+    }
+  };
+
+  const handleLocalEdits = (edits: TextEdit[], baseLength: number) => {
+    try {
+      collabRef.current?.handleLocalEdits(edits, baseLength);
+    } catch (error) {
+      addLog(`Live editing stopped: ${error}`, 'error');
+      stopLiveEditing();
+    }
+  };
+
   const connectToServer = async () => {
+    if (!credentials) {
+      setIsPairingModalVisible(true);
+      return;
+    }
+
     try {
       addLog('Connecting to Cursor bridge...', 'info');
       await wsClient.connect();
       addLog('Connected successfully!', 'success');
-      loadProjectFiles();
     } catch (error) {
       addLog(`Connection failed: ${error}`, 'error');
       Alert.alert('Connection Error', `Failed to connect: ${error}`);
     }
   };
 
+  const pairWithBridge = async () => {
+    // The QR payload carries host, port and code; a bare code uses the typed URL
+    const payload = parsePairingPayload(pairingInput);
+    const serverUrl = payload ? getPairingServerUrl(payload) : pairingServerUrl.trim();
+    const code = payload ? payload.code : pairingInput.trim();
+
+    if (!serverUrl || !code) {
+      Alert.alert('Pairing', 'Enter the bridge URL and the pairing code shown in Cursor');
+      return;
+    }
+
+    try {
+      addLog(`Pairing with ${serverUrl}...`, 'info');
+      wsClient.setServerUrl(serverUrl);
+      const result = await wsClient.pair(code, `Mobile Devin (${Platform.OS})`, payload?.fingerprint);
+
+      const stored: BridgeCredentials = {serverUrl, ...result};
+      await saveCredentials(stored);
+      setCredentials(stored);
+      setPairingInput('');
+      setIsPairingModalVisible(false);
+
+      addLog(`Paired as ${result.deviceName}`, 'success');
+    } catch (error) {
+      addLog(`Pairing failed: ${error}`, 'error');
+      Alert.alert('Pairing Failed', `${error}`);
+    }
+  };
+
+  const unpairDevice = async () => {
+    await clearCredentials();
+    // The cache belongs to the forgotten bridge's workspace
+    await fileCache.clear();
+    setCachedFiles([]);
+    setProjectFiles([]);
+    setWorkspaceFolders([]);
+    setProjectFilesTotal(0);
+    setProjectCachedAt(null);
+    setDiagnostics([]);
+    wsClient.setDeviceCredentials(null);
+    setCredentials(null);
+    addLog('Forgot paired bridge', 'info');
+  };
+
   const disconnectFromServer = () => {
+    endLiveSession();
     wsClient.disconnect();
     addLog('Disconnected from server', 'info');
-    setProjectFiles([]);
     setCurrentFile(null);
+    showCachedProject();
+  };
+
+  // The tree as last loaded from the bridge, for browsing while offline
+  const showCachedProject = async () => {
+    const snapshot = await fileCache.loadProject();
+    setProjectFiles(snapshot ? snapshot.files.map(toFileItem) : []);
+    setWorkspaceFolders(snapshot ? snapshot.folders : []);
+    setProjectFilesTotal(snapshot ? snapshot.total : 0);
+    setHasMoreProjectFiles(false);
+    setProjectCachedAt(snapshot ? snapshot.cachedAt : null);
+  };
+
+  const cacheProject = (folders: WorkspaceFolderInfo[], files: ProjectFileEntry[], total: number) => {
+    fileCache
+      .saveProject({folders, files, total, cachedAt: Date.now()})
+      .catch(error => console.warn('Failed to cache project:', error));
   };
 
   const loadProjectFiles = async () => {
     try {
       addLog('Loading project files...', 'info');
-      const projectInfo = await wsClient.requestProjectInfo();
+      setIsLoadingProjectFiles(true);
+      const projectInfo = await wsClient.requestProjectInfo(0, PROJECT_FILES_PAGE_SIZE);
       
-      if (projectInfo.files) {
-        const files: FileItem[] = projectInfo.files.map((filePath: string) => ({
-          path: filePath,
-          exists: true,
+      const files = projectInfo.files.map(toFileItem);
+      setProjectFiles(files);
+      setWorkspaceFolders(projectInfo.folders);
+      setProjectFilesTotal(projectInfo.pagination.total);
+      setHasMoreProjectFiles(projectInfo.pagination.hasMore);
+      setProjectCachedAt(null);
+      setTasks(projectInfo.tasks ?? []);
+      cacheProject(projectInfo.folders, projectInfo.files, projectInfo.pagination.total);
+      addLog(`Loaded ${files.length} of ${projectInfo.pagination.total} files`, 'success');
+    } catch (error) {
+      addLog(`Failed to load project files: ${error}`, 'error');
+    } finally {
+      setIsLoadingProjectFiles(false);
+    }
+  };
+
+  const loadDiagnostics = async () => {
+    try {
+      setDiagnostics(await wsClient.requestDiagnostics());
+    } catch (error) {
+      addLog(`Failed to load problems: ${error}`, 'error');
+    }
+  };
+
+  // Shows the file in the editor with the cursor at line and character (0-based)
+  const openFileAt = (workspaceFolder: string, path: string, line: number, character: number) => {
+    pendingRevealRef.current = {workspaceFolder, path, line, character};
+    if (currentFile && isSameFile(currentFile, {workspaceFolder, path})) {
+      setActiveTab('editor');
+    } else {
+      openFile(path, workspaceFolder);
+    }
+  };
+
+  const showTaskOutput = (session: TerminalSession) => {
+    if (terminalsRef.current?.show(session)) {
+      setActiveTab('terminal');
+    }
+  };
+
+  const showProblem = (file: FileDiagnostics, diagnostic: Diagnostic) => {
+    openFileAt(file.workspaceFolder, file.filePath, diagnostic.range.start.line, diagnostic.range.start.character);
+  };
+
+  const currentSelection = (): CollabSelection | undefined => {
+    const saved = editorSelectionRef.current;
+    return saved && currentFile && isSameFile(currentFile, saved) ? saved.selection : undefined;
+  };
+
+  // The editor's text is sent rather than the saved file, so the AI sees unsaved edits
+  const getChatFile = (): ChatOpenFile | null => currentFile ? {
+    workspaceFolder: currentFile.workspaceFolder,
+    filePath: currentFile.path,
+    content: editorContent,
+    language: getLanguageFromPath(currentFile.path),
+    selection: currentSelection(),
+    hasUnsavedChanges: currentFile.content !== undefined && editorContent !== currentFile.content,
+  } : null;
+
+  // Replaces the selection, or inserts at the cursor, once the editor is back
+  const insertChatCode = (code: string) => {
+    if (!currentFile) {
+      Alert.alert('Insert Code', 'Open a file first to insert code into it.');
+      return;
+    }
+    pendingInsertRef.current = code;
+    setActiveTab('editor');
+  };
+
+  // The editor is mounted again whenever the Editor tab is shown
+  const handleEditorReady = () => {
+    setIsEditorReady(true);
+    const reveal = pendingRevealRef.current;
+    if (reveal && currentFile && isSameFile(currentFile, {workspaceFolder: reveal.workspaceFolder, path: reveal.path})) {
+      pendingRevealRef.current = null;
+      editorRef.current?.revealPosition(reveal.line, reveal.character);
+    }
+    const insert = pendingInsertRef.current;
+    if (insert !== null) {
+      pendingInsertRef.current = null;
+      editorRef.current?.insertText(insert, currentSelection());
+    }
+  };
+
+  // While live, Cursor's document already holds the editor's text
+  const handleLanguageRequest = async (request: EditorLanguageRequest): Promise<EditorLanguageResult> => {
+    if (!currentFile) {
+      return null;
+    }
+
+    const target = {
+      filePath: currentFile.path,
+      workspaceFolder: currentFile.workspaceFolder,
+      offset: request.offset,
+      content: isLive ? undefined : request.text,
+    };
+    switch (request.feature) {
+      case 'completion':
+        return wsClient.requestCompletions(target, request.triggerCharacter);
+      case 'hover':
+        return wsClient.requestHover(target);
+      case 'definition': {
+        const locations = await wsClient.requestDefinitions(target);
+        return locations.map(location => ({
+          ...location,
+          inCurrentFile: isSameFile(currentFile, {workspaceFolder: location.workspaceFolder, path: location.filePath}),
         }));
-        setProjectFiles(files);
-        addLog(`Loaded ${files.length} files`, 'success');
       }
+    }
+  };
+
+  const openLocation = (location: DefinitionLocation) => {
+    openFileAt(location.workspaceFolder, location.filePath, location.range.start.line, location.range.start.character);
+  };
+
+  const loadMoreProjectFiles = async () => {
+    if (!hasMoreProjectFiles || isLoadingProjectFiles) {
+      return;
+    }
+
+    try {
+      setIsLoadingProjectFiles(true);
+      const projectInfo = await wsClient.requestProjectInfo(projectFiles.length, PROJECT_FILES_PAGE_SIZE);
+      
+      setProjectFiles(prev => [...prev, ...projectInfo.files.map(toFileItem)]);
+      setWorkspaceFolders(projectInfo.folders);
+      cacheProject(
+        projectInfo.folders,
+        [...projectFiles.map(toProjectFileEntry), ...projectInfo.files],
+        projectInfo.pagination.total,
+      );
+      setProjectFilesTotal(projectInfo.pagination.total);
+      setHasMoreProjectFiles(projectInfo.pagination.hasMore);
     } catch (error) {
-      addLog(`Failed to load project files: ${error}`, 'error');
+      addLog(`Failed to load more project files: ${error}`, 'error');
+    } finally {
+      setIsLoadingProjectFiles(false);
     }
   };
 
-  const openFile = async (filePath: string) => {
+  const openFile = async (filePath: string, workspaceFolder?: string) => {
+    if (collabRef.current) {
+      await stopLiveEditing();
+    }
+
+    const cached = await fileCache.getFile(filePath, workspaceFolder);
+    const showFile = (fileItem: FileItem) => {
+      setCurrentFile(fileItem);
+      setEditorContent(fileItem.content ?? '');
+      setActiveTab('editor');
+    };
+    const showCachedFile = () => {
+      if (!cached) {
+        Alert.alert('Offline', `${filePath} has not been opened before and is not available offline.`);
+        return;
+      }
+      showFile({
+        workspaceFolder: cached.workspaceFolder,
+        path: filePath,
+        content: cached.content,
+        exists: true,
+        lastModified: cached.version.mtime,
+        version: cached.version,
+      });
+      addLog(`Opened cached copy of ${filePath}`, 'info');
+    };
+
+    if (wsClient.getConnectionState() !== ConnectionState.CONNECTED) {
+      showCachedFile();
+      return;
+    }
+
     try {
       addLog(`Opening file: ${filePath}`, 'info');
-      const fileContent: FileContent = await wsClient.requestFile(filePath);
+      // With a cached copy the bridge only sends the content if it changed
+      const fileContent: FileContent = await wsClient.requestFile(filePath, workspaceFolder, cached?.version.hash);
+      const content = fileContent.notModified && cached ? cached.content : fileContent.content;
       
-      if (fileContent.exists && fileContent.content !== undefined) {
-        const fileItem: FileItem = {
+      if (fileContent.exists && content !== undefined) {
+        showFile({
+          workspaceFolder: fileContent.workspaceFolder || workspaceFolder,
           path: filePath,
-          content: fileContent.content,
+          content,
           exists: true,
           lastModified: fileContent.lastModified,
-        };
-        
-        setCurrentFile(fileItem);
-        setEditorContent(fileContent.content);
-        setActiveTab('editor');
-        addLog(`Opened: ${filePath}`, 'success');
+          version: fileContent.version,
+        });
+        addLog(`Opened: ${filePath}${fileContent.notModified ? ' (cached copy is current)' : ''}`, 'success');
       } else {
+        if (!fileContent.exists) {
+          await fileCache.removeFile(filePath, workspaceFolder);
+        }
         Alert.alert('File Error', `File not found or unreadable: ${filePath}`);
         addLog(`File not found: ${filePath}`, 'error');
       }
     } catch (error) {
+      if (isConnectionLost(error) && cached) {
+        showCachedFile();
+        return;
+      }
       addLog(`Failed to open file: ${error}`, 'error');
-      Alert.alert('Error', `Failed to open file: ${error}`);
+      if (isPermissionDenied(error)) {
+        Alert.alert('Permission Denied', `${filePath}: ${error.message}`);
+      } else {
+        Alert.alert('Error', `Failed to open file: ${error}`);
+      }
+    }
+  };
+
+  // Held until the bridge is reachable; the version check happens when it is sent
+  const queueSave = async (file: FileItem, content: string, baseVersion: FileVersion | null | undefined): Promise<SaveOutcome> => {
+    try {
+      await wsClient.queueFileUpdate(file.path, content, {workspaceFolder: file.workspaceFolder, baseVersion});
+      addLog(`Queued save of ${file.path} until Cursor is reachable`, 'info');
+      return 'queued';
+    } catch (error) {
+      addLog(`Failed to queue save: ${error}`, 'error');
+      Alert.alert('Save Error', `Failed to save file: ${error}`);
+      return 'failed';
     }
   };
 
+  // Writes only if the disk still holds baseVersion. The bridge merges stale writes it can;
+  // otherwise the disk version is merged here and the save retried once if the merge is clean.
+  // Offline saves are queued and replayed on reconnect.
+  const writeFile = async (
+    file: FileItem,
+    content: string,
+    baseVersion: FileVersion | null | undefined,
+    retryAfterMerge: boolean = true,
+  ): Promise<SaveOutcome> => {
+    if (
+      wsClient.getConnectionState() !== ConnectionState.CONNECTED ||
+      await wsClient.hasQueuedFileUpdate(file.path, file.workspaceFolder)
+    ) {
+      return queueSave(file, content, baseVersion);
+    }
+
+    try {
+      const result = await wsClient.updateFile(file.path, content, {
+        workspaceFolder: file.workspaceFolder,
+        baseVersion,
+        // Lets the client send only the edits when the buffer is based on the loaded version
+        baseContent: baseVersion && baseVersion.hash === file.version?.hash ? file.content : undefined,
+      });
+      const written = result.merged && result.content !== undefined ? result.content : content;
+
+      // Update local file state
+      setCurrentFile(prev => prev && isSameFile(prev, file) ? {
+        ...prev,
+        content: written,
+        lastModified: result.lastModified,
+        version: result.version,
+      } : prev);
+
+      if (result.merged) {
+        // Keep anything typed while the save was in flight
+        setEditorContent(prev => prev === content ? written : mergeText(content, prev, written, MERGE_LABELS).content);
+        addLog(`Saved ${file.path}, merged with changes from Cursor`, 'success');
+      } else {
+        addLog(`Saved: ${file.path}`, 'success');
+      }
+      return 'saved';
+    } catch (error) {
+      if (isConflict(error)) {
+        return handleSaveConflict(file, content, error.details as FileConflict, retryAfterMerge);
+      }
+
+      if (isConnectionLost(error)) {
+        // The bridge may have written it before the drop; replay tells the two apart
+        return queueSave(file, content, baseVersion);
+      } else if (isPermissionDenied(error)) {
+        addLog(`Failed to save file: ${error}`, 'error');
+        Alert.alert('Permission Denied', `${file.path}: ${error.message}`);
+      } else {
+        addLog(`Failed to save file: ${error}`, 'error');
+        Alert.alert('Save Error', `Failed to save file: ${error}`);
+      }
+      return 'failed';
+    }
+  };
+
+  const handleSaveConflict = async (
+    file: FileItem,
+    content: string,
+    details: FileConflict,
+    retryAfterMerge: boolean,
+  ): Promise<SaveOutcome> => {
+    if (details.currentContent !== null && file.content !== undefined) {
+      const disk = details.currentContent;
+      const result = mergeText(file.content, content, disk, MERGE_LABELS);
+      const rebased: FileItem = {...file, content: disk, version: details.currentVersion || undefined};
+
+      setCurrentFile(prev => prev && isSameFile(prev, file) ? rebased : prev);
+      setEditorContent(result.content);
+
+      if (result.clean && retryAfterMerge) {
+        addLog(`Merged changes from Cursor into ${file.path}, saving again`, 'info');
+        return writeFile(rebased, result.content, details.currentVersion, false);
+      }
+
+      addLog(`Save conflict: ${result.conflicts} conflict(s) in ${file.path}`, 'error');
+      Alert.alert('Merge Conflicts', 'Resolve the highlighted conflicts in the editor, then save again.');
+    } else {
+      // Deleted or too large to merge: choose a side
+      addLog(`Save conflict: ${file.path} was changed in Cursor`, 'error');
+      setConflict(details);
+    }
+    return 'failed';
+  };
+
   const saveCurrentFile = async () => {
     if (!currentFile) {
       Alert.alert('No File', 'No file is currently open');
       return;
     }
 
-    try {
-      addLog(`Saving file: ${currentFile.path}`, 'info');
-      await wsClient.updateFile(currentFile.path, editorContent);
-      
-      // Update local file state
-      setCurrentFile(prev => prev ? {
-        ...prev,
-        content: editorContent,
-        lastModified: Date.now(),
-      } : null);
-      
-      addLog(`Saved: ${currentFile.path}`, 'success');
+    if (conflictBlocks.length > 0) {
+      Alert.alert('Unresolved Conflicts', `Resolve ${conflictBlocks.length} merge conflict(s) before saving.`);
+      return;
+    }
+
+    // Live edits live in the document open in Cursor, so Cursor saves it
+    if (collabRef.current) {
+      try {
+        await collabRef.current.save();
+        setCurrentFile(prev => prev ? {...prev, content: editorContent} : null);
+        addLog(`Saved in Cursor: ${currentFile.path}`, 'success');
+      } catch (error) {
+        addLog(`Failed to save: ${error}`, 'error');
+        Alert.alert('Error', `Failed to save file: ${error}`);
+      }
+      return;
+    }
+
+    addLog(`Saving file: ${currentFile.path}`, 'info');
+    const outcome = await writeFile(currentFile, editorContent, currentFile.version);
+    if (outcome === 'saved') {
       Alert.alert('Success', 'File saved successfully');
-    } catch (error) {
-      addLog(`Failed to save file: ${error}`, 'error');
-      Alert.alert('Save Error', `Failed to save file: ${error}`);
+    } else if (outcome === 'queued') {
+      Alert.alert('Saved Offline', 'The save will be sent to Cursor when the connection is back.');
+    }
+  };
+
+  const keepLocalChanges = async () => {
+    if (!currentFile || !conflict) {
+      return;
+    }
+
+    // Overwrite exactly the disk version that was shown; a newer change conflicts again
+    const baseVersion = conflict.currentVersion;
+    setConflict(null);
+    await writeFile(currentFile, editorContent, baseVersion);
+  };
+
+  const resolveMergeConflict = (index: number, choice: ConflictChoice) => {
+    setEditorContent(prev => resolveConflictBlock(prev, index, choice));
+  };
+
+  const useRemoteVersion = () => {
+    if (!currentFile || !conflict || conflict.currentContent === null) {
+      return;
     }
+
+    setCurrentFile({
+      ...currentFile,
+      content: conflict.currentContent,
+      version: conflict.currentVersion || undefined,
+    });
+    setEditorContent(conflict.currentContent);
+    setConflict(null);
+    addLog(`Loaded disk version of ${currentFile.path}`, 'info');
   };
 
   const createNewFile = async () => {
@@ -191,13 +1036,19 @@ const MainScreen: React.FC = () => {
 
     try {
       addLog(`Creating new file: ${newFilePath}`, 'info');
-      await wsClient.updateFile(newFilePath, '// New file\n');
+      // baseVersion null: never overwrite a file that already exists
+      const result = await wsClient.updateFile(newFilePath, '// New file\n', {
+        workspaceFolder: newFileFolder,
+        baseVersion: null,
+      });
       
       const newFile: FileItem = {
+        workspaceFolder: result.workspaceFolder,
         path: newFilePath,
         content: '// New file\n',
         exists: true,
-        lastModified: Date.now(),
+        lastModified: result.lastModified,
+        version: result.version,
       };
       
       setProjectFiles(prev => [...prev, newFile]);
@@ -210,7 +1061,13 @@ const MainScreen: React.FC = () => {
       addLog(`Created: ${newFilePath}`, 'success');
     } catch (error) {
       addLog(`Failed to create file: ${error}`, 'error');
-      Alert.alert('Create Error', `Failed to create file: ${error}`);
+      if (isConflict(error)) {
+        Alert.alert('File Exists', `${newFilePath} already exists. Open it from the Files tab instead.`);
+      } else if (isPermissionDenied(error)) {
+        Alert.alert('Permission Denied', `${newFilePath}: ${error.message}`);
+      } else {
+        Alert.alert('Create Error', `Failed to create file: ${error}`);
+      }
     }
   };
 
@@ -261,18 +1118,65 @@ const MainScreen: React.FC = () => {
             {currentFile ? (
               <>
                 <View style={styles.fileHeader}>
-                  <Text style={styles.fileName}>{currentFile.path}</Text>
+                  <Text style={styles.fileName}>
+                    {workspaceFolders.length > 1 && currentFile.workspaceFolder
+                      ? `${currentFile.workspaceFolder}/${currentFile.path}`
+                      : currentFile.path}
+                  </Text>
+                  {conflictBlocks.length > 0 && (
+                    <Text style={styles.conflictBadge}>{conflictBlocks.length} conflict(s)</Text>
+                  )}
+                  {isLive && (
+                    <Text style={styles.liveBadge}>
+                      {remoteCursors.map(participant => participant.name).join(', ') || 'Live'}
+                    </Text>
+                  )}
+                  {connectionState === ConnectionState.CONNECTED && (
+                    <>
+                      <TouchableOpacity style={styles.liveButton} onPress={() => editorRef.current?.showHover()}>
+                        <Text style={styles.saveButtonText}>Info</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity style={styles.liveButton} onPress={() => editorRef.current?.goToDefinition()}>
+                        <Text style={styles.saveButtonText}>Definition</Text>
+                      </TouchableOpacity>
+                    </>
+                  )}
+                  <TouchableOpacity
+                    style={[styles.liveButton, isLive && styles.liveButtonActive]}
+                    onPress={isLive ? stopLiveEditing : startLiveEditing}>
+                    <Text style={styles.saveButtonText}>{isLive ? 'Stop Live' : 'Go Live'}</Text>
+                  </TouchableOpacity>
                   <TouchableOpacity style={styles.saveButton} onPress={saveCurrentFile}>
                     <Text style={styles.saveButtonText}>Save</Text>
                   </TouchableOpacity>
                 </View>
                 <MonacoEditor
+                  ref={editorRef}
                   value={editorContent}
                   language={getLanguageFromPath(currentFile.path)}
                   theme="vs-dark"
                   onChange={setEditorContent}
-                  onReady={() => setIsEditorReady(true)}
+                  onReady={handleEditorReady}
                   height={screenHeight - 200}
+                  conflicts={conflictBlocks}
+                  onResolveConflict={resolveMergeConflict}
+                  onLocalEdits={handleLocalEdits}
+                  onRemoteEditsApplied={requestId => collabRef.current?.handleRemoteEditsApplied(requestId)}
+                  onRemoteEditsRejected={requestId => collabRef.current?.handleRemoteEditsRejected(requestId)}
+                  onSelectionsChange={(selections: CollabSelection[]) => {
+                    if (selections.length > 0) {
+                      editorSelectionRef.current = {
+                        workspaceFolder: currentFile.workspaceFolder,
+                        path: currentFile.path,
+                        selection: selections[0],
+                      };
+                    }
+                    collabRef.current?.handleLocalSelections(selections);
+                  }}
+                  remoteCursors={remoteCursors}
+                  markers={currentDiagnostics}
+                  onLanguageRequest={connectionState === ConnectionState.CONNECTED ? handleLanguageRequest : undefined}
+                  onOpenLocation={openLocation}
                 />
               </>
             ) : (
@@ -288,7 +1192,16 @@ const MainScreen: React.FC = () => {
         return (
           <View style={styles.filesContainer}>
             <View style={styles.filesHeader}>
-              <Text style={styles.sectionTitle}>Project Files</Text>
+              <View>
+                <Text style={styles.sectionTitle}>
+                  Project Files{projectFilesTotal > 0 ? ` (${projectFilesTotal})` : ''}
+                </Text>
+                {projectCachedAt !== null && (
+                  <Text style={styles.cachedNotice}>
+                    Offline · cached {new Date(projectCachedAt).toLocaleString()}
+                  </Text>
+                )}
+              </View>
               <View style={styles.fileActions}>
                 <TouchableOpacity style={styles.actionButton} onPress={loadProjectFiles}>
                   <Text style={styles.actionButtonText}>Refresh</Text>
@@ -298,33 +1211,89 @@ const MainScreen: React.FC = () => {
                 </TouchableOpacity>
               </View>
             </View>
-            <FlatList
-              data={projectFiles}
-              keyExtractor={(item) => item.path}
+            <SectionList
+              sections={toFileSections(workspaceFolders, projectFiles)}
+              keyExtractor={(item) => `${item.workspaceFolder}/${item.path}`}
+              renderSectionHeader={({section}) => (
+                <Text style={styles.folderHeader}>
+                  {section.title} ({section.fileCount})
+                </Text>
+              )}
+              stickySectionHeadersEnabled={false}
               renderItem={({item}) => (
                 <TouchableOpacity
                   style={[
                     styles.fileItem,
-                    currentFile?.path === item.path && styles.fileItemActive
+                    currentFile && isSameFile(currentFile, item) && styles.fileItemActive,
+                    connectionState !== ConnectionState.CONNECTED && !cachedFileKeys.has(getCacheKey(item)) &&
+                      styles.fileItemUnavailable,
                   ]}
-                  onPress={() => openFile(item.path)}
+                  onPress={() => openFile(item.path, item.workspaceFolder)}
                 >
                   <Text style={styles.filePath}>{item.path}</Text>
-                  {item.lastModified && (
+                  {item.lastModified ? (
                     <Text style={styles.fileDate}>
                       {new Date(item.lastModified).toLocaleTimeString()}
+                      {item.size !== undefined ? ` · ${formatFileSize(item.size)}` : ''}
+                      {item.language ? ` · ${item.language}` : ''}
+                      {cachedFileKeys.has(getCacheKey(item)) ? ' · offline' : ''}
                     </Text>
-                  )}
+                  ) : null}
                 </TouchableOpacity>
               )}
+              onEndReached={loadMoreProjectFiles}
+              onEndReachedThreshold={0.5}
               style={styles.filesList}
             />
           </View>
         );
 
+      case 'problems':
+        return (
+          <ProblemsList
+            files={diagnostics}
+            showWorkspaceFolder={workspaceFolders.length > 1}
+            onSelect={showProblem}
+          />
+        );
+
       case 'logs':
         return (
           <View style={styles.logsContainer}>
+            {outboxEntries.length > 0 && (
+              <View style={styles.outbox}>
+                <Text style={styles.sectionTitle}>Outbox ({outboxEntries.length})</Text>
+                {outboxEntries.map(entry => (
+                  <View key={entry.id} style={styles.outboxItem}>
+                    <View style={styles.logContent}>
+                      <Text style={styles.logMessage}>{describeOutboxEntry(entry)}</Text>
+                      <Text style={[styles.outboxStatus, {color: OUTBOX_STATUS_COLORS[entry.status]}]}>
+                        {entry.status}
+                        {entry.error ? `: ${entry.error.message}` : ''}
+                        {` · queued ${new Date(entry.queuedAt).toLocaleTimeString()}`}
+                      </Text>
+                    </View>
+                    {entry.status === 'conflict' && (
+                      <TouchableOpacity
+                        style={styles.actionButton}
+                        onPress={() => wsClient.retryQueuedMessage(entry.id, true)}>
+                        <Text style={styles.actionButtonText}>Overwrite</Text>
+                      </TouchableOpacity>
+                    )}
+                    {entry.status === 'failed' && (
+                      <TouchableOpacity style={styles.actionButton} onPress={() => wsClient.retryQueuedMessage(entry.id)}>
+                        <Text style={styles.actionButtonText}>Retry</Text>
+                      </TouchableOpacity>
+                    )}
+                    {entry.status !== 'sending' && (
+                      <TouchableOpacity style={styles.actionButton} onPress={() => wsClient.outbox.remove(entry.id)}>
+                        <Text style={styles.actionButtonText}>Discard</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                ))}
+              </View>
+            )}
             <View style={styles.logsHeader}>
               <Text style={styles.sectionTitle}>Activity Log</Text>
               <TouchableOpacity 
@@ -382,9 +1351,18 @@ const MainScreen: React.FC = () => {
       {/* Connection Controls */}
       <View style={styles.connectionControls}>
         {connectionState === ConnectionState.DISCONNECTED ? (
-          <TouchableOpacity style={styles.connectButton} onPress={connectToServer}>
-            <Text style={styles.connectButtonText}>Connect to Cursor</Text>
-          </TouchableOpacity>
+          <View style={styles.connectRow}>
+            <TouchableOpacity style={[styles.connectButton, styles.connectButtonFlex]} onPress={connectToServer}>
+              <Text style={styles.connectButtonText}>
+                {credentials ? 'Connect to Cursor' : 'Pair with Cursor'}
+              </Text>
+            </TouchableOpacity>
+            {credentials && (
+              <TouchableOpacity style={styles.unpairButton} onPress={unpairDevice}>
+                <Text style={styles.unpairButtonText}>Unpair</Text>
+              </TouchableOpacity>
+            )}
+          </View>
         ) : (
           <TouchableOpacity style={styles.disconnectButton} onPress={disconnectFromServer}>
             <Text style={styles.disconnectButtonText}>Disconnect</Text>
@@ -393,25 +1371,165 @@ const MainScreen: React.FC = () => {
       </View>
 
       {/* Tab Navigation */}
-      <View style={styles.tabContainer}>
-        {(['editor', 'files', 'logs'] as const).map((tab) => (
+      <ScrollView
+        horizontal
+        style={styles.tabContainer}
+        contentContainerStyle={styles.tabList}
+        showsHorizontalScrollIndicator={false}
+      >
+        {(['editor', 'files', 'search', 'git', 'problems', 'tasks', 'chat', 'agent', 'terminal', 'logs'] as const).map((tab) => (
           <TouchableOpacity
             key={tab}
             style={[styles.tab, activeTab === tab && styles.tabActive]}
             onPress={() => setActiveTab(tab)}
           >
             <Text style={[styles.tabText, activeTab === tab && styles.tabTextActive]}>
-              {tab.charAt(0).toUpperCase() + tab.slice(1)}
+              {tab === 'git' ? 'Source Control' : tab.charAt(0).toUpperCase() + tab.slice(1)}
+              {tab === 'logs' && outboxEntries.length > 0 ? ` (${outboxEntries.length})` : ''}
+              {tab === 'problems' && problemCount > 0 ? ` (${problemCount})` : ''}
             </Text>
           </TouchableOpacity>
         ))}
-      </View>
+      </ScrollView>
 
       {/* Tab Content */}
       <View style={styles.content}>
         {renderTabContent()}
+
+        {/* These screens stay mounted so their sessions and results survive switching tabs */}
+        <View style={[styles.content, activeTab !== 'search' && styles.hiddenScreen]}>
+          <SearchScreen
+            wsClient={wsClient}
+            isConnected={connectionState === ConnectionState.CONNECTED}
+            showWorkspaceFolder={workspaceFolders.length > 1}
+            onOpenFile={openFile}
+            onOpenMatch={(match: TextSearchMatch) =>
+              openFileAt(match.workspaceFolder, match.filePath, match.line, match.character)}
+            onLog={addLog}
+          />
+        </View>
+        <View style={[styles.content, activeTab !== 'git' && styles.hiddenScreen]}>
+          <SourceControlScreen
+            wsClient={wsClient}
+            isActive={activeTab === 'git'}
+            isConnected={connectionState === ConnectionState.CONNECTED}
+            workspaceFolders={workspaceFolders.map(folder => folder.name)}
+            onOpenFile={openFile}
+            onLog={addLog}
+          />
+        </View>
+        <View style={[styles.content, activeTab !== 'tasks' && styles.hiddenScreen]}>
+          <TasksScreen
+            wsClient={wsClient}
+            tasks={tasks}
+            isConnected={connectionState === ConnectionState.CONNECTED}
+            onRefresh={loadProjectFiles}
+            onTerminalAttached={session => terminalsRef.current?.add(session)}
+            onShowOutput={showTaskOutput}
+            onLog={addLog}
+          />
+        </View>
+        <View style={[styles.content, activeTab !== 'chat' && styles.hiddenScreen]}>
+          <ChatScreen
+            wsClient={wsClient}
+            isConnected={connectionState === ConnectionState.CONNECTED}
+            fileName={currentFile ? currentFile.path.split('/').pop() || currentFile.path : null}
+            getOpenFile={getChatFile}
+            onInsertCode={insertChatCode}
+            onLog={addLog}
+          />
+        </View>
+        <View style={[styles.content, activeTab !== 'agent' && styles.hiddenScreen]}>
+          <AgentScreen
+            wsClient={wsClient}
+            isConnected={connectionState === ConnectionState.CONNECTED}
+            workspaceFolder={currentFile?.workspaceFolder}
+            onOpenFile={openFile}
+            onLog={addLog}
+          />
+        </View>
+        <View style={[styles.content, activeTab !== 'terminal' && styles.hiddenScreen]}>
+          <TerminalsScreen
+            ref={terminalsRef}
+            wsClient={wsClient}
+            isConnected={connectionState === ConnectionState.CONNECTED}
+            workspaceFolder={currentFile?.workspaceFolder}
+            onLog={addLog}
+          />
+        </View>
       </View>
 
+      {/* Pairing Modal */}
+      <Modal
+        visible={isPairingModalVisible}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setIsPairingModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Pair with Cursor</Text>
+            <Text style={styles.modalHint}>
+              Run "Pair Mobile Device" in Cursor, then paste the QR payload or type the 6-digit code.
+            </Text>
+            <TextInput
+              style={styles.modalInput}
+              placeholder="Bridge URL (e.g., wss://192.168.1.10:3001)"
+              placeholderTextColor="#666"
+              autoCapitalize="none"
+              autoCorrect={false}
+              value={pairingServerUrl}
+              onChangeText={setPairingServerUrl}
+            />
+            <TextInput
+              style={styles.modalInput}
+              placeholder="Pairing code or QR payload"
+              placeholderTextColor="#666"
+              autoCapitalize="none"
+              autoCorrect={false}
+              value={pairingInput}
+              onChangeText={setPairingInput}
+            />
+            <View style={styles.modalButtons}>
+              <TouchableOpacity 
+                style={styles.modalButton}
+                onPress={() => setIsPairingModalVisible(false)}
+              >
+                <Text style={styles.modalButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity 
+                style={[styles.modalButton, styles.modalButtonPrimary]}
+                onPress={pairWithBridge}
+              >
+                <Text style={[styles.modalButtonText, styles.modalButtonTextPrimary]}>Pair</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Save Conflict Modal */}
+      <Modal
+        visible={conflict !== null && currentFile !== null}
+        animationType="slide"
+        onRequestClose={() => setConflict(null)}
+      >
+        <SafeAreaView style={styles.container}>
+          {conflict && currentFile && (
+            <ConflictResolutionView
+              filePath={currentFile.path}
+              localContent={editorContent}
+              remoteContent={conflict.currentContent}
+              remoteExists={conflict.exists}
+              onChangeLocal={setEditorContent}
+              onKeepLocal={keepLocalChanges}
+              onUseRemote={useRemoteVersion}
+              onCancel={() => setConflict(null)}
+            />
+          )}
+        </SafeAreaView>
+      </Modal>
+
       {/* New File Modal */}
       <Modal
         visible={isFileModalVisible}
@@ -422,6 +1540,22 @@ const MainScreen: React.FC = () => {
         <View style={styles.modalOverlay}>
           <View style={styles.modalContent}>
             <Text style={styles.modalTitle}>Create New File</Text>
+            {workspaceFolders.length > 1 && (
+              <View style={styles.folderPicker}>
+                {workspaceFolders.map((folder) => {
+                  const isSelected = (newFileFolder || workspaceFolders[0].name) === folder.name;
+                  return (
+                    <TouchableOpacity
+                      key={folder.name}
+                      style={[styles.folderChip, isSelected && styles.folderChipActive]}
+                      onPress={() => setNewFileFolder(folder.name)}
+                    >
+                      <Text style={styles.folderChipText}>{folder.name}</Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            )}
             <TextInput
               style={styles.modalInput}
               placeholder="Enter file path (e.g., src/components/NewComponent.tsx)"
@@ -498,6 +1632,23 @@ const styles = StyleSheet.create({
     color: '#fff',
     fontWeight: 'bold',
   },
+  connectRow: {
+    flexDirection: 'row',
+  },
+  connectButtonFlex: {
+    flex: 1,
+  },
+  unpairButton: {
+    backgroundColor: '#333',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 6,
+    marginLeft: 8,
+    justifyContent: 'center',
+  },
+  unpairButtonText: {
+    color: '#ccc',
+  },
   disconnectButton: {
     backgroundColor: '#F44336',
     paddingHorizontal: 20,
@@ -510,12 +1661,16 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
   },
   tabContainer: {
-    flexDirection: 'row',
+    flexGrow: 0,
     borderBottomWidth: 1,
     borderBottomColor: '#333',
   },
+  tabList: {
+    flexGrow: 1,
+  },
   tab: {
-    flex: 1,
+    flexGrow: 1,
+    paddingHorizontal: 14,
     paddingVertical: 12,
     alignItems: 'center',
   },
@@ -534,6 +1689,9 @@ const styles = StyleSheet.create({
   content: {
     flex: 1,
   },
+  hiddenScreen: {
+    display: 'none',
+  },
   // Editor styles
   editorContainer: {
     flex: 1,
@@ -552,6 +1710,26 @@ const styles = StyleSheet.create({
     fontSize: 14,
     flex: 1,
   },
+  conflictBadge: {
+    color: '#FF9800',
+    fontSize: 12,
+    marginRight: 8,
+  },
+  liveBadge: {
+    color: '#4CAF50',
+    fontSize: 12,
+    marginRight: 8,
+  },
+  liveButton: {
+    backgroundColor: '#555',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 4,
+    marginRight: 8,
+  },
+  liveButtonActive: {
+    backgroundColor: '#4CAF50',
+  },
   saveButton: {
     backgroundColor: '#2196F3',
     paddingHorizontal: 12,
@@ -610,6 +1788,12 @@ const styles = StyleSheet.create({
   filesList: {
     flex: 1,
   },
+  folderHeader: {
+    color: '#2196F3',
+    fontSize: 13,
+    fontWeight: 'bold',
+    paddingVertical: 8,
+  },
   fileItem: {
     backgroundColor: '#2a2a2a',
     padding: 12,
@@ -619,6 +1803,14 @@ const styles = StyleSheet.create({
   fileItemActive: {
     backgroundColor: '#1565C0',
   },
+  fileItemUnavailable: {
+    opacity: 0.4,
+  },
+  cachedNotice: {
+    color: '#FF9800',
+    fontSize: 12,
+    marginTop: 2,
+  },
   filePath: {
     color: '#fff',
     fontSize: 14,
@@ -668,6 +1860,20 @@ const styles = StyleSheet.create({
     color: '#ccc',
     fontSize: 12,
   },
+  outbox: {
+    marginBottom: 16,
+    paddingBottom: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#444',
+  },
+  outboxItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  outboxStatus: {
+    fontSize: 12,
+  },
   // Modal styles
   modalOverlay: {
     flex: 1,
@@ -689,6 +1895,12 @@ const styles = StyleSheet.create({
     marginBottom: 16,
     textAlign: 'center',
   },
+  modalHint: {
+    color: '#ccc',
+    fontSize: 12,
+    marginBottom: 12,
+    textAlign: 'center',
+  },
   modalInput: {
     backgroundColor: '#333',
     color: '#fff',
@@ -696,6 +1908,26 @@ const styles = StyleSheet.create({
     borderRadius: 6,
     marginBottom: 16,
   },
+  folderPicker: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  folderChip: {
+    backgroundColor: '#333',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 12,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  folderChipActive: {
+    backgroundColor: '#1565C0',
+  },
+  folderChipText: {
+    color: '#fff',
+    fontSize: 12,
+  },
   modalButtons: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -0,0 +1,68 @@
+import React, {useEffect, useRef, useState} from 'react';
+import {Alert} from 'react-native';
+import {
+  MobileDevinWebSocketClient,
+  FileSearchMatch,
+  SearchQuery,
+  TextSearchMatch,
+} from '../services/WebSocketClient';
+import {SearchSession} from '../services/SearchSession';
+import SearchPanel from '../components/SearchPanel';
+
+interface SearchScreenProps {
+  wsClient: MobileDevinWebSocketClient;
+  isConnected: boolean;
+  showWorkspaceFolder: boolean;
+  onOpenFile: (filePath: string, workspaceFolder: string) => void;
+  onOpenMatch: (match: TextSearchMatch) => void;
+  onLog: (message: string, type: 'info' | 'error' | 'success') => void;
+}
+
+const SearchScreen: React.FC<SearchScreenProps> = ({
+  wsClient,
+  isConnected,
+  showWorkspaceFolder,
+  onOpenFile,
+  onOpenMatch,
+  onLog,
+}) => {
+  const [searchSession, setSearchSession] = useState<SearchSession | null>(null);
+  const searchSessionRef = useRef<SearchSession | null>(null); // searches may start before the last render
+
+  useEffect(() => () => searchSessionRef.current?.dispose(), []);
+
+  // A new search replaces the one shown, which is cancelled if still running
+  const runSearch = async (query: SearchQuery) => {
+    try {
+      const session = await SearchSession.start(wsClient, query);
+      searchSessionRef.current?.dispose();
+      searchSessionRef.current = session;
+      setSearchSession(session);
+    } catch (error) {
+      onLog(`Search failed: ${error}`, 'error');
+      Alert.alert('Search', `Could not search for "${query.query}": ${error}`);
+    }
+  };
+
+  const cancelSearch = async () => {
+    try {
+      await searchSession?.cancel();
+    } catch (error) {
+      onLog(`Failed to cancel search: ${error}`, 'error');
+    }
+  };
+
+  return (
+    <SearchPanel
+      session={searchSession}
+      isConnected={isConnected}
+      showWorkspaceFolder={showWorkspaceFolder}
+      onSearch={runSearch}
+      onCancel={cancelSearch}
+      onOpenFile={(match: FileSearchMatch) => onOpenFile(match.filePath, match.workspaceFolder)}
+      onOpenMatch={onOpenMatch}
+    />
+  );
+};
+
+export default SearchScreen;
@@ -0,0 +1,212 @@
+import React, {useEffect, useState} from 'react';
+import {Alert} from 'react-native';
+import {
+  MobileDevinWebSocketClient,
+  BridgeRequestError,
+  GitBranch,
+  GitDiff,
+  GitFileChange,
+  GitHunk,
+  GitStatus,
+} from '../services/WebSocketClient';
+import SourceControlPanel from '../components/SourceControlPanel';
+
+interface SourceControlScreenProps {
+  wsClient: MobileDevinWebSocketClient;
+  isActive: boolean;
+  isConnected: boolean;
+  workspaceFolders: string[];
+  onOpenFile: (filePath: string, workspaceFolder?: string) => void;
+  onLog: (message: string, type: 'info' | 'error' | 'success') => void;
+}
+
+const GIT_REFRESH_DELAY_MS = 500; // file changes often come in bursts
+
+const SourceControlScreen: React.FC<SourceControlScreenProps> = ({
+  wsClient,
+  isActive,
+  isConnected,
+  workspaceFolders,
+  onOpenFile,
+  onLog,
+}) => {
+  const [gitFolder, setGitFolder] = useState<string | undefined>(undefined); // the first workspace folder when unset
+  const [gitStatus, setGitStatus] = useState<GitStatus | null>(null);
+  const [gitError, setGitError] = useState<string | null>(null);
+  const [gitBranches, setGitBranches] = useState<GitBranch[]>([]);
+  const [gitDiff, setGitDiff] = useState<GitDiff | null>(null);
+  const [gitBusy, setGitBusy] = useState<string | null>(null);
+
+  // The status follows changes on disk while the tab is shown
+  useEffect(() => {
+    if (!isActive || !isConnected) {
+      return;
+    }
+    loadGitStatus();
+
+    let refreshTimer: ReturnType<typeof setTimeout> | null = null;
+    const handleFileChange = () => {
+      if (refreshTimer) {
+        clearTimeout(refreshTimer);
+      }
+      refreshTimer = setTimeout(() => loadGitStatus(), GIT_REFRESH_DELAY_MS);
+    };
+    wsClient.on('fileChange', handleFileChange);
+
+    return () => {
+      if (refreshTimer) {
+        clearTimeout(refreshTimer);
+      }
+      wsClient.off('fileChange', handleFileChange);
+    };
+  }, [isActive, isConnected, gitFolder, wsClient]);
+
+  const loadGitStatus = async (workspaceFolder: string | undefined = gitFolder) => {
+    try {
+      setGitStatus(await wsClient.gitStatus(workspaceFolder));
+      setGitError(null);
+    } catch (error) {
+      setGitStatus(null);
+      setGitError(error instanceof BridgeRequestError ? error.message : `${error}`);
+      onLog(`Failed to load git status: ${error}`, 'error');
+    }
+  };
+
+  // The open diff is reloaded after staging changed it, and closed once the file left its list
+  const reloadGitDiff = async (diff: GitDiff, status: GitStatus) => {
+    const changes = diff.staged ? status.staged : status.unstaged;
+    if (!changes.some(change => change.filePath === diff.filePath)) {
+      setGitDiff(null);
+      return;
+    }
+    try {
+      setGitDiff(await wsClient.gitDiff(diff.filePath, diff.staged, gitFolder));
+    } catch (error) {
+      setGitDiff(null);
+      onLog(`Failed to reload diff of ${diff.filePath}: ${error}`, 'error');
+    }
+  };
+
+  // One git command at a time; each one answers with the new status
+  const runGitOperation = async (label: string, operation: () => Promise<GitStatus>): Promise<boolean> => {
+    setGitBusy(label);
+    try {
+      const status = await operation();
+      setGitStatus(status);
+      if (gitDiff) {
+        await reloadGitDiff(gitDiff, status);
+      }
+      return true;
+    } catch (error) {
+      onLog(`${label} failed: ${error}`, 'error');
+      if (error instanceof BridgeRequestError && error.code === 'CONFLICT' && gitDiff) {
+        // A hunk changed since the diff was loaded
+        Alert.alert('Source Control', 'The file changed since its diff was shown. Check the updated diff and try again.');
+        await loadGitStatus();
+        setGitDiff(await wsClient.gitDiff(gitDiff.filePath, gitDiff.staged, gitFolder).catch(() => null));
+      } else {
+        Alert.alert('Source Control', `${label} failed: ${error instanceof BridgeRequestError ? error.message : error}`);
+      }
+      return false;
+    } finally {
+      setGitBusy(null);
+    }
+  };
+
+  const selectGitFolder = (workspaceFolder: string) => {
+    setGitFolder(workspaceFolder);
+    setGitStatus(null);
+    setGitError(null);
+    setGitBranches([]);
+    setGitDiff(null);
+  };
+
+  const openGitDiff = async (change: GitFileChange, staged: boolean) => {
+    try {
+      setGitDiff(await wsClient.gitDiff(change.filePath, staged, gitFolder));
+    } catch (error) {
+      onLog(`Failed to load diff of ${change.filePath}: ${error}`, 'error');
+      Alert.alert('Source Control', `Could not show the changes of ${change.filePath}: ${error}`);
+    }
+  };
+
+  const stageGitChange = (change?: GitFileChange) =>
+    runGitOperation(change ? `Staging ${change.filePath}` : 'Staging all changes', () =>
+      wsClient.gitStage(gitFolder, change?.filePath));
+
+  const unstageGitChange = (change?: GitFileChange) =>
+    runGitOperation(change ? `Unstaging ${change.filePath}` : 'Unstaging all changes', () =>
+      wsClient.gitUnstage(gitFolder, change?.filePath));
+
+  const toggleGitHunk = (hunk: GitHunk) => {
+    if (!gitDiff) {
+      return;
+    }
+    const {filePath, staged} = gitDiff;
+    runGitOperation(staged ? 'Unstaging hunk' : 'Staging hunk', () =>
+      staged ? wsClient.gitUnstage(gitFolder, filePath, [hunk.id]) : wsClient.gitStage(gitFolder, filePath, [hunk.id]));
+  };
+
+  const commitGit = (message: string, amend: boolean) =>
+    runGitOperation(amend ? 'Amending commit' : 'Committing', async () => {
+      const result = await wsClient.gitCommit(message, amend, gitFolder);
+      onLog(`Committed ${result.commit} on ${result.status.branch ?? 'detached HEAD'}`, 'success');
+      return result.status;
+    });
+
+  const loadGitBranches = async () => {
+    try {
+      setGitBranches(await wsClient.gitBranches(gitFolder));
+    } catch (error) {
+      onLog(`Failed to load branches: ${error}`, 'error');
+    }
+  };
+
+  // Files open in the editor follow the checkout through file change events
+  const checkoutGitBranch = async (branch: string, create: boolean) => {
+    if (await runGitOperation(create ? `Creating ${branch}` : `Switching to ${branch}`, () =>
+      wsClient.gitCheckout(branch, create, gitFolder))) {
+      onLog(`Checked out ${branch}`, 'success');
+    }
+  };
+
+  const pullGit = async () => {
+    if (await runGitOperation('Pulling', () => wsClient.gitPull(gitFolder))) {
+      onLog('Pulled from upstream', 'success');
+    }
+  };
+
+  const pushGit = async () => {
+    if (await runGitOperation('Pushing', () => wsClient.gitPush(gitFolder))) {
+      onLog('Pushed to upstream', 'success');
+    }
+  };
+
+  return (
+    <SourceControlPanel
+      status={gitStatus}
+      error={gitError}
+      branches={gitBranches}
+      diff={gitDiff}
+      workspaceFolders={workspaceFolders}
+      workspaceFolder={gitFolder}
+      isConnected={isConnected}
+      busy={gitBusy}
+      onSelectFolder={selectGitFolder}
+      onRefresh={() => loadGitStatus()}
+      onOpenDiff={openGitDiff}
+      onCloseDiff={() => setGitDiff(null)}
+      onOpenFile={(filePath: string) => onOpenFile(filePath, gitStatus?.workspaceFolder)}
+      onStage={stageGitChange}
+      onUnstage={unstageGitChange}
+      onToggleHunk={toggleGitHunk}
+      onCommit={commitGit}
+      onLoadBranches={loadGitBranches}
+      onCheckout={checkoutGitBranch}
+      onPull={pullGit}
+      onPush={pushGit}
+    />
+  );
+};
+
+export default SourceControlScreen;
@@ -0,0 +1,76 @@
+import React, {useEffect, useState} from 'react';
+import {Alert} from 'react-native';
+import {MobileDevinWebSocketClient, TaskEndEvent, TaskInfo} from '../services/WebSocketClient';
+import {TerminalSession} from '../services/TerminalSession';
+import TaskList, {TaskRunItem} from '../components/TaskList';
+
+interface TasksScreenProps {
+  wsClient: MobileDevinWebSocketClient;
+  tasks: TaskInfo[]; // listed with the project files
+  isConnected: boolean;
+  onRefresh: () => void;
+  onTerminalAttached: (session: TerminalSession) => void;
+  onShowOutput: (session: TerminalSession) => void;
+  onLog: (message: string, type: 'info' | 'error' | 'success') => void;
+}
+
+const TasksScreen: React.FC<TasksScreenProps> = ({
+  wsClient,
+  tasks,
+  isConnected,
+  onRefresh,
+  onTerminalAttached,
+  onShowOutput,
+  onLog,
+}) => {
+  const [taskRuns, setTaskRuns] = useState<TaskRunItem[]>([]); // newest first
+
+  useEffect(() => {
+    const handleTaskEnd = (event: TaskEndEvent) => {
+      setTaskRuns(prev => prev.map(item => (item.run.runId === event.runId ? {...item, end: event} : item)));
+    };
+
+    wsClient.on('taskEnd', handleTaskEnd);
+    return () => {
+      wsClient.off('taskEnd', handleTaskEnd);
+    };
+  }, [wsClient]);
+
+  // Streamed output opens as a terminal session, listed in the Terminal tab as well
+  const runTask = async (task: TaskInfo) => {
+    try {
+      const run = await wsClient.runTask(task.taskId);
+      const session = run.terminal ? TerminalSession.attach(wsClient, run.terminal) : undefined;
+      if (session) {
+        onTerminalAttached(session);
+      }
+      setTaskRuns(prev => [{run, session, startedAt: Date.now()}, ...prev]);
+      onLog(`Started task ${task.name}`, 'success');
+    } catch (error) {
+      onLog(`Failed to run task ${task.name}: ${error}`, 'error');
+      Alert.alert('Tasks', `Could not run ${task.name}: ${error}`);
+    }
+  };
+
+  const stopTask = async (item: TaskRunItem) => {
+    try {
+      await wsClient.stopTask(item.run.runId);
+    } catch (error) {
+      onLog(`Failed to stop task ${item.run.name}: ${error}`, 'error');
+    }
+  };
+
+  return (
+    <TaskList
+      tasks={tasks}
+      runs={taskRuns}
+      isConnected={isConnected}
+      onRun={runTask}
+      onStop={stopTask}
+      onShowOutput={item => item.session && onShowOutput(item.session)}
+      onRefresh={onRefresh}
+    />
+  );
+};
+
+export default TasksScreen;
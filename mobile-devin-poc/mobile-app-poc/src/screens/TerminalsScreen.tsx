@@ -0,0 +1,74 @@
+import React, {forwardRef, useImperativeHandle, useState} from 'react';
+import {Alert} from 'react-native';
+import {MobileDevinWebSocketClient} from '../services/WebSocketClient';
+import {TerminalSession} from '../services/TerminalSession';
+import TerminalPanel from '../components/TerminalPanel';
+
+// Sessions started elsewhere, such as task output, are listed here too
+export interface TerminalsScreenHandle {
+  add: (session: TerminalSession) => void;
+  show: (session: TerminalSession) => boolean; // false once the session was closed
+}
+
+interface TerminalsScreenProps {
+  wsClient: MobileDevinWebSocketClient;
+  isConnected: boolean;
+  workspaceFolder?: string; // of the open file
+  onLog: (message: string, type: 'info' | 'error' | 'success') => void;
+}
+
+const TerminalsScreen = forwardRef<TerminalsScreenHandle, TerminalsScreenProps>(({
+  wsClient,
+  isConnected,
+  workspaceFolder,
+  onLog,
+}, ref) => {
+  const [terminals, setTerminals] = useState<TerminalSession[]>([]);
+  const [activeTerminal, setActiveTerminal] = useState<TerminalSession | null>(null);
+
+  useImperativeHandle(ref, () => ({
+    add: (session: TerminalSession) => setTerminals(prev => [...prev, session]),
+    show: (session: TerminalSession) => {
+      if (!terminals.includes(session)) {
+        return false;
+      }
+      setActiveTerminal(session);
+      return true;
+    },
+  }), [terminals]);
+
+  // Shells and commands run in the workspace of the open file, or the first one
+  const startTerminal = async (command?: string) => {
+    try {
+      const session = await TerminalSession.start(wsClient, {command, workspaceFolder});
+      setTerminals(prev => [...prev, session]);
+      setActiveTerminal(session);
+      onLog(`Started ${session.title} in ${session.info.workspaceFolder}`, 'success');
+    } catch (error) {
+      onLog(`Failed to start terminal: ${error}`, 'error');
+      Alert.alert('Terminal', `Could not start the terminal: ${error}`);
+    }
+  };
+
+  const closeTerminal = (session: TerminalSession) => {
+    session.dispose();
+    const remaining = terminals.filter(terminal => terminal !== session);
+    setTerminals(remaining);
+    if (activeTerminal === session) {
+      setActiveTerminal(remaining[remaining.length - 1] ?? null);
+    }
+  };
+
+  return (
+    <TerminalPanel
+      sessions={terminals}
+      activeSession={activeTerminal}
+      isConnected={isConnected}
+      onSelect={setActiveTerminal}
+      onStart={startTerminal}
+      onClose={closeTerminal}
+    />
+  );
+});
+
+export default TerminalsScreen;
@@ -0,0 +1,141 @@
+import {EventEmitter} from 'events';
+import {
+  AgentEndEvent,
+  AgentStart,
+  AgentStartOptions,
+  AgentStepEvent,
+  ConnectionState,
+  MobileDevinWebSocketClient,
+} from './WebSocketClient';
+
+// A paused run still finishes the step in progress
+export type AgentRunState = 'starting' | 'running' | 'paused' | 'ended' | 'disconnected';
+
+export interface AgentRun {
+  task: string;
+  start: AgentStart | null; // null until the bridge accepted the task
+  steps: AgentStepEvent[]; // by index
+  state: AgentRunState;
+  end: AgentEndEvent | null;
+  error?: string; // the run could not start
+}
+
+// The latest agent run on the bridge: its steps as a timeline, updated as they change.
+// Emits 'changed' whenever the run changes.
+export class AgentSession extends EventEmitter {
+  run: AgentRun | null = null;
+  // Events for a run whose id is not known yet, as they can arrive with the response
+  private early: ({step: AgentStepEvent} | {end: AgentEndEvent})[] | null = null;
+
+  constructor(private wsClient: MobileDevinWebSocketClient) {
+    super();
+    wsClient.on('agentStep', this.handleStep);
+    wsClient.on('agentEnd', this.handleEnd);
+    wsClient.on('connectionStateChanged', this.handleConnectionState);
+  }
+
+  get isActive(): boolean {
+    return this.run !== null && this.run.state !== 'ended' && this.run.state !== 'disconnected';
+  }
+
+  async start(task: string, options?: AgentStartOptions): Promise<void> {
+    if (this.isActive) {
+      throw new Error('The agent is still working; cancel it first');
+    }
+
+    this.update({task, start: null, steps: [], state: 'starting', end: null});
+    this.early = [];
+    try {
+      const start = await this.wsClient.startAgent(task, options);
+      const early = this.early;
+      this.early = null;
+      this.update({start, state: 'running'});
+      early.forEach(event => ('step' in event ? this.handleStep(event.step) : this.handleEnd(event.end)));
+    } catch (error) {
+      this.early = null;
+      this.update({state: 'ended', error: error instanceof Error ? error.message : String(error)});
+      throw error;
+    }
+  }
+
+  async pause(): Promise<void> {
+    const runId = this.run?.start?.runId;
+    if (runId && this.run?.state === 'running') {
+      await this.wsClient.pauseAgent(runId);
+      this.updateRunning({state: 'paused'});
+    }
+  }
+
+  async resume(): Promise<void> {
+    const runId = this.run?.start?.runId;
+    if (runId && this.run?.state === 'paused') {
+      await this.wsClient.resumeAgent(runId);
+      this.updateRunning({state: 'running'});
+    }
+  }
+
+  async cancel(): Promise<void> {
+    const runId = this.run?.start?.runId;
+    if (runId && this.isActive) {
+      await this.wsClient.cancelAgent(runId);
+    }
+  }
+
+  clear(): void {
+    if (!this.isActive) {
+      this.run = null;
+      this.emit('changed');
+    }
+  }
+
+  // Stops listening; a run that is still going is cancelled on the bridge
+  dispose(): void {
+    this.cancel().catch(() => {});
+    this.wsClient.off('agentStep', this.handleStep);
+    this.wsClient.off('agentEnd', this.handleEnd);
+    this.wsClient.off('connectionStateChanged', this.handleConnectionState);
+    this.removeAllListeners();
+  }
+
+  private update(update: Partial<AgentRun>): void {
+    this.run = {...(this.run as AgentRun), ...update};
+    this.emit('changed');
+  }
+
+  // Pausing and resuming may overlap with the end of the run
+  private updateRunning(update: Partial<AgentRun>): void {
+    if (this.isActive) {
+      this.update(update);
+    }
+  }
+
+  private handleStep = (step: AgentStepEvent) => {
+    if (this.early) {
+      this.early.push({step});
+      return;
+    }
+    if (!this.run || step.runId !== this.run.start?.runId) {
+      return;
+    }
+
+    const steps = this.run.steps.filter(existing => existing.index !== step.index);
+    steps.push(step);
+    steps.sort((a, b) => a.index - b.index);
+    this.update({steps});
+  };
+
+  private handleEnd = (end: AgentEndEvent) => {
+    if (this.early) {
+      this.early.push({end});
+    } else if (this.run && end.runId === this.run.start?.runId) {
+      this.update({end, state: 'ended'});
+    }
+  };
+
+  // The bridge cancels runs whose connection closed
+  private handleConnectionState = (state: ConnectionState) => {
+    if (state !== ConnectionState.CONNECTED && this.isActive && this.run?.state !== 'starting') {
+      this.update({state: 'disconnected'});
+    }
+  };
+}
@@ -0,0 +1,157 @@
+import {EventEmitter} from 'events';
+import {
+  ChatDeltaEvent,
+  ChatEndEvent,
+  ChatFileContext,
+  ChatMessage,
+  ConnectionState,
+  MobileDevinWebSocketClient,
+} from './WebSocketClient';
+
+export type ChatReplyStatus = 'streaming' | 'done' | 'cancelled' | 'failed' | 'disconnected';
+
+export interface ChatEntry {
+  id: number;
+  role: 'user' | 'assistant';
+  content: string;
+  status?: ChatReplyStatus; // replies only
+  error?: string;
+  model?: string;
+  file?: string; // the file sent along with a question, for display
+  context?: string[]; // project code the bridge found for the question, as path:lines
+}
+
+// Older turns are dropped rather than sent again with every question
+const MAX_HISTORY_MESSAGES = 40;
+
+// A conversation with the bridge's AI provider. Each question is sent with the turns before
+// it and its reply streams into the last entry; emits 'changed' whenever entries change.
+export class ChatSession extends EventEmitter {
+  entries: ChatEntry[] = [];
+  private chatId: string | null = null;
+  private nextId = 1;
+  // Events for a chat whose id is not known yet, as they can arrive with the response
+  private early: ({delta: ChatDeltaEvent} | {end: ChatEndEvent})[] | null = null;
+
+  constructor(private wsClient: MobileDevinWebSocketClient) {
+    super();
+    wsClient.on('aiChatDelta', this.handleDelta);
+    wsClient.on('aiChatEnd', this.handleEnd);
+    wsClient.on('connectionStateChanged', this.handleConnectionState);
+  }
+
+  get isReplying(): boolean {
+    return this.early !== null || this.chatId !== null;
+  }
+
+  async send(text: string, file?: ChatFileContext): Promise<void> {
+    if (this.isReplying) {
+      throw new Error('Wait for the current reply or stop it first');
+    }
+
+    const messages = this.history({role: 'user', content: text});
+    this.entries = [
+      ...this.entries,
+      {id: this.nextId++, role: 'user', content: text, file: file?.filePath},
+      {id: this.nextId++, role: 'assistant', content: '', status: 'streaming'},
+    ];
+    this.emit('changed');
+
+    this.early = [];
+    try {
+      const {chatId, provider, model} = await this.wsClient.startChat(messages, file);
+      const early = this.early;
+      this.early = null;
+      this.chatId = chatId;
+      this.updateReply({model: `${provider}/${model}`});
+      early.forEach(event => ('delta' in event ? this.handleDelta(event.delta) : this.handleEnd(event.end)));
+    } catch (error) {
+      this.early = null;
+      this.updateReply({status: 'failed', error: error instanceof Error ? error.message : String(error)});
+      throw error;
+    }
+  }
+
+  async cancel(): Promise<void> {
+    if (this.chatId) {
+      await this.wsClient.cancelChat(this.chatId);
+    }
+  }
+
+  clear(): void {
+    if (this.chatId) {
+      this.cancel().catch(() => {});
+      this.chatId = null;
+    }
+    this.entries = [];
+    this.emit('changed');
+  }
+
+  // Stops listening; a reply that is still streaming is cancelled on the bridge
+  dispose(): void {
+    this.cancel().catch(() => {});
+    this.wsClient.off('aiChatDelta', this.handleDelta);
+    this.wsClient.off('aiChatEnd', this.handleEnd);
+    this.wsClient.off('connectionStateChanged', this.handleConnectionState);
+    this.removeAllListeners();
+  }
+
+  // Failed replies are left out and turns of the same role merged, as some providers
+  // need user and assistant turns to alternate starting with the user's
+  private history(question: ChatMessage): ChatMessage[] {
+    const turns = [...this.entries.filter(entry => entry.content.length > 0), question];
+    const messages: ChatMessage[] = [];
+    for (const {role, content} of turns.slice(-MAX_HISTORY_MESSAGES)) {
+      const last = messages[messages.length - 1];
+      if (last && last.role === role) {
+        last.content += `\n\n${content}`;
+      } else if (last || role === 'user') {
+        messages.push({role, content});
+      }
+    }
+    return messages;
+  }
+
+  private updateReply(update: Partial<ChatEntry>): void {
+    const reply = this.entries[this.entries.length - 1];
+    if (reply?.role !== 'assistant') {
+      return; // cleared meanwhile
+    }
+    this.entries = [...this.entries.slice(0, -1), {...reply, ...update}];
+    this.emit('changed');
+  }
+
+  private handleDelta = (event: ChatDeltaEvent) => {
+    if (this.early) {
+      this.early.push({delta: event});
+    } else if (event.chatId === this.chatId) {
+      this.updateReply({content: this.entries[this.entries.length - 1].content + event.text});
+    }
+  };
+
+  // The end carries the whole reply, in case a delta was missed
+  private handleEnd = (event: ChatEndEvent) => {
+    if (this.early) {
+      this.early.push({end: event});
+      return;
+    }
+    if (event.chatId !== this.chatId) {
+      return;
+    }
+    this.chatId = null;
+    this.updateReply({
+      content: event.text,
+      status: event.error ? 'failed' : event.cancelled ? 'cancelled' : 'done',
+      error: event.error?.message,
+      context: event.context?.map(location => `${location.filePath}:${location.startLine}-${location.endLine}`),
+    });
+  };
+
+  // The bridge cancels chats whose connection closed
+  private handleConnectionState = (state: ConnectionState) => {
+    if (state !== ConnectionState.CONNECTED && this.chatId) {
+      this.chatId = null;
+      this.updateReply({status: 'disconnected'});
+    }
+  };
+}
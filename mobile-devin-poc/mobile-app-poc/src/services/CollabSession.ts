@@ -0,0 +1,233 @@
+import {
+  OTClient,
+  TextEdit,
+  TextOperation,
+  operationFromEdits,
+  operationToEdits,
+  transform,
+  transformOffset,
+} from '@mobile-devin/shared';
+import {
+  CollabJoinResult,
+  CollabOperationEvent,
+  CollabParticipant,
+  CollabPresenceEvent,
+  CollabSelection,
+  CollabSelectionEvent,
+  MobileDevinWebSocketClient,
+} from './WebSocketClient';
+
+// What the session needs from the editor it keeps in sync
+export interface CollabEditor {
+  // Applies edits unless the editor changed since its last reported change; either way
+  // it must answer through handleRemoteEditsApplied or handleRemoteEditsRejected
+  applyRemoteEdits(requestId: number, edits: TextEdit[]): void;
+  setRemoteCursors(participants: CollabParticipant[]): void;
+}
+
+export interface CollabSessionCallbacks {
+  onError(error: unknown): void;
+  onClosed(): void;
+}
+
+interface PendingEditorOperation {
+  requestId: number;
+  operation: TextOperation;
+}
+
+// Live co-editing of one file. The OT client tracks the document as the bridge will see
+// it; remote operations then wait in a queue until the WebView editor has applied them,
+// and local edits made in the meantime are transformed past that queue.
+export class CollabSession {
+  readonly participantId: string;
+  private client: OTClient;
+  private editorQueue: PendingEditorOperation[] = [];
+  private inFlightRequestId: number | null = null;
+  private nextRequestId = 1;
+  private participants: Map<string, CollabParticipant> = new Map();
+  private localSelections: CollabSelection[] | null = null; // waiting to be sent
+  private disposed = false;
+
+  constructor(
+    private wsClient: MobileDevinWebSocketClient,
+    readonly workspaceFolder: string,
+    readonly filePath: string,
+    join: CollabJoinResult,
+    private editor: CollabEditor,
+    private callbacks: CollabSessionCallbacks,
+  ) {
+    this.participantId = join.participantId;
+    join.participants.forEach(participant => this.participants.set(participant.id, participant));
+
+    this.client = new OTClient(join.revision, {
+      send: (revision, operation) => this.sendOperation(revision, operation),
+      apply: operation => {
+        this.editorQueue.push({requestId: 0, operation});
+        this.flushEditorQueue();
+      },
+    });
+
+    wsClient.on('collabOperation', this.handleOperation);
+    wsClient.on('collabSelection', this.handleSelection);
+    wsClient.on('collabPresence', this.handlePresence);
+    wsClient.on('collabClosed', this.handleClosed);
+    this.renderCursors();
+  }
+
+  // Edits the user made in the editor, against a document of baseLength characters
+  handleLocalEdits(edits: TextEdit[], baseLength: number): void {
+    let operation = operationFromEdits(baseLength, edits);
+
+    // Queued remote operations were made without this edit and vice versa
+    for (const pending of this.editorQueue) {
+      [operation, pending.operation] = transform(operation, pending.operation);
+    }
+    // An apply request in flight is rejected by the editor and sent again transformed
+    this.inFlightRequestId = null;
+
+    this.transformCursors(operation);
+    this.client.applyLocal(operation);
+    this.flushEditorQueue();
+  }
+
+  handleRemoteEditsApplied(requestId: number): void {
+    if (requestId !== this.inFlightRequestId) {
+      return;
+    }
+
+    const applied = this.editorQueue.shift();
+    this.inFlightRequestId = null;
+    if (applied) {
+      this.transformCursors(applied.operation);
+    }
+
+    this.flushEditorQueue();
+    this.flushSelections();
+  }
+
+  handleRemoteEditsRejected(requestId: number): void {
+    if (requestId === this.inFlightRequestId) {
+      this.inFlightRequestId = null;
+      this.flushEditorQueue();
+    }
+  }
+
+  handleLocalSelections(selections: CollabSelection[]): void {
+    this.localSelections = selections;
+    this.flushSelections();
+  }
+
+  async save(): Promise<void> {
+    await this.wsClient.saveCollab(this.filePath, this.workspaceFolder);
+  }
+
+  async leave(): Promise<void> {
+    this.dispose();
+    await this.wsClient.leaveCollab(this.filePath, this.workspaceFolder);
+  }
+
+  dispose(): void {
+    if (this.disposed) {
+      return;
+    }
+    this.disposed = true;
+    this.wsClient.off('collabOperation', this.handleOperation);
+    this.wsClient.off('collabSelection', this.handleSelection);
+    this.wsClient.off('collabPresence', this.handlePresence);
+    this.wsClient.off('collabClosed', this.handleClosed);
+  }
+
+  private sendOperation(revision: number, operation: TextOperation): void {
+    this.wsClient
+      .sendCollabOperation(this.filePath, this.workspaceFolder, revision, operation)
+      .then(() => {
+        if (!this.disposed) {
+          this.client.acknowledge();
+          this.flushSelections();
+        }
+      })
+      .catch(error => {
+        if (!this.disposed) {
+          this.callbacks.onError(error);
+        }
+      });
+  }
+
+  // One apply request is outstanding at a time, so each is made against a known editor state
+  private flushEditorQueue(): void {
+    if (this.disposed || this.inFlightRequestId !== null || this.editorQueue.length === 0) {
+      return;
+    }
+
+    const next = this.editorQueue[0];
+    next.requestId = this.nextRequestId++;
+    this.inFlightRequestId = next.requestId;
+    this.editor.applyRemoteEdits(next.requestId, operationToEdits(next.operation));
+  }
+
+  // Selections are offsets at a bridge revision, so they are only sent while nothing local
+  // is still on its way there
+  private flushSelections(): void {
+    if (
+      this.disposed ||
+      !this.localSelections ||
+      this.client.hasPendingChanges() ||
+      this.editorQueue.length > 0
+    ) {
+      return;
+    }
+
+    try {
+      this.wsClient.sendCollabSelection(this.filePath, this.workspaceFolder, this.client.revision, this.localSelections);
+      this.localSelections = null;
+    } catch (error) {
+      console.warn('Failed to send selections:', error);
+    }
+  }
+
+  private isForThisFile(event: {workspaceFolder: string; filePath: string}): boolean {
+    return event.workspaceFolder === this.workspaceFolder && event.filePath === this.filePath;
+  }
+
+  private handleOperation = (event: CollabOperationEvent) => {
+    if (this.isForThisFile(event)) {
+      this.client.applyRemote(event.operation);
+    }
+  };
+
+  private handleSelection = (event: CollabSelectionEvent) => {
+    if (this.isForThisFile(event)) {
+      this.participants.set(event.participant.id, event.participant);
+      this.renderCursors();
+    }
+  };
+
+  private handlePresence = (event: CollabPresenceEvent) => {
+    if (this.isForThisFile(event)) {
+      this.participants = new Map(event.participants.map(participant => [participant.id, participant]));
+      this.renderCursors();
+    }
+  };
+
+  private handleClosed = (event: {workspaceFolder: string; filePath: string}) => {
+    if (this.isForThisFile(event)) {
+      this.dispose();
+      this.callbacks.onClosed();
+    }
+  };
+
+  // Keeps remote cursors in place as the document changes under them
+  private transformCursors(operation: TextOperation): void {
+    this.participants.forEach(participant => {
+      participant.selections = participant.selections.map(selection => ({
+        anchor: transformOffset(selection.anchor, operation),
+        head: transformOffset(selection.head, operation),
+      }));
+    });
+    this.renderCursors();
+  }
+
+  private renderCursors(): void {
+    this.editor.setRemoteCursors(Array.from(this.participants.values()));
+  }
+}
@@ -0,0 +1,94 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Keychain from 'react-native-keychain';
+
+export interface BridgeCredentials {
+  serverUrl: string;
+  token: string;
+  deviceId: string;
+  deviceName: string;
+  certificate?: string; // pinned PEM of a wss:// bridge
+}
+
+export interface PairingPayload {
+  v: number;
+  host: string;
+  port: number;
+  code: string;
+  expiresAt?: number;
+  tls?: boolean;
+  fingerprint?: string;
+}
+
+const CREDENTIALS_KEY = '@mobileDevin/credentials';
+// The token lives in the Keychain (iOS) or the Keystore-encrypted storage (Android);
+// AsyncStorage only keeps where and as whom to connect
+const TOKEN_SERVICE = 'mobileDevin.bridgeToken';
+// Kept beside the token so the pin cannot be swapped without also reaching the Keychain
+const CERTIFICATE_SERVICE = 'mobileDevin.bridgeCertificate';
+
+type StoredCredentials = Omit<BridgeCredentials, 'token' | 'certificate'> & {token?: string};
+
+export const loadCredentials = async (): Promise<BridgeCredentials | null> => {
+  try {
+    const stored = await AsyncStorage.getItem(CREDENTIALS_KEY);
+    if (!stored) {
+      return null;
+    }
+
+    const {token: legacyToken, ...credentials}: StoredCredentials = JSON.parse(stored);
+    if (legacyToken) {
+      // Written before the token moved to secure storage
+      await saveCredentials({...credentials, token: legacyToken});
+      return {...credentials, token: legacyToken};
+    }
+
+    const secret = await Keychain.getGenericPassword({service: TOKEN_SERVICE});
+    if (!secret || secret.username !== credentials.deviceId) {
+      return null;
+    }
+    const pinned = await Keychain.getGenericPassword({service: CERTIFICATE_SERVICE});
+    const certificate = pinned && pinned.username === credentials.deviceId ? pinned.password : undefined;
+    return {...credentials, token: secret.password, certificate};
+  } catch (error) {
+    console.error('Failed to load bridge credentials:', error);
+    return null;
+  }
+};
+
+export const saveCredentials = async ({token, certificate, ...credentials}: BridgeCredentials): Promise<void> => {
+  await Keychain.setGenericPassword(credentials.deviceId, token, {
+    service: TOKEN_SERVICE,
+    accessible: Keychain.ACCESSIBLE.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+  });
+  if (certificate) {
+    await Keychain.setGenericPassword(credentials.deviceId, certificate, {
+      service: CERTIFICATE_SERVICE,
+      accessible: Keychain.ACCESSIBLE.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+    });
+  } else {
+    await Keychain.resetGenericPassword({service: CERTIFICATE_SERVICE});
+  }
+  await AsyncStorage.setItem(CREDENTIALS_KEY, JSON.stringify(credentials));
+};
+
+export const clearCredentials = async (): Promise<void> => {
+  await Keychain.resetGenericPassword({service: TOKEN_SERVICE});
+  await Keychain.resetGenericPassword({service: CERTIFICATE_SERVICE});
+  await AsyncStorage.removeItem(CREDENTIALS_KEY);
+};
+
+export const getPairingServerUrl = (payload: PairingPayload): string =>
+  `${payload.tls ? 'wss' : 'ws'}://${payload.host}:${payload.port}`;
+
+// Accepts the JSON payload encoded in the pairing QR code
+export const parsePairingPayload = (input: string): PairingPayload | null => {
+  try {
+    const payload = JSON.parse(input.trim());
+    if (payload && typeof payload.host === 'string' && typeof payload.port === 'number' && typeof payload.code === 'string') {
+      return payload;
+    }
+  } catch (error) {
+    // Not a pairing payload
+  }
+  return null;
+};
@@ -0,0 +1,168 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {FileVersion, ProjectFileEntry, WorkspaceFolderInfo} from './WebSocketClient';
+
+export interface ProjectSnapshot {
+  folders: WorkspaceFolderInfo[];
+  files: ProjectFileEntry[];
+  total: number;
+  cachedAt: number;
+}
+
+export interface CachedFileInfo {
+  workspaceFolder?: string;
+  filePath: string;
+  version: FileVersion;
+  length: number; // characters, counted against MAX_CACHED_CHARACTERS
+  lastUsed: number;
+}
+
+export interface CachedFile extends CachedFileInfo {
+  content: string;
+}
+
+const PROJECT_KEY = '@mobileDevin/cache/project';
+const INDEX_KEY = '@mobileDevin/cache/files';
+const CONTENT_KEY_PREFIX = '@mobileDevin/cache/content/';
+
+// Recently opened files kept for offline reading; the least recently used go first
+const MAX_CACHED_FILES = 50;
+const MAX_CACHED_CHARACTERS = 2 * 1024 * 1024;
+
+const getFileKey = (filePath: string, workspaceFolder?: string): string => `${workspaceFolder ?? ''}/${filePath}`;
+
+// On-device copy of the project tree and recently opened files. Contents are stored by
+// version hash, so a file is re-downloaded only when the bridge reports a different hash.
+export class FileCache {
+  private index: Map<string, CachedFileInfo> = new Map();
+  private loading: Promise<void> | null = null;
+  private saving: Promise<void> = Promise.resolve();
+
+  load(): Promise<void> {
+    if (!this.loading) {
+      this.loading = AsyncStorage.getItem(INDEX_KEY)
+        .then(stored => {
+          const entries: CachedFileInfo[] = stored ? JSON.parse(stored) : [];
+          this.index = new Map(entries.map(entry => [getFileKey(entry.filePath, entry.workspaceFolder), entry]));
+        })
+        .catch(error => {
+          console.error('Failed to load file cache:', error);
+        });
+    }
+    return this.loading;
+  }
+
+  async loadProject(): Promise<ProjectSnapshot | null> {
+    try {
+      const stored = await AsyncStorage.getItem(PROJECT_KEY);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.error('Failed to load cached project:', error);
+      return null;
+    }
+  }
+
+  async saveProject(snapshot: ProjectSnapshot): Promise<void> {
+    await AsyncStorage.setItem(PROJECT_KEY, JSON.stringify(snapshot));
+  }
+
+  async getCachedFiles(): Promise<CachedFileInfo[]> {
+    await this.load();
+    return Array.from(this.index.values());
+  }
+
+  isCached(filePath: string, workspaceFolder?: string): boolean {
+    return this.index.has(getFileKey(filePath, workspaceFolder));
+  }
+
+  async getFile(filePath: string, workspaceFolder?: string): Promise<CachedFile | null> {
+    await this.load();
+    const info = this.index.get(getFileKey(filePath, workspaceFolder));
+    if (!info) {
+      return null;
+    }
+
+    const content = await AsyncStorage.getItem(CONTENT_KEY_PREFIX + info.version.hash);
+    if (content === null) {
+      // The content was evicted or never written; forget the entry
+      await this.removeFile(filePath, workspaceFolder);
+      return null;
+    }
+
+    info.lastUsed = Date.now();
+    this.persistIndex();
+    return {...info, content};
+  }
+
+  async putFile(filePath: string, workspaceFolder: string | undefined, content: string, version: FileVersion): Promise<void> {
+    await this.load();
+    const key = getFileKey(filePath, workspaceFolder);
+    const previous = this.index.get(key);
+
+    if (previous?.version.hash !== version.hash) {
+      await AsyncStorage.setItem(CONTENT_KEY_PREFIX + version.hash, content);
+    }
+    this.index.set(key, {workspaceFolder, filePath, version, length: content.length, lastUsed: Date.now()});
+
+    if (previous && previous.version.hash !== version.hash) {
+      await this.releaseContent(previous.version.hash);
+    }
+    await this.evict();
+    await this.persistIndex();
+  }
+
+  async removeFile(filePath: string, workspaceFolder?: string): Promise<void> {
+    await this.load();
+    const key = getFileKey(filePath, workspaceFolder);
+    const info = this.index.get(key);
+    if (!info) {
+      return;
+    }
+
+    this.index.delete(key);
+    await this.releaseContent(info.version.hash);
+    await this.persistIndex();
+  }
+
+  async clear(): Promise<void> {
+    await this.load();
+    const keys = Array.from(this.index.values()).map(info => CONTENT_KEY_PREFIX + info.version.hash);
+    this.index.clear();
+    await AsyncStorage.multiRemove([...keys, PROJECT_KEY, INDEX_KEY]);
+  }
+
+  private async evict(): Promise<void> {
+    const entries = Array.from(this.index.entries()).sort(([, a], [, b]) => b.lastUsed - a.lastUsed);
+    let kept = 0;
+    let characters = 0;
+
+    for (const [key, info] of entries) {
+      // The most recent file stays even if it alone exceeds the budget
+      if (kept === 0 || (kept < MAX_CACHED_FILES && characters + info.length <= MAX_CACHED_CHARACTERS)) {
+        kept++;
+        characters += info.length;
+      } else {
+        this.index.delete(key);
+        await this.releaseContent(info.version.hash);
+      }
+    }
+  }
+
+  // Identical files share one stored content
+  private async releaseContent(hash: string): Promise<void> {
+    const stillUsed = Array.from(this.index.values()).some(info => info.version.hash === hash);
+    if (!stillUsed) {
+      await AsyncStorage.removeItem(CONTENT_KEY_PREFIX + hash);
+    }
+  }
+
+  // Writes are chained so an older index never lands after a newer one
+  private persistIndex(): Promise<void> {
+    const snapshot = JSON.stringify(Array.from(this.index.values()));
+    this.saving = this.saving
+      .then(() => AsyncStorage.setItem(INDEX_KEY, snapshot))
+      .catch(error => {
+        console.error('Failed to save file cache:', error);
+      });
+    return this.saving;
+  }
+}
@@ -0,0 +1,102 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {EventEmitter} from 'events';
+
+export type OutboxStatus = 'pending' | 'sending' | 'conflict' | 'failed';
+
+export interface OutboxEntry {
+  id: string;
+  type: string;
+  payload: any;
+  // Identifies what the message changes, e.g. one file, so later edits can replace it
+  key?: string;
+  status: OutboxStatus;
+  queuedAt: number;
+  attempts: number;
+  error?: {code: string; message: string; details?: Record<string, any>};
+}
+
+const OUTBOX_KEY = '@mobileDevin/outbox';
+
+// Mutating messages made while the bridge is unreachable, persisted so they survive the
+// app being closed. MobileDevinWebSocketClient replays them in queue order.
+export class OutboundQueue extends EventEmitter {
+  private entries: OutboxEntry[] = [];
+  private loading: Promise<void> | null = null;
+  private saving: Promise<void> = Promise.resolve();
+
+  load(): Promise<void> {
+    if (!this.loading) {
+      this.loading = AsyncStorage.getItem(OUTBOX_KEY)
+        .then(stored => {
+          const entries: OutboxEntry[] = stored ? JSON.parse(stored) : [];
+          // An entry the app stopped while sending may or may not have arrived; replay checks
+          this.entries = entries.map(entry => (entry.status === 'sending' ? {...entry, status: 'pending'} : entry));
+          this.emit('changed', this.getEntries());
+        })
+        .catch(error => {
+          console.error('Failed to load outbound queue:', error);
+        });
+    }
+    return this.loading;
+  }
+
+  getEntries(): OutboxEntry[] {
+    return [...this.entries];
+  }
+
+  async enqueue(type: string, payload: any, key?: string): Promise<OutboxEntry> {
+    await this.load();
+    const entry: OutboxEntry = {
+      id: Math.random().toString(36).substr(2, 9),
+      type,
+      payload,
+      key,
+      status: 'pending',
+      queuedAt: Date.now(),
+      attempts: 0,
+    };
+    this.entries.push(entry);
+    await this.persist();
+    return entry;
+  }
+
+  // Entries for the key that have not been answered by the bridge yet
+  async findUnsent(key: string): Promise<OutboxEntry[]> {
+    await this.load();
+    return this.entries.filter(entry => entry.key === key && (entry.status === 'pending' || entry.status === 'sending'));
+  }
+
+  async nextPending(): Promise<OutboxEntry | undefined> {
+    await this.load();
+    return this.entries.find(entry => entry.status === 'pending');
+  }
+
+  async update(id: string, changes: Partial<Omit<OutboxEntry, 'id'>>): Promise<OutboxEntry | undefined> {
+    await this.load();
+    const index = this.entries.findIndex(entry => entry.id === id);
+    if (index < 0) {
+      return undefined;
+    }
+    this.entries[index] = {...this.entries[index], ...changes};
+    await this.persist();
+    return this.entries[index];
+  }
+
+  async remove(id: string): Promise<void> {
+    await this.load();
+    this.entries = this.entries.filter(entry => entry.id !== id);
+    await this.persist();
+  }
+
+  // Writes are chained so an older snapshot never lands after a newer one
+  private persist(): Promise<void> {
+    const snapshot = JSON.stringify(this.entries);
+    this.emit('changed', this.getEntries());
+    this.saving = this.saving
+      .then(() => AsyncStorage.setItem(OUTBOX_KEY, snapshot))
+      .catch(error => {
+        console.error('Failed to save outbound queue:', error);
+      });
+    return this.saving;
+  }
+}
@@ -0,0 +1,323 @@
+import TcpSocket from 'react-native-tcp-socket';
+import {Buffer} from 'buffer';
+import {sha1} from '@noble/hashes/sha1';
+import {sha256} from '@noble/hashes/sha256';
+import {bytesToHex, randomBytes, utf8ToBytes} from '@noble/hashes/utils';
+
+// The part of WebSocket the client uses, so a PinnedWebSocket can stand in for it
+export type BridgeSocket = Pick<WebSocket, 'readyState' | 'send' | 'close' | 'onopen' | 'onmessage' | 'onerror' | 'onclose'>;
+
+type TlsSocket = ReturnType<typeof TcpSocket.connectTLS>;
+// rejectUnauthorized is read by the native module but missing from its typings
+type TlsOptions = Parameters<typeof TcpSocket.connectTLS>[0] & {rejectUnauthorized?: boolean};
+
+interface BridgeAddress {
+  host: string;
+  port: number;
+  path: string;
+}
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const CERTIFICATE_PATH = '/certificate';
+const CERTIFICATE_TIMEOUT_MS = 10000;
+const CLOSE_TIMEOUT_MS = 1000; // for the bridge to answer a close frame
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+// RN's URL is incomplete, so wss://host:port/path is split by hand
+const parseBridgeUrl = (url: string): BridgeAddress => {
+  const match = /^wss:\/\/(\[[^\]]+\]|[^/:?#]+)(?::(\d+))?([/?][^#]*)?$/i.exec(url.trim());
+  if (!match) {
+    throw new Error(`Not a wss:// URL: ${url}`);
+  }
+  return {
+    host: match[1].replace(/^\[|\]$/g, ''),
+    port: match[2] ? Number(match[2]) : 443,
+    path: match[3] ? (match[3].startsWith('/') ? match[3] : `/${match[3]}`) : '/',
+  };
+};
+
+const hostHeader = ({host, port}: BridgeAddress): string =>
+  `${host.includes(':') ? `[${host}]` : host}:${port}`;
+
+// SHA-256 of the DER certificate, colon-separated upper-case hex as Node.js reports it
+export const certificateFingerprint = (certificate: string): string => {
+  const der = Buffer.from(certificate.replace(/-----(BEGIN|END) CERTIFICATE-----|\s+/g, ''), 'base64');
+  return bytesToHex(sha256(der)).toUpperCase().match(/../g)!.join(':');
+};
+
+export const isSameFingerprint = (a: string, b: string): boolean =>
+  a.replace(/:/g, '').toUpperCase() === b.replace(/:/g, '').toUpperCase();
+
+// Downloads the certificate of a bridge over an unverified TLS connection. Whatever comes back
+// is only trusted after its fingerprint matched the pairing QR code, or on first use without one.
+export const fetchBridgeCertificate = (url: string): Promise<string> => {
+  const address = parseBridgeUrl(url);
+  const options: TlsOptions = {host: address.host, port: address.port, rejectUnauthorized: false};
+
+  return new Promise((resolve, reject) => {
+    let response = Buffer.alloc(0);
+    let settled = false;
+    const finish = (error: Error | null, certificate?: string) => {
+      if (!settled) {
+        settled = true;
+        clearTimeout(timer);
+        socket.destroy();
+        error ? reject(error) : resolve(certificate!);
+      }
+    };
+
+    const socket = TcpSocket.connectTLS(options, () => {
+      // HTTP/1.0, so the body comes unchunked and ends with the connection
+      socket.write(`GET ${CERTIFICATE_PATH} HTTP/1.0\r\nHost: ${hostHeader(address)}\r\n\r\n`);
+    });
+    const timer = setTimeout(() => finish(new Error('The bridge did not send its certificate')), CERTIFICATE_TIMEOUT_MS);
+
+    socket.on('data', data => {
+      response = Buffer.concat([response, Buffer.from(data as Uint8Array)]);
+    });
+    socket.on('error', error => finish(error));
+    socket.on('close', () => {
+      const text = response.toString('utf8');
+      const headerEnd = text.indexOf('\r\n\r\n');
+      const certificate = headerEnd >= 0 ? text.slice(headerEnd + 4).trim() : '';
+      if (!/^HTTP\/1\.[01] 200 /.test(text) || !certificate.startsWith('-----BEGIN CERTIFICATE-----')) {
+        finish(new Error('The bridge did not send its certificate'));
+      } else {
+        finish(null, certificate);
+      }
+    });
+  });
+};
+
+// A WebSocket client over a TLS socket that only accepts the given certificate. React Native's
+// WebSocket checks certificates against the system CAs, which the bridge's self-signed one
+// is not signed by, and cannot pin.
+export class PinnedWebSocket implements BridgeSocket {
+  static readonly CONNECTING = 0;
+  static readonly OPEN = 1;
+  static readonly CLOSING = 2;
+  static readonly CLOSED = 3;
+
+  readyState = PinnedWebSocket.CONNECTING;
+  onopen: BridgeSocket['onopen'] = null;
+  onmessage: BridgeSocket['onmessage'] = null;
+  onerror: BridgeSocket['onerror'] = null;
+  onclose: BridgeSocket['onclose'] = null;
+
+  private socket: TlsSocket;
+  private received = Buffer.alloc(0);
+  private handshakeKey = Buffer.from(randomBytes(16)).toString('base64');
+  private fragments: Buffer[] = [];
+  private closeEvent: {code: number; reason: string} | null = null;
+  private closeTimer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor(url: string, certificate: string) {
+    const address = parseBridgeUrl(url);
+    // With a CA given, the native TLS layer accepts exactly this certificate and nothing else
+    const options: TlsOptions = {host: address.host, port: address.port, ca: certificate};
+
+    this.socket = TcpSocket.connectTLS(options, () => {
+      this.socket.write(
+        `GET ${address.path} HTTP/1.1\r\n` +
+        `Host: ${hostHeader(address)}\r\n` +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Key: ${this.handshakeKey}\r\n` +
+        'Sec-WebSocket-Version: 13\r\n\r\n',
+      );
+    });
+    this.socket.on('data', data => this.handleData(Buffer.from(data as Uint8Array)));
+    this.socket.on('error', error => this.onerror?.({message: error.message} as WebSocketErrorEvent));
+    this.socket.on('close', () => this.handleSocketClose());
+  }
+
+  send(data: string | ArrayBuffer | ArrayBufferView | Blob): void {
+    if (this.readyState !== PinnedWebSocket.OPEN) {
+      throw new Error('WebSocket is not open');
+    }
+    if (typeof data !== 'string') {
+      throw new Error('Only text messages are supported');
+    }
+    this.sendFrame(OPCODE_TEXT, Buffer.from(data, 'utf8'));
+  }
+
+  close(code: number = 1000, reason: string = ''): void {
+    if (this.readyState === PinnedWebSocket.CLOSING || this.readyState === PinnedWebSocket.CLOSED) {
+      return;
+    }
+    if (this.readyState === PinnedWebSocket.CONNECTING) {
+      this.readyState = PinnedWebSocket.CLOSING;
+      this.socket.destroy();
+      return;
+    }
+
+    this.readyState = PinnedWebSocket.CLOSING;
+    const reasonBytes = Buffer.from(reason, 'utf8');
+    const payload = Buffer.alloc(2 + reasonBytes.length);
+    payload.writeUInt16BE(code, 0);
+    reasonBytes.copy(payload, 2);
+    this.sendFrame(OPCODE_CLOSE, payload);
+    this.closeTimer = setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT_MS);
+  }
+
+  private handleData(data: Buffer): void {
+    this.received = Buffer.concat([this.received, data]);
+
+    if (this.readyState === PinnedWebSocket.CONNECTING) {
+      const headerEnd = this.received.indexOf('\r\n\r\n');
+      if (headerEnd < 0) {
+        return;
+      }
+      const header = this.received.slice(0, headerEnd).toString('utf8');
+      this.received = this.received.slice(headerEnd + 4);
+      if (!this.isHandshakeAccepted(header)) {
+        this.fail(`The bridge refused the WebSocket upgrade: ${header.split('\r\n')[0]}`);
+        return;
+      }
+      this.readyState = PinnedWebSocket.OPEN;
+      this.onopen?.();
+    }
+
+    this.readFrames();
+  }
+
+  private isHandshakeAccepted(header: string): boolean {
+    const [statusLine, ...lines] = header.split('\r\n');
+    const accept = lines
+      .map(line => /^sec-websocket-accept:\s*(.+)$/i.exec(line))
+      .find(match => match !== null);
+    const expected = Buffer.from(sha1(utf8ToBytes(this.handshakeKey + WEBSOCKET_GUID))).toString('base64');
+    return /^HTTP\/1\.1 101 /.test(statusLine) && accept?.[1].trim() === expected;
+  }
+
+  private readFrames(): void {
+    while (this.readyState === PinnedWebSocket.OPEN || this.readyState === PinnedWebSocket.CLOSING) {
+      if (this.received.length < 2) {
+        return;
+      }
+      const fin = (this.received[0] & 0x80) !== 0;
+      const opcode = this.received[0] & 0x0f;
+      if ((this.received[1] & 0x80) !== 0) {
+        this.fail('The bridge sent a masked frame');
+        return;
+      }
+
+      let length = this.received[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (this.received.length < 4) {
+          return;
+        }
+        length = this.received.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.received.length < 10) {
+          return;
+        }
+        if (this.received.readUInt32BE(2) !== 0) {
+          this.fail('The bridge sent a frame that is too large');
+          return;
+        }
+        length = this.received.readUInt32BE(6);
+        offset = 10;
+      }
+      if (this.received.length < offset + length) {
+        return;
+      }
+
+      const payload = this.received.slice(offset, offset + length);
+      this.received = this.received.slice(offset + length);
+      this.handleFrame(fin, opcode, payload);
+    }
+  }
+
+  private handleFrame(fin: boolean, opcode: number, payload: Buffer): void {
+    switch (opcode) {
+      case OPCODE_TEXT:
+      case OPCODE_BINARY:
+      case OPCODE_CONTINUATION:
+        this.fragments.push(payload);
+        if (fin) {
+          const message = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = [];
+          this.onmessage?.({data: message} as WebSocketMessageEvent);
+        }
+        break;
+
+      case OPCODE_CLOSE:
+        this.closeEvent = {
+          code: payload.length >= 2 ? payload.readUInt16BE(0) : 1005,
+          reason: payload.length > 2 ? payload.slice(2).toString('utf8') : '',
+        };
+        if (this.readyState === PinnedWebSocket.OPEN) {
+          // Answer with the same code, as the protocol asks
+          this.readyState = PinnedWebSocket.CLOSING;
+          this.sendFrame(OPCODE_CLOSE, payload.slice(0, 2));
+        }
+        this.socket.end();
+        break;
+
+      case OPCODE_PING:
+        this.sendFrame(OPCODE_PONG, payload);
+        break;
+
+      case OPCODE_PONG:
+        break;
+
+      default:
+        this.fail(`The bridge sent an unknown frame type ${opcode}`);
+    }
+  }
+
+  // Frames from a client are always masked
+  private sendFrame(opcode: number, payload: Buffer): void {
+    const lengthBytes = payload.length < 126 ? 0 : payload.length < 0x10000 ? 2 : 8;
+    const frame = Buffer.alloc(2 + lengthBytes + 4 + payload.length);
+    frame[0] = 0x80 | opcode;
+    if (lengthBytes === 0) {
+      frame[1] = 0x80 | payload.length;
+    } else if (lengthBytes === 2) {
+      frame[1] = 0x80 | 126;
+      frame.writeUInt16BE(payload.length, 2);
+    } else {
+      frame[1] = 0x80 | 127;
+      frame.writeUInt32BE(0, 2);
+      frame.writeUInt32BE(payload.length, 6);
+    }
+
+    const maskOffset = 2 + lengthBytes;
+    const mask = randomBytes(4);
+    frame.set(mask, maskOffset);
+    for (let i = 0; i < payload.length; i++) {
+      frame[maskOffset + 4 + i] = payload[i] ^ mask[i % 4];
+    }
+    this.socket.write(frame);
+  }
+
+  private fail(message: string): void {
+    this.onerror?.({message} as WebSocketErrorEvent);
+    this.closeEvent = {code: 1002, reason: message};
+    this.readyState = PinnedWebSocket.CLOSING;
+    this.socket.destroy();
+  }
+
+  private handleSocketClose(): void {
+    if (this.closeTimer) {
+      clearTimeout(this.closeTimer);
+      this.closeTimer = null;
+    }
+    if (this.readyState === PinnedWebSocket.CLOSED) {
+      return;
+    }
+    this.readyState = PinnedWebSocket.CLOSED;
+    // 1006: the connection dropped, or the certificate was refused, without a close frame
+    const {code, reason} = this.closeEvent ?? {code: 1006, reason: ''};
+    this.onclose?.({code, reason} as WebSocketCloseEvent);
+  }
+}
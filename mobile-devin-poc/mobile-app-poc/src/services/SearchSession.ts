@@ -0,0 +1,94 @@
+import {EventEmitter} from 'events';
+import {
+  ConnectionState,
+  FileSearchMatch,
+  MobileDevinWebSocketClient,
+  SearchEndEvent,
+  SearchQuery,
+  SearchResultsEvent,
+  TextSearchMatch,
+} from './WebSocketClient';
+
+export type SearchStatus = 'running' | 'done' | 'cancelled' | 'failed' | 'disconnected';
+
+// One search on the bridge. Results are collected as they stream in; emits 'changed'
+// whenever results or status change.
+export class SearchSession extends EventEmitter {
+  status: SearchStatus = 'running';
+  results: (FileSearchMatch | TextSearchMatch)[] = [];
+  end: SearchEndEvent | null = null;
+
+  static async start(wsClient: MobileDevinWebSocketClient, query: SearchQuery): Promise<SearchSession> {
+    // Results can be handled in the same batch as the response, before this continues
+    const early: ({results: SearchResultsEvent} | {end: SearchEndEvent})[] = [];
+    const collectResults = (results: SearchResultsEvent) => early.push({results});
+    const collectEnd = (end: SearchEndEvent) => early.push({end});
+    wsClient.on('searchResults', collectResults);
+    wsClient.on('searchEnd', collectEnd);
+
+    let searchId: string;
+    try {
+      searchId = await wsClient.startSearch(query);
+    } finally {
+      wsClient.off('searchResults', collectResults);
+      wsClient.off('searchEnd', collectEnd);
+    }
+
+    const session = new SearchSession(wsClient, query, searchId);
+    early.forEach(event => ('results' in event ? session.handleResults(event.results) : session.handleEnd(event.end)));
+    return session;
+  }
+
+  private constructor(
+    private wsClient: MobileDevinWebSocketClient,
+    readonly query: SearchQuery,
+    readonly searchId: string,
+  ) {
+    super();
+    wsClient.on('searchResults', this.handleResults);
+    wsClient.on('searchEnd', this.handleEnd);
+    wsClient.on('connectionStateChanged', this.handleConnectionState);
+  }
+
+  async cancel(): Promise<void> {
+    if (this.status === 'running') {
+      await this.wsClient.cancelSearch(this.searchId);
+    }
+  }
+
+  // Stops listening; a search that is still running is cancelled on the bridge
+  dispose(): void {
+    if (this.status === 'running') {
+      this.cancel().catch(() => {});
+    }
+    this.wsClient.off('searchResults', this.handleResults);
+    this.wsClient.off('searchEnd', this.handleEnd);
+    this.wsClient.off('connectionStateChanged', this.handleConnectionState);
+    this.removeAllListeners();
+  }
+
+  private handleResults = (event: SearchResultsEvent) => {
+    if (event.searchId !== this.searchId) {
+      return;
+    }
+    this.results = [...this.results, ...event.results];
+    this.emit('changed');
+  };
+
+  private handleEnd = (event: SearchEndEvent) => {
+    if (event.searchId !== this.searchId) {
+      return;
+    }
+    this.end = event;
+    this.status = event.error ? 'failed' : event.cancelled ? 'cancelled' : 'done';
+    this.emit('changed');
+  };
+
+  // The bridge ends searches whose connection closed
+  private handleConnectionState = (state: ConnectionState) => {
+    if (state !== ConnectionState.CONNECTED && this.status === 'running') {
+      this.status = 'disconnected';
+      this.emit('changed');
+    }
+  };
+}
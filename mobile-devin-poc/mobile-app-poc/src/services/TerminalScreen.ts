@@ -0,0 +1,294 @@
+export interface TerminalStyle {
+  color?: string;
+  backgroundColor?: string;
+  bold?: boolean;
+  dim?: boolean;
+  italic?: boolean;
+  underline?: boolean;
+  inverse?: boolean;
+}
+
+export interface TerminalSpan {
+  text: string;
+  style: TerminalStyle;
+}
+
+export interface TerminalLine {
+  id: number;
+  spans: TerminalSpan[];
+}
+
+interface Cell {
+  char: string;
+  style: TerminalStyle;
+}
+
+const ESC = '\x1b';
+const PLAIN: TerminalStyle = {};
+const MAX_LINES = 2000;
+const TAB_WIDTH = 8;
+
+// xterm's default colors, normal then bright
+const ANSI_COLORS = [
+  '#000000', '#CD3131', '#0DBC79', '#E5E510', '#2472C8', '#BC3FBC', '#11A8CD', '#E5E5E5',
+  '#666666', '#F14C4C', '#23D18B', '#F5F543', '#3B8EEA', '#D670D6', '#29B8DB', '#FFFFFF',
+];
+
+const toHex = (value: number): string => value.toString(16).padStart(2, '0');
+
+const getColor256 = (index: number): string | undefined => {
+  if (index < 16) {
+    return ANSI_COLORS[index];
+  }
+  if (index < 232) {
+    const cube = index - 16;
+    const level = (value: number) => (value === 0 ? 0 : 55 + value * 40);
+    return `#${toHex(level(Math.floor(cube / 36)))}${toHex(level(Math.floor(cube / 6) % 6))}${toHex(level(cube % 6))}`;
+  }
+  if (index < 256) {
+    const gray = 8 + (index - 232) * 10;
+    return `#${toHex(gray)}${toHex(gray)}${toHex(gray)}`;
+  }
+  return undefined;
+};
+
+// Reads 5;n or 2;r;g;b after a 38 or 48 parameter; returns the color and how many
+// parameters it used
+const readExtendedColor = (params: number[], start: number): [string | undefined, number] => {
+  if (params[start] === 5) {
+    return [getColor256(params[start + 1]), 2];
+  }
+  if (params[start] === 2) {
+    const [r, g, b] = params.slice(start + 1, start + 4).map(value => Math.min(255, value || 0));
+    return [`#${toHex(r)}${toHex(g)}${toHex(b)}`, 4];
+  }
+  return [undefined, 0];
+};
+
+// Turns a stream of terminal output into styled lines. Colors, text attributes and the
+// cursor movements progress bars use (carriage return, erase line) are interpreted; other
+// escape sequences are dropped. Output can be written in chunks that split sequences.
+export class TerminalScreen {
+  private lines: TerminalLine[] = [];
+  private cells: Cell[] = []; // the line the cursor is on
+  private cursor = 0;
+  private style: TerminalStyle = PLAIN; // replaced, never mutated, so cells can share it
+  private incomplete = ''; // start of an escape sequence cut off at the end of a chunk
+  private nextLineId = 1;
+
+  write(data: string): void {
+    const text = this.incomplete + data;
+    this.incomplete = '';
+    let index = 0;
+
+    while (index < text.length) {
+      const char = text[index];
+
+      if (char === ESC) {
+        const end = this.readEscape(text, index);
+        if (end < 0) {
+          this.incomplete = text.slice(index);
+          return;
+        }
+        index = end;
+        continue;
+      }
+
+      switch (char) {
+        case '\n':
+          this.newLine();
+          break;
+        case '\r':
+          this.cursor = 0;
+          break;
+        case '\b':
+          this.cursor = Math.max(0, this.cursor - 1);
+          break;
+        case '\t':
+          do {
+            this.put(' ');
+          } while (this.cursor % TAB_WIDTH !== 0);
+          break;
+        default:
+          // Other control characters, such as the bell, are not shown
+          if (char >= ' ') {
+            this.put(char);
+          }
+      }
+      index++;
+    }
+  }
+
+  // Committed lines followed by the current one
+  getLines(): TerminalLine[] {
+    return [...this.lines, {id: this.nextLineId, spans: this.toSpans()}];
+  }
+
+  clear(): void {
+    this.lines = [];
+    this.cells = [];
+    this.cursor = 0;
+  }
+
+  private put(char: string): void {
+    while (this.cells.length < this.cursor) {
+      this.cells.push({char: ' ', style: PLAIN});
+    }
+    this.cells[this.cursor] = {char, style: this.style};
+    this.cursor++;
+  }
+
+  private newLine(): void {
+    this.lines.push({id: this.nextLineId++, spans: this.toSpans()});
+    if (this.lines.length > MAX_LINES) {
+      this.lines.splice(0, this.lines.length - MAX_LINES);
+    }
+    this.cells = [];
+    this.cursor = 0;
+  }
+
+  private toSpans(): TerminalSpan[] {
+    const spans: TerminalSpan[] = [];
+    for (const cell of this.cells) {
+      const last = spans[spans.length - 1];
+      if (last && last.style === cell.style) {
+        last.text += cell.char;
+      } else {
+        spans.push({text: cell.char, style: cell.style});
+      }
+    }
+    return spans;
+  }
+
+  // Returns the index after the sequence starting at start, or -1 if it is incomplete
+  private readEscape(text: string, start: number): number {
+    const kind = text[start + 1];
+    if (kind === undefined) {
+      return -1;
+    }
+
+    // CSI: ESC [ parameters final-byte
+    if (kind === '[') {
+      let end = start + 2;
+      while (end < text.length && (text.charCodeAt(end) < 0x40 || text.charCodeAt(end) > 0x7e)) {
+        end++;
+      }
+      if (end >= text.length) {
+        return -1;
+      }
+      this.handleControlSequence(text.slice(start + 2, end), text[end]);
+      return end + 1;
+    }
+
+    // OSC, e.g. the window title: ESC ] ... terminated by BEL or ESC \
+    if (kind === ']') {
+      const bell = text.indexOf('\x07', start);
+      const terminator = text.indexOf(`${ESC}\\`, start + 2);
+      const ends = [bell, terminator].filter(position => position >= 0);
+      if (ends.length === 0) {
+        return -1;
+      }
+      const end = Math.min(...ends);
+      return end === bell ? end + 1 : end + 2;
+    }
+
+    // Character set selection takes one more character
+    if (kind === '(' || kind === ')') {
+      return start + 3 <= text.length ? start + 3 : -1;
+    }
+
+    return start + 2;
+  }
+
+  private handleControlSequence(paramText: string, command: string): void {
+    // Private sequences such as ?25l (hide cursor) change nothing shown here
+    if (paramText.startsWith('?')) {
+      return;
+    }
+    const params = paramText.split(';').map(param => parseInt(param, 10));
+    const first = isNaN(params[0]) ? 0 : params[0];
+
+    switch (command) {
+      case 'm':
+        this.applyGraphicRendition(params.map(param => (isNaN(param) ? 0 : param)));
+        break;
+      case 'K':
+        // 0: to the end of the line, 1: to the cursor, 2: the whole line
+        if (first === 0) {
+          this.cells.splice(this.cursor);
+        } else if (first === 1) {
+          for (let column = 0; column <= this.cursor && column < this.cells.length; column++) {
+            this.cells[column] = {char: ' ', style: PLAIN};
+          }
+        } else {
+          this.cells = [];
+        }
+        break;
+      case 'J':
+        if (first === 2 || first === 3) {
+          this.clear();
+        }
+        break;
+      case 'G':
+        this.cursor = Math.max(0, (first || 1) - 1);
+        break;
+      case 'C':
+        this.cursor += first || 1;
+        break;
+      case 'D':
+        this.cursor = Math.max(0, this.cursor - (first || 1));
+        break;
+    }
+  }
+
+  private applyGraphicRendition(params: number[]): void {
+    const style: TerminalStyle = {...this.style};
+
+    for (let index = 0; index < params.length; index++) {
+      const param = params[index];
+
+      if (param === 0) {
+        Object.keys(style).forEach(key => delete style[key as keyof TerminalStyle]);
+      } else if (param === 1) {
+        style.bold = true;
+      } else if (param === 2) {
+        style.dim = true;
+      } else if (param === 3) {
+        style.italic = true;
+      } else if (param === 4) {
+        style.underline = true;
+      } else if (param === 7) {
+        style.inverse = true;
+      } else if (param === 22) {
+        delete style.bold;
+        delete style.dim;
+      } else if (param === 23) {
+        delete style.italic;
+      } else if (param === 24) {
+        delete style.underline;
+      } else if (param === 27) {
+        delete style.inverse;
+      } else if (param >= 30 && param <= 37) {
+        style.color = ANSI_COLORS[param - 30];
+      } else if (param >= 90 && param <= 97) {
+        style.color = ANSI_COLORS[param - 90 + 8];
+      } else if (param >= 40 && param <= 47) {
+        style.backgroundColor = ANSI_COLORS[param - 40];
+      } else if (param >= 100 && param <= 107) {
+        style.backgroundColor = ANSI_COLORS[param - 100 + 8];
+      } else if (param === 39) {
+        delete style.color;
+      } else if (param === 49) {
+        delete style.backgroundColor;
+      } else if (param === 38 || param === 48) {
+        const [color, used] = readExtendedColor(params, index + 1);
+        if (color) {
+          style[param === 38 ? 'color' : 'backgroundColor'] = color;
+        }
+        index += used;
+      }
+    }
+
+    this.style = style;
+  }
+}
@@ -0,0 +1,104 @@
+import {EventEmitter} from 'events';
+import {
+  ConnectionState,
+  MobileDevinWebSocketClient,
+  TerminalCreateOptions,
+  TerminalExitEvent,
+  TerminalInfo,
+  TerminalOutputEvent,
+  TerminalSignal,
+} from './WebSocketClient';
+import {TerminalScreen} from './TerminalScreen';
+
+export type TerminalStatus = 'running' | 'exited' | 'disconnected';
+
+// One shell or command running on the bridge. Output is written to the screen and
+// acknowledged as it arrives; emits 'changed' whenever the screen or status changes.
+export class TerminalSession extends EventEmitter {
+  readonly screen = new TerminalScreen();
+  status: TerminalStatus = 'running';
+  exitCode: number | null = null;
+  signal: string | null = null;
+  private cols: number;
+  private rows: number;
+
+  static async start(wsClient: MobileDevinWebSocketClient, options: TerminalCreateOptions): Promise<TerminalSession> {
+    return new TerminalSession(wsClient, await wsClient.createTerminal(options));
+  }
+
+  // For a terminal the bridge started itself, e.g. to run a task
+  static attach(wsClient: MobileDevinWebSocketClient, info: TerminalInfo): TerminalSession {
+    return new TerminalSession(wsClient, info);
+  }
+
+  private constructor(private wsClient: MobileDevinWebSocketClient, readonly info: TerminalInfo) {
+    super();
+    this.cols = info.cols;
+    this.rows = info.rows;
+    wsClient.on('terminalOutput', this.handleOutput);
+    wsClient.on('terminalExit', this.handleExit);
+    wsClient.on('connectionStateChanged', this.handleConnectionState);
+  }
+
+  get id(): string {
+    return this.info.terminalId;
+  }
+
+  get title(): string {
+    return this.info.command || 'shell';
+  }
+
+  write(data: string): void {
+    if (this.status === 'running') {
+      this.wsClient.sendTerminalInput(this.id, data);
+    }
+  }
+
+  resize(cols: number, rows: number): void {
+    if (this.status === 'running' && (cols !== this.cols || rows !== this.rows)) {
+      this.cols = cols;
+      this.rows = rows;
+      this.wsClient.resizeTerminal(this.id, cols, rows);
+    }
+  }
+
+  async kill(signal?: TerminalSignal): Promise<void> {
+    if (this.status === 'running') {
+      await this.wsClient.killTerminal(this.id, signal);
+    }
+  }
+
+  dispose(): void {
+    this.wsClient.off('terminalOutput', this.handleOutput);
+    this.wsClient.off('terminalExit', this.handleExit);
+    this.wsClient.off('connectionStateChanged', this.handleConnectionState);
+    this.removeAllListeners();
+  }
+
+  private handleOutput = (event: TerminalOutputEvent) => {
+    if (event.terminalId !== this.id) {
+      return;
+    }
+    this.screen.write(event.data);
+    this.wsClient.acknowledgeTerminalOutput(this.id, event.data.length);
+    this.emit('changed');
+  };
+
+  private handleExit = (event: TerminalExitEvent) => {
+    if (event.terminalId !== this.id) {
+      return;
+    }
+    this.status = 'exited';
+    this.exitCode = event.exitCode;
+    this.signal = event.signal;
+    this.emit('changed');
+  };
+
+  // The bridge kills terminals whose connection closed
+  private handleConnectionState = (state: ConnectionState) => {
+    if (state !== ConnectionState.CONNECTED && this.status === 'running') {
+      this.status = 'disconnected';
+      this.emit('changed');
+    }
+  };
+}
@@ -1,28 +1,575 @@
 import {EventEmitter} from 'events';
+import {hmac} from '@noble/hashes/hmac';
+import {sha256} from '@noble/hashes/sha256';
+import {bytesToHex, randomBytes, utf8ToBytes} from '@noble/hashes/utils';
+import {TextEdit, TextOperation, createPatch} from '@mobile-devin/shared';
+import {OutboundQueue, OutboxEntry} from './OutboundQueue';
+import {BridgeSocket, PinnedWebSocket, certificateFingerprint, fetchBridgeCertificate, isSameFingerprint} from './PinnedWebSocket';
 
 export interface WebSocketMessage {
   id: string;
   type: string;
+  replyTo?: string;
   payload: any;
   timestamp: number;
 }
 
+export type BridgeErrorCode =
+  | 'FILE_NOT_FOUND'
+  | 'PERMISSION_DENIED'
+  | 'FILE_TOO_LARGE'
+  | 'WORKSPACE_NOT_OPEN'
+  | 'INVALID_MESSAGE'
+  | 'AUTH_REQUIRED'
+  | 'UNAUTHORIZED'
+  | 'CONFLICT'
+  | 'UNKNOWN_BASE_VERSION'
+  | 'TERMINAL_NOT_FOUND'
+  | 'TASK_NOT_FOUND'
+  | 'GIT_ERROR'
+  | 'AI_ERROR'
+  | 'INTERNAL_ERROR'
+  | 'CONNECTION_LOST'
+  | 'TIMEOUT'
+  | 'BRIDGE_NOT_VERIFIED'
+  | 'CERTIFICATE_MISMATCH';
+
+export class BridgeRequestError extends Error {
+  readonly code: BridgeErrorCode;
+  readonly details?: Record<string, any>;
+
+  constructor(code: BridgeErrorCode, message: string, details?: Record<string, any>) {
+    super(message);
+    this.name = 'BridgeRequestError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export interface FileVersion {
+  mtime: number;
+  hash: string;
+}
+
 export interface FileContent {
+  workspaceFolder?: string;
   filePath: string;
   content?: string;
+  version?: FileVersion;
   exists: boolean;
   lastModified?: number;
+  // The content matched the knownHash passed to requestFile and was not sent
+  notModified?: boolean;
   error?: string;
 }
 
+export interface FileUpdateOptions {
+  workspaceFolder?: string;
+  // Version the edit is based on; null means the file must not exist yet
+  baseVersion?: FileVersion | null;
+  // Content of baseVersion; when given only the edits are sent
+  baseContent?: string;
+}
+
+export interface FileUpdateResult {
+  workspaceFolder: string;
+  filePath: string;
+  version: FileVersion;
+  lastModified: number;
+  size: number;
+  // The bridge three-way merged a stale write; content is what was written
+  merged?: boolean;
+  content?: string;
+}
+
+// details of a CONFLICT error
+export interface FileConflict {
+  workspaceFolder: string;
+  filePath: string;
+  exists: boolean;
+  currentVersion: FileVersion | null;
+  currentContent: string | null;
+}
+
+export interface ProjectFileEntry {
+  workspaceFolder: string;
+  path: string;
+  size: number;
+  lastModified: number;
+  language: string;
+}
+
+export interface WorkspaceFolderInfo {
+  name: string;
+  path: string;
+  index: number;
+  fileCount: number;
+}
+
+export interface ProjectInfo {
+  workspaceName: string;
+  workspacePath: string;
+  folders: WorkspaceFolderInfo[];
+  openFiles: {workspaceFolder: string; path: string}[];
+  languages: Record<string, number>;
+  files: ProjectFileEntry[];
+  pagination: {
+    offset: number;
+    limit: number;
+    total: number;
+    hasMore: boolean;
+  };
+  tasks?: TaskInfo[]; // first page only; absent when tasks are disabled
+}
+
+// Edits against baseVersion, sent instead of the full content
+export interface FileDelta {
+  baseVersion: FileVersion;
+  edits: TextEdit[];
+}
+
 export interface FileChangeEvent {
   type: 'file_changed' | 'file_created' | 'file_deleted';
+  workspaceFolder: string;
   filePath: string;
   content?: string;
+  delta?: FileDelta;
+  version?: FileVersion;
   timestamp: number;
   source: string;
+  seq?: number;
+}
+
+export interface CollabSelection {
+  anchor: number;
+  head: number;
+}
+
+export interface CollabParticipant {
+  id: string;
+  name: string;
+  color: string;
+  selections: CollabSelection[];
+}
+
+export interface CollabJoinResult {
+  workspaceFolder: string;
+  filePath: string;
+  participantId: string;
+  revision: number;
+  content: string;
+  participants: CollabParticipant[];
+}
+
+// Pushed by the bridge while collaborating on workspaceFolder/filePath
+export interface CollabOperationEvent {
+  workspaceFolder: string;
+  filePath: string;
+  revision: number;
+  operation: TextOperation;
+  participantId: string;
+}
+
+export interface CollabSelectionEvent {
+  workspaceFolder: string;
+  filePath: string;
+  revision: number;
+  participant: CollabParticipant;
+}
+
+export interface CollabPresenceEvent {
+  workspaceFolder: string;
+  filePath: string;
+  participants: CollabParticipant[];
+}
+
+export interface TerminalCreateOptions {
+  workspaceFolder?: string;
+  command?: string; // an interactive shell when omitted
+  cols?: number;
+  rows?: number;
+}
+
+export interface TerminalInfo {
+  terminalId: string;
+  workspaceFolder: string;
+  command?: string;
+  pid?: number;
+  pty: boolean; // false means resizing has no effect
+  cols: number;
+  rows: number;
+}
+
+export interface TerminalOutputEvent {
+  terminalId: string;
+  stream: 'stdout' | 'stderr';
+  data: string;
+}
+
+export interface TerminalExitEvent {
+  terminalId: string;
+  exitCode: number | null;
+  signal: string | null;
+}
+
+export type TerminalSignal = 'SIGINT' | 'SIGTERM' | 'SIGKILL' | 'SIGHUP';
+
+export interface TaskInfo {
+  taskId: string;
+  kind: 'task' | 'npm' | 'launch';
+  name: string;
+  workspaceFolder?: string;
+  source: string; // e.g. "Workspace", "npm", "package.json" or "launch.json"
+  group?: string;
+  detail?: string;
+  streamsOutput: boolean; // false means it runs in Cursor and only its end is reported
+}
+
+export interface TaskRun {
+  runId: string;
+  taskId: string;
+  name: string;
+  terminal?: TerminalInfo; // its output arrives as terminalOutput events
+}
+
+export interface TaskEndEvent {
+  runId: string;
+  taskId: string;
+  exitCode: number | null; // null when unknown, e.g. for a debug session
+  signal: string | null;
+}
+
+export type DiagnosticSeverity = 'error' | 'warning' | 'info' | 'hint';
+
+// 0-based lines and characters
+export interface TextRange {
+  start: {line: number; character: number};
+  end: {line: number; character: number};
+}
+
+export interface Diagnostic {
+  severity: DiagnosticSeverity;
+  message: string;
+  range: TextRange;
+  source?: string;
+  code?: string;
+}
+
+// The problems Cursor reports for a file; diagnostics is empty once they are fixed
+export interface FileDiagnostics {
+  workspaceFolder: string;
+  filePath: string;
+  diagnostics: Diagnostic[];
+  total: number; // more than diagnostics.length when the bridge cut the list
+}
+
+// A position in the editor's text. Without content the bridge uses Cursor's copy of the
+// file, which is only right while live editing or when nothing was changed.
+export interface LanguageRequest {
+  filePath: string;
+  workspaceFolder?: string;
+  offset: number;
+  content?: string;
+}
+
+// Offsets in the text of the request
+export interface OffsetRange {
+  start: number;
+  end: number;
+}
+
+export interface CompletionItem {
+  label: string;
+  kind: string; // e.g. "Method", as named by VS Code and Monaco
+  detail?: string;
+  documentation?: string; // markdown
+  insertText: string;
+  snippet: boolean;
+  range?: OffsetRange;
+  sortText?: string;
+  filterText?: string;
+  additionalTextEdits?: (OffsetRange & {text: string})[];
+}
+
+export interface CompletionResult {
+  items: CompletionItem[];
+  isIncomplete: boolean;
+}
+
+export interface HoverResult {
+  contents: string[]; // markdown
+  range?: OffsetRange;
+}
+
+export interface DefinitionLocation {
+  workspaceFolder: string;
+  filePath: string;
+  range: TextRange; // in the request's text when it is the requested file
+}
+
+export interface SearchQuery {
+  kind: 'files' | 'text'; // fuzzy file name search, or search in file contents
+  query: string;
+  isRegex?: boolean;
+  matchCase?: boolean;
+  wholeWord?: boolean;
+  include?: string[]; // globs; "*.ts" matches in any directory
+  exclude?: string[];
+  workspaceFolder?: string; // all folders when omitted
+  maxResults?: number;
+}
+
+export interface FileSearchMatch {
+  workspaceFolder: string;
+  filePath: string;
+  positions: number[]; // indexes of the matched characters in filePath
+}
+
+export interface TextSearchMatch {
+  workspaceFolder: string;
+  filePath: string;
+  line: number; // 0-based
+  character: number; // of the first match in the line
+  preview: string; // the line, cut around the first match when it is long
+  ranges: {start: number; end: number}[]; // matches in preview
+}
+
+export interface SearchResultsEvent {
+  searchId: string;
+  results: (FileSearchMatch | TextSearchMatch)[];
+}
+
+export interface SearchEndEvent {
+  searchId: string;
+  resultCount: number;
+  searchedFiles: number;
+  limitHit: boolean;
+  cancelled: boolean;
+  error?: {code: BridgeErrorCode; message: string};
+}
+
+export interface ChatMessage {
+  role: 'user' | 'assistant';
+  content: string;
+}
+
+// The open file, sent along with a chat as context
+export interface ChatFileContext {
+  workspaceFolder?: string;
+  filePath: string;
+  content?: string; // read by the bridge when omitted
+  language?: string;
+  selection?: CollabSelection;
+}
+
+export interface ChatStart {
+  chatId: string;
+  provider: string;
+  model: string;
+}
+
+export interface ChatDeltaEvent {
+  chatId: string;
+  text: string;
+}
+
+export interface ChatEndEvent {
+  chatId: string;
+  text: string; // the whole reply
+  usage?: {promptTokens: number; outputTokens: number; totalTokens: number};
+  finishReason?: string;
+  cancelled: boolean;
+  // details.reason is the provider's error code, e.g. NOT_CONFIGURED or RATE_LIMITED
+  error?: {code: BridgeErrorCode; message: string; details?: Record<string, any>};
+  context?: ContextLocation[]; // project code the bridge added to the prompt
+}
+
+// Where an excerpt of project code sent to the AI provider came from
+export interface ContextLocation {
+  workspaceFolder: string;
+  filePath: string;
+  startLine: number;
+  endLine: number;
+}
+
+export type ChangeAction = 'modify' | 'create' | 'delete';
+
+// A file the AI may read for a change request
+export interface ChangeRequestFile {
+  workspaceFolder?: string;
+  filePath: string;
+  content?: string; // read by the bridge when omitted
+}
+
+export interface ProposedChange {
+  workspaceFolder: string;
+  filePath: string;
+  action: ChangeAction;
+  original: string | null; // null for new files
+  modified: string | null; // null for deleted files
+  baseVersion: FileVersion | null; // of original
+}
+
+export interface ChangeSet {
+  summary: string;
+  provider: string;
+  model: string;
+  usage?: {promptTokens: number; outputTokens: number; totalTokens: number};
+  files: ProposedChange[];
+  context: ContextLocation[]; // project code added to the prompt besides the files
+}
+
+export interface AcceptedChange {
+  workspaceFolder: string;
+  filePath: string;
+  action: ChangeAction;
+  content?: string; // the reviewed content, unless deleted
+  baseVersion: FileVersion | null;
+}
+
+export interface AppliedChange {
+  workspaceFolder: string;
+  filePath: string;
+  action: ChangeAction;
+  version: FileVersion | null;
+  saved: boolean; // false when the file had unsaved edits in Cursor
+}
+
+export interface AgentStartOptions {
+  workspaceFolder?: string;
+  testCommand?: string; // needs the terminal enabled; the bridge's test command when omitted
+  maxTurns?: number;
+  maxTokens?: number;
+}
+
+export interface AgentStart {
+  runId: string;
+  provider: string;
+  model: string;
+  workspaceFolder: string;
+  testCommand: string | null; // null when the project has none
+  maxTurns: number;
+  maxTokens: number;
+}
+
+export type AgentStepStatus = 'running' | 'done' | 'failed';
+
+// Sent again with the same index when it changes, e.g. once a tool finished
+export interface AgentStepEvent {
+  runId: string;
+  index: number;
+  kind: 'thought' | 'plan' | 'tool';
+  tool?: 'list_files' | 'read_file' | 'search' | 'edit' | 'run_tests' | 'finish';
+  title: string;
+  text?: string; // the thought, the plan with one step per line, or the tool's output
+  files?: {workspaceFolder: string; filePath: string; action: ChangeAction}[];
+  status: AgentStepStatus;
+}
+
+export type AgentRunStatus = 'succeeded' | 'failed' | 'cancelled' | 'budget_exhausted';
+
+export interface AgentEndEvent {
+  runId: string;
+  status: AgentRunStatus;
+  summary: string;
+  turns: number;
+  usage?: {promptTokens: number; outputTokens: number; totalTokens: number};
+  changedFiles: string[];
+  error?: {code: BridgeErrorCode; message: string; details?: Record<string, any>};
+}
+
+export type GitChangeStatus =
+  | 'modified'
+  | 'added'
+  | 'deleted'
+  | 'renamed'
+  | 'copied'
+  | 'typechange'
+  | 'untracked'
+  | 'conflicted';
+
+export interface GitFileChange {
+  filePath: string; // relative to the workspace folder
+  originalPath?: string; // before a rename or copy
+  status: GitChangeStatus;
+}
+
+export interface GitStatus {
+  workspaceFolder: string;
+  branch: string | null; // null while HEAD is detached
+  commit: string | null; // null before the first commit
+  upstream?: string;
+  ahead: number;
+  behind: number;
+  staged: GitFileChange[];
+  unstaged: GitFileChange[];
+}
+
+export interface GitHunk {
+  id: string;
+  oldStart: number;
+  oldLines: number;
+  newStart: number;
+  newLines: number;
+  header: string;
+  lines: string[]; // with their " ", "-", "+" or "\" prefix
+}
+
+export interface GitDiff {
+  workspaceFolder: string;
+  filePath: string;
+  staged: boolean;
+  original: string | null; // HEAD for staged changes, the index otherwise
+  modified: string | null; // the index for staged changes, the working tree otherwise
+  binary: boolean;
+  hunks: GitHunk[]; // empty for untracked files
+}
+
+export interface GitBranch {
+  name: string;
+  remote: boolean;
+  current: boolean;
+  commit: string;
+  upstream?: string;
+}
+
+// A queued message the bridge accepted after reconnecting
+export interface OutboxReplayEvent {
+  entry: OutboxEntry;
+  response: any;
+}
+
+export interface OutboxFailureEvent {
+  entry: OutboxEntry;
+  error: BridgeRequestError;
+}
+
+// How the bridge's event log picked up after the last authentication
+export interface ResumeResult {
+  // false means changes may have been missed and everything cached must be revalidated
+  resumed: boolean;
+  replayed: number;
+}
+
+export interface PairingResult {
+  token: string;
+  deviceId: string;
+  deviceName: string;
+  certificate?: string; // pinned PEM of a wss:// bridge
+}
+
+// What a paired device authenticates with; the token is the secret shared at pairing
+export interface DeviceCredentials {
+  deviceId: string;
+  token: string;
+  // The only certificate a wss:// bridge is accepted with
+  certificate?: string;
 }
 
+// Close codes the bridge uses for rejected or revoked sessions
+const CLOSE_UNAUTHORIZED = 4401;
+const CLOSE_REVOKED = 4403;
+
 export enum ConnectionState {
   DISCONNECTED = 'disconnected',
   CONNECTING = 'connecting',
@@ -31,40 +578,100 @@ export enum ConnectionState {
 }
 
 export class MobileDevinWebSocketClient extends EventEmitter {
-  private ws: WebSocket | null = null;
+  private ws: BridgeSocket | null = null;
   private connectionState: ConnectionState = ConnectionState.DISCONNECTED;
-  private pendingRequests: Map<string, {resolve: Function; reject: Function}> = new Map();
+  private pendingRequests: Map<
+    string,
+    {resolve: (payload: any) => void; reject: (error: BridgeRequestError) => void; timeout: NodeJS.Timeout}
+  > = new Map();
   private heartbeatInterval: NodeJS.Timeout | null = null;
   private reconnectTimeout: NodeJS.Timeout | null = null;
   private reconnectAttempts = 0;
   private maxReconnectAttempts = 5;
+  // Set by connect() and cleared by disconnect(); a dropped connection is only retried while set
+  private keepConnected = false;
+  private deviceCredentials: DeviceCredentials | null = null;
+  private pendingPairing: {code: string; deviceName: string; certificate?: string} | null = null;
+  private isReplayingOutbox = false;
+  // Position in the bridge's event log, sent when authenticating again to catch up
+  private eventLogId: string | null = null;
+  private lastSeq = 0;
+  private lastResume: ResumeResult | null = null;
+  // Replayed events still on their way after a resume
+  private pendingReplay: {untilSeq: number; remaining: number} | null = null;
+  readonly outbox = new OutboundQueue();
   
-  private readonly serverUrl: string;
+  private serverUrl: string;
   private readonly heartbeatIntervalMs = 30000; // 30 seconds
   private readonly requestTimeoutMs = 10000; // 10 seconds
+  // A little longer than the bridge waits for git, so its error arrives first
+  private readonly gitTimeoutMs = 35000;
+  private readonly gitRemoteTimeoutMs = 125000;
+  // The bridge retries the AI provider, each attempt with its own timeout
+  private readonly aiChangeTimeoutMs = 300000;
+  private readonly applyChangesTimeoutMs = 35000;
 
   constructor(serverUrl: string = 'ws://localhost:3001') {
     super();
     this.serverUrl = serverUrl;
   }
 
+  setServerUrl(serverUrl: string): void {
+    this.serverUrl = serverUrl;
+  }
+
+  setDeviceCredentials(credentials: DeviceCredentials | null): void {
+    this.deviceCredentials = credentials;
+  }
+
+  // Pairing always runs on a new socket; an open connection, possibly to another bridge,
+  // would otherwise make connect() return without ever sending the code.
+  // fingerprint comes from the QR code and is required for a wss:// bridge, whose
+  // certificate is pinned from then on.
+  async pair(code: string, deviceName: string, fingerprint?: string): Promise<PairingResult> {
+    if (this.connectionState !== ConnectionState.DISCONNECTED) {
+      this.disconnect();
+    }
+    const certificate = isSecureUrl(this.serverUrl) ? await this.fetchPairingCertificate(fingerprint) : undefined;
+    this.pendingPairing = {code, deviceName, certificate};
+
+    return new Promise((resolve, reject) => {
+      this.once('paired', resolve);
+      this.connect().catch((error) => {
+        this.removeListener('paired', resolve);
+        reject(error);
+      });
+    });
+  }
+
   async connect(): Promise<void> {
     if (this.connectionState === ConnectionState.CONNECTED) {
       return Promise.resolve();
     }
 
+    this.keepConnected = true;
+
     return new Promise((resolve, reject) => {
       try {
         this.setConnectionState(ConnectionState.CONNECTING);
         
-        this.ws = new WebSocket(this.serverUrl);
+        const socket = this.openSocket();
+        this.ws = socket;
 
         this.ws.onopen = () => {
-          console.log('✅ WebSocket connected');
-          this.setConnectionState(ConnectionState.CONNECTED);
-          this.reconnectAttempts = 0;
-          this.startHeartbeat();
-          resolve();
+          console.log('✅ WebSocket connected, authenticating...');
+          this.authenticate()
+            .then(() => {
+              this.setConnectionState(ConnectionState.CONNECTED);
+              this.reconnectAttempts = 0;
+              this.startHeartbeat();
+              this.replayOutbox();
+              resolve();
+            })
+            .catch((error) => {
+              console.error('🔒 Authentication failed:', error);
+              reject(error);
+            });
         };
 
         this.ws.onmessage = (event) => {
@@ -73,8 +680,17 @@ export class MobileDevinWebSocketClient extends EventEmitter {
 
         this.ws.onclose = (event) => {
           console.log(`🔌 WebSocket closed: ${event.code} - ${event.reason}`);
+          this.rejectPendingRequests('WebSocket connection closed');
           this.setConnectionState(ConnectionState.DISCONNECTED);
           this.stopHeartbeat();
+
+          // A rejected or revoked session will not succeed by retrying
+          if (event.code === CLOSE_UNAUTHORIZED || event.code === CLOSE_REVOKED) {
+            this.keepConnected = false;
+            this.emit('unauthorized', {code: event.code, reason: event.reason});
+            return;
+          }
+
           this.attemptReconnect();
         };
 
@@ -84,11 +700,12 @@ export class MobileDevinWebSocketClient extends EventEmitter {
           reject(new Error('WebSocket connection failed'));
         };
 
-        // Connection timeout
+        // Connection timeout; a later attempt may have replaced the socket by then
         setTimeout(() => {
-          if (this.connectionState !== ConnectionState.CONNECTED) {
-            this.disconnect();
+          if (this.ws === socket && this.connectionState !== ConnectionState.CONNECTED) {
+            this.closeSocket();
             reject(new Error('Connection timeout'));
+            this.attemptReconnect();
           }
         }, this.requestTimeoutMs);
 
@@ -100,44 +717,498 @@ export class MobileDevinWebSocketClient extends EventEmitter {
     });
   }
 
+  // A wss:// bridge has a self-signed certificate, which is only accepted if it is the pinned one
+  private openSocket(): BridgeSocket {
+    if (!isSecureUrl(this.serverUrl)) {
+      return new WebSocket(this.serverUrl);
+    }
+
+    const certificate = (this.pendingPairing ?? this.deviceCredentials)?.certificate;
+    if (!certificate) {
+      throw new BridgeRequestError('CERTIFICATE_MISMATCH', 'No certificate is pinned for this bridge; pair it again');
+    }
+    return new PinnedWebSocket(this.serverUrl, certificate);
+  }
+
+  private async fetchPairingCertificate(fingerprint?: string): Promise<string> {
+    if (!fingerprint) {
+      throw new BridgeRequestError(
+        'CERTIFICATE_MISMATCH',
+        'Scan the QR code to pair with this bridge; its certificate cannot be verified without it',
+      );
+    }
+
+    const certificate = await fetchBridgeCertificate(this.serverUrl);
+    const actual = certificateFingerprint(certificate);
+    if (!isSameFingerprint(actual, fingerprint)) {
+      throw new BridgeRequestError(
+        'CERTIFICATE_MISMATCH',
+        'The bridge certificate does not match the QR code',
+        {expected: fingerprint, actual},
+      );
+    }
+    return certificate;
+  }
+
   disconnect(): void {
+    this.keepConnected = false;
+    this.reconnectAttempts = 0;
+    this.closeSocket();
+  }
+
+  // Tries again at once, such as when the app returns to the foreground, unless disconnect()
+  // was called since the last connect()
+  resumeConnection(): void {
+    if (
+      !this.keepConnected ||
+      this.connectionState === ConnectionState.CONNECTED ||
+      this.connectionState === ConnectionState.CONNECTING
+    ) {
+      return;
+    }
+
+    this.closeSocket();
+    this.reconnectAttempts = 0;
+    this.connect().catch((error) => {
+      console.error('Reconnection failed:', error);
+    });
+  }
+
+  private closeSocket(): void {
     if (this.reconnectTimeout) {
       clearTimeout(this.reconnectTimeout);
       this.reconnectTimeout = null;
     }
     
     this.stopHeartbeat();
+    this.rejectPendingRequests('Disconnected');
     
     if (this.ws) {
+      // Detach so closing on purpose doesn't trigger a reconnect
+      this.ws.onclose = null;
+      this.ws.onerror = null;
       this.ws.close();
       this.ws = null;
     }
     
     this.setConnectionState(ConnectionState.DISCONNECTED);
-    this.reconnectAttempts = 0;
   }
 
-  async requestFile(filePath: string): Promise<FileContent> {
-    const response = await this.sendRequestMessage('file_request', {filePath});
-    
-    return {
-      filePath: response.filePath || filePath,
-      content: response.content,
-      exists: response.exists || false,
-      lastModified: response.lastModified,
-      error: response.error,
-    };
+  // workspaceFolder names the root in a multi-root workspace; omitted means the first folder.
+  // knownHash is the hash of a cached copy, which the bridge does not resend if unchanged.
+  async requestFile(filePath: string, workspaceFolder?: string, knownHash?: string): Promise<FileContent> {
+    try {
+      const response = await this.sendRequestMessage('file_request', {filePath, workspaceFolder, knownHash});
+      
+      return {
+        workspaceFolder: response.workspaceFolder,
+        filePath: response.filePath || filePath,
+        content: response.content,
+        version: response.version,
+        exists: response.exists || false,
+        lastModified: response.lastModified,
+        notModified: response.notModified || false,
+      };
+    } catch (error) {
+      if (error instanceof BridgeRequestError && error.code === 'FILE_NOT_FOUND') {
+        return {workspaceFolder, filePath, exists: false, error: error.message};
+      }
+      throw error;
+    }
+  }
+
+  // Stale writes are rejected with a CONFLICT error whose details are a FileConflict
+  async updateFile(filePath: string, content: string, options: FileUpdateOptions = {}): Promise<FileUpdateResult> {
+    if (options.baseVersion && options.baseContent !== undefined) {
+      try {
+        return this.recordWrite(await this.sendRequestMessage('file_delta', {
+          filePath,
+          workspaceFolder: options.workspaceFolder,
+          baseVersion: options.baseVersion,
+          edits: createPatch(options.baseContent, content),
+        }));
+      } catch (error) {
+        // The bridge no longer holds the base; fall back to the full content
+        if (!(error instanceof BridgeRequestError && error.code === 'UNKNOWN_BASE_VERSION')) {
+          throw error;
+        }
+      }
+    }
+
+    return this.recordWrite(await this.sendRequestMessage('file_update', {
+      filePath,
+      content,
+      workspaceFolder: options.workspaceFolder,
+      baseVersion: options.baseVersion,
+    }));
+  }
+
+  // The bridge does not send a client the file_change for its own write
+  private recordWrite(response: any): FileUpdateResult {
+    this.recordSeq(response?.seq);
+    return response;
+  }
+
+  // Queues a save for when the bridge is reachable again. A later save of the same file
+  // replaces the queued content but keeps the version the first one was based on.
+  async queueFileUpdate(filePath: string, content: string, options: FileUpdateOptions = {}): Promise<OutboxEntry> {
+    const key = getFileKey(filePath, options.workspaceFolder);
+    const pending = (await this.outbox.findUnsent(key)).find(entry => entry.status === 'pending');
+
+    const entry = pending
+      ? await this.outbox.update(pending.id, {payload: {...pending.payload, content}, queuedAt: Date.now()})
+      : await this.outbox.enqueue('file_update', {
+          filePath,
+          content,
+          workspaceFolder: options.workspaceFolder,
+          baseVersion: options.baseVersion,
+        }, key);
+
+    if (this.connectionState === ConnectionState.CONNECTED) {
+      this.replayOutbox();
+    }
+    return entry!;
+  }
+
+  // Saves of a file with queued saves must queue too, or they would overtake them
+  async hasQueuedFileUpdate(filePath: string, workspaceFolder?: string): Promise<boolean> {
+    return (await this.outbox.findUnsent(getFileKey(filePath, workspaceFolder))).length > 0;
+  }
+
+  // Sends a conflicted or failed entry again; overwrite bases it on the disk version reported
+  // by its CONFLICT error
+  async retryQueuedMessage(id: string, overwrite: boolean = false): Promise<void> {
+    const entry = this.outbox.getEntries().find(candidate => candidate.id === id);
+    if (!entry) {
+      return;
+    }
+
+    const payload = overwrite && entry.error?.code === 'CONFLICT'
+      ? {...entry.payload, baseVersion: entry.error.details?.currentVersion ?? null}
+      : entry.payload;
+    await this.outbox.update(id, {payload, status: 'pending', error: undefined});
+
+    if (this.connectionState === ConnectionState.CONNECTED) {
+      this.replayOutbox();
+    }
+  }
+
+  async joinCollab(filePath: string, workspaceFolder?: string): Promise<CollabJoinResult> {
+    return await this.sendRequestMessage('collab_join', {filePath, workspaceFolder});
+  }
+
+  async leaveCollab(filePath: string, workspaceFolder?: string): Promise<void> {
+    await this.sendRequestMessage('collab_leave', {filePath, workspaceFolder});
+  }
+
+  // Resolves with the new revision once the bridge has acknowledged the operation
+  async sendCollabOperation(
+    filePath: string,
+    workspaceFolder: string,
+    revision: number,
+    operation: TextOperation,
+  ): Promise<number> {
+    const response = await this.sendRequestMessage('collab_operation', {filePath, workspaceFolder, revision, operation});
+    return response.revision;
+  }
+
+  sendCollabSelection(filePath: string, workspaceFolder: string, revision: number, selections: CollabSelection[]): void {
+    this.sendMessage('collab_selection', {filePath, workspaceFolder, revision, selections});
+  }
+
+  // Saves the document open in Cursor, including edits not made from this device
+  async saveCollab(filePath: string, workspaceFolder?: string): Promise<void> {
+    await this.sendRequestMessage('collab_save', {filePath, workspaceFolder});
+  }
+
+  // The terminal runs until it exits, is killed, or this connection closes
+  async createTerminal(options: TerminalCreateOptions = {}): Promise<TerminalInfo> {
+    return await this.sendRequestMessage('terminal_create', options);
+  }
+
+  sendTerminalInput(terminalId: string, data: string): void {
+    this.sendMessage('terminal_input', {terminalId, data});
+  }
+
+  resizeTerminal(terminalId: string, cols: number, rows: number): void {
+    this.sendMessage('terminal_resize', {terminalId, cols, rows});
+  }
+
+  // The bridge pauses a terminal whose output is not acknowledged, so call this once
+  // terminalOutput data has been rendered
+  acknowledgeTerminalOutput(terminalId: string, length: number): void {
+    this.sendMessage('terminal_ack', {terminalId, length});
+  }
+
+  async killTerminal(terminalId: string, signal?: TerminalSignal): Promise<void> {
+    await this.sendRequestMessage('terminal_kill', {terminalId, signal});
+  }
+
+  // The end of the run is reported with a taskEnd event
+  async runTask(taskId: string): Promise<TaskRun> {
+    return await this.sendRequestMessage('task_run', {taskId});
+  }
+
+  async stopTask(runId: string): Promise<void> {
+    await this.sendRequestMessage('task_stop', {runId});
+  }
+
+  // Every file with problems, or only filePath's
+  async requestDiagnostics(filePath?: string, workspaceFolder?: string): Promise<FileDiagnostics[]> {
+    const response = await this.sendRequestMessage('diagnostics_request', {filePath, workspaceFolder});
+    return response.files;
+  }
+
+  async requestCompletions(request: LanguageRequest, triggerCharacter?: string): Promise<CompletionResult> {
+    return await this.sendRequestMessage('completion_request', {...request, triggerCharacter});
+  }
+
+  async requestHover(request: LanguageRequest): Promise<HoverResult> {
+    return await this.sendRequestMessage('hover_request', request);
+  }
+
+  async requestDefinitions(request: LanguageRequest): Promise<DefinitionLocation[]> {
+    const response = await this.sendRequestMessage('definition_request', request);
+    return response.locations;
+  }
+
+  // Results arrive as searchResults events and the search finishes with a searchEnd event
+  async startSearch(query: SearchQuery): Promise<string> {
+    const response = await this.sendRequestMessage('search_start', query);
+    return response.searchId;
+  }
+
+  async cancelSearch(searchId: string): Promise<void> {
+    await this.sendRequestMessage('search_cancel', {searchId});
+  }
+
+  // The reply arrives as aiChatDelta events and ends with an aiChatEnd event
+  async startChat(messages: ChatMessage[], file?: ChatFileContext): Promise<ChatStart> {
+    return await this.sendRequestMessage('ai_chat', {messages, file});
+  }
+
+  async cancelChat(chatId: string): Promise<void> {
+    await this.sendRequestMessage('ai_chat_cancel', {chatId});
+  }
+
+  // Files the AI proposes to change come back with their current and proposed content
+  async requestChanges(instruction: string, files: ChangeRequestFile[]): Promise<ChangeSet> {
+    return await this.sendRequestMessage('ai_change_request', {instruction, files}, false, this.aiChangeTimeoutMs);
+  }
+
+  // All or nothing, as one edit that can be undone in Cursor; CONFLICT when a file changed
+  // since it was proposed
+  async applyChanges(files: AcceptedChange[], label?: string): Promise<AppliedChange[]> {
+    const response = await this.sendRequestMessage('ai_change_apply', {files, label}, false, this.applyChangesTimeoutMs);
+    return response.files;
+  }
+
+  // Steps arrive as agentStep events and the run ends with an agentEnd event
+  async startAgent(task: string, options: AgentStartOptions = {}): Promise<AgentStart> {
+    return await this.sendRequestMessage('agent_start', {task, ...options});
+  }
+
+  // Takes effect once the current step is done
+  async pauseAgent(runId: string): Promise<void> {
+    await this.sendRequestMessage('agent_pause', {runId});
+  }
+
+  async resumeAgent(runId: string): Promise<void> {
+    await this.sendRequestMessage('agent_resume', {runId});
+  }
+
+  async cancelAgent(runId: string): Promise<void> {
+    await this.sendRequestMessage('agent_cancel', {runId});
+  }
+
+  async gitStatus(workspaceFolder?: string): Promise<GitStatus> {
+    return await this.sendRequestMessage('git_status', {workspaceFolder});
+  }
+
+  async gitDiff(filePath: string, staged: boolean, workspaceFolder?: string): Promise<GitDiff> {
+    return await this.sendRequestMessage('git_diff', {filePath, staged, workspaceFolder});
+  }
+
+  // Every change when filePath is omitted; hunkIds come from the file's gitDiff and fail
+  // with CONFLICT once the file changed since
+  async gitStage(workspaceFolder?: string, filePath?: string, hunkIds?: string[]): Promise<GitStatus> {
+    return await this.sendRequestMessage('git_stage', {workspaceFolder, filePath, hunkIds});
+  }
+
+  async gitUnstage(workspaceFolder?: string, filePath?: string, hunkIds?: string[]): Promise<GitStatus> {
+    return await this.sendRequestMessage('git_unstage', {workspaceFolder, filePath, hunkIds});
+  }
+
+  // Commit hooks run in Cursor, so this may take a while
+  async gitCommit(message: string, amend: boolean = false, workspaceFolder?: string): Promise<{commit: string; status: GitStatus}> {
+    return await this.sendRequestMessage('git_commit', {workspaceFolder, message, amend}, false, this.gitTimeoutMs);
+  }
+
+  async gitBranches(workspaceFolder?: string): Promise<GitBranch[]> {
+    const response = await this.sendRequestMessage('git_branches', {workspaceFolder});
+    return response.branches;
+  }
+
+  // A remote branch such as "origin/feature" is checked out as a local branch tracking it
+  async gitCheckout(branch: string, create: boolean = false, workspaceFolder?: string): Promise<GitStatus> {
+    return await this.sendRequestMessage('git_checkout', {workspaceFolder, branch, create}, false, this.gitTimeoutMs);
+  }
+
+  async gitPull(workspaceFolder?: string): Promise<GitStatus> {
+    return await this.sendRequestMessage('git_pull', {workspaceFolder}, false, this.gitRemoteTimeoutMs);
+  }
+
+  async gitPush(workspaceFolder?: string): Promise<GitStatus> {
+    return await this.sendRequestMessage('git_push', {workspaceFolder}, false, this.gitRemoteTimeoutMs);
+  }
+
+  async requestProjectInfo(offset: number = 0, limit: number = 200): Promise<ProjectInfo> {
+    return await this.sendRequestMessage('project_info_request', {offset, limit});
+  }
+
+  // Sends queued messages in order. The bridge checks each file_update against its
+  // baseVersion, so a file changed in Cursor meanwhile is merged or rejected, never overwritten.
+  private async replayOutbox(): Promise<void> {
+    if (this.isReplayingOutbox) {
+      return;
+    }
+    this.isReplayingOutbox = true;
+
+    try {
+      let entry = await this.outbox.nextPending();
+      while (entry && this.connectionState === ConnectionState.CONNECTED) {
+        const sending = entry;
+        await this.outbox.update(sending.id, {status: 'sending', attempts: sending.attempts + 1});
+
+        try {
+          const response = await this.sendRequestMessage(sending.type, sending.payload);
+          this.recordSeq(response?.seq);
+          await this.outbox.remove(sending.id);
+          this.emit('outboxReplayed', {entry: sending, response} as OutboxReplayEvent);
+        } catch (error) {
+          const requestError = error instanceof BridgeRequestError
+            ? error
+            : new BridgeRequestError('INTERNAL_ERROR', String(error));
+
+          // Not answered: keep it for the next connection
+          if (requestError.code === 'CONNECTION_LOST' || requestError.code === 'TIMEOUT') {
+            await this.outbox.update(sending.id, {status: 'pending'});
+            return;
+          }
+
+          const applied = getAppliedVersion(sending, requestError);
+          if (applied) {
+            // Sent before the connection dropped; the disk already holds this content
+            await this.outbox.remove(sending.id);
+            this.emit('outboxReplayed', {
+              entry: sending,
+              response: {workspaceFolder: applied.workspaceFolder, filePath: applied.filePath, version: applied.currentVersion},
+            } as OutboxReplayEvent);
+          } else {
+            const failed = await this.outbox.update(sending.id, {
+              status: requestError.code === 'CONFLICT' ? 'conflict' : 'failed',
+              error: {code: requestError.code, message: requestError.message, details: requestError.details},
+            });
+            this.emit('outboxFailed', {entry: failed || sending, error: requestError} as OutboxFailureEvent);
+          }
+        }
+
+        entry = await this.outbox.nextPending();
+      }
+    } catch (error) {
+      console.error('Failed to replay queued messages:', error);
+    } finally {
+      this.isReplayingOutbox = false;
+    }
   }
 
-  async updateFile(filePath: string, content: string): Promise<void> {
-    await this.sendMessage('file_update', {filePath, content});
+  private async authenticate(): Promise<void> {
+    if (this.pendingPairing) {
+      const {code, deviceName, certificate} = this.pendingPairing;
+      this.pendingPairing = null;
+
+      const response = await this.sendRequestMessage('pair_request', {code, deviceName}, true);
+      this.updateEventLogPosition(response.eventLog);
+      this.deviceCredentials = {deviceId: response.deviceId, token: response.token, certificate};
+      this.emit('paired', {
+        token: response.token,
+        deviceId: response.deviceId,
+        deviceName: response.deviceName,
+        certificate,
+      });
+      return;
+    }
+
+    if (!this.deviceCredentials) {
+      this.disconnect();
+      throw new BridgeRequestError('UNAUTHORIZED', 'This device is not paired with the bridge');
+    }
+
+    // Challenge-response keyed on the pairing secret: the bridge proves it holds the secret
+    // before the device answers, and the token itself is never sent
+    const {deviceId, token} = this.deviceCredentials;
+    const key = sha256(utf8ToBytes(token));
+    const nonce = bytesToHex(randomBytes(32));
+    const challenge = await this.sendRequestMessage('auth_request', {deviceId, nonce}, true);
+
+    if (typeof challenge?.nonce !== 'string' || !isSameProof(challenge.proof, authProof(key, 'bridge', nonce, challenge.nonce))) {
+      this.disconnect();
+      throw new BridgeRequestError('BRIDGE_NOT_VERIFIED', 'The bridge could not prove it is the one this device paired with');
+    }
+
+    const resume = this.eventLogId ? {logId: this.eventLogId, lastSeq: this.lastSeq} : undefined;
+    const proof = authProof(key, 'device', nonce, challenge.nonce);
+    const response = await this.sendRequestMessage('auth_proof', {proof, resume}, true);
+    this.updateEventLogPosition(response.eventLog);
   }
 
-  async requestProjectInfo(): Promise<any> {
-    return await this.sendRequestMessage('project_info_request', {});
+  // Missed events follow the auth response and carry sequence numbers up to lastSeq.
+  // lastSeq only advances as they arrive, so a connection lost mid-replay resumes from
+  // the last event actually received.
+  private updateEventLogPosition(eventLog: any): void {
+    this.pendingReplay = null;
+    if (!eventLog || typeof eventLog.logId !== 'string') {
+      this.eventLogId = null;
+      this.lastResume = {resumed: false, replayed: 0};
+      return;
+    }
+
+    const resumed = eventLog.resumed === true && eventLog.logId === this.eventLogId;
+    const replayed = resumed && typeof eventLog.replayed === 'number' ? eventLog.replayed : 0;
+    this.eventLogId = eventLog.logId;
+    if (!resumed) {
+      // Nothing is replayed; the app reloads everything instead
+      this.lastSeq = eventLog.lastSeq;
+    } else if (replayed > 0) {
+      this.pendingReplay = {untilSeq: eventLog.lastSeq, remaining: replayed};
+    } else {
+      this.lastSeq = Math.max(this.lastSeq, eventLog.lastSeq);
+    }
+    this.lastResume = {resumed, replayed};
   }
 
-  private async sendRequestMessage(type: string, payload: any): Promise<any> {
+  private recordSeq(seq: unknown): void {
+    if (typeof seq !== 'number') {
+      return;
+    }
+    if (seq > this.lastSeq) {
+      this.lastSeq = seq;
+    }
+
+    const replay = this.pendingReplay;
+    if (replay && seq <= replay.untilSeq && --replay.remaining === 0) {
+      // The events in between that were not replayed are this device's own saves
+      this.lastSeq = Math.max(this.lastSeq, replay.untilSeq);
+      this.pendingReplay = null;
+    }
+  }
+
+  private async sendRequestMessage(
+    type: string,
+    payload: any,
+    isHandshake: boolean = false,
+    timeoutMs: number = this.requestTimeoutMs,
+  ): Promise<any> {
     return new Promise((resolve, reject) => {
       const messageId = this.generateId();
       const message: WebSocketMessage = {
@@ -147,19 +1218,29 @@ export class MobileDevinWebSocketClient extends EventEmitter {
         timestamp: Date.now(),
       };
 
-      // Store pending request
-      this.pendingRequests.set(messageId, {resolve, reject});
-
       // Set timeout
-      setTimeout(() => {
+      const timeout = setTimeout(() => {
         if (this.pendingRequests.has(messageId)) {
           this.pendingRequests.delete(messageId);
-          reject(new Error('Request timeout'));
+          reject(new BridgeRequestError('TIMEOUT', `Request timeout: ${type}`));
         }
-      }, this.requestTimeoutMs);
+      }, timeoutMs);
 
-      // Send message
-      this.sendMessage(message);
+      // Store pending request
+      this.pendingRequests.set(messageId, {resolve, reject, timeout});
+
+      // Send message; handshake requests go out before the session is authenticated
+      try {
+        if (isHandshake) {
+          this.sendRaw(message);
+        } else {
+          this.sendMessage(message);
+        }
+      } catch (error) {
+        clearTimeout(timeout);
+        this.pendingRequests.delete(messageId);
+        reject(new BridgeRequestError('CONNECTION_LOST', 'WebSocket not connected'));
+      }
     });
   }
 
@@ -181,6 +1262,14 @@ export class MobileDevinWebSocketClient extends EventEmitter {
       message = typeOrMessage;
     }
 
+    this.sendRaw(message);
+  }
+
+  private sendRaw(message: WebSocketMessage): void {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('WebSocket not connected');
+    }
+
     try {
       this.ws.send(JSON.stringify(message));
       console.log(`📤 Sent: ${message.type}`);
@@ -195,18 +1284,86 @@ export class MobileDevinWebSocketClient extends EventEmitter {
       const message: WebSocketMessage = JSON.parse(data);
       console.log(`📨 Received: ${message.type}`);
 
+      // Responses are matched to their request by replyTo, whatever their type
+      if (message.replyTo && this.pendingRequests.has(message.replyTo)) {
+        this.handleResponse(message);
+        return;
+      }
+
       switch (message.type) {
-        case 'file_response':
-        case 'project_info_response':
-          this.handleResponse(message);
+        case 'error':
+          console.error(`Bridge error ${message.payload?.code}: ${message.payload?.message}`);
+          this.emit('bridgeError', message.payload);
           break;
-          
+
         case 'file_change':
           this.handleFileChange(message.payload);
           break;
+
+        case 'collab_operation':
+          this.emit('collabOperation', message.payload as CollabOperationEvent);
+          break;
+
+        case 'collab_selection':
+          this.emit('collabSelection', message.payload as CollabSelectionEvent);
+          break;
+
+        case 'collab_presence':
+          this.emit('collabPresence', message.payload as CollabPresenceEvent);
+          break;
+
+        case 'collab_closed':
+          this.emit('collabClosed', message.payload);
+          break;
+
+        case 'terminal_output':
+          this.emit('terminalOutput', message.payload as TerminalOutputEvent);
+          break;
+
+        case 'terminal_exit':
+          this.emit('terminalExit', message.payload as TerminalExitEvent);
+          break;
+
+        case 'task_end':
+          this.emit('taskEnd', message.payload as TaskEndEvent);
+          break;
+
+        case 'diagnostics_change':
+          this.emit('diagnosticsChange', message.payload.files as FileDiagnostics[]);
+          break;
+
+        case 'search_results':
+          this.emit('searchResults', message.payload as SearchResultsEvent);
+          break;
+
+        case 'search_end':
+          this.emit('searchEnd', message.payload as SearchEndEvent);
+          break;
+
+        case 'ai_chat_delta':
+          this.emit('aiChatDelta', message.payload as ChatDeltaEvent);
+          break;
+
+        case 'ai_chat_end':
+          this.emit('aiChatEnd', message.payload as ChatEndEvent);
+          break;
+
+        case 'agent_step':
+          this.emit('agentStep', message.payload as AgentStepEvent);
+          break;
+
+        case 'agent_end':
+          this.emit('agentEnd', message.payload as AgentEndEvent);
+          break;
           
         case 'ping':
-          this.sendMessage('pong', {receivedId: message.id});
+          this.sendMessage({
+            id: this.generateId(),
+            type: 'pong',
+            replyTo: message.id,
+            payload: {receivedId: message.id},
+            timestamp: Date.now(),
+          });
           break;
           
         case 'pong':
@@ -222,20 +1379,43 @@ export class MobileDevinWebSocketClient extends EventEmitter {
   }
 
   private handleResponse(message: WebSocketMessage): void {
-    const pending = this.pendingRequests.get(message.id);
-    if (pending) {
-      this.pendingRequests.delete(message.id);
+    const pending = this.pendingRequests.get(message.replyTo!);
+    if (!pending) {
+      return;
+    }
+
+    this.pendingRequests.delete(message.replyTo!);
+    clearTimeout(pending.timeout);
+
+    if (message.type === 'error') {
+      const {code, message: errorMessage, details} = message.payload || {};
+      pending.reject(new BridgeRequestError(code || 'INTERNAL_ERROR', errorMessage || 'Unknown error', details));
+    } else {
       pending.resolve(message.payload);
     }
   }
 
+  private rejectPendingRequests(reason: string): void {
+    this.pendingRequests.forEach((pending) => {
+      clearTimeout(pending.timeout);
+      pending.reject(new BridgeRequestError('CONNECTION_LOST', reason));
+    });
+    this.pendingRequests.clear();
+  }
+
   private handleFileChange(payload: any): void {
+    this.recordSeq(payload.seq);
+
     const fileChange: FileChangeEvent = {
       type: payload.type,
+      workspaceFolder: payload.workspaceFolder,
       filePath: payload.filePath,
       content: payload.content,
+      delta: payload.delta,
+      version: payload.version,
       timestamp: payload.timestamp || Date.now(),
       source: payload.source,
+      seq: payload.seq,
     };
     
     this.emit('fileChange', fileChange);
@@ -267,8 +1447,15 @@ export class MobileDevinWebSocketClient extends EventEmitter {
     }
   }
 
+  // Backs off to one attempt every 30 seconds. After maxReconnectAttempts it only keeps trying
+  // while queued changes wait to be sent; resumeConnection() starts over.
   private attemptReconnect(): void {
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+    if (!this.keepConnected || this.reconnectTimeout) {
+      return;
+    }
+
+    const hasUnsent = this.outbox.getEntries().some(entry => entry.status === 'pending' || entry.status === 'sending');
+    if (this.reconnectAttempts >= this.maxReconnectAttempts && !hasUnsent) {
       console.log('❌ Max reconnection attempts reached');
       return;
     }
@@ -277,6 +1464,7 @@ export class MobileDevinWebSocketClient extends EventEmitter {
     console.log(`🔄 Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts + 1})`);
     
     this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
       this.reconnectAttempts++;
       this.connect().catch((error) => {
         console.error('Reconnection failed:', error);
@@ -291,4 +1479,39 @@ export class MobileDevinWebSocketClient extends EventEmitter {
   getConnectionState(): ConnectionState {
     return this.connectionState;
   }
-} 
\ No newline at end of file
+
+  // Whether the last connection caught up on missed file changes; null before the first
+  getLastResume(): ResumeResult | null {
+    return this.lastResume;
+  }
+} 
+
+const isSecureUrl = (url: string): boolean => /^wss:/i.test(url.trim());
+
+const getFileKey = (filePath: string, workspaceFolder?: string): string =>
+  `file:${workspaceFolder ?? ''}/${filePath}`;
+
+// A replayed file_update that conflicts with exactly its own content was already written
+const getAppliedVersion = (entry: OutboxEntry, error: BridgeRequestError): FileConflict | null => {
+  if (entry.type !== 'file_update' || error.code !== 'CONFLICT') {
+    return null;
+  }
+  const conflict = error.details as FileConflict | undefined;
+  return conflict && conflict.currentVersion && conflict.currentContent === entry.payload.content ? conflict : null;
+};
+
+// HMAC over both nonces, keyed with the SHA-256 of the token that the bridge stores; the
+// role keeps a proof from one side from being replayed as the other's
+const authProof = (key: Uint8Array, role: 'bridge' | 'device', clientNonce: string, serverNonce: string): string =>
+  bytesToHex(hmac(sha256, key, utf8ToBytes(`mobile-devin-${role}\n${clientNonce}\n${serverNonce}`)));
+
+const isSameProof = (received: unknown, expected: string): boolean => {
+  if (typeof received !== 'string' || received.length !== expected.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= received.charCodeAt(i) ^ expected.charCodeAt(i);
+  }
+  return difference === 0;
+};
@@ -89,6 +89,10 @@ class TestRunner {
       return;
     }
 
+    // The extension depends on the shared and AI client packages via file:../shared and
+    // file:../ai-client; installing the AI client builds its gitignored dist
+    await this.runCommand('npm install', path.join(__dirname, 'shared'), 'Install Shared Package Dependencies');
+    await this.runCommand('npm install', path.join(__dirname, 'ai-client'), 'Install AI Client Package Dependencies');
     await this.runCommand('npm install', cursorDir, 'Install Cursor Extension Dependencies');
     await this.runCommand('npm run compile', cursorDir, 'Compile Cursor Extension');
     await this.runCommand('npm test', cursorDir, 'Run Cursor Extension Tests');
@@ -133,6 +137,8 @@ class TestRunner {
       return;
     }
 
+    // Depends on the AI client via file:../ai-client
+    await this.runCommand('npm install', path.join(__dirname, 'ai-client'), 'Install AI Client Package Dependencies');
     await this.runCommand('npm install', aiDir, 'Install AI Integration Dependencies');
     
     // Check if .env file exists
@@ -0,0 +1,127 @@
+// A change that replaces a[aStart, aEnd) with b[bStart, bEnd)
+export interface DiffHunk {
+    aStart: number;
+    aEnd: number;
+    bStart: number;
+    bEnd: number;
+}
+
+// Beyond this many edits the middle section is treated as one replacement
+const MAX_EDIT_DISTANCE = 2000;
+
+export function splitLines(text: string): string[] {
+    return text.split('\n');
+}
+
+export function joinLines(lines: string[]): string {
+    return lines.join('\n');
+}
+
+export function diffLines(a: string[], b: string[]): DiffHunk[] {
+    // Common prefix and suffix never need the full diff
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+        prefix++;
+    }
+
+    let suffix = 0;
+    while (
+        suffix < a.length - prefix &&
+        suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+    ) {
+        suffix++;
+    }
+
+    const aMiddle = a.slice(prefix, a.length - suffix);
+    const bMiddle = b.slice(prefix, b.length - suffix);
+    const matches = longestCommonSubsequence(aMiddle, bMiddle);
+
+    const hunks: DiffHunk[] = [];
+    let aPos = 0;
+    let bPos = 0;
+
+    for (const [aIndex, bIndex] of [...matches, [aMiddle.length, bMiddle.length]]) {
+        if (aIndex > aPos || bIndex > bPos) {
+            hunks.push({
+                aStart: prefix + aPos,
+                aEnd: prefix + aIndex,
+                bStart: prefix + bPos,
+                bEnd: prefix + bIndex
+            });
+        }
+        aPos = aIndex + 1;
+        bPos = bIndex + 1;
+    }
+
+    return hunks;
+}
+
+// Myers' O(ND) algorithm; returns matched [aIndex, bIndex] pairs in order
+function longestCommonSubsequence(a: string[], b: string[]): Array<[number, number]> {
+    const n = a.length;
+    const m = b.length;
+    if (n === 0 || m === 0) {
+        return [];
+    }
+
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace: Int32Array[] = [];
+
+    for (let d = 0; d <= max; d++) {
+        // Only diagonals -d..d are reachable, so that is all backtracking needs
+        trace.push(v.slice(offset - d, offset + d + 1));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                return backtrack(trace, n, m);
+            }
+        }
+    }
+
+    return [];
+}
+
+function backtrack(trace: Int32Array[], n: number, m: number): Array<[number, number]> {
+    const matches: Array<[number, number]> = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+        const v = trace[d];
+        const at = (k: number) => v[k + d];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            x--;
+            y--;
+            matches.push([x, y]);
+        }
+        x = prevX;
+        y = prevY;
+    }
+
+    while (x > 0 && y > 0) {
+        x--;
+        y--;
+        matches.push([x, y]);
+    }
+
+    return matches.reverse();
+}
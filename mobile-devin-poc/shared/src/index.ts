@@ -0,0 +1,5 @@
+export * from './diff';
+export * from './merge';
+export * from './patch';
+export * from './ot';
+export * from './ot-client';
@@ -0,0 +1,225 @@
+import { DiffHunk, diffLines, joinLines, splitLines } from './diff';
+
+export type MergeRegion =
+    { kind: 'resolved'; lines: string[] } |
+    { kind: 'conflict'; base: string[]; local: string[]; incoming: string[] };
+
+export interface MergeResult {
+    clean: boolean;
+    conflicts: number;
+    content: string; // merged text, with conflict markers around unresolved hunks
+    regions: MergeRegion[];
+}
+
+export interface MergeLabels {
+    local: string;
+    incoming: string;
+}
+
+export interface ConflictBlock {
+    index: number;
+    // 0-based line numbers of the three marker lines
+    startLine: number;
+    separatorLine: number;
+    endLine: number;
+    local: string[];
+    incoming: string[];
+}
+
+export type ConflictChoice = 'local' | 'incoming' | 'both';
+
+export const CONFLICT_START = '<<<<<<<';
+export const CONFLICT_SEPARATOR = '=======';
+export const CONFLICT_END = '>>>>>>>';
+
+const DEFAULT_LABELS: MergeLabels = { local: 'local', incoming: 'incoming' };
+
+interface SideHunk extends DiffHunk {
+    side: 'local' | 'incoming';
+}
+
+// diff3: changes made on only one side since base are applied automatically,
+// overlapping changes that differ become conflicts
+export function mergeText(
+    base: string,
+    local: string,
+    incoming: string,
+    labels: MergeLabels = DEFAULT_LABELS
+): MergeResult {
+    if (local === incoming || base === incoming) {
+        return resolvedResult(local);
+    }
+    if (base === local) {
+        return resolvedResult(incoming);
+    }
+
+    const baseLines = splitLines(base);
+    const localLines = splitLines(local);
+    const incomingLines = splitLines(incoming);
+
+    const hunks: SideHunk[] = [
+        ...diffLines(baseLines, localLines).map(hunk => ({ ...hunk, side: 'local' as const })),
+        ...diffLines(baseLines, incomingLines).map(hunk => ({ ...hunk, side: 'incoming' as const }))
+    ].sort((a, b) => a.aStart - b.aStart || a.aEnd - b.aEnd);
+
+    const regions: MergeRegion[] = [];
+    let basePos = 0;
+    let i = 0;
+
+    while (i < hunks.length) {
+        // Group hunks whose base ranges overlap or touch
+        const group = [hunks[i]];
+        const regionStart = hunks[i].aStart;
+        let regionEnd = hunks[i].aEnd;
+        i++;
+
+        while (i < hunks.length && hunks[i].aStart <= regionEnd) {
+            regionEnd = Math.max(regionEnd, hunks[i].aEnd);
+            group.push(hunks[i]);
+            i++;
+        }
+
+        pushResolved(regions, baseLines.slice(basePos, regionStart));
+
+        const localSide = sideLines(group, 'local', localLines, baseLines, regionStart, regionEnd);
+        const incomingSide = sideLines(group, 'incoming', incomingLines, baseLines, regionStart, regionEnd);
+        const touchedBy = new Set(group.map(hunk => hunk.side));
+
+        if (touchedBy.size === 1) {
+            pushResolved(regions, touchedBy.has('local') ? localSide : incomingSide);
+        } else if (sameLines(localSide, incomingSide)) {
+            // Both sides made the same change
+            pushResolved(regions, localSide);
+        } else {
+            regions.push({
+                kind: 'conflict',
+                base: baseLines.slice(regionStart, regionEnd),
+                local: localSide,
+                incoming: incomingSide
+            });
+        }
+
+        basePos = regionEnd;
+    }
+
+    pushResolved(regions, baseLines.slice(basePos));
+
+    const conflicts = regions.filter(region => region.kind === 'conflict').length;
+    return {
+        clean: conflicts === 0,
+        conflicts,
+        content: renderRegions(regions, labels),
+        regions
+    };
+}
+
+export function findConflictBlocks(text: string): ConflictBlock[] {
+    const lines = splitLines(text);
+    const blocks: ConflictBlock[] = [];
+    let startLine = -1;
+    let separatorLine = -1;
+
+    lines.forEach((line, lineNumber) => {
+        if (line.startsWith(CONFLICT_START)) {
+            startLine = lineNumber;
+            separatorLine = -1;
+        } else if (line.startsWith(CONFLICT_SEPARATOR) && startLine >= 0 && separatorLine < 0) {
+            separatorLine = lineNumber;
+        } else if (line.startsWith(CONFLICT_END) && startLine >= 0 && separatorLine >= 0) {
+            blocks.push({
+                index: blocks.length,
+                startLine,
+                separatorLine,
+                endLine: lineNumber,
+                local: lines.slice(startLine + 1, separatorLine),
+                incoming: lines.slice(separatorLine + 1, lineNumber)
+            });
+            startLine = -1;
+            separatorLine = -1;
+        }
+    });
+
+    return blocks;
+}
+
+export function resolveConflictBlock(text: string, index: number, choice: ConflictChoice): string {
+    const block = findConflictBlocks(text)[index];
+    if (!block) {
+        return text;
+    }
+
+    const replacement = choice === 'local'
+        ? block.local
+        : choice === 'incoming'
+            ? block.incoming
+            : [...block.local, ...block.incoming];
+
+    const lines = splitLines(text);
+    lines.splice(block.startLine, block.endLine - block.startLine + 1, ...replacement);
+    return joinLines(lines);
+}
+
+function resolvedResult(content: string): MergeResult {
+    return {
+        clean: true,
+        conflicts: 0,
+        content,
+        regions: [{ kind: 'resolved', lines: splitLines(content) }]
+    };
+}
+
+// The lines one side has in place of base[regionStart, regionEnd)
+function sideLines(
+    group: SideHunk[],
+    side: SideHunk['side'],
+    sideText: string[],
+    baseLines: string[],
+    regionStart: number,
+    regionEnd: number
+): string[] {
+    const sideHunks = group.filter(hunk => hunk.side === side);
+    if (sideHunks.length === 0) {
+        return baseLines.slice(regionStart, regionEnd);
+    }
+
+    const first = sideHunks[0];
+    const last = sideHunks[sideHunks.length - 1];
+    const start = first.bStart - (first.aStart - regionStart);
+    const end = last.bEnd + (regionEnd - last.aEnd);
+    return sideText.slice(start, end);
+}
+
+function pushResolved(regions: MergeRegion[], lines: string[]): void {
+    if (lines.length === 0) {
+        return;
+    }
+
+    const previous = regions[regions.length - 1];
+    if (previous && previous.kind === 'resolved') {
+        previous.lines.push(...lines);
+    } else {
+        regions.push({ kind: 'resolved', lines: [...lines] });
+    }
+}
+
+function sameLines(a: string[], b: string[]): boolean {
+    return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+function renderRegions(regions: MergeRegion[], labels: MergeLabels): string {
+    const lines: string[] = [];
+    for (const region of regions) {
+        if (region.kind === 'resolved') {
+            lines.push(...region.lines);
+        } else {
+            lines.push(
+                `${CONFLICT_START} ${labels.local}`,
+                ...region.local,
+                CONFLICT_SEPARATOR,
+                ...region.incoming,
+                `${CONFLICT_END} ${labels.incoming}`
+            );
+        }
+    }
+    return joinLines(lines);
+}
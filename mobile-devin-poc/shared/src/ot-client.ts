@@ -0,0 +1,58 @@
+import { TextOperation, compose, transform } from './ot';
+
+export interface OTClientCallbacks {
+    // Sends an operation based on the given server revision
+    send(revision: number, operation: TextOperation): void;
+    // Applies a remote operation, already transformed against local edits, to the editor
+    apply(operation: TextOperation): void;
+}
+
+// Client side of a central-server OT session. At most one operation is awaiting the
+// server's acknowledgement; edits made meanwhile are composed into a buffer.
+export class OTClient {
+    private outstanding: TextOperation | null = null;
+    private buffer: TextOperation | null = null;
+
+    constructor(public revision: number, private callbacks: OTClientCallbacks) {}
+
+    applyLocal(operation: TextOperation): void {
+        if (!this.outstanding) {
+            this.outstanding = operation;
+            this.callbacks.send(this.revision, operation);
+        } else {
+            this.buffer = this.buffer ? compose(this.buffer, operation) : operation;
+        }
+    }
+
+    applyRemote(operation: TextOperation): void {
+        this.revision++;
+
+        let remote = operation;
+        if (this.outstanding) {
+            [this.outstanding, remote] = transform(this.outstanding, remote);
+        }
+        if (this.buffer) {
+            [this.buffer, remote] = transform(this.buffer, remote);
+        }
+
+        this.callbacks.apply(remote);
+    }
+
+    acknowledge(): void {
+        if (!this.outstanding) {
+            return;
+        }
+
+        this.revision++;
+        this.outstanding = this.buffer;
+        this.buffer = null;
+
+        if (this.outstanding) {
+            this.callbacks.send(this.revision, this.outstanding);
+        }
+    }
+
+    hasPendingChanges(): boolean {
+        return this.outstanding !== null;
+    }
+}
@@ -0,0 +1,338 @@
+import { TextEdit } from './patch';
+
+// A TextOperation walks the whole base document: a positive number retains that many
+// characters, a negative number deletes that many and a string inserts itself. Arrays
+// keep operations plain JSON so they travel over the bridge unchanged.
+export type OperationComponent = number | string;
+export type TextOperation = OperationComponent[];
+
+export class OperationError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'OperationError';
+    }
+}
+
+export function isOperation(value: unknown): value is TextOperation {
+    return Array.isArray(value) && value.every(component =>
+        typeof component === 'string' || (Number.isInteger(component) && component !== 0)
+    );
+}
+
+export function isNoop(operation: TextOperation): boolean {
+    return operation.every(component => typeof component === 'number' && component > 0);
+}
+
+// Length of the document the operation applies to
+export function baseLength(operation: TextOperation): number {
+    return operation.reduce<number>((length, component) =>
+        typeof component === 'string' ? length : length + Math.abs(component), 0);
+}
+
+// Length of the document after applying the operation
+export function targetLength(operation: TextOperation): number {
+    return operation.reduce<number>((length, component) => {
+        if (typeof component === 'string') {
+            return length + component.length;
+        }
+        return component > 0 ? length + component : length;
+    }, 0);
+}
+
+export function applyOperation(text: string, operation: TextOperation): string {
+    if (baseLength(operation) !== text.length) {
+        throw new OperationError(`Operation expects a document of ${baseLength(operation)} characters, got ${text.length}`);
+    }
+
+    const parts: string[] = [];
+    let position = 0;
+
+    for (const component of operation) {
+        if (typeof component === 'string') {
+            parts.push(component);
+        } else if (component > 0) {
+            parts.push(text.slice(position, position + component));
+            position += component;
+        } else {
+            position -= component;
+        }
+    }
+
+    return parts.join('');
+}
+
+// Edits against a document of the given length, in ascending non-overlapping order
+export function operationFromEdits(documentLength: number, edits: TextEdit[]): TextOperation {
+    const builder = new OperationBuilder();
+    let position = 0;
+
+    for (const edit of edits) {
+        if (edit.offset < position || edit.offset + edit.deleteCount > documentLength) {
+            throw new OperationError('Edits overlap or exceed the document');
+        }
+        builder.retain(edit.offset - position);
+        builder.insert(edit.text);
+        builder.delete(edit.deleteCount);
+        position = edit.offset + edit.deleteCount;
+    }
+
+    builder.retain(documentLength - position);
+    return builder.build();
+}
+
+export function operationToEdits(operation: TextOperation): TextEdit[] {
+    const edits: TextEdit[] = [];
+    let position = 0;
+
+    for (const component of operation) {
+        if (typeof component === 'number' && component > 0) {
+            position += component;
+            continue;
+        }
+
+        // Adjacent inserts and deletes form one edit
+        let edit = edits[edits.length - 1];
+        if (!edit || edit.offset + edit.deleteCount !== position) {
+            edit = { offset: position, deleteCount: 0, text: '' };
+            edits.push(edit);
+        }
+
+        if (typeof component === 'string') {
+            edit.text += component;
+        } else {
+            edit.deleteCount -= component;
+            position -= component;
+        }
+    }
+
+    return edits;
+}
+
+// One operation with the effect of a followed by b
+export function compose(a: TextOperation, b: TextOperation): TextOperation {
+    if (targetLength(a) !== baseLength(b)) {
+        throw new OperationError('The second operation must apply to the result of the first');
+    }
+
+    const builder = new OperationBuilder();
+    const first = new ComponentReader(a);
+    const second = new ComponentReader(b);
+
+    while (!first.done() || !second.done()) {
+        // Deletes in a and inserts in b do not interact with the other side
+        if (first.isDelete()) {
+            builder.delete(first.take());
+        } else if (second.isInsert()) {
+            builder.insert(second.takeText());
+        } else if (first.done() || second.done()) {
+            throw new OperationError('Operations have incompatible lengths');
+        } else {
+            const length = Math.min(first.length(), second.length());
+            const firstIsInsert = first.isInsert();
+            const insertedText = firstIsInsert ? first.takeText(length) : '';
+            if (!firstIsInsert) {
+                first.take(length);
+            }
+
+            if (second.isDelete()) {
+                second.take(length);
+                // A retain that b deletes is a delete of base text; an insert b deletes vanishes
+                if (!firstIsInsert) {
+                    builder.delete(length);
+                }
+            } else {
+                second.take(length);
+                if (firstIsInsert) {
+                    builder.insert(insertedText);
+                } else {
+                    builder.retain(length);
+                }
+            }
+        }
+    }
+
+    return builder.build();
+}
+
+// Concurrent a and b on the same document become a' (a after b) and b' (b after a) so
+// that applying a then b' equals applying b then a'. Inserts of a go first at equal positions.
+export function transform(a: TextOperation, b: TextOperation): [TextOperation, TextOperation] {
+    if (baseLength(a) !== baseLength(b)) {
+        throw new OperationError('Concurrent operations must apply to the same document');
+    }
+
+    const aPrime = new OperationBuilder();
+    const bPrime = new OperationBuilder();
+    const left = new ComponentReader(a);
+    const right = new ComponentReader(b);
+
+    while (!left.done() || !right.done()) {
+        if (left.isInsert()) {
+            const text = left.takeText();
+            aPrime.insert(text);
+            bPrime.retain(text.length);
+        } else if (right.isInsert()) {
+            const text = right.takeText();
+            aPrime.retain(text.length);
+            bPrime.insert(text);
+        } else if (left.done() || right.done()) {
+            throw new OperationError('Operations have incompatible lengths');
+        } else {
+            const length = Math.min(left.length(), right.length());
+            const leftDeletes = left.isDelete();
+            const rightDeletes = right.isDelete();
+            left.take(length);
+            right.take(length);
+
+            if (!leftDeletes && !rightDeletes) {
+                aPrime.retain(length);
+                bPrime.retain(length);
+            } else if (leftDeletes && !rightDeletes) {
+                aPrime.delete(length);
+            } else if (!leftDeletes && rightDeletes) {
+                bPrime.delete(length);
+            }
+            // Both deleted the same text: nothing left to do on either side
+        }
+    }
+
+    return [aPrime.build(), bPrime.build()];
+}
+
+// Where a document offset ends up after the operation. Text inserted exactly at the
+// offset lands before it unless stickToStart is set.
+export function transformOffset(offset: number, operation: TextOperation, stickToStart: boolean = false): number {
+    let position = 0;
+    let result = offset;
+
+    for (const component of operation) {
+        if (position > offset) {
+            break;
+        }
+
+        if (typeof component === 'string') {
+            if (position < offset || !stickToStart) {
+                result += component.length;
+            }
+        } else if (component > 0) {
+            position += component;
+        } else {
+            const deleted = -component;
+            result -= Math.min(deleted, offset - position);
+            position += deleted;
+        }
+    }
+
+    return result;
+}
+
+// Appends components while keeping the operation normalized: no zero lengths, adjacent
+// components of one kind merged, and an insert always before a delete it touches
+class OperationBuilder {
+    private components: TextOperation = [];
+
+    retain(length: number): void {
+        if (length <= 0) {
+            return;
+        }
+        const last = this.components[this.components.length - 1];
+        if (typeof last === 'number' && last > 0) {
+            this.components[this.components.length - 1] = last + length;
+        } else {
+            this.components.push(length);
+        }
+    }
+
+    insert(text: string): void {
+        if (text === '') {
+            return;
+        }
+        const components = this.components;
+        const last = components[components.length - 1];
+
+        if (typeof last === 'string') {
+            components[components.length - 1] = last + text;
+        } else if (typeof last === 'number' && last < 0) {
+            const beforeDelete = components[components.length - 2];
+            if (typeof beforeDelete === 'string') {
+                components[components.length - 2] = beforeDelete + text;
+            } else {
+                components.splice(components.length - 1, 0, text);
+            }
+        } else {
+            components.push(text);
+        }
+    }
+
+    delete(length: number): void {
+        if (length <= 0) {
+            return;
+        }
+        const last = this.components[this.components.length - 1];
+        if (typeof last === 'number' && last < 0) {
+            this.components[this.components.length - 1] = last - length;
+        } else {
+            this.components.push(-length);
+        }
+    }
+
+    build(): TextOperation {
+        return this.components;
+    }
+}
+
+// Reads an operation component by component, splitting components on demand
+class ComponentReader {
+    private index = 0;
+    private consumed = 0; // of the current component
+
+    constructor(private operation: TextOperation) {}
+
+    done(): boolean {
+        return this.index >= this.operation.length;
+    }
+
+    isInsert(): boolean {
+        return typeof this.current() === 'string';
+    }
+
+    isDelete(): boolean {
+        const component = this.current();
+        return typeof component === 'number' && component < 0;
+    }
+
+    // Remaining length of the current component
+    length(): number {
+        const component = this.current();
+        if (component === undefined) {
+            return 0;
+        }
+        return (typeof component === 'string' ? component.length : Math.abs(component)) - this.consumed;
+    }
+
+    take(length: number = this.length()): number {
+        this.advance(length);
+        return length;
+    }
+
+    takeText(length: number = this.length()): string {
+        const component = this.current() as string;
+        const text = component.slice(this.consumed, this.consumed + length);
+        this.advance(length);
+        return text;
+    }
+
+    private current(): OperationComponent | undefined {
+        return this.operation[this.index];
+    }
+
+    private advance(length: number): void {
+        const remaining = this.length();
+        if (length >= remaining) {
+            this.index++;
+            this.consumed = 0;
+        } else {
+            this.consumed += length;
+        }
+    }
+}
@@ -0,0 +1,121 @@
+import { diffLines } from './diff';
+
+// Replaces base[offset, offset + deleteCount) with text. Offsets count UTF-16 code
+// units, which is what both the extension and the app index strings by.
+export interface TextEdit {
+    offset: number;
+    deleteCount: number;
+    text: string;
+}
+
+export class PatchError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'PatchError';
+    }
+}
+
+// Edits that turn base into target, in ascending non-overlapping order of offset
+export function createPatch(base: string, target: string): TextEdit[] {
+    if (base === target) {
+        return [];
+    }
+
+    const baseLines = splitKeepingNewlines(base);
+    const targetLines = splitKeepingNewlines(target);
+    const baseOffsets = lineOffsets(baseLines);
+
+    return diffLines(baseLines, targetLines).map(hunk => trimEdit(
+        base,
+        baseOffsets[hunk.aStart],
+        baseOffsets[hunk.aEnd],
+        targetLines.slice(hunk.bStart, hunk.bEnd).join('')
+    ));
+}
+
+export function applyPatch(base: string, edits: TextEdit[]): string {
+    const parts: string[] = [];
+    let position = 0;
+
+    for (const edit of edits) {
+        if (!isTextEdit(edit) || edit.offset < position || edit.offset + edit.deleteCount > base.length) {
+            throw new PatchError('Patch does not apply to the base text');
+        }
+
+        parts.push(base.slice(position, edit.offset), edit.text);
+        position = edit.offset + edit.deleteCount;
+    }
+
+    parts.push(base.slice(position));
+    return parts.join('');
+}
+
+export function isTextEdit(value: unknown): value is TextEdit {
+    const edit = value as TextEdit;
+    return typeof edit === 'object' && edit !== null &&
+        Number.isInteger(edit.offset) && edit.offset >= 0 &&
+        Number.isInteger(edit.deleteCount) && edit.deleteCount >= 0 &&
+        typeof edit.text === 'string';
+}
+
+// Lines with their trailing '\n', so a missing final newline is an ordinary line change
+function splitKeepingNewlines(text: string): string[] {
+    const lines: string[] = [];
+    let start = 0;
+
+    while (start < text.length) {
+        const newline = text.indexOf('\n', start);
+        const end = newline < 0 ? text.length : newline + 1;
+        lines.push(text.slice(start, end));
+        start = end;
+    }
+
+    return lines;
+}
+
+function lineOffsets(lines: string[]): number[] {
+    const offsets = [0];
+    for (const line of lines) {
+        offsets.push(offsets[offsets.length - 1] + line.length);
+    }
+    return offsets;
+}
+
+// Narrows a line replacement to the characters that changed, so typing one
+// character sends one character
+function trimEdit(base: string, start: number, end: number, text: string): TextEdit {
+    let prefix = 0;
+    while (prefix < end - start && prefix < text.length && base[start + prefix] === text[prefix]) {
+        prefix++;
+    }
+    // Never split a surrogate pair; a lone surrogate does not survive every JSON encoder
+    if (prefix > 0 && isHighSurrogate(base.charCodeAt(start + prefix - 1))) {
+        prefix--;
+    }
+
+    let suffix = 0;
+    while (
+        suffix < end - start - prefix &&
+        suffix < text.length - prefix &&
+        base[end - 1 - suffix] === text[text.length - 1 - suffix]
+    ) {
+        suffix++;
+    }
+    if (suffix > 0 && isLowSurrogate(base.charCodeAt(end - suffix))) {
+        suffix--;
+    }
+
+    return {
+        offset: start + prefix,
+        deleteCount: end - start - prefix - suffix,
+        text: text.slice(prefix, text.length - suffix)
+    };
+}
+
+function isHighSurrogate(code: number): boolean {
+    return code >= 0xd800 && code <= 0xdbff;
+}
+
+function isLowSurrogate(code: number): boolean {
+    return code >= 0xdc00 && code <= 0xdfff;
+}
@@ -1,20 +1,52 @@
+const crypto = require('crypto');
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 
+class BridgeRequestError extends Error {
+    constructor(code, message, details) {
+        super(message);
+        this.name = 'BridgeRequestError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
 class MobileDevinTestClient {
-    constructor(url = 'ws://localhost:3001') {
+    constructor(url = 'ws://localhost:3001', options = {}) {
         this.url = url;
+        // SHA-256 of the bridge certificate ("AB:CD:..."), pinned instead of CA validation
+        this.fingerprint = options.fingerprint || null;
         this.ws = null;
         this.isConnected = false;
         this.messageHandlers = new Map();
         this.pendingRequests = new Map();
+        this.deviceId = null;
+        this.token = null;
+        // Position in the bridge's event log, sent on authentication to replay missed changes
+        this.logId = null;
+        this.lastSeq = 0;
+        // Output and exit of terminals, by terminalId
+        this.terminals = new Map();
+        // Results and end of searches, by searchId
+        this.searches = new Map();
+        // Streamed replies of AI chats, by chatId
+        this.chats = new Map();
+        // Steps and end of agent runs, by runId
+        this.agents = new Map();
     }
 
     async connect() {
         return new Promise((resolve, reject) => {
-            this.ws = new WebSocket(this.url);
+            // The bridge uses a self-signed certificate, so trust comes from the pinned fingerprint
+            this.ws = new WebSocket(this.url, { rejectUnauthorized: false });
 
             this.ws.on('open', () => {
+                if (this.url.startsWith('wss://') && !this.verifyCertificate()) {
+                    reject(new BridgeRequestError('CERTIFICATE_MISMATCH', 'Bridge certificate does not match the pinned fingerprint'));
+                    this.ws.terminate();
+                    return;
+                }
+
                 console.log('✅ Connected to Mobile Devin Bridge');
                 this.isConnected = true;
                 this.startHeartbeat();
@@ -25,9 +57,10 @@ class MobileDevinTestClient {
                 this.handleMessage(data);
             });
 
-            this.ws.on('close', () => {
-                console.log('❌ Disconnected from Mobile Devin Bridge');
+            this.ws.on('close', (code, reason) => {
+                console.log(`❌ Disconnected from Mobile Devin Bridge (${code}${reason.length ? `: ${reason}` : ''})`);
                 this.isConnected = false;
+                this.rejectPendingRequests('Connection closed');
             });
 
             this.ws.on('error', (error) => {
@@ -44,35 +77,129 @@ class MobileDevinTestClient {
         });
     }
 
+    verifyCertificate() {
+        const certificate = this.ws._socket.getPeerCertificate();
+        if (!this.fingerprint) {
+            console.warn(`⚠️  Trusting unpinned bridge certificate ${certificate.fingerprint256}`);
+            this.fingerprint = certificate.fingerprint256;
+            return true;
+        }
+        return certificate.fingerprint256 === this.fingerprint.toUpperCase();
+    }
+
+    async pair(code, deviceName = 'Mobile Devin Test Client') {
+        const response = await this.sendMessageWithResponse({
+            id: uuidv4(),
+            type: 'pair_request',
+            payload: { code, deviceName },
+            timestamp: Date.now()
+        });
+
+        this.deviceId = response.deviceId;
+        this.token = response.token;
+        this.updateEventLog(response.eventLog);
+        console.log(`🔑 Paired as ${response.deviceName} (${response.deviceId})`);
+        return response;
+    }
+
+    // The bridge proves it knows the token before the client does; the token itself is never sent.
+    // resume: { logId, lastSeq } - defaults to the last position seen by this client
+    async authenticate(deviceId, token, resume = this.getResumePoint()) {
+        const key = crypto.createHash('sha256').update(token).digest();
+        const nonce = crypto.randomBytes(32).toString('hex');
+        const challenge = await this.sendMessageWithResponse({
+            id: uuidv4(),
+            type: 'auth_request',
+            payload: { deviceId, nonce },
+            timestamp: Date.now()
+        });
+
+        const expected = authProof(key, 'bridge', nonce, challenge.nonce);
+        if (typeof challenge.proof !== 'string' || challenge.proof.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(challenge.proof), Buffer.from(expected))) {
+            this.ws.terminate();
+            throw new BridgeRequestError('BRIDGE_NOT_VERIFIED', 'The bridge could not prove it knows the pairing secret');
+        }
+
+        const response = await this.sendMessageWithResponse({
+            id: uuidv4(),
+            type: 'auth_proof',
+            payload: { proof: authProof(key, 'device', nonce, challenge.nonce), resume },
+            timestamp: Date.now()
+        });
+
+        this.deviceId = deviceId;
+        this.token = token;
+        this.updateEventLog(response.eventLog);
+        console.log(`🔐 Authenticated as ${response.deviceName}`);
+        return response;
+    }
+
+    getResumePoint() {
+        return this.logId ? { logId: this.logId, lastSeq: this.lastSeq } : undefined;
+    }
+
+    updateEventLog(eventLog) {
+        if (eventLog) {
+            this.lastSeq = eventLog.resumed && eventLog.logId === this.logId ? Math.max(this.lastSeq, eventLog.lastSeq) : eventLog.lastSeq;
+            this.logId = eventLog.logId;
+        }
+    }
+
+    recordSeq(seq) {
+        if (typeof seq === 'number' && seq > this.lastSeq) {
+            this.lastSeq = seq;
+        }
+    }
+
     disconnect() {
         if (this.ws) {
             this.ws.close();
         }
     }
 
-    async requestFile(filePath) {
+    async requestFile(filePath, workspaceFolder) {
         const messageId = uuidv4();
         const message = {
             id: messageId,
             type: 'file_request',
-            payload: { filePath },
+            payload: { filePath, workspaceFolder },
             timestamp: Date.now()
         };
 
         return this.sendMessageWithResponse(message);
     }
 
-    async updateFile(filePath, content) {
+    // options: { workspaceFolder, baseVersion } - a stale baseVersion is rejected with CONFLICT
+    async updateFile(filePath, content, options = {}) {
         const messageId = uuidv4();
         const message = {
             id: messageId,
             type: 'file_update',
-            payload: { filePath, content },
+            payload: { filePath, content, workspaceFolder: options.workspaceFolder, baseVersion: options.baseVersion },
+            timestamp: Date.now()
+        };
+
+        const response = await this.sendMessageWithResponse(message);
+        this.recordSeq(response.seq);
+        console.log(`📝 File update acknowledged: ${filePath}`);
+        return response;
+    }
+
+    // edits: [{ offset, deleteCount, text }] against the content of baseVersion
+    async updateFileDelta(filePath, baseVersion, edits, options = {}) {
+        const messageId = uuidv4();
+        const message = {
+            id: messageId,
+            type: 'file_delta',
+            payload: { filePath, workspaceFolder: options.workspaceFolder, baseVersion, edits },
             timestamp: Date.now()
         };
 
-        this.sendMessage(message);
-        console.log(`📝 File update sent: ${filePath}`);
+        const response = await this.sendMessageWithResponse(message);
+        this.recordSeq(response.seq);
+        console.log(`📝 File delta acknowledged: ${filePath}`);
+        return response;
     }
 
     async requestProjectInfo() {
@@ -87,6 +214,196 @@ class MobileDevinTestClient {
         return this.sendMessageWithResponse(message);
     }
 
+    // Every file with problems, or only filePath's
+    async requestDiagnostics(filePath, workspaceFolder) {
+        const response = await this.sendMessageWithResponse({
+            id: uuidv4(),
+            type: 'diagnostics_request',
+            payload: { filePath, workspaceFolder },
+            timestamp: Date.now()
+        });
+        return response.files;
+    }
+
+    // feature is 'completion', 'hover' or 'definition'; options.content is unsaved text offset refers to
+    async requestLanguageFeature(feature, filePath, offset, options = {}) {
+        return this.sendMessageWithResponse({
+            id: uuidv4(),
+            type: `${feature}_request`,
+            payload: { filePath, offset, ...options },
+            timestamp: Date.now()
+        });
+    }
+
+    // command is 'status', 'diff', 'stage', 'unstage', 'commit', 'branches', 'checkout', 'pull' or 'push'
+    async git(command, payload = {}) {
+        return this.sendMessageWithResponse({
+            id: uuidv4(),
+            type: `git_${command}`,
+            payload,
+            timestamp: Date.now()
+        });
+    }
+
+    // Runs a command in the workspace and resolves with its output once it exits
+    async runCommand(command, options = {}) {
+        const terminal = await this.sendMessageWithResponse({
+            id: uuidv4(),
+            type: 'terminal_create',
+            payload: { command, workspaceFolder: options.workspaceFolder },
+            timestamp: Date.now()
+        });
+
+        // Output can arrive in the same read as the response, before this continues
+        const state = this.getTerminalState(terminal.terminalId);
+        const exit = await new Promise((resolve) => {
+            if (state.exit) {
+                resolve(state.exit);
+            } else {
+                state.onExit = resolve;
+            }
+        });
+
+        this.terminals.delete(terminal.terminalId);
+        return { ...terminal, exitCode: exit.exitCode, signal: exit.signal, output: state.output };
+    }
+
+    // Resolves with every result once the bridge ends the search
+    async search(query) {
+        const { searchId } = await this.sendMessageWithResponse({
+            id: uuidv4(),
+            type: 'search_start',
+            payload: query,
+            timestamp: Date.now()
+        });
+
+        const state = this.getSearchState(searchId);
+        const end = await new Promise((resolve) => {
+            if (state.end) {
+                resolve(state.end);
+            } else {
+                state.onEnd = resolve;
+            }
+        });
+
+        this.searches.delete(searchId);
+        return { ...end, results: state.results, batches: state.batches };
+    }
+
+    getSearchState(searchId) {
+        if (!this.searches.has(searchId)) {
+            this.searches.set(searchId, { results: [], batches: 0, end: null, onEnd: null });
+        }
+        return this.searches.get(searchId);
+    }
+
+    async chat(messages, file) {
+        const { chatId, provider, model } = await this.sendMessageWithResponse({
+            id: uuidv4(),
+            type: 'ai_chat',
+            payload: { messages, file },
+            timestamp: Date.now()
+        });
+
+        const state = this.getChatState(chatId);
+        const end = await new Promise((resolve) => {
+            if (state.end) {
+                resolve(state.end);
+            } else {
+                state.onEnd = resolve;
+            }
+        });
+
+        this.chats.delete(chatId);
+        return { ...end, provider, model, deltas: state.deltas, streamed: state.text };
+    }
+
+    // The provider may be retried, so this waits longer than other requests
+    async requestChanges(instruction, files = []) {
+        return this.sendMessageWithResponse({
+            id: uuidv4(),
+            type: 'ai_change_request',
+            payload: { instruction, files },
+            timestamp: Date.now()
+        }, 300000);
+    }
+
+    // files are the proposed changes to apply, with their reviewed content
+    async applyChanges(files, label) {
+        const response = await this.sendMessageWithResponse({
+            id: uuidv4(),
+            type: 'ai_change_apply',
+            payload: {
+                files: files.map(file => ({
+                    workspaceFolder: file.workspaceFolder,
+                    filePath: file.filePath,
+                    action: file.action,
+                    content: file.modified ?? undefined,
+                    baseVersion: file.baseVersion
+                })),
+                label
+            },
+            timestamp: Date.now()
+        }, 30000);
+        return response.files;
+    }
+
+    // Resolves once the agent ends; onStep sees each step, again whenever it changes
+    async runAgent(task, options = {}) {
+        const { onStep, ...payload } = options;
+        const start = await this.sendMessageWithResponse({
+            id: uuidv4(),
+            type: 'agent_start',
+            payload: { task, ...payload },
+            timestamp: Date.now()
+        });
+
+        const state = this.getAgentState(start.runId);
+        state.onStep = onStep;
+        state.steps.forEach(step => onStep?.(step));
+        const end = await new Promise((resolve) => {
+            if (state.end) {
+                resolve(state.end);
+            } else {
+                state.onEnd = resolve;
+            }
+        });
+
+        this.agents.delete(start.runId);
+        return { ...end, start, steps: Array.from(state.steps.values()) };
+    }
+
+    // command is 'pause', 'resume' or 'cancel'
+    async controlAgent(command, runId) {
+        return this.sendMessageWithResponse({
+            id: uuidv4(),
+            type: `agent_${command}`,
+            payload: { runId },
+            timestamp: Date.now()
+        });
+    }
+
+    getAgentState(runId) {
+        if (!this.agents.has(runId)) {
+            this.agents.set(runId, { steps: new Map(), end: null, onStep: null, onEnd: null });
+        }
+        return this.agents.get(runId);
+    }
+
+    getChatState(chatId) {
+        if (!this.chats.has(chatId)) {
+            this.chats.set(chatId, { text: '', deltas: 0, end: null, onEnd: null });
+        }
+        return this.chats.get(chatId);
+    }
+
+    getTerminalState(terminalId) {
+        if (!this.terminals.has(terminalId)) {
+            this.terminals.set(terminalId, { output: '', exit: null, onExit: null });
+        }
+        return this.terminals.get(terminalId);
+    }
+
     onFileChange(callback) {
         this.messageHandlers.set('file_change', callback);
     }
@@ -94,29 +411,43 @@ class MobileDevinTestClient {
     sendMessage(message) {
         if (this.isConnected && this.ws) {
             this.ws.send(JSON.stringify(message));
-        } else {
-            console.error('❌ Not connected to bridge');
+            return true;
         }
+
+        console.error('❌ Not connected to bridge');
+        return false;
     }
 
     sendMessageWithResponse(message, timeout = 5000) {
         return new Promise((resolve, reject) => {
-            // Store pending request
-            this.pendingRequests.set(message.id, { resolve, reject });
-
             // Set timeout
-            setTimeout(() => {
+            const timer = setTimeout(() => {
                 if (this.pendingRequests.has(message.id)) {
                     this.pendingRequests.delete(message.id);
-                    reject(new Error('Request timeout'));
+                    reject(new BridgeRequestError('TIMEOUT', `Request timeout: ${message.type}`));
                 }
             }, timeout);
 
+            // Store pending request
+            this.pendingRequests.set(message.id, { resolve, reject, timer });
+
             // Send message
-            this.sendMessage(message);
+            if (!this.sendMessage(message)) {
+                clearTimeout(timer);
+                this.pendingRequests.delete(message.id);
+                reject(new BridgeRequestError('CONNECTION_LOST', 'Not connected to bridge'));
+            }
         });
     }
 
+    rejectPendingRequests(reason) {
+        this.pendingRequests.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(new BridgeRequestError('CONNECTION_LOST', reason));
+        });
+        this.pendingRequests.clear();
+    }
+
     handleMessage(data) {
         try {
             const message = JSON.parse(data.toString());
@@ -126,14 +457,25 @@ class MobileDevinTestClient {
                 timestamp: new Date(message.timestamp).toISOString()
             });
 
-            // Handle responses to pending requests
-            if (message.type === 'file_response' || message.type === 'project_info_response') {
-                const pending = this.pendingRequests.get(message.id);
-                if (pending) {
-                    this.pendingRequests.delete(message.id);
+            // Handle responses to pending requests, matched by replyTo
+            if (message.replyTo && this.pendingRequests.has(message.replyTo)) {
+                const pending = this.pendingRequests.get(message.replyTo);
+                this.pendingRequests.delete(message.replyTo);
+                clearTimeout(pending.timer);
+
+                if (message.type === 'error') {
+                    const { code, message: errorMessage, details } = message.payload || {};
+                    pending.reject(new BridgeRequestError(code || 'INTERNAL_ERROR', errorMessage || 'Unknown error', details));
+                } else {
                     pending.resolve(message.payload);
-                    return;
                 }
+                return;
+            }
+
+            // Handle unsolicited errors
+            if (message.type === 'error') {
+                console.error(`💥 Bridge error ${message.payload.code}: ${message.payload.message}`);
+                return;
             }
 
             // Handle pong
@@ -144,6 +486,7 @@ class MobileDevinTestClient {
 
             // Handle file changes
             if (message.type === 'file_change') {
+                this.recordSeq(message.payload.seq);
                 const handler = this.messageHandlers.get('file_change');
                 if (handler) {
                     handler(message.payload);
@@ -153,11 +496,89 @@ class MobileDevinTestClient {
                 return;
             }
 
+            // Terminal output is acknowledged once read, otherwise the bridge pauses the process
+            if (message.type === 'terminal_output') {
+                const { terminalId, data } = message.payload;
+                this.getTerminalState(terminalId).output += data;
+                this.sendMessage({
+                    id: uuidv4(),
+                    type: 'terminal_ack',
+                    payload: { terminalId, length: data.length },
+                    timestamp: Date.now()
+                });
+                return;
+            }
+
+            if (message.type === 'terminal_exit') {
+                const state = this.getTerminalState(message.payload.terminalId);
+                state.exit = message.payload;
+                if (state.onExit) {
+                    state.onExit(message.payload);
+                }
+                return;
+            }
+
+            if (message.type === 'search_results') {
+                const state = this.getSearchState(message.payload.searchId);
+                state.results.push(...message.payload.results);
+                state.batches++;
+                return;
+            }
+
+            if (message.type === 'search_end') {
+                const state = this.getSearchState(message.payload.searchId);
+                state.end = message.payload;
+                if (state.onEnd) {
+                    state.onEnd(message.payload);
+                }
+                return;
+            }
+
+            if (message.type === 'ai_chat_delta') {
+                const state = this.getChatState(message.payload.chatId);
+                state.text += message.payload.text;
+                state.deltas++;
+                return;
+            }
+
+            if (message.type === 'ai_chat_end') {
+                const state = this.getChatState(message.payload.chatId);
+                state.end = message.payload;
+                if (state.onEnd) {
+                    state.onEnd(message.payload);
+                }
+                return;
+            }
+
+            if (message.type === 'agent_step') {
+                const state = this.getAgentState(message.payload.runId);
+                state.steps.set(message.payload.index, message.payload);
+                if (state.onStep) {
+                    state.onStep(message.payload);
+                }
+                return;
+            }
+
+            if (message.type === 'agent_end') {
+                const state = this.getAgentState(message.payload.runId);
+                state.end = message.payload;
+                if (state.onEnd) {
+                    state.onEnd(message.payload);
+                }
+                return;
+            }
+
+            if (message.type === 'diagnostics_change') {
+                console.log(`🩺 Problems changed in ${message.payload.files.length} file(s)`);
+                return;
+            }
+
             // Handle ping
             if (message.type === 'ping') {
                 this.sendMessage({
                     id: uuidv4(),
                     type: 'pong',
+                    replyTo: message.id,
                     payload: { receivedId: message.id },
                     timestamp: Date.now()
                 });
@@ -183,15 +604,32 @@ class MobileDevinTestClient {
     }
 }
 
+// HMAC over both nonces keyed with the SHA-256 of the token, as the bridge computes it
+function authProof(key, role, clientNonce, serverNonce) {
+    return crypto.createHmac('sha256', key).update(`mobile-devin-${role}\n${clientNonce}\n${serverNonce}`).digest('hex');
+}
+
 // Test runner
 async function runTests() {
-    const client = new MobileDevinTestClient();
+    const client = new MobileDevinTestClient(process.env.MOBILE_DEVIN_URL, {
+        fingerprint: process.env.MOBILE_DEVIN_FINGERPRINT
+    });
     
     try {
         console.log('🚀 Starting Mobile Devin Bridge Test...\n');
 
         // Connect to bridge
         await client.connect();
+
+        // Authenticate with a stored device and token, or pair with the code shown in Cursor
+        if (process.env.MOBILE_DEVIN_DEVICE_ID && process.env.MOBILE_DEVIN_TOKEN) {
+            await client.authenticate(process.env.MOBILE_DEVIN_DEVICE_ID, process.env.MOBILE_DEVIN_TOKEN);
+        } else if (process.env.MOBILE_DEVIN_PAIRING_CODE) {
+            const { deviceId, token } = await client.pair(process.env.MOBILE_DEVIN_PAIRING_CODE);
+            console.log(`💾 Reuse this session with MOBILE_DEVIN_DEVICE_ID=${deviceId} MOBILE_DEVIN_TOKEN=${token}`);
+        } else {
+            throw new Error('Set MOBILE_DEVIN_PAIRING_CODE (from "Pair Mobile Device"), or MOBILE_DEVIN_DEVICE_ID and MOBILE_DEVIN_TOKEN');
+        }
         
         // Setup file change listener
         client.onFileChange((change) => {
@@ -204,7 +642,7 @@ async function runTests() {
             const projectInfo = await client.requestProjectInfo();
             console.log('✅ Project Info:', projectInfo);
         } catch (error) {
-            console.log('❌ Project Info failed:', error.message);
+            console.log(`❌ Project Info failed: [${error.code}] ${error.message}`);
         }
 
         // Test 2: Request existing file
@@ -213,7 +651,7 @@ async function runTests() {
             const fileContent = await client.requestFile('package.json');
             console.log('✅ File content received:', fileContent.exists ? `${fileContent.content.length} chars` : 'File not found');
         } catch (error) {
-            console.log('❌ File request failed:', error.message);
+            console.log(`❌ File request failed: [${error.code}] ${error.message}`);
         }
 
         // Test 3: Create/Update a test file
@@ -225,18 +663,217 @@ export const testMessage = "Hello from Mobile Devin!";
 export const timestamp = ${Date.now()};
 `;
         
-        await client.updateFile('mobile-devin-test.js', testContent);
+        try {
+            await client.updateFile('mobile-devin-test.js', testContent);
+        } catch (error) {
+            console.log(`❌ File update failed: [${error.code}] ${error.message}`);
+        }
         
         // Wait a bit for file system events
         await new Promise(resolve => setTimeout(resolve, 1000));
 
         // Test 4: Verify the file was created
         console.log('\n🔍 Test 4: Verify Created File');
+        let createdFile;
         try {
-            const createdFile = await client.requestFile('mobile-devin-test.js');
+            createdFile = await client.requestFile('mobile-devin-test.js');
             console.log('✅ Created file verified:', createdFile.exists ? 'Success' : 'Failed');
         } catch (error) {
-            console.log('❌ File verification failed:', error.message);
+            console.log(`❌ File verification failed: [${error.code}] ${error.message}`);
+        }
+
+        // Test 5: A second write based on the same version must conflict
+        console.log('\n⚔️  Test 5: Stale Write Conflict');
+        if (createdFile) {
+            try {
+                await client.updateFile('mobile-devin-test.js', testContent + '// edit 1\n', { baseVersion: createdFile.version });
+                await client.updateFile('mobile-devin-test.js', testContent + '// edit 2\n', { baseVersion: createdFile.version });
+                console.log('❌ Stale write was accepted');
+            } catch (error) {
+                console.log(error.code === 'CONFLICT' ? '✅ Stale write rejected with CONFLICT' : `❌ Unexpected error: [${error.code}] ${error.message}`);
+            }
+        }
+
+        // Test 6: Append a line by sending only the edit
+        console.log('\n✂️  Test 6: Delta Update');
+        try {
+            const current = await client.requestFile('mobile-devin-test.js');
+            const line = '// appended by delta\n';
+            await client.updateFileDelta('mobile-devin-test.js', current.version, [
+                { offset: current.content.length, deleteCount: 0, text: line }
+            ]);
+            const updated = await client.requestFile('mobile-devin-test.js');
+            console.log(updated.content === current.content + line ? '✅ Delta applied' : '❌ Delta produced unexpected content');
+        } catch (error) {
+            console.log(`❌ Delta update failed: [${error.code}] ${error.message}`);
+        }
+
+        // Test 7: A second connection resumes from an earlier position in the event log
+        console.log('\n🔁 Test 7: Resume After Reconnect');
+        try {
+            const resume = client.getResumePoint();
+            await client.updateFile('mobile-devin-test.js', testContent);
+
+            const other = new MobileDevinTestClient(client.url, { fingerprint: client.fingerprint });
+            await other.connect();
+            const resumed = await other.authenticate(client.deviceId, client.token, resume);
+            const restarted = await other.authenticate(client.deviceId, client.token, { logId: 'earlier-run', lastSeq: resume.lastSeq });
+            other.disconnect();
+
+            console.log(resumed.eventLog.resumed && !restarted.eventLog.resumed
+                ? `✅ Resumed at seq ${resume.lastSeq}, unknown log requires a resync`
+                : '❌ Unexpected resume result');
+        } catch (error) {
+            console.log(`❌ Resume failed: [${error.code}] ${error.message}`);
+        }
+
+        // Test 8: Run a command in the workspace and collect its output
+        console.log('\n🖥️  Test 8: Run Command');
+        try {
+            const result = await client.runCommand('node --version');
+            console.log(result.exitCode === 0 && /^v\d+/.test(result.output.trim())
+                ? `✅ Command exited with code 0: ${result.output.trim()} (${result.pty ? 'pty' : 'pipes'})`
+                : `❌ Command exited with ${result.signal || `code ${result.exitCode}`}: ${result.output}`);
+        } catch (error) {
+            console.log(`❌ Command failed: [${error.code}] ${error.message}`);
+        }
+
+        // Test 9: List the workspace's tasks; running them is left to the user
+        console.log('\n🛠️  Test 9: List Tasks');
+        try {
+            const { tasks } = await client.requestProjectInfo();
+            if (!tasks) {
+                console.log('⚠️  Tasks are disabled in the bridge settings');
+            } else {
+                console.log(`✅ ${tasks.length} task(s) available`);
+                tasks.slice(0, 10).forEach(task => {
+                    console.log(`   ${task.kind.padEnd(6)} ${task.name} (${task.source}${task.streamsOutput ? '' : ', runs in Cursor'})`);
+                });
+            }
+        } catch (error) {
+            console.log(`❌ Listing tasks failed: [${error.code}] ${error.message}`);
+        }
+
+        // Test 10: Problems Cursor reports for the workspace
+        console.log('\n🩺 Test 10: Diagnostics');
+        try {
+            const files = await client.requestDiagnostics();
+            const count = files.reduce((total, file) => total + file.total, 0);
+            console.log(`✅ ${count} problem(s) in ${files.length} file(s)`);
+            files.slice(0, 5).forEach(file => {
+                const first = file.diagnostics[0];
+                console.log(`   ${file.workspaceFolder}/${file.filePath}:${first.range.start.line + 1} ${first.severity}: ${first.message}`);
+            });
+        } catch (error) {
+            console.log(`❌ Diagnostics failed: [${error.code}] ${error.message}`);
+        }
+
+        // Test 11: Complete after an unsaved edit, as the editor does while typing
+        console.log('\n💬 Test 11: Completion');
+        try {
+            const current = await client.requestFile('mobile-devin-test.js');
+            const content = current.content + '\nconsole.';
+            const result = await client.requestLanguageFeature('completion', 'mobile-devin-test.js', content.length, {
+                content,
+                triggerCharacter: '.'
+            });
+            console.log(`✅ ${result.items.length} completion(s)${result.isIncomplete ? ', more available' : ''}`);
+            console.log(`   ${result.items.slice(0, 8).map(item => item.label).join(', ')}`);
+        } catch (error) {
+            console.log(`❌ Completion failed: [${error.code}] ${error.message}`);
+        }
+
+        // Test 12: Find the test file by name and by its contents
+        console.log('\n🔎 Test 12: Search');
+        try {
+            const byName = await client.search({ kind: 'files', query: 'mdtest' });
+            const byContent = await client.search({ kind: 'text', query: 'Hello from Mobile Devin', include: ['*.js'] });
+            const found = byName.results.some(match => match.filePath === 'mobile-devin-test.js') &&
+                byContent.results.some(match => match.filePath === 'mobile-devin-test.js');
+            console.log(found
+                ? `✅ Found by name among ${byName.resultCount} file(s) and in ${byContent.resultCount} line(s) of ${byContent.searchedFiles} file(s)`
+                : '❌ Test file not found');
+            byContent.results.slice(0, 3).forEach(match => {
+                console.log(`   ${match.filePath}:${match.line + 1} ${match.preview.trim()}`);
+            });
+        } catch (error) {
+            console.log(`❌ Search failed: [${error.code}] ${error.message}`);
+        }
+
+        // Test 13: Repository state, and the diff of the first changed file
+        console.log('\n🌿 Test 13: Git status');
+        try {
+            const status = await client.git('status');
+            const tracking = status.upstream ? ` → ${status.upstream} (↑${status.ahead} ↓${status.behind})` : '';
+            console.log(`✅ On ${status.branch || `detached ${status.commit}`}${tracking}: ${status.staged.length} staged, ${status.unstaged.length} unstaged`);
+            const change = status.unstaged.find(candidate => candidate.status !== 'conflicted');
+            if (change) {
+                const diff = await client.git('diff', { filePath: change.filePath });
+                console.log(`   ${change.status} ${change.filePath}: ${diff.binary ? 'binary' : `${diff.hunks.length} hunk(s)`}`);
+            }
+        } catch (error) {
+            console.log(error.code === 'GIT_ERROR' && error.details?.reason === 'not_a_repository'
+                ? '⚠️  The workspace is not a git repository'
+                : `❌ Git status failed: [${error.code}] ${error.message}`);
+        }
+
+        // Test 14: Ask about the test file, which the bridge reads as context
+        console.log('\n🤖 Test 14: AI chat');
+        try {
+            const reply = await client.chat(
+                [{ role: 'user', content: 'What does this file print?' }],
+                { filePath: 'mobile-devin-test.js' }
+            );
+            if (reply.error) {
+                console.log(`❌ AI chat failed: [${reply.error.code}] ${reply.error.message}`);
+            } else {
+                console.log(`✅ ${reply.provider}/${reply.model} replied in ${reply.deltas} delta(s)${reply.usage ? `, ${reply.usage.totalTokens} tokens` : ''}`);
+                console.log(`   ${reply.text.split('\n')[0].slice(0, 100)}`);
+                if (reply.context && reply.context.length > 0) {
+                    console.log(`   Context: ${reply.context.map(excerpt => `${excerpt.filePath}:${excerpt.startLine}-${excerpt.endLine}`).join(', ')}`);
+                }
+            }
+        } catch (error) {
+            console.log(error.code === 'PERMISSION_DENIED' || error.code === 'AI_ERROR'
+                ? `⚠️  AI chat unavailable: ${error.message}`
+                : `❌ AI chat failed: [${error.code}] ${error.message}`);
+        }
+
+        // Test 15: Let the AI change the test file and apply what it proposes
+        console.log('\n🛠️  Test 15: AI changes');
+        try {
+            const changeSet = await client.requestChanges(
+                'Add a comment at the top of this file describing what it does.',
+                [{ filePath: 'mobile-devin-test.js' }]
+            );
+            console.log(`✅ ${changeSet.provider}/${changeSet.model} proposed ${changeSet.files.length} file change(s): ${changeSet.summary}`);
+            changeSet.files.forEach(file => console.log(`   ${file.action} ${file.filePath}`));
+            if (changeSet.files.length > 0) {
+                const applied = await client.applyChanges(changeSet.files, 'Mobile Devin test client');
+                console.log(`✅ Applied ${applied.length} file(s)${applied.some(file => !file.saved) ? ', some left unsaved' : ''}`);
+            }
+        } catch (error) {
+            console.log(error.code === 'PERMISSION_DENIED' || error.code === 'AI_ERROR'
+                ? `⚠️  AI changes unavailable: ${error.message}`
+                : `❌ AI changes failed: [${error.code}] ${error.message}`);
+        }
+
+        // Test 16: Let the agent work on a small task within a few turns
+        console.log('\n🤖 Test 16: Agent');
+        try {
+            const run = await client.runAgent('Explain in the summary what mobile-devin-test.js does, without changing files.', {
+                maxTurns: 5,
+                onStep: step => {
+                    if (step.status !== 'running') {
+                        console.log(`   ${step.status === 'failed' ? '✗' : '•'} ${step.title}${step.text ? `: ${step.text.split('\n')[0].slice(0, 80)}` : ''}`);
+                    }
+                }
+            });
+            console.log(`${run.status === 'succeeded' ? '✅' : '⚠️ '} Agent ${run.status} after ${run.turns} turn(s): ${run.summary}`);
+        } catch (error) {
+            console.log(error.code === 'PERMISSION_DENIED' || error.code === 'AI_ERROR'
+                ? `⚠️  Agent unavailable: ${error.message}`
+                : `❌ Agent failed: [${error.code}] ${error.message}`);
         }
 
         console.log('\n🎉 All tests completed!');
@@ -250,6 +887,7 @@ export const timestamp = ${Date.now()};
 
 // Export for use as module
 module.exports = MobileDevinTestClient;
+module.exports.BridgeRequestError = BridgeRequestError;
 
 // Run tests if called directly
 if (require.main === module) {